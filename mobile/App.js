@@ -2,31 +2,59 @@
 import React from 'react'; // Importa a biblioteca React
 import { NavigationContainer } from '@react-navigation/native'; // Importa o contêiner de navegação do React Navigation
 import { Provider } from 'react-redux'; // Importa o Provider do React Redux para disponibilizar a store
+import { GestureHandlerRootView } from 'react-native-gesture-handler'; // Importa a raiz necessária para os gestos (zoom das imagens)
+import { StatusBar } from 'expo-status-bar'; // Importa a barra de status, cujos ícones acompanham o tema
 
 import { store } from './src/store/store'; // Importa a store (loja) Redux configurada
 import AppNavigator from './src/navigation/AppNavigator'; // Importa o navegador principal da aplicação
+import { createLinking } from './src/navigation/linking'; // Importa a configuração dos deep links
+import ThemeProvider from './src/theme/ThemeProvider'; // Importa o provedor do tema (claro, escuro ou do sistema)
+import useTheme from './src/hooks/useTheme'; // Importa o hook do tema atual
+
+// Configuração dos deep links (`mobile://product/5` e `https://.../product/5`), que guarda os links na store
+const linking = createLinking(store);
+
+/**
+ * @function ThemedNavigation
+ * @description Contêiner de navegação com o tema atual: as cores do tema chegam aos cabeçalhos,
+ * à barra de abas e ao fundo das telas, e a barra de status troca o estilo dos ícones.
+ */
+function ThemedNavigation() {
+  const { isDark, navigationTheme } = useTheme();
+  return (
+    <NavigationContainer linking={linking} theme={navigationTheme}>
+      <StatusBar style={isDark ? 'light' : 'dark'} />
+      {/* AppNavigator: O componente que define toda a estrutura de navegação da aplicação.
+        Ele decide qual fluxo de navegação (autenticação ou principal) deve ser exibido.
+      */}
+      <AppNavigator />
+    </NavigationContainer>
+  );
+}
 
 /**
  * @function App
  * @description Componente raiz da aplicação.
  * Este componente configura os provedores globais necessários para o funcionamento do aplicativo,
- * como o Redux Store (para gerenciamento de estado) e o React Navigation (para navegação entre telas).
+ * como o Redux Store (para gerenciamento de estado), o tema e o React Navigation (para navegação entre telas).
  * É o ponto de entrada principal onde a estrutura de navegação é montada.
  */
 export default function App() {
   return (
-    // Provider: Componente do React Redux que torna a store Redux disponível para todos os componentes filhos.
-    // Qualquer componente aninhado pode acessar o estado global e despachar ações.
-    <Provider store={store}>
-      {/* NavigationContainer: Componente do React Navigation que gerencia o estado de navegação da aplicação.
-        Ele deve envolver toda a estrutura de navegadores (Stack, Tab, Drawer, etc.).
+    // GestureHandlerRootView: Raiz dos gestos (pinça, toque duplo, arrasto), que precisa envolver todo o app.
+    <GestureHandlerRootView style={{ flex: 1 }}>
+      {/* Provider: Componente do React Redux que torna a store Redux disponível para todos os componentes filhos.
+        Qualquer componente aninhado pode acessar o estado global e despachar ações.
       */}
-      <NavigationContainer>
-        {/* AppNavigator: O componente que define toda a estrutura de navegação da aplicação.
-          Ele decide qual fluxo de navegação (autenticação ou principal) deve ser exibido.
+      <Provider store={store}>
+        {/* ThemeProvider: Disponibiliza o tema (lido da store) para todos os componentes.
+          Dentro dele, o NavigationContainer gerencia o estado de navegação da aplicação
+          e envolve toda a estrutura de navegadores (Stack, Tab, Drawer, etc.).
         */}
-        <AppNavigator />
-      </NavigationContainer>
-    </Provider>
+        <ThemeProvider>
+          <ThemedNavigation />
+        </ThemeProvider>
+      </Provider>
+    </GestureHandlerRootView>
   );
 }
\ No newline at end of file
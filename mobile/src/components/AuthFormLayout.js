@@ -0,0 +1,115 @@
+// src/components/AuthFormLayout.js
+import React from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  ScrollView,     // Contêiner com funcionalidade de rolagem
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  StyleSheet,     // API para criar folhas de estilo
+  KeyboardAvoidingView, // Evita que o teclado cubra os campos do formulário
+  Platform        // API para detectar a plataforma atual (iOS, Android, web)
+} from 'react-native';
+
+// Importa o hook que informa as margens seguras da tela (notch e barra de status)
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function AuthFormLayout
+ * @description Moldura das telas de autenticação abertas a partir do login (cadastro e recuperação de senha):
+ * faixa azul com botão de voltar, título e subtítulo, e um card branco sobreposto com o formulário,
+ * no mesmo visual da LoginScreen. Rola e se afasta do teclado quando o formulário não cabe.
+ * @param {object} props - Propriedades do componente.
+ * @param {string} props.title - Título da tela.
+ * @param {string} [props.subtitle] - Texto de apoio abaixo do título.
+ * @param {Function} props.onBack - Chamada ao tocar no botão de voltar.
+ * @param {React.ReactNode} props.children - O conteúdo do card (campos e botões).
+ */
+const AuthFormLayout = ({ title, subtitle, onBack, children }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const insets = useSafeAreaInsets();
+
+  return (
+    <KeyboardAvoidingView style={styles.container} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {/* header: Faixa azul com o botão de voltar e o título */}
+        <View style={[styles.header, { paddingTop: insets.top + 10 }]}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={onBack}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.back')}
+          >
+            <Ionicons name="arrow-back" size={24} color={colors.onPrimary} />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle} accessibilityRole="header">{title}</Text>
+          {!!subtitle && <Text style={styles.headerSubtitle}>{subtitle}</Text>}
+        </View>
+
+        {/* card: Formulário sobreposto à faixa azul */}
+        <View style={styles.card}>{children}</View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+// --- Folha de Estilos do Componente AuthFormLayout ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    flexGrow: 1,
+    paddingBottom: 20,
+  },
+  header: {
+    backgroundColor: colors.primary,
+    paddingHorizontal: 20,
+    paddingBottom: 80, // Espaço que o card sobrepõe, como na LoginScreen
+  },
+  backButton: {
+    alignSelf: 'flex-start',
+    padding: 5,
+    marginLeft: -5,
+    marginBottom: 10,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: colors.onPrimary,
+    marginBottom: 5,
+  },
+  headerSubtitle: {
+    fontSize: 16,
+    color: colors.onPrimary,
+  },
+  card: {
+    width: '90%',
+    maxWidth: 480,
+    alignSelf: 'center',
+    marginTop: -60,
+    backgroundColor: colors.surface,
+    borderRadius: 15,
+    padding: 25,
+    shadowColor: colors.shadow,
+    shadowOffset: {
+      width: 0,
+      height: 8,
+    },
+    shadowOpacity: 0.2,
+    shadowRadius: 10,
+    elevation: 8,
+  },
+});
+
+export default AuthFormLayout;
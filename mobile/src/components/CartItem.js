@@ -0,0 +1,188 @@
+// src/components/CartItem.js
+import React from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  Image,          // Componente para exibir imagens
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  StyleSheet      // API para criar folhas de estilo
+} from 'react-native';
+
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa a regra de preço com desconto
+import { getDiscountedPrice } from '../utils/pricing';
+// Importa o hook de formatação de preços (na moeda e no idioma escolhidos)
+import usePricing from '../hooks/usePricing';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function CartItem
+ * @description Componente que exibe uma linha do carrinho: imagem, título, preço unitário,
+ * seletor de quantidade (-/+) e botão de remover. Para o leitor de tela, o seletor é um único
+ * controle ajustável (deslizar para cima/baixo muda a quantidade).
+ * @param {object} props - Propriedades passadas para o componente.
+ * @param {object} props.item - O item do carrinho ({ id, title, thumbnail, price, discountPercentage, stock, quantity }).
+ * @param {function} props.onChangeQuantity - Callback chamado com a nova quantidade.
+ * @param {function} props.onRemove - Callback chamado ao remover o item.
+ * @param {function} [props.onPress] - Callback chamado ao tocar na imagem/título (ex: abrir os detalhes).
+ */
+const CartItem = ({ item, onChangeQuantity, onRemove, onPress }) => {
+  const { t } = useTranslation();
+  const { formatPrice } = usePricing();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const unitPrice = getDiscountedPrice(item);
+  // Desabilita o botão "+" quando a quantidade já atingiu o estoque disponível
+  const reachedStock = item.stock > 0 && item.quantity >= item.stock;
+
+  /**
+   * @function handleQuantityAction
+   * @description Trata os gestos de aumentar/diminuir do leitor de tela no seletor de quantidade.
+   */
+  const handleQuantityAction = ({ nativeEvent }) => {
+    if (nativeEvent.actionName === 'increment' && !reachedStock) {
+      onChangeQuantity(item.quantity + 1);
+    } else if (nativeEvent.actionName === 'decrement') {
+      onChangeQuantity(item.quantity - 1);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={styles.productInfo}
+        onPress={onPress}
+        disabled={!onPress}
+        accessibilityRole={onPress ? 'button' : undefined}
+        accessibilityHint={onPress ? t('a11y.productCardHint') : undefined}
+      >
+        <Image source={{ uri: item.thumbnail }} style={styles.image} resizeMode="contain" />
+        <View style={styles.textContainer}>
+          <Text style={styles.title} numberOfLines={2}>{item.title}</Text>
+          <Text style={styles.unitPrice}>{formatPrice(unitPrice)}</Text>
+          {/* lineTotal: Preço unitário multiplicado pela quantidade */}
+          <Text style={styles.lineTotal}>{t('cart.lineTotal', { total: formatPrice(unitPrice * item.quantity) })}</Text>
+        </View>
+      </TouchableOpacity>
+
+      {/* actions: Seletor de quantidade e botão de remover */}
+      <View style={styles.actions}>
+        <TouchableOpacity
+          onPress={onRemove}
+          style={styles.removeButton}
+          accessibilityRole="button"
+          accessibilityLabel={t('a11y.removeFromCart', { title: item.title })}
+        >
+          <Ionicons name="trash-outline" size={20} color={colors.danger} />
+        </TouchableOpacity>
+        <View
+          style={styles.quantityContainer}
+          accessible
+          accessibilityRole="adjustable"
+          accessibilityLabel={t('a11y.quantity', { title: item.title })}
+          accessibilityValue={{ text: String(item.quantity) }}
+          accessibilityActions={[{ name: 'increment' }, { name: 'decrement' }]}
+          onAccessibilityAction={handleQuantityAction}
+        >
+          {/* Diminuir para 0 remove o item (tratado em `updateQuantity`) */}
+          <TouchableOpacity onPress={() => onChangeQuantity(item.quantity - 1)} style={styles.quantityButton}>
+            <Ionicons name="remove" size={18} color={colors.primary} />
+          </TouchableOpacity>
+          <Text style={styles.quantityText}>{item.quantity}</Text>
+          <TouchableOpacity
+            onPress={() => onChangeQuantity(item.quantity + 1)}
+            style={[styles.quantityButton, reachedStock && styles.quantityButtonDisabled]}
+            disabled={reachedStock}
+          >
+            <Ionicons name="add" size={18} color={colors.primary} />
+          </TouchableOpacity>
+        </View>
+      </View>
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente CartItem ---
+const createStyles = (colors) => StyleSheet.create({
+  // container: Card de cada item do carrinho
+  container: {
+    flexDirection: 'row',
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    padding: 10,
+    marginHorizontal: 15,
+    marginBottom: 10,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  // productInfo: Agrupa a imagem e os textos, ocupando o espaço restante
+  productInfo: {
+    flex: 1,
+    flexDirection: 'row',
+  },
+  image: {
+    width: 70,
+    height: 70,
+    borderRadius: 8,
+  },
+  textContainer: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 4,
+  },
+  unitPrice: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  lineTotal: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 4,
+  },
+  // actions: Coluna à direita com o botão de remover em cima e a quantidade embaixo
+  actions: {
+    justifyContent: 'space-between',
+    alignItems: 'flex-end',
+    marginLeft: 10,
+  },
+  removeButton: {
+    padding: 4,
+  },
+  quantityContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.borderStrong,
+    borderRadius: 8,
+  },
+  quantityButton: {
+    padding: 6,
+  },
+  quantityButtonDisabled: {
+    opacity: 0.3,
+  },
+  quantityText: {
+    minWidth: 24,
+    textAlign: 'center',
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+});
+
+export default CartItem;
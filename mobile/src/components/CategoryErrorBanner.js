@@ -0,0 +1,79 @@
+// src/components/CategoryErrorBanner.js
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native'; // Componentes básicos e API de estilos
+
+// Importa ícones da biblioteca @expo/vector-icons
+import { MaterialIcons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function CategoryErrorBanner
+ * @description Aviso exibido junto à grade quando uma categoria da aba falha ao carregar.
+ * Os produtos das demais categorias continuam visíveis; o botão repete apenas a categoria que falhou.
+ * @param {object} props - Propriedades do componente.
+ * @param {string} props.label - Nome da categoria.
+ * @param {string} props.message - Mensagem de erro.
+ * @param {function} props.onRetry - Chamada ao tocar em "Tentar novamente".
+ */
+const CategoryErrorBanner = ({ label, message, onRetry }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.banner}>
+      <MaterialIcons name="error-outline" size={22} color={colors.danger} />
+      <View style={styles.textContainer}>
+        <Text style={styles.title}>{label}</Text>
+        <Text style={styles.message}>{message}</Text>
+      </View>
+      <TouchableOpacity
+        onPress={onRetry}
+        hitSlop={8}
+        accessibilityRole="button"
+        accessibilityLabel={t('a11y.retryCategory', { category: label })}
+      >
+        <Text style={styles.retryText}>{t('common.retry')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente CategoryErrorBanner ---
+const createStyles = (colors) => StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.dangerBackground,
+    borderRadius: 8,
+    padding: 12,
+    marginHorizontal: 15,
+    marginBottom: 10,
+  },
+  textContainer: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  message: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  retryText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.primary,
+  },
+});
+
+export default CategoryErrorBanner;
@@ -1,9 +1,8 @@
 // src/components/CategoryProductList.js
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useCallback, useMemo, useRef } from 'react';
 import { 
   View,           // Contêiner básico para layout
   Text,           // Exibição de texto
-  FlatList,       // Componente para renderizar listas grandes de forma performática
   ActivityIndicator, // Indicador de carregamento visual
   StyleSheet,     // API para criar folhas de estilo
   TouchableOpacity, // Componente de botão com feedback de opacidade
@@ -12,194 +11,390 @@ import {
 
 // Importa hooks do Redux para interagir com o store
 import { useDispatch, useSelector } from 'react-redux';
-// Importa o thunk de Redux Toolkit para buscar produtos por categoria (se Redux estiver em uso)
-import { fetchProductsByCategory } from '../store/productSlice';
-// Importa a função de API para buscar produtos por categoria diretamente (se não usar Redux Thunk para a busca)
-import { getProductsByCategory } from '../services/api';
+// Importa o thunk que carrega uma página das categorias da aba, o seletor dos produtos da aba e a regra de validade
+import { fetchTabPage, makeSelectTabProducts, isStale } from '../store/productSlice';
+// Importa o seletor dos nomes das categorias (exibidos nos banners de erro)
+import { selectCategoryNames } from '../store/catalogSlice';
 
-// Importa o componente ProductCard, que representa um item individual na lista de produtos
-import ProductCard from './ProductCard';
+// Importa as ações e o seletor dos filtros de cada aba
+import { updateTabFilters, resetTabFilters, selectTabFilters } from '../store/filtersSlice';
+// Importa as funções que aplicam os filtros e montam os chips e a lista de marcas
+import {
+  applyProductFilters,
+  getActiveFilterChips,
+  getAvailableBrands,
+  getSortOption,
+} from '../utils/productFilters';
+
+// Importa a grade de produtos (compartilhada com a tela de favoritos)
+import ProductGrid from './ProductGrid';
+// Importa a formatação de data e hora (horário da última atualização)
+import { formatDateTime } from '../utils/date';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+
+// Importa o banner de erro exibido para cada categoria que falhou
+import CategoryErrorBanner from './CategoryErrorBanner';
+// Importa a barra de chips dos filtros ativos e a folha de filtros
+import FilterChips from './FilterChips';
+import FilterSheet from './FilterSheet';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook de preços (formatação na moeda escolhida, usada nos chips da faixa de preço)
+import usePricing from '../hooks/usePricing';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
 
 /**
  * @function CategoryProductList
  * @description Componente funcional que exibe uma lista de produtos de categorias específicas.
- * Gerencia o carregamento de dados da API, estados de carregamento e erro,
- * e a renderização dos produtos em formato de grade.
+ * Os produtos vêm do `productSlice` (fonte única dos dados de produtos), carregados página a página
+ * conforme a rolagem (rolagem infinita). Gerencia os estados de carregamento e erro,
+ * e a renderização dos produtos em formato de grade, com filtros e ordenação guardados por aba.
  * @param {object} props - Propriedades passadas para o componente.
+ * @param {string} props.tabKey - Identificador da aba (seu nome), usado para guardar os filtros dela.
  * @param {string[]} props.categories - Um array de strings com os nomes das categorias de produtos a serem carregados.
  * @param {object} props.navigation - O objeto de navegação do React Navigation, usado para navegar para a tela de detalhes do produto.
  */
-const CategoryProductList = ({ categories, navigation }) => {
-  // Hook useDispatch para despachar ações para o store Redux (não usado na lógica de busca direta aqui)
+const CategoryProductList = ({ tabKey, categories, navigation }) => {
+  // Hook useDispatch para despachar ações para o store Redux (filtros da aba e carga dos produtos)
   const dispatch = useDispatch(); 
+  const { t } = useTranslation();
+  const { formatPrice } = usePricing();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  // Filtros e ordenação escolhidos nesta aba
+  const filters = useSelector((state) => selectTabFilters(state, tabKey));
+  // Campo e direção da ordenação enviados à API (nulos em "Relevância")
+  const { apiSortBy, order } = getSortOption(filters.sortId);
+
+  // Seletor memoizado exclusivo desta aba (produtos das suas categorias, já sem duplicatas)
+  const selectTabProducts = useMemo(makeSelectTabProducts, []);
+  const { products, categoryStates, hasMore, fetchedAt, fromCache } = useSelector((state) =>
+    selectTabProducts(state, categories, apiSortBy, order)
+  );
+  // Horário da última carga, lido pelo efeito da primeira página sem que cada página recebida o dispare de novo
+  const fetchedAtRef = useRef(fetchedAt);
+  fetchedAtRef.current = fetchedAt;
+
+  // Nomes das categorias vindos da API (ex: 'womens-bags' -> 'Womens Bags')
+  const categoryNames = useSelector(selectCategoryNames);
 
   // --- Estados do Componente ---
-  // Estado para armazenar a lista de produtos carregados
-  const [products, setProducts] = useState([]);
-  // Estado para controlar o indicador de carregamento
-  const [isLoading, setIsLoading] = useState(true);
-  // Estado para armazenar mensagens de erro (se a requisição falhar)
-  const [error, setError] = useState(null);
   // Estado para controlar a funcionalidade de "pull-to-refresh"
   const [refreshing, setRefreshing] = useState(false);
+  // Estado que controla a exibição da folha de filtros
+  const [isFilterSheetVisible, setIsFilterSheetVisible] = useState(false);
+
+  // Alguma categoria está carregando (ou ainda nem começou)
+  const isLoading = categoryStates.some((item) => item.status === 'loading' || item.status === 'idle');
+  // Categorias cuja última página falhou
+  const failedCategories = categoryStates.filter((item) => item.status === 'failed');
+  // Só quando todas as categorias falharam (e nenhum produto chegou) o erro ocupa a tela inteira
+  const errorKey = products.length === 0 && !isLoading ? failedCategories[0]?.errorKey : null;
+  // Progresso da primeira carga: categorias que já responderam (com sucesso ou falha)
+  const arrivedCount = categoryStates.filter((item) => item.total !== null || item.status === 'failed').length;
+  const isArriving = isLoading && arrivedCount < categories.length;
+  // Falhas na primeira página aparecem acima da grade; falhas em páginas seguintes, no rodapé
+  const headerFailures = failedCategories.filter((item) => item.loaded === 0);
+  const footerFailures = failedCategories.filter((item) => item.loaded > 0);
 
   /**
-   * @function loadProducts
-   * @description Função assíncrona responsável por buscar os produtos de todas as categorias especificadas.
-   * Utiliza a API `getProductsByCategory` e combina os resultados, removendo duplicatas.
-   * Gerencia os estados de carregamento e erro durante o processo.
+   * @function loadPage
+   * @description Carrega a próxima página de todas as categorias da aba pelo `productSlice`
+   * (já ordenada pela API quando há ordenação escolhida).
+   * @param {object} [options] - `reset` recomeça da primeira página; `onlyFailed` repete só as categorias que falharam;
+   * `categories` restringe a carga a algumas categorias (ex: a do banner de erro tocado).
+   * @returns {Promise} A Promise do thunk `fetchTabPage`.
    * @callback
    */
-  const loadProducts = useCallback(async () => {
-    setIsLoading(true);   // Ativa o indicador de carregamento
-    setError(null);       // Limpa qualquer erro anterior
-    try {
-      let allProducts = [];
-      // Itera sobre cada categoria fornecida
-      for (const category of categories) {
-        // Realiza a chamada à API para obter produtos da categoria atual
-        const categoryProducts = await getProductsByCategory(category);
-        // Adiciona os produtos da categoria ao array geral
-        allProducts = [...allProducts, ...categoryProducts];
-      }
-      // Remove produtos duplicados (caso um produto apareça em múltiplas categorias, o que é raro com dummyjson)
-      // Converte para Set para unicidade e depois de volta para Array
-      const uniqueProducts = Array.from(new Map(allProducts.map(item => [item.id, item])).values());
-      setProducts(uniqueProducts); // Atualiza o estado com os produtos únicos
-    } catch (err) {
-      console.error("Erro ao carregar produtos:", err); // Loga o erro no console
-      setError(err.message || 'Falha ao carregar os produtos.'); // Define a mensagem de erro para exibição
-    } finally {
-      setIsLoading(false);    // Desativa o indicador de carregamento
-      setRefreshing(false);   // Desativa o estado de "refreshing" (se for pull-to-refresh)
-    }
-  }, [categories]); // A função é recriada apenas se as categorias mudarem
+  const loadPage = useCallback(
+    (options = {}) => dispatch(fetchTabPage({ categories, sortBy: apiSortBy, order, ...options })),
+    [dispatch, categories, apiSortBy, order]
+  );
 
   /**
    * @useEffect
-   * @description Hook que executa a função `loadProducts` uma vez quando o componente é montado
-   * e sempre que a função `loadProducts` for recriada (devido a mudanças nas `categories`).
+   * @description Carrega a primeira página quando o componente é montado e sempre que as categorias
+   * ou a ordenação enviada à API mudam (`loadPage` muda junto com elas). Listas já carregadas e dentro da
+   * validade são reaproveitadas da store; listas vencidas continuam na tela enquanto são recarregadas.
    */
   useEffect(() => {
-    loadProducts();
-  }, [loadProducts]); // `loadProducts` é uma dependência do useEffect devido ao `useCallback`
+    if (isStale(fetchedAtRef.current)) {
+      loadPage({ reset: true });
+    }
+  }, [loadPage]);
 
   /**
    * @function onRefresh
    * @description Lida com o evento de "pull-to-refresh".
-   * Ativa o estado de `refreshing` e chama `loadProducts` para recarregar os dados.
+   * Ativa o estado de `refreshing` e recarrega a partir da primeira página (os produtos atuais ficam na tela até a resposta).
    */
-  const onRefresh = () => {
+  const onRefresh = async () => {
     setRefreshing(true);
-    loadProducts();
+    await loadPage({ reset: true });
+    setRefreshing(false);
   };
 
   /**
-   * @function renderProductItem
-   * @description Função de renderização para cada item na FlatList.
-   * Retorna um componente ProductCard configurado com os dados do produto e um onPress.
-   * @param {object} param0 - Objeto contendo o item atual a ser renderizado.
-   * @param {object} param0.item - O objeto de produto individual.
-   * @returns {JSX.Element} Um componente ProductCard.
+   * @function onEndReached
+   * @description Carrega a próxima página ao chegar perto do fim da grade
+   * (categorias com falha ficam de fora: cada uma tem seu próprio botão de tentar novamente).
+   */
+  const onEndReached = () => {
+    if (hasMore && !isLoading) {
+      loadPage();
+    }
+  };
+
+  /**
+   * @function renderCategoryBanners
+   * @description Renderiza um banner de erro, com o próprio botão de tentar novamente, para cada categoria que falhou.
+   * @param {object[]} failures - Os estados das categorias com falha.
+   */
+  const renderCategoryBanners = (failures) =>
+    failures.map((item) => (
+      <CategoryErrorBanner
+        key={item.category}
+        label={categoryNames[item.category] || item.category.replace(/-/g, ' ')}
+        message={t(item.errorKey)}
+        onRetry={() => loadPage({ categories: [item.category], onlyFailed: true })}
+      />
+    ));
+
+  /**
+   * @function renderHeader
+   * @description Cabeçalho da grade: aviso de dados salvos (modo offline), progresso enquanto as categorias chegam e os banners
+   * das categorias que falharam já na primeira página.
+   */
+  const renderHeader = () => (
+    <>
+      {/* Dados vindos do cache offline: informa quando foram obtidos */}
+      {fromCache && fetchedAt && (
+        <View style={styles.cacheNotice}>
+          <Ionicons name="time-outline" size={16} color={colors.warningText} />
+          <Text style={styles.cacheNoticeText}>{t('productList.cacheNotice', { date: formatDateTime(fetchedAt) })}</Text>
+        </View>
+      )}
+      {isArriving && (
+        <View style={styles.progressContainer}>
+          <Text style={styles.progressText}>
+            {t('productList.categoriesProgress', { loaded: arrivedCount, total: categories.length })}
+          </Text>
+          <View style={styles.progressTrack}>
+            <View style={[styles.progressFill, { width: `${(arrivedCount / categories.length) * 100}%` }]} />
+          </View>
+        </View>
+      )}
+      {renderCategoryBanners(headerFailures)}
+    </>
+  );
+
+  /**
+   * @function renderFooter
+   * @description Rodapé da grade: spinner enquanto a próxima página carrega
+   * e banners das categorias cuja página seguinte falhou (sem apagar os produtos já exibidos).
+   */
+  const renderFooter = () => (
+    <View style={styles.footer}>
+      {isLoading && !isArriving && !refreshing && <ActivityIndicator style={styles.footerSpinner} color={colors.primary} />}
+      {renderCategoryBanners(footerFailures)}
+    </View>
+  );
+
+  // Produtos exibidos: filtrados e ordenados no aparelho, já que a grade junta várias categorias
+  const visibleProducts = useMemo(() => applyProductFilters(products, filters), [products, filters]);
+  // Marcas disponíveis na folha de filtros e chips dos filtros ativos
+  const brands = useMemo(() => getAvailableBrands(products), [products]);
+  // Os rótulos dos chips são traduzidos e trazem preços: `t` e `formatPrice` mudam com o idioma e a moeda
+  const chips = useMemo(() => getActiveFilterChips(filters, t, formatPrice), [filters, t, formatPrice]);
+
+  /**
+   * @function renderFilterControls
+   * @description Renderiza os chips dos filtros ativos (com o botão que abre a folha) e a folha de filtros.
    */
-  const renderProductItem = ({ item }) => (
-    <ProductCard
-      product={item} // Passa todos os dados do produto para o ProductCard
-      onPress={() => 
-        // Navega para a tela de Detalhes do Produto, passando o ID e o título como parâmetros
-        navigation.navigate('ProductDetails', { productId: item.id, productTitle: item.title })
-      }
-    />
+  const renderFilterControls = () => (
+    <>
+      <FilterChips
+        chips={chips}
+        onOpenFilters={() => setIsFilterSheetVisible(true)}
+        onRemoveChip={(chip) => dispatch(updateTabFilters({ tabKey, changes: chip.reset }))}
+      />
+      <FilterSheet
+        visible={isFilterSheetVisible}
+        filters={filters}
+        brands={brands}
+        onClose={() => setIsFilterSheetVisible(false)}
+        onApply={(changes) => {
+          dispatch(updateTabFilters({ tabKey, changes }));
+          setIsFilterSheetVisible(false);
+        }}
+      />
+    </>
   );
 
   // --- Renderização Condicional da Interface do Usuário ---
 
   // 1. Exibição do indicador de carregamento (spinner)
-  if (isLoading && !refreshing) {
+  if (isLoading && products.length === 0) {
     return (
       <View style={styles.centered}>
-        <ActivityIndicator size="large" color="#2567e8" /> {/* Spinner azul */}
-        <Text style={styles.loadingText}>Carregando produtos...</Text>
+        <ActivityIndicator size="large" color={colors.primary} /> {/* Spinner azul */}
+        <Text style={styles.loadingText}>{t('productList.loading')}</Text>
+        {categories.length > 1 && (
+          <Text style={styles.progressText}>
+            {t('productList.categoriesCount', { loaded: arrivedCount, count: categories.length })}
+          </Text>
+        )}
       </View>
     );
   }
 
-  // 2. Exibição de mensagem de erro, se a requisição falhar
-  if (error) {
+  // 2. Exibição de mensagem de erro, se todas as categorias falharem
+  if (errorKey) {
     return (
       <View style={styles.centered}>
-        <Text style={styles.errorText}>{error}</Text>
-        <TouchableOpacity onPress={loadProducts} style={styles.retryButton}>
-          <Text style={styles.retryButtonText}>Tentar Novamente</Text>
+        <Text style={styles.errorText}>{t(errorKey)}</Text>
+        <TouchableOpacity onPress={() => loadPage({ onlyFailed: true })} style={styles.retryButton} accessibilityRole="button">
+          <Text style={styles.retryButtonText}>{t('common.retry')}</Text>
         </TouchableOpacity>
       </View>
     );
   }
 
   // 3. Exibição de mensagem quando não há produtos (e não está carregando)
-  if (products.length === 0 && !isLoading) {
+  if (products.length === 0) {
     return (
       <View style={styles.centered}>
-        <Text style={styles.emptyText}>Nenhum produto encontrado nesta categoria.</Text>
-        <TouchableOpacity onPress={loadProducts} style={styles.retryButton}>
-          <Text style={styles.retryButtonText}>Recarregar</Text>
+        <Text style={styles.emptyText}>{t('productList.empty')}</Text>
+        <TouchableOpacity onPress={() => loadPage({ reset: true })} style={styles.retryButton} accessibilityRole="button">
+          <Text style={styles.retryButtonText}>{t('common.reload')}</Text>
         </TouchableOpacity>
       </View>
     );
   }
 
-  // 4. Renderização da lista de produtos (FlatList)
+  // 4. Renderização dos filtros e da grade de produtos (ProductGrid, uma FlatList em colunas)
   return (
-    <FlatList
-      data={products} // Dados a serem renderizados na lista
-      keyExtractor={(item) => String(item.id)} // Função para extrair uma chave única para cada item
-      renderItem={renderProductItem} // Função que renderiza cada item da lista
-      contentContainerStyle={styles.listContainer} // Estilos para o contêiner do conteúdo da lista
-      numColumns={2} // Renderiza os itens em 2 colunas, criando um layout de grade
-      columnWrapperStyle={styles.row} // Estilos para o invólucro de cada linha (útil para espaçamento entre colunas)
-      refreshControl={ // Configura a funcionalidade "pull-to-refresh"
-        <RefreshControl 
-          refreshing={refreshing} // Estado atual do refresh
-          onRefresh={onRefresh}   // Função chamada quando o usuário "puxa para atualizar"
-          colors={['#2567e8']}    // Cor do spinner de refresh (azul do tema)
-        /> 
-      }
-    />
+    <View style={styles.container}>
+      {renderFilterControls()}
+      <ProductGrid
+        products={visibleProducts} // Dados a serem renderizados na grade (já filtrados e ordenados)
+        navigation={navigation} // Usado para abrir os detalhes ao tocar em um card
+        refreshControl={ // Configura a funcionalidade "pull-to-refresh"
+          <RefreshControl 
+            refreshing={refreshing} // Estado atual do refresh
+            onRefresh={onRefresh}   // Função chamada quando o usuário "puxa para atualizar"
+            colors={[colors.primary]} // Cor do spinner de refresh (azul do tema)
+          /> 
+        }
+        onEndReached={onEndReached} // Carrega a próxima página ao se aproximar do fim
+        onEndReachedThreshold={0.5}
+        ListHeaderComponent={renderHeader}
+        ListFooterComponent={renderFooter}
+        // Nenhum produto passou pelos filtros: oferece limpar os filtros da aba
+        ListEmptyComponent={
+          <View style={styles.filteredEmpty}>
+            <Text style={styles.emptyText}>{t('productList.noFilterMatch')}</Text>
+            <TouchableOpacity onPress={() => dispatch(resetTabFilters(tabKey))} style={styles.retryButton} accessibilityRole="button">
+              <Text style={styles.retryButtonText}>{t('filters.clearAll')}</Text>
+            </TouchableOpacity>
+          </View>
+        }
+      />
+    </View>
   );
 };
 
 // --- Folha de Estilos do Componente CategoryProductList ---
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
+  // container: Estilo para o contêiner com os chips de filtro e a grade
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  // footer: Estilo para o rodapé da grade (spinner e erros das próximas páginas)
+  footer: {
+    paddingVertical: 10,
+  },
+  footerSpinner: {
+    paddingVertical: 10,
+  },
+  // cacheNotice: Estilo para o aviso de que a grade exibe dados salvos no dispositivo
+  cacheNotice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.warningBackground,
+    borderRadius: 8,
+    padding: 10,
+    marginHorizontal: 15,
+    marginBottom: 10,
+  },
+  cacheNoticeText: {
+    flex: 1,
+    fontSize: 13,
+    color: colors.warningText,
+    marginLeft: 6,
+  },
+  // progressContainer: Estilo para o progresso exibido enquanto as categorias chegam
+  progressContainer: {
+    marginHorizontal: 15,
+    marginBottom: 10,
+  },
+  progressText: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginTop: 4,
+  },
+  progressTrack: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: colors.disabled,
+    marginTop: 6,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 4,
+    backgroundColor: colors.primary,
+  },
+  // filteredEmpty: Estilo para a mensagem exibida quando os filtros escondem todos os produtos
+  filteredEmpty: {
+    alignItems: 'center',
+    paddingTop: 60,
+    paddingHorizontal: 20,
+  },
   // centered: Estilo para centralizar conteúdo em tela cheia (usado para loading, erro, vazio)
   centered: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: '#f8f8f8', // Fundo cinza claro
+    backgroundColor: colors.background, // Fundo cinza claro (escuro no tema escuro)
   },
   // loadingText: Estilo para o texto de carregamento
   loadingText: {
     marginTop: 10,
     fontSize: 16,
-    color: '#555',
+    color: colors.textSecondary,
   },
   // errorText: Estilo para o texto de mensagem de erro
   errorText: {
     fontSize: 16,
-    color: 'red',
+    color: colors.danger,
     textAlign: 'center',
     marginBottom: 10,
   },
   // emptyText: Estilo para o texto de "nenhum produto encontrado"
   emptyText: {
     fontSize: 16,
-    color: '#888',
+    color: colors.textMuted,
     textAlign: 'center',
     marginBottom: 10,
   },
   // retryButton: Estilo para o botão "Tentar Novamente" / "Recarregar"
   retryButton: {
-    backgroundColor: '#2567e8', // Cor de fundo do botão (azul do tema)
+    backgroundColor: colors.primary, // Cor de fundo do botão (azul do tema)
     paddingHorizontal: 20,
     paddingVertical: 10,
     borderRadius: 5,
@@ -207,23 +402,10 @@ const styles = StyleSheet.create({
   },
   // retryButtonText: Estilo para o texto do botão de tentar novamente
   retryButtonText: {
-    color: '#fff',
+    color: colors.onPrimary,
     fontSize: 16,
     fontWeight: 'bold',
   },
-  // listContainer: Estilo para o contêiner do conteúdo da FlatList
-  listContainer: {
-    paddingTop: 10,     // Padding na parte superior da lista
-    paddingBottom: 80,  // Padding na parte inferior para que o último item não seja cortado
-                        // pela barra de navegação inferior (Bottom Tab Bar).
-                        // Este valor deve ser maior que a altura da Bottom Tab Bar.
-  },
-  // row: Estilo para o invólucro de cada linha na grade de 2 colunas
-  row: {
-    justifyContent: 'space-between', // Distribui os itens uniformemente na linha
-    marginHorizontal: 7.5,           // Margem horizontal para compensar a margem dos cards
-                                     // e criar espaçamento nas bordas da lista e entre colunas.
-  },
 });
 
 export default CategoryProductList;
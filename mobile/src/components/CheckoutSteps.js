@@ -0,0 +1,105 @@
+// src/components/CheckoutSteps.js
+import React from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  StyleSheet      // API para criar folhas de estilo
+} from 'react-native';
+
+// Importa os nomes das etapas do checkout
+import { CHECKOUT_STEPS } from '../constants/checkout';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+// Importa o limite de ampliação da fonte para o número dentro do círculo
+import { COMPACT_MAX_FONT_SCALE } from '../constants/accessibility';
+
+/**
+ * @function CheckoutSteps
+ * @description Indicador de progresso exibido no topo de cada etapa do checkout.
+ * Etapas já concluídas e a etapa atual aparecem em azul; as próximas, em cinza.
+ * O leitor de tela lê o indicador inteiro como uma frase (ex: "Etapa 2 de 4: Entrega").
+ * @param {object} props - Propriedades do componente.
+ * @param {number} props.currentStep - Índice (a partir de 0) da etapa atual em CHECKOUT_STEPS.
+ */
+const CheckoutSteps = ({ currentStep }) => {
+  const { t } = useTranslation();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View
+      style={styles.container}
+      accessible
+      accessibilityLabel={t('a11y.checkoutStep', {
+        step: currentStep + 1,
+        total: CHECKOUT_STEPS.length,
+        name: t(CHECKOUT_STEPS[currentStep]),
+      })}
+    >
+      {CHECKOUT_STEPS.map((step, index) => {
+        const isActive = index <= currentStep;
+        return (
+          <View key={step} style={styles.step}>
+            <View style={[styles.circle, isActive && styles.circleActive]}>
+              <Text
+                style={[styles.circleText, isActive && styles.circleTextActive]}
+                maxFontSizeMultiplier={COMPACT_MAX_FONT_SCALE}
+              >
+                {index + 1}
+              </Text>
+            </View>
+            <Text style={[styles.label, isActive && styles.labelActive]}>{t(step)}</Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente CheckoutSteps ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingVertical: 12,
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  step: {
+    alignItems: 'center',
+  },
+  circle: {
+    width: 26,
+    height: 26,
+    borderRadius: 13,
+    borderWidth: 2,
+    borderColor: colors.borderStrong,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  circleActive: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary,
+  },
+  circleText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: colors.textMuted,
+  },
+  circleTextActive: {
+    color: colors.onPrimary,
+  },
+  label: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 4,
+  },
+  labelActive: {
+    color: colors.primary,
+    fontWeight: 'bold',
+  },
+});
+
+export default CheckoutSteps;
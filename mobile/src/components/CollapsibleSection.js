@@ -0,0 +1,121 @@
+// src/components/CollapsibleSection.js
+import React, { useState } from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  TouchableOpacity, // Cabeçalho tocável que abre/fecha a seção
+  LayoutAnimation, // Anima a abertura e o fechamento do conteúdo
+  StyleSheet      // API para criar folhas de estilo
+} from 'react-native';
+
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+// Importa o hook que indica se o usuário pediu para reduzir animações
+import useReduceMotion from '../hooks/useReduceMotion';
+
+/**
+ * @function CollapsibleSection
+ * @description Seção com cabeçalho tocável que mostra ou esconde o conteúdo (ex: especificações
+ * e informações de entrega na tela de detalhes).
+ * @param {object} props - Propriedades do componente.
+ * @param {string} props.title - O título da seção.
+ * @param {string} [props.icon] - Nome do ícone Ionicons exibido antes do título.
+ * @param {boolean} [props.initiallyExpanded=false] - Se a seção começa aberta.
+ * @param {React.ReactNode} props.children - O conteúdo da seção.
+ */
+const CollapsibleSection = ({ title, icon, initiallyExpanded = false, children }) => {
+  const [isExpanded, setIsExpanded] = useState(initiallyExpanded);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const reduceMotion = useReduceMotion();
+
+  const toggle = () => {
+    // Com "reduzir movimento" ativo, o conteúdo aparece e some sem animação
+    if (!reduceMotion) {
+      LayoutAnimation.configureNext(LayoutAnimation.Presets.easeInEaseOut);
+    }
+    setIsExpanded((expanded) => !expanded);
+  };
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={styles.header}
+        onPress={toggle}
+        accessibilityRole="button"
+        accessibilityLabel={title}
+        accessibilityState={{ expanded: isExpanded }}
+      >
+        {icon && <Ionicons name={icon} size={20} color={colors.textSecondary} style={styles.icon} />}
+        <Text style={styles.title}>{title}</Text>
+        <Ionicons name={isExpanded ? 'chevron-up' : 'chevron-down'} size={20} color={colors.textMuted} />
+      </TouchableOpacity>
+      {isExpanded && <View style={styles.content}>{children}</View>}
+    </View>
+  );
+};
+
+/**
+ * @function InfoRow
+ * @description Linha "rótulo: valor" usada dentro das seções (ex: "Marca  Apple").
+ * @param {object} props - Propriedades do componente.
+ * @param {string} props.label - O rótulo.
+ * @param {string} props.value - O valor exibido à direita.
+ */
+export const InfoRow = ({ label, value }) => {
+  const styles = useThemedStyles(createStyles);
+  return (
+    // Agrupada para o leitor de tela ler "rótulo, valor" de uma vez
+    <View style={styles.row} accessible>
+      <Text style={styles.rowLabel}>{label}</Text>
+      <Text style={styles.rowValue}>{value}</Text>
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente CollapsibleSection ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 15,
+  },
+  icon: {
+    marginRight: 10,
+  },
+  title: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  content: {
+    paddingBottom: 15,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  rowLabel: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginRight: 15,
+  },
+  rowValue: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.text,
+    textAlign: 'right',
+  },
+});
+
+export default CollapsibleSection;
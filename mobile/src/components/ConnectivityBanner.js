@@ -0,0 +1,91 @@
+// src/components/ConnectivityBanner.js
+import React, { useEffect, useRef, useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native'; // Componentes básicos e API de estilos
+
+// Importa o hook que informa as áreas seguras da tela (notch/barra de status)
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+// Importa o hook do Redux para ler a situação da conexão
+import { useSelector } from 'react-redux';
+// Importa o seletor da conexão
+import { selectIsOnline } from '../store/networkSlice';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+// Tempo (em ms) durante o qual o aviso "Conexão restabelecida" continua visível
+const RECONNECTED_NOTICE_MS = 3000;
+
+/**
+ * @function ConnectivityBanner
+ * @description Faixa exibida no topo do app, acima das abas principais, enquanto o aparelho está sem conexão.
+ * Quando a conexão volta, mostra por alguns segundos o aviso "Conexão restabelecida"
+ * (os dados exibidos a partir do cache são atualizados automaticamente nesse momento).
+ */
+const ConnectivityBanner = () => {
+  const isOnline = useSelector(selectIsOnline);
+  const insets = useSafeAreaInsets();
+  const { t } = useTranslation();
+  const [showReconnected, setShowReconnected] = useState(false);
+  const wasOfflineRef = useRef(!isOnline);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  // Exibe o aviso de reconexão apenas na transição de offline para online
+  useEffect(() => {
+    if (!isOnline) {
+      wasOfflineRef.current = true;
+      setShowReconnected(false);
+      return undefined;
+    }
+    if (!wasOfflineRef.current) {
+      return undefined;
+    }
+    wasOfflineRef.current = false;
+    setShowReconnected(true);
+    const timeout = setTimeout(() => setShowReconnected(false), RECONNECTED_NOTICE_MS);
+    return () => clearTimeout(timeout);
+  }, [isOnline]);
+
+  if (isOnline && !showReconnected) {
+    return null;
+  }
+
+  return (
+    <View style={[styles.banner, isOnline ? styles.online : styles.offline, { paddingTop: insets.top + 6 }]}>
+      <Ionicons name={isOnline ? 'cloud-done-outline' : 'cloud-offline-outline'} size={18} color={colors.onPrimary} />
+      <Text style={styles.text}>
+        {isOnline ? t('connectivity.reconnected') : t('connectivity.offline')}
+      </Text>
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente ConnectivityBanner ---
+const createStyles = (colors) => StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingBottom: 6,
+    paddingHorizontal: 15,
+  },
+  offline: {
+    backgroundColor: colors.neutral,
+  },
+  online: {
+    backgroundColor: colors.success,
+  },
+  text: {
+    color: colors.onPrimary,
+    fontSize: 13,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+});
+
+export default ConnectivityBanner;
@@ -0,0 +1,63 @@
+// src/components/FavoriteButton.js
+import React from 'react';
+import { TouchableOpacity, StyleSheet } from 'react-native'; // Botão com feedback de opacidade e API de estilos
+
+// Importa hooks do Redux para ler e alterar os favoritos
+import { useDispatch, useSelector } from 'react-redux';
+// Importa a ação de alternar favorito e o seletor que indica se o produto já é favorito
+import { toggleFavorite, selectIsFavorite } from '../store/favoritesSlice';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+// Importa o hook de traduções (rótulo lido pelo leitor de tela)
+import useTranslation from '../hooks/useTranslation';
+
+/**
+ * @function FavoriteButton
+ * @description Botão de coração que adiciona/remove um produto dos favoritos do usuário logado.
+ * Usado sobre a imagem do ProductCard e no cabeçalho da tela de detalhes.
+ * @param {object} props - Propriedades do componente.
+ * @param {object} props.product - O produto a ser favoritado.
+ * @param {number} [props.size=22] - Tamanho do ícone.
+ * @param {boolean} [props.withBackground=true] - Exibe um fundo branco circular (para ficar legível sobre imagens).
+ * @param {object} [props.style] - Estilos extras para o botão (ex: posicionamento absoluto).
+ */
+const FavoriteButton = ({ product, size = 22, withBackground = true, style }) => {
+  const dispatch = useDispatch();
+  const isFavorite = useSelector((state) => selectIsFavorite(state, product.id));
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  return (
+    <TouchableOpacity
+      style={[withBackground && styles.background, style]}
+      onPress={() => dispatch(toggleFavorite(product))}
+      hitSlop={8} // Aumenta a área de toque sem aumentar o ícone
+      accessibilityRole="button"
+      accessibilityLabel={isFavorite ? t('a11y.removeFavorite') : t('a11y.addFavorite')}
+      accessibilityState={{ selected: isFavorite }}
+    >
+      <Ionicons
+        name={isFavorite ? 'heart' : 'heart-outline'}
+        size={size}
+        color={isFavorite ? colors.favorite : colors.textSecondary}
+      />
+    </TouchableOpacity>
+  );
+};
+
+// --- Folha de Estilos do Componente FavoriteButton ---
+const createStyles = (colors) => StyleSheet.create({
+  // background: Círculo branco semitransparente atrás do coração
+  background: {
+    backgroundColor: colors.floatingSurface,
+    borderRadius: 20,
+    padding: 6,
+  },
+});
+
+export default FavoriteButton;
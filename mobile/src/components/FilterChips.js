@@ -0,0 +1,123 @@
+// src/components/FilterChips.js
+import React from 'react';
+import { View, Text, TouchableOpacity, ScrollView, StyleSheet } from 'react-native'; // Componentes básicos e API de estilos
+
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+// Importa o limite de ampliação da fonte para o contador do botão "Filtros"
+import { COMPACT_MAX_FONT_SCALE } from '../constants/accessibility';
+
+/**
+ * @function FilterChips
+ * @description Barra exibida acima da grade de uma aba de categorias: botão que abre a folha de filtros
+ * seguido de um chip removível para cada filtro ativo.
+ * @param {object} props - Propriedades do componente.
+ * @param {{ key: string, label: string }[]} props.chips - Os filtros ativos (ver `getActiveFilterChips`).
+ * @param {function} props.onOpenFilters - Chamada ao tocar no botão "Filtros".
+ * @param {function} props.onRemoveChip - Chamada com o chip tocado, para removê-lo.
+ */
+const FilterChips = ({ chips, onOpenFilters, onRemoveChip }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.container}>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.content}>
+        <TouchableOpacity
+          style={styles.filterButton}
+          onPress={onOpenFilters}
+          accessibilityRole="button"
+          accessibilityLabel={
+            chips.length > 0 ? t('a11y.filtersActive', { count: chips.length }) : t('filters.title')
+          }
+          accessibilityHint={t('a11y.filtersHint')}
+        >
+          <Ionicons name="options-outline" size={18} color={colors.primary} />
+          <Text style={styles.filterButtonText}>{t('filters.title')}</Text>
+          {chips.length > 0 && (
+            <View style={styles.badge}>
+              <Text style={styles.badgeText} maxFontSizeMultiplier={COMPACT_MAX_FONT_SCALE}>{chips.length}</Text>
+            </View>
+          )}
+        </TouchableOpacity>
+        {chips.map((chip) => (
+          <TouchableOpacity
+            key={chip.key}
+            style={styles.chip}
+            onPress={() => onRemoveChip(chip)}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.removeFilter', { filter: chip.label })}
+          >
+            <Text style={styles.chipText}>{chip.label}</Text>
+            <Ionicons name="close" size={16} color={colors.primary} />
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente FilterChips ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    backgroundColor: colors.background,
+  },
+  content: {
+    paddingHorizontal: 15,
+    paddingTop: 10,
+    gap: 8,
+    alignItems: 'center',
+  },
+  filterButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.primary,
+    backgroundColor: colors.surface,
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  filterButtonText: {
+    color: colors.primary,
+    fontWeight: 'bold',
+    marginLeft: 4,
+  },
+  badge: {
+    backgroundColor: colors.primary,
+    borderRadius: 10,
+    minWidth: 20,
+    minHeight: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginLeft: 6,
+    paddingHorizontal: 5,
+  },
+  badgeText: {
+    color: colors.onPrimary,
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.primaryMuted,
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    gap: 4,
+  },
+  chipText: {
+    color: colors.primary,
+    fontSize: 14,
+  },
+});
+
+export default FilterChips;
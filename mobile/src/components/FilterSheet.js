@@ -0,0 +1,356 @@
+// src/components/FilterSheet.js
+import React, { useEffect, useState } from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  TextInput,      // Campos da faixa de preço
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  Modal,          // Janela sobreposta à tela (a "folha" de filtros)
+  ScrollView,     // Rolagem do conteúdo da folha
+  Switch,         // Interruptor "Somente com desconto"
+  StyleSheet      // API para criar folhas de estilo
+} from 'react-native';
+
+// Importa SafeAreaView para manter os botões acima da barra de gestos
+import { SafeAreaView } from 'react-native-safe-area-context';
+// Importa as ordenações, as avaliações mínimas e os filtros padrão
+import { SORT_OPTIONS, RATING_OPTIONS, DEFAULT_FILTERS } from '../constants/productFilters';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook de preços (moeda escolhida)
+import usePricing from '../hooks/usePricing';
+// Importa a conversão entre a moeda da API e a moeda de exibição
+import { convertPrice, toSourceCurrency } from '../utils/pricing';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+// Importa o hook que informa se o usuário pediu para reduzir as animações
+import useReduceMotion from '../hooks/useReduceMotion';
+
+/**
+ * @function toPriceText
+ * @description Converte um limite de preço (guardado na moeda da API) em texto para o campo,
+ * já na moeda escolhida e com 2 casas decimais (vazio quando não há limite).
+ */
+const toPriceText = (value, currency) =>
+  value === null ? '' : String(Math.round(convertPrice(value, currency) * 100) / 100).replace('.', ',');
+
+/**
+ * @function parsePrice
+ * @description Converte o texto digitado (aceitando vírgula decimal) em número, ou `null` se vazio/inválido.
+ */
+const parsePrice = (text) => {
+  const value = parseFloat(text.replace(',', '.'));
+  return Number.isFinite(value) && value >= 0 ? value : null;
+};
+
+/**
+ * @function FilterSheet
+ * @description Folha de filtros e ordenação de uma aba de categorias: faixa de preço (com desconto),
+ * avaliação mínima, marcas, "somente com desconto" e ordenação. As escolhas são editadas em um rascunho
+ * e só valem ao tocar em "Aplicar".
+ * @param {object} props - Propriedades do componente.
+ * @param {boolean} props.visible - Exibe ou oculta a folha.
+ * @param {object} props.filters - Os filtros atuais da aba.
+ * @param {string[]} props.brands - As marcas disponíveis nos produtos carregados.
+ * @param {function} props.onApply - Chamada com os novos filtros.
+ * @param {function} props.onClose - Chamada ao fechar sem aplicar.
+ */
+const FilterSheet = ({ visible, filters, brands, onApply, onClose }) => {
+  const { t } = useTranslation();
+  const { currency } = usePricing();
+  const reduceMotion = useReduceMotion();
+  const [draft, setDraft] = useState(filters);
+  const [minPriceText, setMinPriceText] = useState('');
+  const [maxPriceText, setMaxPriceText] = useState('');
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  // Recomeça o rascunho a partir dos filtros atuais sempre que a folha é aberta
+  useEffect(() => {
+    if (visible) {
+      setDraft(filters);
+      setMinPriceText(toPriceText(filters.minPrice, currency));
+      setMaxPriceText(toPriceText(filters.maxPrice, currency));
+    }
+  }, [visible, filters, currency]);
+
+  const updateDraft = (changes) => setDraft((current) => ({ ...current, ...changes }));
+
+  /**
+   * @function toggleBrand
+   * @description Marca ou desmarca uma marca no rascunho.
+   */
+  const toggleBrand = (brand) =>
+    updateDraft({
+      brands: draft.brands.includes(brand)
+        ? draft.brands.filter((item) => item !== brand)
+        : [...draft.brands, brand],
+    });
+
+  /**
+   * @function handleApply
+   * @description Lê a faixa de preço digitada (invertendo os limites se vierem trocados) e aplica o rascunho.
+   * Os limites são digitados na moeda escolhida e guardados na moeda da API, como os preços dos produtos.
+   */
+  const handleApply = () => {
+    const toLimit = (text) => {
+      const value = parsePrice(text);
+      return value === null ? null : toSourceCurrency(value, currency);
+    };
+    let minPrice = toLimit(minPriceText);
+    let maxPrice = toLimit(maxPriceText);
+    if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+      [minPrice, maxPrice] = [maxPrice, minPrice];
+    }
+    onApply({ ...draft, minPrice, maxPrice });
+  };
+
+  /**
+   * @function handleClear
+   * @description Limpa todas as escolhas do rascunho (ainda é preciso aplicar).
+   */
+  const handleClear = () => {
+    setDraft(DEFAULT_FILTERS);
+    setMinPriceText('');
+    setMaxPriceText('');
+  };
+
+  /**
+   * @function renderOption
+   * @description Renderiza uma opção selecionável em formato de pílula. Para o leitor de tela,
+   * é um botão de rádio (escolha única) ou uma caixa de seleção (marcas, escolha múltipla).
+   */
+  const renderOption = (key, label, selected, onPress, role = 'radio') => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.option, selected && styles.optionSelected]}
+      onPress={onPress}
+      accessibilityRole={role}
+      accessibilityState={{ checked: selected }}
+    >
+      <Text style={[styles.optionText, selected && styles.optionTextSelected]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal visible={visible} animationType={reduceMotion ? 'none' : 'slide'} transparent onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <SafeAreaView style={styles.sheet} edges={['bottom']} accessibilityViewIsModal>
+          <View style={styles.sheetHeader}>
+            <Text style={styles.sheetTitle} accessibilityRole="header">{t('filters.sheetTitle')}</Text>
+            <TouchableOpacity onPress={onClose} hitSlop={10} accessibilityRole="button" accessibilityLabel={t('a11y.close')}>
+              <Ionicons name="close" size={24} color={colors.text} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            <Text style={styles.sectionTitle} accessibilityRole="header">{t('filters.sortBy')}</Text>
+            <View style={styles.options}>
+              {SORT_OPTIONS.map((option) =>
+                renderOption(option.id, t(option.labelKey), draft.sortId === option.id, () =>
+                  updateDraft({ sortId: option.id })
+                )
+              )}
+            </View>
+
+            <Text style={styles.sectionTitle} accessibilityRole="header">{t('filters.price')}</Text>
+            <View style={styles.priceRow}>
+              <TextInput
+                style={styles.priceInput}
+                placeholder={t('filters.minPrice')}
+                accessibilityLabel={t('filters.minPrice')}
+                placeholderTextColor={colors.placeholder}
+                keyboardType="decimal-pad"
+                value={minPriceText}
+                onChangeText={setMinPriceText}
+              />
+              <Text style={styles.priceSeparator}>{t('filters.priceSeparator')}</Text>
+              <TextInput
+                style={styles.priceInput}
+                placeholder={t('filters.maxPrice')}
+                accessibilityLabel={t('filters.maxPrice')}
+                placeholderTextColor={colors.placeholder}
+                keyboardType="decimal-pad"
+                value={maxPriceText}
+                onChangeText={setMaxPriceText}
+              />
+            </View>
+
+            <Text style={styles.sectionTitle} accessibilityRole="header">{t('filters.minRating')}</Text>
+            <View style={styles.options}>
+              {RATING_OPTIONS.map((rating) =>
+                renderOption(
+                  String(rating),
+                  rating === 0 ? t('filters.anyRating') : t('filters.chips.minRating', { rating }),
+                  draft.minRating === rating,
+                  () => updateDraft({ minRating: rating })
+                )
+              )}
+            </View>
+
+            {brands.length > 0 && (
+              <>
+                <Text style={styles.sectionTitle} accessibilityRole="header">{t('filters.brands')}</Text>
+                <View style={styles.options}>
+                  {brands.map((brand) =>
+                    renderOption(brand, brand, draft.brands.includes(brand), () => toggleBrand(brand), 'checkbox')
+                  )}
+                </View>
+              </>
+            )}
+
+            <View style={styles.switchRow}>
+              <Text style={styles.switchLabel}>{t('filters.onlyDiscounted')}</Text>
+              <Switch
+                accessibilityLabel={t('filters.onlyDiscounted')}
+                value={draft.onlyDiscounted}
+                onValueChange={(value) => updateDraft({ onlyDiscounted: value })}
+                trackColor={{ true: colors.primary }}
+              />
+            </View>
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <TouchableOpacity style={styles.clearButton} onPress={handleClear} accessibilityRole="button">
+              <Text style={styles.clearButtonText}>{t('filters.clear')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.applyButton} onPress={handleApply} accessibilityRole="button">
+              <Text style={styles.applyButtonText}>{t('filters.apply')}</Text>
+            </TouchableOpacity>
+          </View>
+        </SafeAreaView>
+      </View>
+    </Modal>
+  );
+};
+
+// --- Folha de Estilos do Componente FilterSheet ---
+const createStyles = (colors) => StyleSheet.create({
+  // backdrop: Fundo escurecido atrás da folha, que fica presa à parte inferior da tela
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: colors.overlay,
+  },
+  sheet: {
+    maxHeight: '85%',
+    backgroundColor: colors.surface,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  sheetTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  content: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  option: {
+    borderWidth: 1,
+    borderColor: colors.borderStrong,
+    borderRadius: 20,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  optionSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primaryMuted,
+  },
+  optionText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  optionTextSelected: {
+    color: colors.primary,
+    fontWeight: 'bold',
+  },
+  priceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  priceInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.borderStrong,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: colors.text,
+  },
+  priceSeparator: {
+    marginHorizontal: 10,
+    color: colors.textMuted,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  switchLabel: {
+    fontSize: 16,
+    color: colors.text,
+    flex: 1,
+  },
+  footer: {
+    flexDirection: 'row',
+    padding: 15,
+    gap: 10,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  clearButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  clearButtonText: {
+    color: colors.primary,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  applyButton: {
+    flex: 2,
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  applyButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default FilterSheet;
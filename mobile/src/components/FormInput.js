@@ -0,0 +1,151 @@
+// src/components/FormInput.js
+import React, { useState } from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  TextInput,      // Campo de entrada de texto
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  ActivityIndicator, // Indicador da validação assíncrona em andamento
+  StyleSheet      // API para criar folhas de estilo
+} from 'react-native';
+
+// Importa os ícones de erro (MaterialIcons) e de mostrar/ocultar senha (Ionicons)
+import { MaterialIcons, Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (rótulos do botão de mostrar/ocultar senha)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+// Importa o hook que anuncia o erro pelo leitor de tela
+import useAnnouncement from '../hooks/useAnnouncement';
+
+/**
+ * @function FormInput
+ * @description Campo de texto dos formulários do app (login, cadastro, recuperação de senha e checkout):
+ * rótulo opcional, fundo cinza e, quando inválido, borda vermelha com ícone e mensagem de erro.
+ * Combina com o hook `useForm`, cujo `getFieldProps(campo)` já entrega `value`, `onChangeText`, `onBlur` e `error`.
+ * O leitor de tela lê o rótulo (ou o placeholder) como nome do campo e o erro como dica; enquanto o campo
+ * está em foco, cada novo erro da validação ao vivo é anunciado.
+ * @param {object} props - Propriedades do componente. Props não listadas são repassadas ao TextInput.
+ * @param {string} [props.label] - Rótulo exibido acima do campo. Sem ele, o placeholder serve de nome do campo.
+ * @param {string} [props.error] - Mensagem de erro; quando presente, o campo fica destacado em vermelho.
+ * @param {boolean} [props.passwordToggle=false] - Oculta o texto e mostra o botão de olho para exibi-lo.
+ * @param {boolean} [props.validating=false] - Mostra um indicador enquanto o valor é conferido (ex: e-mail já cadastrado).
+ * @param {object} [props.style] - Estilos extras para o contêiner do campo (ex: largura em linhas com 2 campos).
+ */
+const FormInput = ({ label, error, passwordToggle = false, validating = false, style, ...inputProps }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [isFocused, setIsFocused] = useState(false);
+  // Texto da senha visível (só com `passwordToggle`)
+  const [isRevealed, setIsRevealed] = useState(false);
+  const fieldName = label ?? inputProps.placeholder;
+  useAnnouncement(isFocused && error ? `${fieldName}: ${error}` : null);
+
+  return (
+    <View style={[styles.container, style]}>
+      {/* O rótulo já é o nome do campo para o leitor de tela, então não é lido de novo */}
+      {!!label && (
+        <Text style={styles.label} importantForAccessibility="no" accessibilityElementsHidden>{label}</Text>
+      )}
+      <View style={styles.inputWrapper}>
+        <TextInput
+          style={[styles.input, (passwordToggle || validating) && styles.inputWithToggle, error && styles.inputError]}
+          placeholderTextColor={colors.textMuted}
+          accessibilityLabel={fieldName}
+          accessibilityHint={error || undefined}
+          accessibilityState={{ busy: validating }}
+          {...inputProps}
+          secureTextEntry={passwordToggle ? !isRevealed : inputProps.secureTextEntry}
+          onFocus={(event) => {
+            setIsFocused(true);
+            inputProps.onFocus?.(event);
+          }}
+          onBlur={(event) => {
+            setIsFocused(false);
+            inputProps.onBlur?.(event);
+          }}
+        />
+        {validating && !passwordToggle && (
+          <ActivityIndicator style={styles.validatingIndicator} color={colors.textMuted} />
+        )}
+        {passwordToggle && (
+          <TouchableOpacity
+            style={styles.toggleButton}
+            onPress={() => setIsRevealed(!isRevealed)}
+            accessibilityRole="button"
+            accessibilityLabel={isRevealed ? t('a11y.hidePassword') : t('a11y.showPassword')}
+          >
+            <Ionicons name={isRevealed ? 'eye-off' : 'eye'} size={24} color={colors.textMuted} />
+          </TouchableOpacity>
+        )}
+      </View>
+      {!!error && (
+        <View style={styles.errorMessageContainer} accessible accessibilityRole="alert">
+          <MaterialIcons name="error" size={16} color={colors.danger} />
+          <Text style={styles.errorMessageText}>{error}</Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente FormInput ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    marginBottom: 15,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.textSecondary,
+    marginBottom: 6,
+  },
+  inputWrapper: {
+    justifyContent: 'center', // Centraliza o botão de olho na altura do campo
+  },
+  input: {
+    minHeight: 50,
+    backgroundColor: colors.surfaceMuted,
+    borderRadius: 8,
+    paddingHorizontal: 15,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: colors.borderStrong,
+    color: colors.text,
+  },
+  inputWithToggle: {
+    paddingRight: 50, // Espaço para o botão de olho, que fica sobre o campo
+  },
+  inputError: {
+    borderColor: colors.danger,
+    borderWidth: 2,
+  },
+  validatingIndicator: {
+    position: 'absolute',
+    right: 15,
+  },
+  toggleButton: {
+    position: 'absolute',
+    right: 0,
+    top: 0,
+    bottom: 0,
+    justifyContent: 'center',
+    paddingHorizontal: 10,
+  },
+  errorMessageContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+    paddingLeft: 5,
+  },
+  errorMessageText: {
+    color: colors.danger,
+    fontSize: 12,
+    marginLeft: 5,
+  },
+});
+
+export default FormInput;
@@ -0,0 +1,119 @@
+// src/components/FullScreenImageViewer.js
+import React, { useState } from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto (contador de imagens)
+  FlatList,       // Lista horizontal paginada das imagens
+  TouchableOpacity, // Botão de fechar
+  Modal,          // Janela sobreposta em tela cheia
+  StatusBar,      // Oculta a barra de status enquanto o visualizador está aberto
+  StyleSheet,     // API para criar folhas de estilo
+  useWindowDimensions // Hook com as dimensões atuais da janela
+} from 'react-native';
+
+// Importa a raiz dos gestos (necessária dentro de um Modal, que é renderizado fora da árvore principal)
+import { GestureHandlerRootView } from 'react-native-gesture-handler';
+// Importa o hook que informa as áreas seguras da tela (notch/barra de status)
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+// Importa a imagem com zoom e arrasto
+import ZoomableImage from './ZoomableImage';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (rótulos lidos pelo leitor de tela)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook que indica se o usuário pediu para reduzir animações
+import useReduceMotion from '../hooks/useReduceMotion';
+
+/**
+ * @function FullScreenImageViewer
+ * @description Visualizador de imagens em tela cheia, aberto ao tocar na galeria da tela de detalhes.
+ * Desliza entre as imagens, com pinça e toque duplo para zoom e arrasto para baixo para fechar.
+ * Enquanto uma imagem está com zoom, o deslize entre imagens fica desativado para o arrasto mover a imagem.
+ * @param {object} props - Propriedades do componente.
+ * @param {boolean} props.visible - Exibe ou oculta o visualizador.
+ * @param {string[]} props.images - Os endereços das imagens.
+ * @param {number} props.initialIndex - A imagem exibida ao abrir.
+ * @param {function} props.onClose - Chamada ao fechar.
+ */
+const FullScreenImageViewer = ({ visible, images, initialIndex, onClose }) => {
+  const { width, height } = useWindowDimensions();
+  const insets = useSafeAreaInsets();
+  const [activeIndex, setActiveIndex] = useState(initialIndex);
+  const [isZoomed, setIsZoomed] = useState(false);
+  const { t } = useTranslation();
+  const reduceMotion = useReduceMotion();
+
+  return (
+    <Modal visible={visible} animationType={reduceMotion ? 'none' : 'fade'} transparent onRequestClose={onClose}>
+      <StatusBar hidden />
+      <GestureHandlerRootView style={styles.container}>
+        <FlatList
+          data={images}
+          keyExtractor={(item, index) => `${index}-${item}`}
+          horizontal
+          pagingEnabled
+          scrollEnabled={!isZoomed}
+          showsHorizontalScrollIndicator={false}
+          initialScrollIndex={initialIndex}
+          getItemLayout={(data, index) => ({ length: width, offset: width * index, index })}
+          onMomentumScrollEnd={(event) => setActiveIndex(Math.round(event.nativeEvent.contentOffset.x / width))}
+          renderItem={({ item }) => (
+            <ZoomableImage
+              uri={item}
+              width={width}
+              height={height}
+              onZoomChange={setIsZoomed}
+              onDismiss={onClose}
+            />
+          )}
+        />
+
+        <View style={[styles.topBar, { top: insets.top + 10 }]}>
+          <Text
+            style={styles.counter}
+            accessibilityLabel={t('a11y.galleryImage', { index: activeIndex + 1, total: images.length })}
+          >
+            {activeIndex + 1} / {images.length}
+          </Text>
+          <TouchableOpacity
+            onPress={onClose}
+            hitSlop={10}
+            style={styles.closeButton}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.close')}
+          >
+            <Ionicons name="close" size={28} color="#fff" />
+          </TouchableOpacity>
+        </View>
+      </GestureHandlerRootView>
+    </Modal>
+  );
+};
+
+// --- Folha de Estilos do Componente FullScreenImageViewer ---
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  topBar: {
+    position: 'absolute',
+    left: 20,
+    right: 20,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  counter: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+    borderRadius: 20,
+    padding: 4,
+  },
+});
+
+export default FullScreenImageViewer;
@@ -0,0 +1,177 @@
+// src/components/ImageGallery.js
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  View,           // Contêiner básico para layout
+  FlatList,       // Lista horizontal paginada das imagens
+  ScrollView,     // Faixa rolável de miniaturas
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  Pressable,      // Área tocável sem feedback visual (imagem principal)
+  StyleSheet,     // API para criar folhas de estilo
+  useWindowDimensions // Hook com as dimensões atuais da janela
+} from 'react-native';
+
+// Importa a imagem de produto com espaço reservado para falhas de carregamento
+import ProductImage from './ProductImage';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+// Importa o hook de traduções (rótulos lidos pelo leitor de tela)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook que indica se o usuário pediu para reduzir animações
+import useReduceMotion from '../hooks/useReduceMotion';
+// Importa o tamanho máximo da imagem (tablets e tela na horizontal)
+import { GALLERY_MAX_IMAGE_SIZE } from '../constants/layout';
+
+/**
+ * @function ImageGallery
+ * @description Galeria de imagens da tela de detalhes: imagens deslizáveis na horizontal, indicadores
+ * de página (pontos) e uma faixa de miniaturas. Tocar em uma imagem abre o visualizador em tela cheia.
+ * Cada página ocupa a largura da própria galeria, medida no layout: a janela inteira em celulares
+ * ou só o painel de detalhes na visão dividida dos tablets.
+ * @param {object} props - Propriedades do componente.
+ * @param {string[]} props.images - Os endereços das imagens do produto.
+ * @param {function} props.onImagePress - Chamada com o índice da imagem tocada.
+ */
+const ImageGallery = ({ images, onImagePress }) => {
+  const { width: windowWidth } = useWindowDimensions();
+  // Largura da galeria (começa pela da janela e é corrigida assim que o layout é medido)
+  const [width, setWidth] = useState(windowWidth);
+  const listRef = useRef(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  // Página ativa lida pelo efeito da rotação (trocar de página não deve disparar a rolagem sem animação)
+  const activeIndexRef = useRef(activeIndex);
+  activeIndexRef.current = activeIndex;
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const reduceMotion = useReduceMotion();
+  // 80% da largura, como na imagem do Figma, sem passar do tamanho máximo em telas largas
+  const imageSize = Math.min(width * 0.8, GALLERY_MAX_IMAGE_SIZE);
+
+  // Ao girar o aparelho as páginas mudam de largura: mantém a imagem atual na tela
+  useEffect(() => {
+    listRef.current?.scrollToOffset({ offset: width * activeIndexRef.current, animated: false });
+  }, [width]);
+
+  /**
+   * @function handleMomentumScrollEnd
+   * @description Atualiza a página ativa quando o deslize termina.
+   */
+  const handleMomentumScrollEnd = (event) => {
+    setActiveIndex(Math.round(event.nativeEvent.contentOffset.x / width));
+  };
+
+  /**
+   * @function goToImage
+   * @description Desliza a galeria até a imagem escolhida na faixa de miniaturas.
+   */
+  const goToImage = (index) => {
+    listRef.current?.scrollToIndex({ index, animated: !reduceMotion });
+    setActiveIndex(index);
+  };
+
+  return (
+    <View style={styles.container} onLayout={(event) => setWidth(event.nativeEvent.layout.width)}>
+      <FlatList
+        ref={listRef}
+        data={images}
+        keyExtractor={(item, index) => `${index}-${item}`}
+        horizontal
+        pagingEnabled
+        showsHorizontalScrollIndicator={false}
+        onMomentumScrollEnd={handleMomentumScrollEnd}
+        getItemLayout={(data, index) => ({ length: width, offset: width * index, index })}
+        renderItem={({ item, index }) => (
+          <Pressable
+            style={[styles.page, { width }]}
+            onPress={() => onImagePress(index)}
+            accessibilityRole="imagebutton"
+            accessibilityLabel={t('a11y.galleryImage', { index: index + 1, total: images.length })}
+            accessibilityHint={t('a11y.galleryImageHint')}
+          >
+            <ProductImage uri={item} style={{ width: imageSize, height: imageSize }} />
+          </Pressable>
+        )}
+      />
+
+      {/* Indicadores de página: um ponto por imagem, destacando a atual (o leitor de tela já anuncia "Imagem X de N") */}
+      {images.length > 1 && (
+        <View style={styles.dots} importantForAccessibility="no-hide-descendants" accessibilityElementsHidden>
+          {images.map((item, index) => (
+            <View key={`${index}-${item}`} style={[styles.dot, index === activeIndex && styles.dotActive]} />
+          ))}
+        </View>
+      )}
+
+      {/* Faixa de miniaturas: toque para ir direto a uma imagem */}
+      {images.length > 1 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.thumbnails}
+        >
+          {images.map((item, index) => (
+            <TouchableOpacity
+              key={`${index}-${item}`}
+              onPress={() => goToImage(index)}
+              style={[styles.thumbnail, index === activeIndex && styles.thumbnailActive]}
+              accessibilityRole="button"
+              accessibilityLabel={t('a11y.showImage', { index: index + 1, total: images.length })}
+              accessibilityState={{ selected: index === activeIndex }}
+            >
+              <ProductImage uri={item} style={styles.thumbnailImage} placeholderIconSize={20} />
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente ImageGallery ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    backgroundColor: colors.surface,
+    paddingVertical: 20,
+    borderBottomWidth: 1,    // Borda inferior sutil, como no Figma
+    borderBottomColor: colors.border,
+  },
+  page: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  dots: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 12,
+  },
+  dot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: colors.disabled,
+    marginHorizontal: 4,
+  },
+  dotActive: {
+    backgroundColor: colors.primary,
+    width: 16,
+  },
+  thumbnails: {
+    paddingHorizontal: 15,
+    paddingTop: 12,
+  },
+  thumbnail: {
+    borderWidth: 2,
+    borderColor: 'transparent',
+    borderRadius: 8,
+    marginRight: 8,
+    overflow: 'hidden',
+  },
+  thumbnailActive: {
+    borderColor: colors.primary,
+  },
+  thumbnailImage: {
+    width: 56,
+    height: 56,
+  },
+});
+
+export default ImageGallery;
@@ -0,0 +1,88 @@
+// src/components/PasswordStrengthMeter.js
+import React from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  StyleSheet      // API para criar folhas de estilo
+} from 'react-native';
+
+// Importa o cálculo da força da senha
+import { getPasswordStrength } from '../utils/passwordStrength';
+// Importa os níveis do medidor e o tamanho mínimo da senha
+import { PASSWORD_STRENGTH_LEVELS, PASSWORD_MIN_LENGTH } from '../constants/account';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function PasswordStrengthMeter
+ * @description Medidor da força da senha exibido abaixo do campo de senha: uma barra por nível
+ * (preenchidas até o nível atual, na cor dele) e o nome do nível. Com o campo vazio, mostra só a dica
+ * dos critérios. O leitor de tela lê o medidor como uma frase ("Força da senha: Boa").
+ * @param {object} props - Propriedades do componente.
+ * @param {string} props.password - A senha digitada.
+ */
+const PasswordStrengthMeter = ({ password }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const strength = getPasswordStrength(password);
+  const label = strength ? t('passwordStrength.label', { level: t(strength.labelKey) }) : null;
+
+  return (
+    <View style={styles.container} accessible accessibilityLabel={label ?? t('passwordStrength.hint', { count: PASSWORD_MIN_LENGTH })}>
+      <View style={styles.bars}>
+        {PASSWORD_STRENGTH_LEVELS.map((level, index) => (
+          <View
+            key={level.id}
+            style={[
+              styles.bar,
+              index > 0 && styles.barSpacing,
+              strength && index <= strength.index && { backgroundColor: colors[strength.color] },
+            ]}
+          />
+        ))}
+      </View>
+      {label ? (
+        <Text style={[styles.label, { color: colors[strength.color] }]}>{label}</Text>
+      ) : (
+        <Text style={styles.hint}>{t('passwordStrength.hint', { count: PASSWORD_MIN_LENGTH })}</Text>
+      )}
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente PasswordStrengthMeter ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    marginTop: -8,    // Aproxima o medidor do campo de senha logo acima
+    marginBottom: 15,
+  },
+  bars: {
+    flexDirection: 'row',
+  },
+  bar: {
+    flex: 1,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: colors.border,
+  },
+  barSpacing: {
+    marginLeft: 4,
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginTop: 4,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 4,
+  },
+});
+
+export default PasswordStrengthMeter;
@@ -5,16 +5,23 @@ import {
   Text,           // Exibição de texto
   Image,          // Componente para exibir imagens
   TouchableOpacity, // Componente de botão que responde ao toque com opacidade
-  StyleSheet,     // API para criar folhas de estilo
-  Dimensions      // API para obter as dimensões da tela do dispositivo
+  StyleSheet      // API para criar folhas de estilo
 } from 'react-native';
 
-// Obtém a largura da janela para calcular a largura dos cards de forma responsiva
-const { width } = Dimensions.get('window');
-
-// Calcula a largura de cada card, considerando que serão 2 colunas e haverá um espaçamento
-// O ajuste '- 15' é para criar um gap total de 15px (7.5px de margem em cada lado do card)
-const cardWidth = (width / 2) - 15; 
+// Importa hooks do Redux para o atalho "favoritar" oferecido ao leitor de tela
+import { useDispatch, useSelector } from 'react-redux';
+// Importa a ação de favoritar e o seletor que diz se o produto já é favorito
+import { toggleFavorite, selectIsFavorite } from '../store/favoritesSlice';
+// Importa a regra de preço com desconto compartilhada com o carrinho
+import { getDiscountedPrice } from '../utils/pricing';
+// Importa o hook de formatação de preços (na moeda e no idioma escolhidos)
+import usePricing from '../hooks/usePricing';
+// Importa o botão de coração que adiciona/remove o produto dos favoritos
+import FavoriteButton from './FavoriteButton';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
 
 /**
  * @function ProductCard
@@ -22,27 +29,72 @@ const cardWidth = (width / 2) - 15;
  * Formata e apresenta a imagem, título, descrição e preços (original e com desconto) do produto.
  * @param {object} props - Propriedades passadas para o componente.
  * @param {object} props.product - O objeto de produto contendo informações como thumbnail, title, description, price, discountPercentage.
+ * Se `product.unavailable` for `true` (favorito que saiu da API), o card aparece esmaecido com o selo "Indisponível".
+ * Para o leitor de tela, o card é um único botão lido como uma frase ("título, preço com desconto, preço original");
+ * o coração vira a ação "Adicionar aos favoritos"/"Remover dos favoritos" do próprio card.
  * @param {function} props.onPress - Função de callback executada quando o card é pressionado.
+ * @param {number} props.width - Largura do card, calculada pela grade conforme a quantidade de colunas.
+ * @param {boolean} [props.isSelected=false] - Destaca o card do produto aberto no painel de detalhes da visão dividida.
  */
-const ProductCard = ({ product, onPress }) => {
-  // Extrai o preço original do objeto do produto
-  const originalPrice = product.price;
-
-  // Formata o preço original para ter 2 casas decimais
-  const formattedOriginalPrice = originalPrice.toFixed(2);
+const ProductCard = ({ product, onPress, width, isSelected = false }) => {
+  const dispatch = useDispatch();
+  const isFavorite = useSelector((state) => selectIsFavorite(state, product.id));
+  const { t } = useTranslation();
+  const { formatPrice } = usePricing();
+  const styles = useThemedStyles(createStyles);
+  // Formata o preço original na moeda escolhida (ex: "R$ 108,95")
+  const formattedOriginalPrice = formatPrice(product.price);
   
-  // Calcula o preço com desconto e o formata para 2 casas decimais
-  const formattedDiscountedPrice = (originalPrice - (originalPrice * product.discountPercentage / 100)).toFixed(2);
+  // Calcula o preço com desconto (mesma regra usada nos totais do carrinho) e o formata
+  const formattedDiscountedPrice = formatPrice(getDiscountedPrice(product));
+
+  // Frase lida pelo leitor de tela no lugar dos textos soltos do card
+  const accessibilityLabel = [
+    product.unavailable && t('product.unavailable'),
+    product.discountPercentage > 0
+      ? t('a11y.productCard', { title: product.title, price: formattedDiscountedPrice, originalPrice: formattedOriginalPrice })
+      : t('a11y.productCardNoDiscount', { title: product.title, price: formattedDiscountedPrice }),
+  ].filter(Boolean).join(', ');
+  const favoriteActionLabel = isFavorite ? t('a11y.removeFavorite') : t('a11y.addFavorite');
+
+  /**
+   * @function handleAccessibilityAction
+   * @description Trata as ações do card pelo leitor de tela: abrir (toque duplo) e favoritar.
+   */
+  const handleAccessibilityAction = ({ nativeEvent }) => {
+    if (nativeEvent.actionName === 'toggleFavorite') {
+      dispatch(toggleFavorite(product));
+    } else {
+      onPress();
+    }
+  };
 
   return (
     // TouchableOpacity: Torna o card clicável e adiciona feedback visual de opacidade ao toque
-    <TouchableOpacity style={styles.card} onPress={onPress}>
+    <TouchableOpacity
+      style={[styles.card, { width }, isSelected && styles.cardSelected, product.unavailable && styles.cardUnavailable]}
+      onPress={onPress}
+      accessibilityRole="button"
+      accessibilityState={{ selected: isSelected }}
+      accessibilityLabel={accessibilityLabel}
+      accessibilityHint={t('a11y.productCardHint')}
+      accessibilityActions={[{ name: 'activate' }, { name: 'toggleFavorite', label: favoriteActionLabel }]}
+      onAccessibilityAction={handleAccessibilityAction}
+    >
       {/* Image: Exibe a imagem em miniatura do produto */}
       <Image
         source={{ uri: product.thumbnail }} // URL da imagem do produto
         style={styles.image}                // Estilos específicos da imagem
         resizeMode="contain"                // Ajusta a imagem para caber dentro de suas dimensões
       />
+      {/* FavoriteButton: Coração sobreposto ao canto superior direito da imagem */}
+      <FavoriteButton product={product} style={styles.favoriteButton} />
+      {/* unavailableBadge: Selo exibido em favoritos que não existem mais na API */}
+      {product.unavailable && (
+        <View style={styles.unavailableBadge}>
+          <Text style={styles.unavailableText}>{t('product.unavailable')}</Text>
+        </View>
+      )}
       {/* infoContainer: View que agrupa as informações de texto do produto (título, descrição, preços) */}
       <View style={styles.infoContainer}>
         {/* title: Exibe o título do produto, limitado a 2 linhas */}
@@ -57,10 +109,10 @@ const ProductCard = ({ product, onPress }) => {
         {/* priceContainer: View que agrupa os textos de preço (descontado e original) */}
         <View style={styles.priceContainer}>
           {/* discountedPrice: Exibe o preço final (com desconto), com destaque */}
-          <Text style={styles.discountedPrice}>R$ {formattedDiscountedPrice}</Text>
+          <Text style={styles.discountedPrice}>{formattedDiscountedPrice}</Text>
           {/* originalPrice: Exibe o preço original riscado, apenas se houver um desconto aplicado */}
           {product.discountPercentage > 0 && (
-            <Text style={styles.originalPrice}>R$ {formattedOriginalPrice}</Text>
+            <Text style={styles.originalPrice}>{formattedOriginalPrice}</Text>
           )}
         </View>
       </View>
@@ -69,20 +121,51 @@ const ProductCard = ({ product, onPress }) => {
 };
 
 // --- Folha de Estilos do Componente ProductCard ---
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   // card: Estilo do contêiner principal de cada produto (o "card" em si)
   card: {
-    backgroundColor: '#fff',          // Fundo branco
+    backgroundColor: colors.surface,  // Fundo (branco no tema claro)
     borderRadius: 8,                  // Cantos arredondados
     margin: 5.5,                      // Margem externa para criar espaçamento entre os cards
-    width: cardWidth,                 // Largura calculada para se ajustar à grade de 2 colunas
+                                      // (a largura vem da grade, conforme a quantidade de colunas)
+    borderWidth: 2,                   // Borda reservada para o destaque do card selecionado
+    borderColor: 'transparent',
     // Sombras para dar um efeito de elevação (3D)
-    shadowColor: '#000',
+    shadowColor: colors.shadow,
     shadowOffset: { width: 0, height: 2 },
     shadowOpacity: 0.1,
     shadowRadius: 4,
     elevation: 3,                     // Elevação para Android (simula sombra)
   },
+  // cardSelected: Destaca o card do produto aberto no painel de detalhes (visão dividida)
+  cardSelected: {
+    borderColor: colors.primary,
+  },
+  // cardUnavailable: Esmaece o card de um produto que não existe mais
+  cardUnavailable: {
+    opacity: 0.5,
+  },
+  // favoriteButton: Posiciona o coração sobre o canto superior direito da imagem
+  favoriteButton: {
+    position: 'absolute',
+    top: 6,
+    right: 6,
+  },
+  // unavailableBadge: Selo "Indisponível" no canto superior esquerdo da imagem
+  unavailableBadge: {
+    position: 'absolute',
+    top: 8,
+    left: 8,
+    backgroundColor: colors.neutral,
+    borderRadius: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  unavailableText: {
+    color: colors.onPrimary,
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
   // image: Estilo da imagem do produto dentro do card
   image: {
     width: '100%',                    // Ocupa toda a largura do card
@@ -105,7 +188,7 @@ const styles = StyleSheet.create({
   title: {
     fontSize: 16,                     // Tamanho da fonte
     fontWeight: 'bold',               // Negrito
-    color: '#333',                    // Cor do texto
+    color: colors.text,               // Cor do texto
     marginBottom: 5,                  // Espaço abaixo do título
   },
   // brand: Estilo para a marca do produto. Comentado conforme o Figma não a exibe
@@ -117,7 +200,7 @@ const styles = StyleSheet.create({
   // description: Estilo para a descrição breve do produto
   description: {
     fontSize: 12,                     // Tamanho da fonte
-    color: '#555',                    // Cor do texto
+    color: colors.textSecondary,      // Cor do texto
     marginBottom: 10,                 // Espaço abaixo da descrição
     lineHeight: 16,                   // Altura da linha para melhor legibilidade
   },
@@ -132,7 +215,7 @@ const styles = StyleSheet.create({
   // originalPrice: Estilo para o preço original (riscado)
   originalPrice: {
     fontSize: 13,                     // Tamanho da fonte
-    color: '#888',                    // Cor cinza
+    color: colors.textMuted,          // Cor cinza
     textDecorationLine: 'line-through', // Efeito de texto riscado
     marginLeft: 8,                    // Espaço à esquerda (após o preço com desconto)
   },
@@ -140,7 +223,7 @@ const styles = StyleSheet.create({
   discountedPrice: {
     fontSize: 18,                     // Tamanho da fonte maior
     fontWeight: 'bold',               // Negrito
-    color: '#333',                    // Cor do texto
+    color: colors.text,               // Cor do texto
   },
 });
 
@@ -0,0 +1,92 @@
+// src/components/ProductGrid.js
+import React from 'react';
+import {
+  FlatList,       // Componente para renderizar listas grandes de forma performática
+  StyleSheet,     // API para criar folhas de estilo
+  useWindowDimensions // Hook com as dimensões atuais da janela (mudam ao girar o aparelho)
+} from 'react-native';
+
+// Importa o componente ProductCard, que representa um item individual da grade
+import ProductCard from './ProductCard';
+// Importa o cálculo das colunas e da largura dos cards
+import { getGridLayout } from '../utils/layout';
+// Importa o hook da visão dividida (grade e detalhes lado a lado em telas largas)
+import useSplitView from '../hooks/useSplitView';
+
+/**
+ * @function ProductGrid
+ * @description Grade de produtos compartilhada pela lista de categorias, pelos favoritos e pela busca.
+ * A quantidade de colunas e a largura dos cards acompanham a largura disponível (2 colunas em celulares
+ * em pé, mais em tablets e na horizontal) e são recalculadas quando a janela muda de tamanho.
+ * Ao tocar em um card, navega para a tela de detalhes do produto; dentro da visão dividida,
+ * o produto é exibido no painel de detalhes ao lado.
+ * @param {object} props - Propriedades passadas para o componente. Props não listadas
+ * (ex: `refreshControl`, `ListEmptyComponent`, `onEndReached`) são repassadas à FlatList.
+ * @param {object[]} props.products - Os produtos a serem exibidos.
+ * @param {object} props.navigation - O objeto de navegação do React Navigation.
+ * @param {function} [props.onProductPress] - Chamada com o produto tocado, antes da navegação para os detalhes.
+ */
+const ProductGrid = ({ products, navigation, onProductPress, ...listProps }) => {
+  const { width } = useWindowDimensions();
+  const splitView = useSplitView();
+  // Na visão dividida a grade ocupa apenas o painel da esquerda
+  const { numColumns, cardWidth } = getGridLayout(splitView ? splitView.listWidth : width);
+
+  /**
+   * @function renderProductItem
+   * @description Função de renderização para cada item na FlatList.
+   * Retorna um componente ProductCard configurado com os dados do produto e um onPress.
+   * @param {object} param0 - Objeto contendo o item atual a ser renderizado.
+   * @param {object} param0.item - O objeto de produto individual.
+   * @returns {JSX.Element} Um componente ProductCard.
+   */
+  const renderProductItem = ({ item }) => (
+    <ProductCard
+      product={item} // Passa todos os dados do produto para o ProductCard
+      width={cardWidth} // Largura calculada para a quantidade de colunas atual
+      isSelected={splitView?.selectedProductId === item.id} // Destaca o produto aberto no painel de detalhes
+      onPress={() => {
+        onProductPress?.(item);
+        if (splitView) {
+          splitView.selectProduct(item);
+          return;
+        }
+        // Navega para a tela de Detalhes do Produto, passando o ID e o título como parâmetros
+        navigation.navigate('ProductDetails', { productId: item.id, productTitle: item.title });
+      }}
+    />
+  );
+
+  return (
+    <FlatList
+      // A FlatList não aceita trocar `numColumns` depois de montada: uma nova chave a recria ao girar o aparelho
+      key={`grid-${numColumns}`}
+      data={products} // Dados a serem renderizados na lista
+      keyExtractor={(item) => String(item.id)} // Função para extrair uma chave única para cada item
+      renderItem={renderProductItem} // Função que renderiza cada item da lista
+      contentContainerStyle={styles.listContainer} // Estilos para o contêiner do conteúdo da lista
+      numColumns={numColumns} // Renderiza os itens em colunas, criando um layout de grade
+      columnWrapperStyle={styles.row} // Estilos para o invólucro de cada linha (útil para espaçamento entre colunas)
+      {...listProps}
+    />
+  );
+};
+
+// --- Folha de Estilos do Componente ProductGrid ---
+const styles = StyleSheet.create({
+  // listContainer: Estilo para o contêiner do conteúdo da FlatList
+  listContainer: {
+    paddingTop: 10,     // Padding na parte superior da lista
+    paddingBottom: 80,  // Padding na parte inferior para que o último item não seja cortado
+                        // pela barra de navegação inferior (Bottom Tab Bar).
+                        // Este valor deve ser maior que a altura da Bottom Tab Bar.
+  },
+  // row: Estilo para o invólucro de cada linha da grade
+  row: {
+    justifyContent: 'space-between', // Distribui os itens uniformemente na linha
+    marginHorizontal: 7.5,           // Margem horizontal para compensar a margem dos cards
+                                     // e criar espaçamento nas bordas da lista e entre colunas.
+  },
+});
+
+export default ProductGrid;
@@ -0,0 +1,60 @@
+// src/components/ProductImage.js
+import React, { useEffect, useState } from 'react';
+import { View, Image, StyleSheet } from 'react-native'; // Componentes básicos e API de estilos
+
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function ProductImage
+ * @description Imagem de produto que exibe um ícone de "imagem indisponível" quando o endereço
+ * está vazio ou a imagem não pode ser carregada, em vez de deixar um espaço em branco.
+ * @param {object} props - Propriedades do componente. Props não listadas são repassadas ao `Image`.
+ * @param {string} props.uri - O endereço da imagem.
+ * @param {object} [props.style] - Estilos da imagem (também usados pelo espaço reservado).
+ * @param {number} [props.placeholderIconSize=48] - Tamanho do ícone exibido no lugar da imagem.
+ */
+const ProductImage = ({ uri, style, placeholderIconSize = 48, ...imageProps }) => {
+  const [hasError, setHasError] = useState(false);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  // Um novo endereço merece uma nova tentativa
+  useEffect(() => {
+    setHasError(false);
+  }, [uri]);
+
+  if (!uri || hasError) {
+    return (
+      <View style={[style, styles.placeholder]}>
+        <Ionicons name="image-outline" size={placeholderIconSize} color={colors.placeholder} />
+      </View>
+    );
+  }
+
+  return (
+    <Image
+      source={{ uri }}
+      style={style}
+      resizeMode="contain"
+      onError={() => setHasError(true)}
+      {...imageProps}
+    />
+  );
+};
+
+// --- Folha de Estilos do Componente ProductImage ---
+const createStyles = (colors) => StyleSheet.create({
+  // placeholder: Fundo neutro com o ícone centralizado, no mesmo tamanho da imagem
+  placeholder: {
+    backgroundColor: colors.surfaceMuted,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
+
+export default ProductImage;
@@ -0,0 +1,105 @@
+// src/components/RatingSummary.js
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native'; // Componentes básicos e API de estilos
+
+// Importa as estrelas da nota média
+import StarRating from './StarRating';
+// Importa a contagem de avaliações por número de estrelas
+import { getRatingDistribution } from '../utils/reviews';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function RatingSummary
+ * @description Resumo das avaliações de um produto: nota média, total de avaliações e
+ * histograma com a quantidade de avaliações de 5 a 1 estrela.
+ * @param {object} props - Propriedades do componente.
+ * @param {number} props.rating - A nota média do produto.
+ * @param {object[]} props.reviews - As avaliações do produto.
+ */
+const RatingSummary = ({ rating, reviews }) => {
+  const { t } = useTranslation();
+  const styles = useThemedStyles(createStyles);
+  const distribution = getRatingDistribution(reviews);
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.average}>
+        <Text style={styles.averageValue}>{rating.toFixed(1)}</Text>
+        <StarRating rating={rating} size={16} />
+        <Text style={styles.totalText}>
+          {t('reviews.count', { count: reviews.length })}
+        </Text>
+      </View>
+
+      {/* Histograma: uma barra por número de estrelas, proporcional à quantidade de avaliações */}
+      <View style={styles.histogram}>
+        {distribution.map(({ stars, count, share }) => (
+          <View key={stars} style={styles.histogramRow}>
+            <Text style={styles.histogramLabel}>{stars}★</Text>
+            <View style={styles.barTrack}>
+              <View style={[styles.barFill, { width: `${share * 100}%` }]} />
+            </View>
+            <Text style={styles.histogramCount}>{count}</Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente RatingSummary ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  average: {
+    alignItems: 'center',
+    marginRight: 20,
+  },
+  averageValue: {
+    fontSize: 36,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  totalText: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 4,
+  },
+  histogram: {
+    flex: 1,
+  },
+  histogramRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 2,
+  },
+  histogramLabel: {
+    width: 28,
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  barTrack: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: colors.surfaceMuted,
+    overflow: 'hidden',
+  },
+  barFill: {
+    height: '100%',
+    backgroundColor: colors.star,
+  },
+  histogramCount: {
+    width: 24,
+    fontSize: 12,
+    color: colors.textMuted,
+    textAlign: 'right',
+  },
+});
+
+export default RatingSummary;
@@ -0,0 +1,124 @@
+// src/components/RelatedProductsCarousel.js
+import React from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  FlatList,       // Lista horizontal dos produtos
+  TouchableOpacity, // Card tocável
+  StyleSheet      // API para criar folhas de estilo
+} from 'react-native';
+
+// Importa a imagem de produto com espaço reservado para falhas de carregamento
+import ProductImage from './ProductImage';
+// Importa a regra de preço com desconto
+import { getDiscountedPrice } from '../utils/pricing';
+// Importa o hook de formatação de preços (na moeda e no idioma escolhidos)
+import usePricing from '../hooks/usePricing';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function RelatedProductsCarousel
+ * @description Carrossel horizontal "Você também pode gostar", exibido no fim da tela de detalhes.
+ * Não renderiza nada enquanto não houver produtos relacionados.
+ * @param {object} props - Propriedades do componente.
+ * @param {object[]} props.products - Os produtos relacionados.
+ * @param {function} props.onProductPress - Chamada com o produto tocado.
+ */
+const RelatedProductsCarousel = ({ products, onProductPress }) => {
+  const { t } = useTranslation();
+  const { formatPrice } = usePricing();
+  const styles = useThemedStyles(createStyles);
+
+  if (products.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title} accessibilityRole="header">{t('productDetails.related')}</Text>
+      <FlatList
+        data={products}
+        keyExtractor={(item) => String(item.id)}
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.listContent}
+        renderItem={({ item }) => {
+          const price = formatPrice(getDiscountedPrice(item));
+          const originalPrice = formatPrice(item.price);
+          return (
+            <TouchableOpacity
+              style={styles.card}
+              onPress={() => onProductPress(item)}
+              accessibilityRole="button"
+              accessibilityLabel={item.discountPercentage > 0
+                ? t('a11y.productCard', { title: item.title, price, originalPrice })
+                : t('a11y.productCardNoDiscount', { title: item.title, price })}
+              accessibilityHint={t('a11y.productCardHint')}
+            >
+              <ProductImage uri={item.thumbnail} style={styles.image} placeholderIconSize={32} />
+              <Text style={styles.cardTitle} numberOfLines={2}>{item.title}</Text>
+              <Text style={styles.discountedPrice}>{price}</Text>
+              {item.discountPercentage > 0 && (
+                <Text style={styles.originalPrice}>{originalPrice}</Text>
+              )}
+            </TouchableOpacity>
+          );
+        }}
+      />
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente RelatedProductsCarousel ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+    paddingVertical: 15,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 10,
+    paddingHorizontal: 20,
+  },
+  listContent: {
+    paddingHorizontal: 15,
+  },
+  card: {
+    width: 140,
+    marginHorizontal: 5,
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  image: {
+    width: '100%',
+    height: 110,
+  },
+  cardTitle: {
+    fontSize: 13,
+    color: colors.text,
+    marginTop: 6,
+    minHeight: 34,
+  },
+  discountedPrice: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: colors.favorite,
+    marginTop: 4,
+  },
+  originalPrice: {
+    fontSize: 12,
+    color: colors.textMuted,
+    textDecorationLine: 'line-through',
+  },
+});
+
+export default RelatedProductsCarousel;
@@ -0,0 +1,124 @@
+// src/components/ReviewList.js
+import React, { useMemo, useState } from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  TouchableOpacity, // Botões de ordenação
+  StyleSheet      // API para criar folhas de estilo
+} from 'react-native';
+
+// Importa as estrelas de cada avaliação
+import StarRating from './StarRating';
+// Importa as ordenações disponíveis e a função que as aplica
+import { REVIEW_SORT_OPTIONS } from '../constants/reviews';
+import { sortReviews } from '../utils/reviews';
+// Importa a formatação de data (data de cada avaliação)
+import { formatDate } from '../utils/date';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function ReviewList
+ * @description Lista das avaliações de um produto (nome, data, estrelas e comentário), com botões
+ * para ordenar pelas mais recentes ou pela maior nota. Renderizada dentro do ScrollView da tela
+ * de detalhes, por isso usa `map` em vez de uma FlatList (os produtos têm poucas avaliações).
+ * @param {object} props - Propriedades do componente.
+ * @param {object[]} props.reviews - As avaliações do produto.
+ */
+const ReviewList = ({ reviews }) => {
+  const { t } = useTranslation();
+  const [sortId, setSortId] = useState(REVIEW_SORT_OPTIONS[0].id);
+  const sortedReviews = useMemo(() => sortReviews(reviews, sortId), [reviews, sortId]);
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View>
+      <View style={styles.sortRow} accessibilityRole="radiogroup">
+        {REVIEW_SORT_OPTIONS.map((option) => {
+          const isSelected = option.id === sortId;
+          return (
+            <TouchableOpacity
+              key={option.id}
+              style={[styles.sortButton, isSelected && styles.sortButtonSelected]}
+              onPress={() => setSortId(option.id)}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: isSelected }}
+            >
+              <Text style={[styles.sortButtonText, isSelected && styles.sortButtonTextSelected]}>
+                {t(option.labelKey)}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {sortedReviews.map((review, index) => (
+        <View key={`${review.reviewerEmail || review.reviewerName}-${index}`} style={styles.review}>
+          <View style={styles.reviewHeader}>
+            <Text style={styles.reviewerName}>{review.reviewerName}</Text>
+            <Text style={styles.reviewDate}>{formatDate(review.date)}</Text>
+          </View>
+          <StarRating rating={review.rating} />
+          {!!review.comment && <Text style={styles.comment}>{review.comment}</Text>}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente ReviewList ---
+const createStyles = (colors) => StyleSheet.create({
+  sortRow: {
+    flexDirection: 'row',
+    marginBottom: 10,
+  },
+  sortButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.borderStrong,
+    marginRight: 8,
+  },
+  sortButtonSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  sortButtonText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  sortButtonTextSelected: {
+    color: colors.onPrimary,
+    fontWeight: 'bold',
+  },
+  review: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  reviewHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  reviewerName: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  reviewDate: {
+    fontSize: 12,
+    color: colors.textMuted,
+  },
+  comment: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginTop: 4,
+    lineHeight: 20,
+  },
+});
+
+export default ReviewList;
@@ -0,0 +1,53 @@
+// src/components/StarRating.js
+import React from 'react';
+import { View, StyleSheet } from 'react-native'; // Contêiner básico e API de estilos
+
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+// Importa o hook de traduções (rótulo lido pelo leitor de tela)
+import useTranslation from '../hooks/useTranslation';
+
+/**
+ * @function StarRating
+ * @description Exibe uma nota de 0 a 5 como estrelas (cheias, meia estrela e vazias).
+ * @param {object} props - Propriedades do componente.
+ * @param {number} props.rating - A nota (ex: 4.3).
+ * @param {number} [props.size=14] - Tamanho de cada estrela.
+ */
+const StarRating = ({ rating, size = 14 }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  return (
+    // O leitor de tela lê a nota ("4,3 de 5 estrelas") em vez de cada ícone
+    <View
+      style={styles.row}
+      accessible
+      accessibilityRole="image"
+      accessibilityLabel={t('a11y.rating', { rating: Math.round(rating * 10) / 10 })}
+    >
+      {[1, 2, 3, 4, 5].map((position) => {
+        let name = 'star-outline';
+        if (rating >= position - 0.25) {
+          name = 'star';
+        } else if (rating >= position - 0.75) {
+          name = 'star-half';
+        }
+        return <Ionicons key={position} name={name} size={size} color={colors.star} />;
+      })}
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente StarRating ---
+const createStyles = (colors) => StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+  },
+});
+
+export default StarRating;
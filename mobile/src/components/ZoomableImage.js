@@ -0,0 +1,159 @@
+// src/components/ZoomableImage.js
+import React, { useCallback, useMemo, useRef, useState } from 'react';
+import { Animated, StyleSheet } from 'react-native'; // API de animações e de estilos
+
+// Importa a API de gestos (pinça, toque duplo e arrasto)
+import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+// Importa a imagem de produto com espaço reservado para falhas de carregamento
+import ProductImage from './ProductImage';
+// Importa o hook que indica se o usuário pediu para reduzir animações
+import useReduceMotion from '../hooks/useReduceMotion';
+
+// Limites e parâmetros do zoom
+const MAX_SCALE = 4;          // Zoom máximo pela pinça
+const DOUBLE_TAP_SCALE = 2.5; // Zoom aplicado pelo toque duplo
+const DISMISS_DISTANCE = 120; // Arrasto vertical (em px) que fecha o visualizador
+const DISMISS_VELOCITY = 1000; // Velocidade vertical que fecha o visualizador mesmo com arrasto curto
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * @function ZoomableImage
+ * @description Imagem do visualizador em tela cheia com pinça para zoom, toque duplo para alternar o zoom
+ * e arrasto: com zoom, o arrasto move a imagem; sem zoom, arrastar para baixo fecha o visualizador
+ * (os deslizes horizontais ficam para a lista, que passa à imagem seguinte).
+ * @param {object} props - Propriedades do componente.
+ * @param {string} props.uri - O endereço da imagem.
+ * @param {number} props.width - Largura disponível.
+ * @param {number} props.height - Altura disponível.
+ * @param {function} props.onZoomChange - Chamada com `true`/`false` quando a imagem entra ou sai do zoom.
+ * @param {function} props.onDismiss - Chamada quando o usuário arrasta a imagem para baixo para fechar.
+ */
+const ZoomableImage = ({ uri, width, height, onZoomChange, onDismiss }) => {
+  const scale = useRef(new Animated.Value(1)).current;
+  const translateX = useRef(new Animated.Value(0)).current;
+  const translateY = useRef(new Animated.Value(0)).current;
+  // Valores ao fim do último gesto (os gestos seguintes partem deles)
+  const baseScale = useRef(1);
+  const offset = useRef({ x: 0, y: 0 });
+  const [isZoomed, setIsZoomed] = useState(false);
+  const reduceMotion = useReduceMotion();
+
+  /**
+   * @function animateTo
+   * @description Anima a imagem até uma escala e posição, atualizando os valores de base.
+   * Com "reduzir movimento" ativo, a imagem vai direto para a posição final, sem a mola.
+   * @callback
+   */
+  const animateTo = useCallback((nextScale, x = 0, y = 0) => {
+    baseScale.current = nextScale;
+    offset.current = { x, y };
+    if (reduceMotion) {
+      scale.setValue(nextScale);
+      translateX.setValue(x);
+      translateY.setValue(y);
+    } else {
+      Animated.parallel([
+        Animated.spring(scale, { toValue: nextScale, useNativeDriver: true }),
+        Animated.spring(translateX, { toValue: x, useNativeDriver: true }),
+        Animated.spring(translateY, { toValue: y, useNativeDriver: true }),
+      ]).start();
+    }
+    const zoomed = nextScale > 1;
+    setIsZoomed(zoomed);
+    onZoomChange(zoomed);
+  }, [reduceMotion, onZoomChange, scale, translateX, translateY]);
+
+  const gesture = useMemo(() => {
+    const pinch = Gesture.Pinch()
+      .runOnJS(true)
+      .onUpdate((event) => {
+        scale.setValue(clamp(baseScale.current * event.scale, 1, MAX_SCALE));
+      })
+      .onEnd((event) => {
+        const nextScale = clamp(baseScale.current * event.scale, 1, MAX_SCALE);
+        // Ao voltar para (quase) o tamanho original, recentraliza a imagem
+        if (nextScale <= 1.05) {
+          animateTo(1);
+        } else {
+          animateTo(nextScale, offset.current.x, offset.current.y);
+        }
+      });
+
+    const doubleTap = Gesture.Tap()
+      .runOnJS(true)
+      .numberOfTaps(2)
+      .onEnd((event, success) => {
+        if (success) {
+          animateTo(baseScale.current > 1 ? 1 : DOUBLE_TAP_SCALE);
+        }
+      });
+
+    const pan = Gesture.Pan()
+      .runOnJS(true)
+      .onUpdate((event) => {
+        if (isZoomed) {
+          translateX.setValue(offset.current.x + event.translationX);
+          translateY.setValue(offset.current.y + event.translationY);
+        } else {
+          translateY.setValue(event.translationY);
+        }
+      })
+      .onEnd((event) => {
+        if (isZoomed) {
+          // Limita o deslocamento para a imagem não sair inteira da tela
+          const maxX = (width * (baseScale.current - 1)) / 2;
+          const maxY = (height * (baseScale.current - 1)) / 2;
+          animateTo(
+            baseScale.current,
+            clamp(offset.current.x + event.translationX, -maxX, maxX),
+            clamp(offset.current.y + event.translationY, -maxY, maxY)
+          );
+        } else if (Math.abs(event.translationY) > DISMISS_DISTANCE || Math.abs(event.velocityY) > DISMISS_VELOCITY) {
+          onDismiss();
+        } else if (reduceMotion) {
+          translateY.setValue(0);
+        } else {
+          Animated.spring(translateY, { toValue: 0, useNativeDriver: true }).start();
+        }
+      });
+
+    // Sem zoom, só arrastos verticais são da imagem; os horizontais passam a página
+    if (!isZoomed) {
+      pan.activeOffsetY([-15, 15]).failOffsetX([-15, 15]);
+    }
+
+    return Gesture.Race(doubleTap, Gesture.Simultaneous(pinch, pan));
+  }, [isZoomed, width, height, reduceMotion, animateTo, onDismiss, scale, translateX, translateY]);
+
+  // Enquanto a imagem é arrastada para baixo (sem zoom), ela vai ficando transparente
+  const opacity = translateY.interpolate({
+    inputRange: [-DISMISS_DISTANCE * 2, 0, DISMISS_DISTANCE * 2],
+    outputRange: [0.3, 1, 0.3],
+    extrapolate: 'clamp',
+  });
+
+  return (
+    <GestureDetector gesture={gesture}>
+      <Animated.View
+        style={[
+          styles.container,
+          { width, height, opacity: isZoomed ? 1 : opacity },
+          { transform: [{ translateX }, { translateY }, { scale }] },
+        ]}
+      >
+        <ProductImage uri={uri} style={{ width, height: height * 0.8 }} placeholderIconSize={72} />
+      </Animated.View>
+    </GestureDetector>
+  );
+};
+
+// --- Folha de Estilos do Componente ZoomableImage ---
+const styles = StyleSheet.create({
+  container: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
+
+export default ZoomableImage;
@@ -0,0 +1,9 @@
+// src/constants/accessibility.js
+
+/**
+ * @constant COMPACT_MAX_FONT_SCALE
+ * @description Ampliação máxima da fonte do sistema em textos presos a formas de tamanho fixo
+ * (selos, contadores e o número das etapas do checkout). Os demais textos acompanham a fonte do
+ * aparelho sem limite, e seus contêineres usam `minHeight` para crescer junto.
+ */
+export const COMPACT_MAX_FONT_SCALE = 1.3;
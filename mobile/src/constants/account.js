@@ -0,0 +1,50 @@
+// src/constants/account.js
+
+/**
+ * @constant PASSWORD_MIN_LENGTH
+ * @description Tamanho mínimo da senha ao criar uma conta ou trocar a senha.
+ */
+export const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * @constant PASSWORD_STRONG_LENGTH
+ * @description A partir deste tamanho, o comprimento da senha conta um ponto a mais no medidor de força.
+ */
+export const PASSWORD_STRONG_LENGTH = 12;
+
+/**
+ * @constant PASSWORD_STRENGTH_LEVELS
+ * @description Níveis do medidor de força da senha, do mais fraco ao mais forte
+ * (identificador, chave da tradução do nome e cor do tema usada nas barras).
+ * Uma senha só é aceita a partir do segundo nível.
+ */
+export const PASSWORD_STRENGTH_LEVELS = [
+  { id: 'weak', labelKey: 'passwordStrength.weak', color: 'danger' },
+  { id: 'fair', labelKey: 'passwordStrength.fair', color: 'star' },
+  { id: 'good', labelKey: 'passwordStrength.good', color: 'primary' },
+  { id: 'strong', labelKey: 'passwordStrength.strong', color: 'success' },
+];
+
+/**
+ * @constant RESET_CODE_LENGTH
+ * @description Quantidade de dígitos do código de recuperação de senha.
+ */
+export const RESET_CODE_LENGTH = 6;
+
+/**
+ * @constant RESET_CODE_TTL_MINUTES
+ * @description Por quantos minutos o código de recuperação vale depois de enviado.
+ */
+export const RESET_CODE_TTL_MINUTES = 10;
+
+/**
+ * @constant RESET_CODE_RESEND_SECONDS
+ * @description Intervalo mínimo (em segundos) entre dois envios do código para o mesmo e-mail.
+ */
+export const RESET_CODE_RESEND_SECONDS = 30;
+
+/**
+ * @constant RESET_CODE_MAX_ATTEMPTS
+ * @description Tentativas de digitar o código antes que ele seja invalidado (é preciso pedir outro).
+ */
+export const RESET_CODE_MAX_ATTEMPTS = 5;
@@ -0,0 +1,63 @@
+// src/constants/categoryGroups.js
+
+/**
+ * @constant CATEGORY_GROUPS
+ * @description Mapa de agrupamento das categorias da DummyJSON (`products/categories`) em abas do catálogo.
+ * Cada grupo vira uma aba superior na tela Início, exibindo os produtos de todas as suas categorias.
+ * Categorias da API que não aparecem em nenhum grupo vão para a aba "Outros" (ver OTHER_GROUP_ID).
+ * Para criar uma nova aba, basta acrescentar um grupo aqui (e o nome dela em `catalog.groups` nas traduções).
+ */
+export const CATEGORY_GROUPS = [
+  {
+    id: 'masculino',
+    labelKey: 'catalog.groups.masculino',
+    categories: ['mens-shirts', 'mens-shoes', 'mens-watches'],
+  },
+  {
+    id: 'feminino',
+    labelKey: 'catalog.groups.feminino',
+    categories: ['womens-bags', 'womens-dresses', 'womens-jewellery', 'womens-shoes', 'womens-watches'],
+  },
+  {
+    id: 'eletronicos',
+    labelKey: 'catalog.groups.eletronicos',
+    categories: ['smartphones', 'laptops', 'tablets', 'mobile-accessories'],
+  },
+  {
+    id: 'beleza',
+    labelKey: 'catalog.groups.beleza',
+    categories: ['beauty', 'fragrances', 'skin-care'],
+  },
+  {
+    id: 'casa',
+    labelKey: 'catalog.groups.casa',
+    categories: ['furniture', 'home-decoration', 'kitchen-accessories'],
+  },
+  {
+    id: 'esportes',
+    labelKey: 'catalog.groups.esportes',
+    categories: ['sports-accessories', 'sunglasses', 'tops'],
+  },
+  {
+    id: 'veiculos',
+    labelKey: 'catalog.groups.veiculos',
+    categories: ['motorcycle', 'vehicle'],
+  },
+  {
+    id: 'mercado',
+    labelKey: 'catalog.groups.mercado',
+    categories: ['groceries'],
+  },
+];
+
+/**
+ * @constant OTHER_GROUP_ID
+ * @description ID da aba que reúne as categorias da API que não estão em nenhum grupo.
+ */
+export const OTHER_GROUP_ID = 'outros';
+
+/**
+ * @constant DEFAULT_TAB_LAYOUT
+ * @description Abas exibidas (e sua ordem) enquanto o usuário não personaliza o catálogo.
+ */
+export const DEFAULT_TAB_LAYOUT = ['masculino', 'feminino'];
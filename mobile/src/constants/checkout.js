@@ -0,0 +1,30 @@
+// src/constants/checkout.js
+
+/**
+ * @constant SHIPPING_OPTIONS
+ * @description Opções de entrega oferecidas no checkout.
+ * Cada opção tem um identificador, a chave da tradução do rótulo, o prazo estimado (em dias úteis) e o preço.
+ * Os preços estão na moeda da API (USD), como os dos produtos, e são convertidos só na exibição.
+ */
+export const SHIPPING_OPTIONS = [
+  { id: 'standard', labelKey: 'checkout.shippingOptions.standard', minDays: 5, maxDays: 8, price: 2.99 },
+  { id: 'express', labelKey: 'checkout.shippingOptions.express', minDays: 1, maxDays: 3, price: 5.49 },
+  { id: 'pickup', labelKey: 'checkout.shippingOptions.pickup', minDays: 1, maxDays: 1, price: 0 },
+];
+
+/**
+ * @constant PAYMENT_METHODS
+ * @description Formas de pagamento aceitas no checkout.
+ * Apenas o cartão de crédito exige dados adicionais (número, nome, validade e CVV).
+ */
+export const PAYMENT_METHODS = [
+  { id: 'credit-card', labelKey: 'checkout.paymentMethods.credit-card', icon: 'credit-card-outline' },
+  { id: 'pix', labelKey: 'checkout.paymentMethods.pix', icon: 'qrcode' },
+  { id: 'boleto', labelKey: 'checkout.paymentMethods.boleto', icon: 'barcode' },
+];
+
+/**
+ * @constant CHECKOUT_STEPS
+ * @description Etapas do checkout, na ordem exibida pelo indicador de progresso (chaves das traduções).
+ */
+export const CHECKOUT_STEPS = ['checkout.steps.address', 'checkout.steps.shipping', 'checkout.steps.payment', 'checkout.steps.review'];
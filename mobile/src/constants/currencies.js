@@ -0,0 +1,35 @@
+// src/constants/currencies.js
+
+/**
+ * @constant SOURCE_CURRENCY
+ * @description Moeda em que os valores chegam da DummyJSON. Todos os valores guardados no app
+ * (preços, frete, totais do carrinho e dos pedidos) ficam nesta moeda e só são convertidos ao serem exibidos.
+ */
+export const SOURCE_CURRENCY = 'USD';
+
+/**
+ * @constant DEFAULT_CURRENCY
+ * @description Moeda de exibição usada enquanto o usuário não escolhe outra nas Configurações.
+ */
+export const DEFAULT_CURRENCY = 'BRL';
+
+/**
+ * @constant EXCHANGE_RATES
+ * @description Tabela de câmbio: quanto vale 1 unidade da moeda de origem (USD) em cada moeda.
+ * Para oferecer uma nova moeda, basta incluir a cotação aqui e a moeda em CURRENCIES.
+ */
+export const EXCHANGE_RATES = {
+  USD: 1,
+  BRL: 5.45,
+  EUR: 0.92,
+};
+
+/**
+ * @constant CURRENCIES
+ * @description Moedas oferecidas no seletor das Configurações (código ISO 4217 e chave da tradução do nome).
+ */
+export const CURRENCIES = [
+  { id: 'BRL', labelKey: 'currency.names.BRL' },
+  { id: 'USD', labelKey: 'currency.names.USD' },
+  { id: 'EUR', labelKey: 'currency.names.EUR' },
+];
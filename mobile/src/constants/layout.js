@@ -0,0 +1,40 @@
+// src/constants/layout.js
+
+/**
+ * @constant GRID_MIN_CARD_WIDTH
+ * @description Largura mínima (em px) de um card na grade de produtos. A grade usa quantas colunas
+ * couberem com cards pelo menos desta largura: 2 em celulares em pé, 3 a 5 em tablets e celulares deitados.
+ */
+export const GRID_MIN_CARD_WIDTH = 180;
+
+/**
+ * @constant GRID_MIN_COLUMNS
+ * @description Menor quantidade de colunas da grade (o layout do Figma, mesmo em celulares estreitos).
+ */
+export const GRID_MIN_COLUMNS = 2;
+
+/**
+ * @constant GRID_MAX_COLUMNS
+ * @description Maior quantidade de colunas da grade, para os cards não ficarem pequenos demais em telas muito largas.
+ */
+export const GRID_MAX_COLUMNS = 5;
+
+/**
+ * @constant SPLIT_VIEW_MIN_WIDTH
+ * @description Largura da janela (em px) a partir da qual o Início vira uma visão dividida:
+ * a grade à esquerda e os detalhes do produto tocado à direita (tablets e janelas largas).
+ */
+export const SPLIT_VIEW_MIN_WIDTH = 768;
+
+/**
+ * @constant SPLIT_VIEW_LIST_RATIO
+ * @description Fração da largura da janela ocupada pela grade na visão dividida; o restante fica com os detalhes.
+ */
+export const SPLIT_VIEW_LIST_RATIO = 0.45;
+
+/**
+ * @constant GALLERY_MAX_IMAGE_SIZE
+ * @description Tamanho máximo (em px) da imagem da galeria de detalhes, que ocupa 80% da largura
+ * disponível em celulares mas não deve tomar a tela inteira em tablets e na horizontal.
+ */
+export const GALLERY_MAX_IMAGE_SIZE = 420;
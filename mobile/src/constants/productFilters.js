@@ -0,0 +1,38 @@
+// src/constants/productFilters.js
+
+/**
+ * @constant SORT_OPTIONS
+ * @description Ordenações oferecidas na folha de filtros das listas de categoria.
+ * `apiSortBy`/`order` são enviados à DummyJSON (parâmetros `sortBy`/`order`) e também usados por
+ * `sortProducts` (utils/productFilters) para reaplicar a mesma ordem depois que os produtos de várias
+ * categorias são juntados em uma única grade. A API só ordena pelo preço de tabela, então ali a
+ * ordenação por preço usa o preço com desconto.
+ * `labelKey` é a chave da tradução do rótulo (ver `i18n/locales`).
+ */
+export const SORT_OPTIONS = [
+  { id: 'relevance', labelKey: 'filters.sort.relevance', apiSortBy: null, order: null },
+  { id: 'price-asc', labelKey: 'filters.sort.priceAsc', apiSortBy: 'price', order: 'asc' },
+  { id: 'price-desc', labelKey: 'filters.sort.priceDesc', apiSortBy: 'price', order: 'desc' },
+  { id: 'rating-desc', labelKey: 'filters.sort.ratingDesc', apiSortBy: 'rating', order: 'desc' },
+  { id: 'discount-desc', labelKey: 'filters.sort.discountDesc', apiSortBy: 'discountPercentage', order: 'desc' },
+  { id: 'name-asc', labelKey: 'filters.sort.nameAsc', apiSortBy: 'title', order: 'asc' },
+];
+
+/**
+ * @constant RATING_OPTIONS
+ * @description Avaliações mínimas selecionáveis (0 = qualquer avaliação).
+ */
+export const RATING_OPTIONS = [0, 3, 4, 4.5];
+
+/**
+ * @constant DEFAULT_FILTERS
+ * @description Filtros de uma aba sem nenhuma escolha do usuário (mostra tudo, na ordem da API).
+ */
+export const DEFAULT_FILTERS = {
+  minPrice: null,         // Preço mínimo (com desconto), ou `null` para sem limite
+  maxPrice: null,         // Preço máximo (com desconto), ou `null` para sem limite
+  minRating: 0,           // Avaliação mínima (ver RATING_OPTIONS)
+  brands: [],             // Marcas selecionadas; vazio = todas
+  onlyDiscounted: false,  // Exibe apenas produtos com desconto
+  sortId: 'relevance',    // ID da ordenação escolhida (ver SORT_OPTIONS)
+};
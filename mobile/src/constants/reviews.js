@@ -0,0 +1,11 @@
+// src/constants/reviews.js
+
+/**
+ * @constant REVIEW_SORT_OPTIONS
+ * @description Ordenações da lista de avaliações na tela de detalhes. Empates na nota
+ * são desempatados pela avaliação mais recente. `labelKey` é a chave da tradução do rótulo.
+ */
+export const REVIEW_SORT_OPTIONS = [
+  { id: 'newest', labelKey: 'reviews.sort.newest' },
+  { id: 'highest', labelKey: 'reviews.sort.highest' },
+];
@@ -0,0 +1,20 @@
+// src/hooks/useAnnouncement.js
+import { useEffect } from 'react';
+// Importa a API de acessibilidade, que fala mensagens pelo leitor de tela (TalkBack/VoiceOver)
+import { AccessibilityInfo } from 'react-native';
+
+/**
+ * @function useAnnouncement
+ * @description Hook que anuncia uma mensagem pelo leitor de tela assim que ela aparece ou muda
+ * (ex: erros de validação e de login), sem que o usuário precise encontrar o texto na tela.
+ * @param {string|null|undefined} message - A mensagem a anunciar; valores vazios são ignorados.
+ */
+const useAnnouncement = (message) => {
+  useEffect(() => {
+    if (message) {
+      AccessibilityInfo.announceForAccessibility(message);
+    }
+  }, [message]);
+};
+
+export default useAnnouncement;
@@ -0,0 +1,24 @@
+// src/hooks/useDebouncedValue.js
+import { useEffect, useState } from 'react';
+
+/**
+ * @function useDebouncedValue
+ * @description Hook que devolve o valor recebido somente depois que ele para de mudar por `delay` ms.
+ * Usado para evitar uma requisição a cada tecla digitada na busca.
+ * @param {*} value - O valor a ser "atrasado".
+ * @param {number} [delay=400] - Tempo de espera em milissegundos.
+ * @returns {*} O último valor estável.
+ */
+const useDebouncedValue = (value, delay = 400) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedValue(value), delay);
+    // Cancela o agendamento anterior se o valor mudar antes do fim do intervalo
+    return () => clearTimeout(timeout);
+  }, [value, delay]);
+
+  return debouncedValue;
+};
+
+export default useDebouncedValue;
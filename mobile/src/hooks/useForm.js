@@ -0,0 +1,262 @@
+// src/hooks/useForm.js
+import { useCallback, useRef, useState } from 'react';
+// Importa a execução das regras de validação declarativas
+import { validateValues, runAsyncRules } from '../utils/formRules';
+
+/**
+ * @function useForm
+ * @description Hook que cuida do estado e da validação de um formulário a partir de regras declarativas
+ * (`utils/formRules`). Guarda os valores, quais campos foram visitados (`touched`) e alterados (`dirty`),
+ * e decide quais erros já podem aparecer:
+ * - as regras síncronas rodam a cada digitação, mas o erro de um campo só aparece depois que ele perde
+ *   o foco ou depois da primeira tentativa de envio;
+ * - as regras assíncronas (ex: e-mail já cadastrado) rodam quando o campo perde o foco sem erros síncronos
+ *   e de novo no envio; enquanto rodam, `validating[campo]` fica `true`, e respostas de um valor que já
+ *   mudou (ou de uma consulta mais antiga) são descartadas;
+ * - erros informados de fora (ex: devolvidos pelo servidor, via `setFieldError`) aparecem na hora e somem
+ *   quando o campo é editado.
+ * @param {object} config - Configuração do formulário.
+ * @param {object} config.initialValues - Os valores iniciais (`{ campo: valor }`).
+ * @param {object} [config.rules={}] - As regras síncronas de cada campo (`{ campo: [regra, ...] }`).
+ * @param {object} [config.asyncRules={}] - As regras assíncronas de cada campo (ver `runAsyncRules`).
+ * @returns {object} O estado do formulário (`values`, `errors`, `touched`, `dirty`, `isDirty`, `isValid`,
+ * `validating`, `isValidating`, `isSubmitting`, `submitError`) e as ações (`setValue`, `setValues`, `setFieldError`,
+ * `handleBlur`, `handleSubmit`, `getFieldProps`, `reset`).
+ */
+const useForm = ({ initialValues, rules = {}, asyncRules = {} }) => {
+  // Valores de referência do `dirty` (os iniciais, ou os passados ao último `reset`)
+  const baselineRef = useRef(initialValues);
+  const [values, setValuesState] = useState(initialValues);
+  const [touched, setTouched] = useState({});
+  const [submitCount, setSubmitCount] = useState(0);
+  const [asyncErrors, setAsyncErrors] = useState({});
+  const [externalErrors, setExternalErrors] = useState({});
+  const [validating, setValidating] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  // Erro lançado pelo `onValid` do último envio (ex: falha de rede), exposto em vez de rejeitar o `onPress`
+  const [submitError, setSubmitError] = useState(null);
+  // Número da última validação assíncrona de cada campo (só a resposta mais recente é aproveitada)
+  const asyncRunRef = useRef({});
+  // Envio em andamento, marcado na hora: dois toques seguidos (ex: botão e "enviar" do teclado) não chamam `onValid` duas vezes
+  const submittingRef = useRef(false);
+  // Valores mais recentes, lidos pelo envio e pelas validações assíncronas depois do `await`.
+  // Atualizado junto com cada alteração (e não no render), então já traz valores ainda não desenhados
+  const valuesRef = useRef(values);
+
+  const ruleErrors = validateValues(values, rules);
+  const fields = Object.keys({ ...values, ...rules, ...asyncRules });
+
+  // Erros visíveis: os de fora sempre; os das regras só em campos visitados ou depois do primeiro envio
+  const errors = {};
+  const dirty = {};
+  fields.forEach((field) => {
+    const canShow = touched[field] || submitCount > 0;
+    const message = externalErrors[field] || (canShow ? ruleErrors[field] || asyncErrors[field] : undefined);
+    if (message) {
+      errors[field] = message;
+    }
+    dirty[field] = values[field] !== baselineRef.current[field];
+  });
+
+  /**
+   * @function clearFieldErrors
+   * @description Descarta os erros assíncronos e externos de campos editados (eles valiam para o valor antigo).
+   * @param {string[]} changedFields - Os campos editados.
+   */
+  const clearFieldErrors = useCallback((changedFields) => {
+    const clear = (current) => {
+      if (!changedFields.some((field) => current[field])) {
+        return current;
+      }
+      const next = { ...current };
+      changedFields.forEach((field) => delete next[field]);
+      return next;
+    };
+    setAsyncErrors(clear);
+    setExternalErrors(clear);
+  }, []);
+
+  /**
+   * @function setValues
+   * @description Altera vários campos de uma vez (ex: preencher o formulário com dados recebidos).
+   * @param {object} nextValues - Os campos e seus novos valores.
+   */
+  const setValues = useCallback((nextValues) => {
+    valuesRef.current = { ...valuesRef.current, ...nextValues };
+    setValuesState(valuesRef.current);
+    clearFieldErrors(Object.keys(nextValues));
+  }, [clearFieldErrors]);
+
+  /**
+   * @function setValue
+   * @description Altera o valor de um campo.
+   * @param {string} field - O nome do campo.
+   * @param {*} value - O novo valor.
+   */
+  const setValue = useCallback((field, value) => setValues({ [field]: value }), [setValues]);
+
+  /**
+   * @function setFieldError
+   * @description Mostra um erro vindo de fora das regras (ex: "e-mail já cadastrado" devolvido pelo servidor).
+   * @param {string} field - O nome do campo.
+   * @param {string} message - A mensagem de erro.
+   */
+  const setFieldError = useCallback((field, message) => {
+    setExternalErrors((current) => ({ ...current, [field]: message }));
+  }, []);
+
+  /**
+   * @function validateFieldAsync
+   * @description Roda as regras assíncronas de um campo e guarda o resultado, se ele ainda vale: respostas
+   * de um valor que já mudou, ou de uma consulta substituída por outra mais nova, são descartadas.
+   * @param {string} field - O nome do campo.
+   * @param {object} currentValues - Os valores do formulário no momento da validação.
+   * @returns {Promise<string|undefined>} A mensagem de erro, ou `undefined`. Rejeita se uma regra falhar.
+   */
+  const validateFieldAsync = async (field, currentValues) => {
+    const fieldRules = asyncRules[field];
+    if (!fieldRules?.length) {
+      return undefined;
+    }
+    const value = currentValues[field];
+    const run = (asyncRunRef.current[field] ?? 0) + 1;
+    asyncRunRef.current[field] = run;
+    const isLatest = () => asyncRunRef.current[field] === run && valuesRef.current[field] === value;
+    setValidating((current) => ({ ...current, [field]: true }));
+    try {
+      const message = await runAsyncRules(fieldRules, value, currentValues);
+      if (isLatest()) {
+        setAsyncErrors((current) => ({ ...current, [field]: message }));
+      }
+      return message;
+    } finally {
+      if (asyncRunRef.current[field] === run) {
+        setValidating((current) => ({ ...current, [field]: false }));
+      }
+    }
+  };
+
+  /**
+   * @function handleBlur
+   * @description Marca o campo como visitado (liberando a exibição do erro) e, se as regras síncronas dele
+   * passaram, roda as assíncronas. Uma falha da consulta (ex: sem conexão) não marca o campo como inválido:
+   * as regras assíncronas rodam de novo no envio.
+   * @param {string} field - O nome do campo.
+   */
+  const handleBlur = (field) => {
+    setTouched((current) => (current[field] ? current : { ...current, [field]: true }));
+    if (!ruleErrors[field]) {
+      validateFieldAsync(field, valuesRef.current).catch(() => {});
+    }
+  };
+
+  /**
+   * @function handleSubmit
+   * @description Monta o tratador do botão de envio: valida tudo (regras síncronas e, se elas passarem,
+   * as assíncronas) e só chama `onValid` com os valores se não houver erros. Enquanto `onValid` roda, `isSubmitting` fica `true`;
+   * um novo envio antes de o anterior terminar é ignorado. A função devolvida nunca rejeita: um erro lançado
+   * por `onValid` (ou por uma regra assíncrona que não conseguiu consultar) fica em `submitError` até o próximo envio.
+   * @param {Function} onValid - Chamada com os valores quando o formulário é válido (pode ser assíncrona).
+   * @param {Function} [onInvalid] - Chamada com os erros encontrados quando o formulário é inválido.
+   * @returns {Function} Função assíncrona que resolve com `true` se `onValid` foi chamada e terminou sem erro.
+   */
+  const handleSubmit = (onValid, onInvalid) => async () => {
+    if (submittingRef.current) {
+      return false;
+    }
+    submittingRef.current = true;
+    setSubmitCount((count) => count + 1);
+    setSubmitError(null);
+    const currentValues = valuesRef.current;
+
+    try {
+      const submitErrors = validateValues(currentValues, rules);
+      if (Object.keys(submitErrors).length === 0) {
+        const asyncResults = await Promise.all(
+          Object.keys(asyncRules).map(async (field) => [field, await validateFieldAsync(field, currentValues)])
+        );
+        asyncResults.forEach(([field, message]) => {
+          if (message) {
+            submitErrors[field] = message;
+          }
+        });
+      }
+      Object.entries(externalErrors).forEach(([field, message]) => {
+        if (message && !submitErrors[field]) {
+          submitErrors[field] = message;
+        }
+      });
+
+      if (Object.keys(submitErrors).length > 0) {
+        onInvalid?.(submitErrors);
+        return false;
+      }
+
+      setIsSubmitting(true);
+      await onValid(currentValues);
+      return true;
+    } catch (error) {
+      setSubmitError(error);
+      return false;
+    } finally {
+      submittingRef.current = false;
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * @function getFieldProps
+   * @description Props de um campo para o `FormInput` (valor, digitação, perda de foco, erro visível
+   * e validação assíncrona em andamento).
+   * @param {string} field - O nome do campo.
+   * @returns {object} `{ value, onChangeText, onBlur, error, validating }`.
+   */
+  const getFieldProps = (field) => ({
+    value: values[field],
+    onChangeText: (text) => setValue(field, text),
+    onBlur: () => handleBlur(field),
+    error: errors[field],
+    validating: !!validating[field],
+  });
+
+  /**
+   * @function reset
+   * @description Volta o formulário ao estado inicial (ou a novos valores, que passam a ser a referência do `dirty`).
+   * @param {object} [nextValues] - Os novos valores iniciais.
+   */
+  const reset = useCallback((nextValues = baselineRef.current) => {
+    baselineRef.current = nextValues;
+    valuesRef.current = nextValues;
+    setValuesState(nextValues);
+    setTouched({});
+    setSubmitCount(0);
+    setAsyncErrors({});
+    setExternalErrors({});
+    setSubmitError(null);
+  }, []);
+
+  return {
+    values,
+    errors,
+    touched,
+    dirty,
+    isDirty: fields.some((field) => dirty[field]),
+    isValid: Object.keys(ruleErrors).length === 0
+      && !Object.values(asyncErrors).some(Boolean)
+      && !Object.values(externalErrors).some(Boolean),
+    validating,
+    isValidating: Object.values(validating).some(Boolean),
+    isSubmitting,
+    submitError,
+    submitCount,
+    setValue,
+    setValues,
+    setFieldError,
+    handleBlur,
+    handleSubmit,
+    getFieldProps,
+    reset,
+  };
+};
+
+export default useForm;
@@ -0,0 +1,31 @@
+// src/hooks/usePendingLink.js
+import { useEffect } from 'react';
+// Importa o hook que navega a partir de um caminho, usando a configuração `linking` do NavigationContainer
+import { useLinkTo } from '@react-navigation/native';
+// Importa hooks do Redux para ler o link guardado e despachar ações
+import { useDispatch, useSelector } from 'react-redux';
+// Importa a ação que descarta o link aberto e o seletor do link guardado
+import { linkOpened, selectPendingLink } from '../store/linkingSlice';
+// Importa a extração do caminho do link
+import { getLinkPath } from '../navigation/linking';
+
+/**
+ * @function usePendingLink
+ * @description Hook que abre o link guardado na store (ver `linkingSlice`) assim que possível.
+ * Deve ser usado em uma tela sempre montada enquanto o usuário está logado (as abas principais):
+ * links que chegaram antes do login são abertos logo após ele, e os que chegam depois, na hora.
+ */
+const usePendingLink = () => {
+  const dispatch = useDispatch();
+  const linkTo = useLinkTo();
+  const pendingLink = useSelector(selectPendingLink);
+
+  useEffect(() => {
+    if (pendingLink) {
+      dispatch(linkOpened());
+      linkTo(getLinkPath(pendingLink));
+    }
+  }, [dispatch, linkTo, pendingLink]);
+};
+
+export default usePendingLink;
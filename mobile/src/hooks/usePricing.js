@@ -0,0 +1,29 @@
+// src/hooks/usePricing.js
+import { useCallback } from 'react';
+// Importa o hook do Redux para acompanhar a moeda escolhida
+import { useSelector } from 'react-redux';
+// Importa a formatação de preços
+import { formatPrice as formatPriceIn } from '../utils/pricing';
+// Importa o seletor da moeda de exibição
+import { selectCurrency } from '../store/settingsSlice';
+// Importa o hook de traduções, que informa o idioma atual (separadores e símbolo)
+import useTranslation from './useTranslation';
+
+/**
+ * @function usePricing
+ * @description Hook que devolve a função `formatPrice` na moeda e no idioma escolhidos. Como lê ambos
+ * da store, o componente é redesenhado assim que o usuário troca a moeda ou o idioma nas Configurações.
+ * @returns {{ formatPrice: function, currency: string }} A função `formatPrice(valor)` (valor na moeda
+ * de origem) e a moeda de exibição.
+ */
+const usePricing = () => {
+  const currency = useSelector(selectCurrency);
+  const { language } = useTranslation();
+  const formatPrice = useCallback(
+    (value) => formatPriceIn(value, { currency, locale: language }),
+    [currency, language]
+  );
+  return { formatPrice, currency };
+};
+
+export default usePricing;
@@ -0,0 +1,33 @@
+// src/hooks/useReduceMotion.js
+import { useEffect, useState } from 'react';
+// Importa a API de acessibilidade, que informa a preferência "Reduzir movimento" do aparelho
+import { AccessibilityInfo } from 'react-native';
+
+/**
+ * @function useReduceMotion
+ * @description Hook que informa se o usuário ativou "Reduzir movimento" (iOS) ou "Remover animações" (Android).
+ * Acompanha a mudança da preferência com o app aberto. Quando ativo, as telas trocam animações
+ * (deslizes, zoom animado, rolagem animada) por mudanças imediatas.
+ * @returns {boolean} `true` se as animações devem ser evitadas.
+ */
+const useReduceMotion = () => {
+  const [reduceMotion, setReduceMotion] = useState(false);
+
+  useEffect(() => {
+    let isMounted = true;
+    AccessibilityInfo.isReduceMotionEnabled().then((isEnabled) => {
+      if (isMounted) {
+        setReduceMotion(isEnabled);
+      }
+    });
+    const subscription = AccessibilityInfo.addEventListener('reduceMotionChanged', setReduceMotion);
+    return () => {
+      isMounted = false;
+      subscription.remove();
+    };
+  }, []);
+
+  return reduceMotion;
+};
+
+export default useReduceMotion;
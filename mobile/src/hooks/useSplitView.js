@@ -0,0 +1,17 @@
+// src/hooks/useSplitView.js
+import { createContext, useContext } from 'react';
+
+// Contexto preenchido pela ProductListScreen enquanto ela exibe a visão dividida; fora dela o valor é `null`
+export const SplitViewContext = createContext(null);
+
+/**
+ * @function useSplitView
+ * @description Hook que informa se o componente está no painel da grade de uma visão dividida (tablets e janelas largas).
+ * Nesse caso, tocar em um produto o exibe no painel de detalhes ao lado em vez de abrir uma nova tela.
+ * @returns {{ listWidth: number, selectedProductId: number|null, selectProduct: function }|null}
+ * A largura do painel da grade, o produto exibido nos detalhes e a função que escolhe outro produto,
+ * ou `null` fora da visão dividida.
+ */
+const useSplitView = () => useContext(SplitViewContext);
+
+export default useSplitView;
@@ -0,0 +1,14 @@
+// src/hooks/useTheme.js
+import { useContext } from 'react';
+// Importa o contexto preenchido pelo ThemeProvider
+import { ThemeContext } from '../theme/ThemeProvider';
+
+/**
+ * @function useTheme
+ * @description Hook que devolve o tema atual do app. O componente é redesenhado quando o usuário troca
+ * o tema nas Configurações ou quando o aparelho muda de tema (no modo "Sistema").
+ * @returns {{ mode: string, isDark: boolean, colors: object, navigationTheme: object }} O tema atual.
+ */
+const useTheme = () => useContext(ThemeContext);
+
+export default useTheme;
@@ -0,0 +1,19 @@
+// src/hooks/useThemedStyles.js
+import { useMemo } from 'react';
+// Importa o hook do tema atual
+import useTheme from './useTheme';
+
+/**
+ * @function useThemedStyles
+ * @description Hook que monta a folha de estilos de um componente com as cores do tema atual.
+ * Os componentes declaram `const createStyles = (colors) => StyleSheet.create({...})` no fim do arquivo;
+ * a folha só é recriada quando o tema muda.
+ * @param {function} createStyles - Função que recebe a paleta e devolve a folha de estilos.
+ * @returns {object} A folha de estilos com as cores do tema atual.
+ */
+const useThemedStyles = (createStyles) => {
+  const { colors } = useTheme();
+  return useMemo(() => createStyles(colors), [createStyles, colors]);
+};
+
+export default useThemedStyles;
@@ -0,0 +1,22 @@
+// src/hooks/useTranslation.js
+import { useCallback } from 'react';
+// Importa o hook do Redux para acompanhar o idioma escolhido
+import { useSelector } from 'react-redux';
+// Importa a instância das traduções
+import i18n from '../i18n';
+// Importa o seletor do idioma efetivo
+import { selectLanguage } from '../store/settingsSlice';
+
+/**
+ * @function useTranslation
+ * @description Hook que devolve a função de tradução `t` no idioma atual. Como lê o idioma da store,
+ * o componente é redesenhado assim que o usuário troca o idioma nas Configurações.
+ * @returns {{ t: function, language: string }} A função `t(chave, opções)` e o idioma efetivo.
+ */
+const useTranslation = () => {
+  const language = useSelector(selectLanguage);
+  const t = useCallback((key, options) => i18n.t(key, { locale: language, ...options }), [language]);
+  return { t, language };
+};
+
+export default useTranslation;
@@ -0,0 +1,80 @@
+// src/i18n/index.js
+import { I18n } from 'i18n-js'; // Biblioteca de traduções (interpolação e plurais)
+import { getLocales } from 'expo-localization'; // Idiomas configurados no aparelho
+
+// Importa os catálogos de traduções de cada idioma
+import ptBR from './locales/pt-BR';
+import en from './locales/en';
+import es from './locales/es';
+
+/**
+ * @constant DEFAULT_LANGUAGE
+ * @description Idioma usado quando o idioma do aparelho não é suportado (e base das traduções que faltarem).
+ */
+export const DEFAULT_LANGUAGE = 'pt-BR';
+
+/**
+ * @constant SUPPORTED_LANGUAGES
+ * @description Idiomas oferecidos no seletor das Configurações. O nome de cada idioma é escrito
+ * nele mesmo, para que o usuário o reconheça em qualquer idioma do app.
+ */
+export const SUPPORTED_LANGUAGES = [
+  { id: 'pt-BR', label: 'Português (Brasil)' },
+  { id: 'en', label: 'English' },
+  { id: 'es', label: 'Español' },
+];
+
+/**
+ * @constant i18n
+ * @description Instância compartilhada das traduções. Textos usam `%{nome}` para interpolação e,
+ * quando variam com uma quantidade, as chaves `one`/`other` (com a opção `count`).
+ */
+const i18n = new I18n({ 'pt-BR': ptBR, en, es });
+i18n.defaultLocale = DEFAULT_LANGUAGE;
+i18n.enableFallback = true; // Uma chave ausente em inglês/espanhol aparece em português, nunca como "[missing]"
+
+/**
+ * @function getDeviceLanguage
+ * @description Escolhe, entre os idiomas suportados, o primeiro da lista de preferências do aparelho.
+ * @returns {string} O idioma (ex: 'pt-BR', 'en' ou 'es').
+ */
+export const getDeviceLanguage = () => {
+  const match = getLocales()
+    .map(({ languageCode }) => SUPPORTED_LANGUAGES.find((language) => language.id.split('-')[0] === languageCode))
+    .find(Boolean);
+  return match ? match.id : DEFAULT_LANGUAGE;
+};
+
+/**
+ * @function resolveLanguage
+ * @description Devolve o idioma efetivo: o escolhido pelo usuário ou, se ele não escolheu, o do aparelho.
+ * @param {string|null} language - O idioma escolhido nas Configurações (`null` = seguir o aparelho).
+ * @returns {string} O idioma efetivo.
+ */
+export const resolveLanguage = (language) =>
+  (SUPPORTED_LANGUAGES.some((supported) => supported.id === language) ? language : getDeviceLanguage());
+
+/**
+ * @function applyLanguage
+ * @description Troca o idioma usado pelas traduções. Chamada pelo `settingsSlice` antes de o novo idioma
+ * chegar à store, para que as telas já sejam redesenhadas com os textos certos.
+ * @param {string|null} language - O idioma escolhido (`null` = seguir o aparelho).
+ */
+export const applyLanguage = (language) => {
+  i18n.locale = resolveLanguage(language);
+};
+
+/**
+ * @function t
+ * @description Traduz uma chave no idioma atual (ex: `t('orders.itemCount', { count: 2 })`).
+ * Nos componentes, prefira o hook `useTranslation`, que também redesenha a tela quando o idioma muda.
+ * @param {string} key - A chave da tradução.
+ * @param {object} [options] - Valores de interpolação e `count` para plurais.
+ * @returns {string} O texto traduzido.
+ */
+export const t = (key, options) => i18n.t(key, options);
+
+// Até as Configurações salvas serem lidas, o app segue o idioma do aparelho
+applyLanguage(null);
+
+export default i18n;
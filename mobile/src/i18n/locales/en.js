@@ -0,0 +1,445 @@
+// src/i18n/locales/en.js
+
+/**
+ * @constant en
+ * @description Textos do app em inglês.
+ * Mesma estrutura de chaves do catálogo em português (`pt-BR.js`).
+ */
+export default {
+  common: {
+    retry: 'Try again',
+    reload: 'Reload',
+    cancel: 'Cancel',
+    yes: 'Yes',
+    error: 'Error',
+  },
+  app: {
+    name: 'Catalog',
+  },
+  navigation: {
+    home: 'Home',
+    favorites: 'Favorites',
+    cart: 'Cart',
+    settings: 'Settings',
+    orderConfirmation: 'Order confirmed',
+    productDetails: 'Product Details',
+    orderDetails: 'Order details',
+    notFound: 'Page not found',
+  },
+  errors: {
+    categories: 'Couldn\'t load the categories. Please try again later.',
+    products: 'Couldn\'t load the products. Please try again later.',
+    search: 'Couldn\'t perform the search. Please try again later.',
+    productUnavailable: 'This product is no longer available.',
+    productDetails: 'Couldn\'t load the product details. Please try again later.',
+    submitOrder: 'Couldn\'t place the order. Your cart was kept; please try again.',
+    orders: 'Couldn\'t load your orders. Please try again later.',
+    invalidCredentials: 'Invalid username or password.',
+    login: 'Something went wrong while logging in. Please try again later.',
+    emailTaken: 'This email is already registered.',
+    register: 'We couldn\'t create your account. Please try again later.',
+    accountNotFound: 'We couldn\'t find an account with this email.',
+    resendCooldown: {
+      one: 'Wait 1 second to request a new code.',
+      other: 'Wait %{count} seconds to request a new code.',
+    },
+    resetCodeInvalid: {
+      one: 'Incorrect code. 1 attempt left.',
+      other: 'Incorrect code. %{count} attempts left.',
+    },
+    resetCodeExpired: 'This code has expired. Request a new one.',
+    resetCodeLocked: 'Too many incorrect attempts. Request a new code.',
+  },
+  validation: {
+    zipCode: 'Enter a valid 8-digit ZIP code (CEP).',
+    required: 'Required field',
+    state: 'Use the state abbreviation (e.g. SP).',
+    cardNumber: 'Invalid card number.',
+    expiryFormat: 'Use the MM/YY format.',
+    cardExpired: 'Card expired.',
+    cvv: 'Invalid CVV.',
+    email: 'Enter a valid email address.',
+    passwordTooShort: 'Password must be at least %{count} characters long.',
+    passwordWeak: 'Use both letters and numbers in your password.',
+    passwordMismatch: 'Passwords don\'t match.',
+    resetCode: 'Enter all %{count} digits of the code.',
+    minLength: 'Use at least %{count} characters.',
+    pattern: 'Invalid format.',
+    match: 'Values don\'t match.',
+  },
+  login: {
+    attentionTitle: 'Attention',
+    checkFields: 'Please fix the highlighted fields.',
+    welcome: 'Welcome back!',
+    subtitle: 'Enter your details to sign in.',
+    formTitle: 'Sign in to your account',
+    usernamePlaceholder: 'Email or username',
+    passwordPlaceholder: 'Password',
+    forgotPassword: 'Forgot your password?',
+    submit: 'Sign in',
+    noAccount: 'Don\'t have an account?',
+    createAccount: 'Sign up',
+    passwordResetNotice: 'Password changed! Sign in with your new password.',
+  },
+  register: {
+    title: 'Create account',
+    subtitle: 'Fill in your details to start shopping.',
+    name: 'Full name',
+    email: 'Email',
+    password: 'Password',
+    confirmPassword: 'Confirm password',
+    submit: 'Create account',
+    haveAccount: 'Already have an account?',
+    signIn: 'Sign in',
+  },
+  forgotPassword: {
+    title: 'Reset password',
+    subtitle: 'Enter your account email to receive a verification code.',
+    email: 'Email',
+    sendCode: 'Send code',
+    codeTitle: 'Verify code',
+    codeSubtitle: 'Enter the %{count}-digit code sent to %{email}.',
+    code: 'Verification code',
+    demoCode: 'Demo: the code sent is %{code}.',
+    verify: 'Verify',
+    resend: 'Resend code',
+    resendIn: 'Resend code in %{count}s',
+    codeResent: 'We sent you a new code.',
+    newPasswordTitle: 'New password',
+    newPasswordSubtitle: 'Create a new password for %{email}.',
+    newPassword: 'New password',
+    confirmPassword: 'Confirm new password',
+    save: 'Save new password',
+  },
+  passwordStrength: {
+    label: 'Password strength: %{level}',
+    weak: 'Weak',
+    fair: 'Fair',
+    good: 'Good',
+    strong: 'Strong',
+    hint: 'Use %{count} or more characters with upper and lower case letters, numbers and symbols.',
+  },
+  catalog: {
+    groups: {
+      masculino: 'Men\'s Products',
+      feminino: 'Women\'s Products',
+      eletronicos: 'Electronics',
+      beleza: 'Beauty',
+      casa: 'Home and Decor',
+      esportes: 'Sports and Accessories',
+      veiculos: 'Vehicles',
+      mercado: 'Groceries',
+      outros: 'Other',
+    },
+  },
+  catalogTabs: {
+    visible: 'Visible tabs',
+    hidden: 'Available tabs',
+    allVisible: 'All tabs are already visible.',
+    reset: 'Restore default tabs',
+  },
+  productList: {
+    cacheNotice: 'Showing saved data · last updated: %{date}',
+    categoriesProgress: 'Loading categories: %{loaded} of %{total}',
+    loading: 'Loading products...',
+    categoriesCount: {
+      one: '%{loaded} of %{count} category',
+      other: '%{loaded} of %{count} categories',
+    },
+    empty: 'No products found in this category.',
+    noFilterMatch: 'No products match the selected filters.',
+    selectProduct: 'Tap a product to see its details here.',
+  },
+  filters: {
+    title: 'Filters',
+    sheetTitle: 'Filter and sort',
+    sortBy: 'Sort by',
+    price: 'Price (with discount)',
+    minPrice: 'Minimum',
+    priceSeparator: 'to',
+    maxPrice: 'Maximum',
+    minRating: 'Minimum rating',
+    anyRating: 'Any',
+    brands: 'Brands',
+    onlyDiscounted: 'Only discounted products',
+    clear: 'Clear',
+    apply: 'Apply',
+    clearAll: 'Clear filters',
+    chips: {
+      priceRange: '%{min} to %{max}',
+      priceFrom: 'From %{min}',
+      priceUpTo: 'Up to %{max}',
+      minRating: '%{rating}★ or more',
+      discounted: 'On sale',
+    },
+    sort: {
+      relevance: 'Relevance',
+      priceAsc: 'Lowest price',
+      priceDesc: 'Highest price',
+      ratingDesc: 'Best rated',
+      discountDesc: 'Biggest discount',
+      nameAsc: 'Name (A-Z)',
+    },
+  },
+  search: {
+    hint: 'Search products by name.',
+    recent: 'Recent searches',
+    clearRecent: 'Clear',
+    noResults: 'No products found for "%{query}".',
+    noResultsHint: 'Check the spelling or try more general terms.',
+    placeholder: 'Search products',
+  },
+  product: {
+    unavailable: 'Unavailable',
+  },
+  productDetails: {
+    related: 'You may also like',
+    shareText: '%{title} for %{price}',
+    notFound: 'This product doesn\'t exist or is no longer available in the catalog.',
+    loading: 'Loading details...',
+    missing: 'Product details not found.',
+    specs: {
+      brand: 'Brand',
+      category: 'Category',
+      stock: 'Stock',
+      soldOut: 'Sold out',
+      units: {
+        one: '%{count} unit',
+        other: '%{count} units',
+      },
+      rating: 'Rating',
+      dimensions: 'Dimensions (W x H x D)',
+      weight: 'Weight',
+    },
+    policies: {
+      shipping: 'Shipping',
+      warranty: 'Warranty',
+      returns: 'Returns',
+    },
+    addedTitle: 'Cart',
+    addedMessage: '%{title} was added to the cart.',
+    keepShopping: 'Keep shopping',
+    viewCart: 'View cart',
+    refreshing: 'Updating details...',
+    refreshFailed: 'Couldn\'t update the details of this product.',
+    cacheNotice: 'Saved data · last updated: %{date}',
+    specsTitle: 'Specifications',
+    policiesTitle: 'Shipping, warranty and returns',
+    ratingsTitle: 'Ratings',
+    comments: 'Reviews',
+    soldOut: 'Sold out',
+    addToCart: 'Add to cart',
+  },
+  reviews: {
+    count: {
+      one: '1 review',
+      other: '%{count} reviews',
+    },
+    sort: {
+      newest: 'Newest',
+      highest: 'Highest rated',
+    },
+  },
+  favorites: {
+    title: 'Favorites',
+    empty: 'You don\'t have any favorites yet.',
+    emptyHint: 'Tap the heart on a product to save it here.',
+  },
+  cart: {
+    lineTotal: 'Total: %{total}',
+    title: 'My cart',
+    clear: 'Clear',
+    clearTitle: 'Clear cart',
+    clearMessage: 'Remove all items from the cart?',
+    empty: 'Your cart is empty.',
+    browse: 'Browse products',
+    subtotalItems: {
+      one: 'Subtotal (%{count} item)',
+      other: 'Subtotal (%{count} items)',
+    },
+    discounts: 'Discounts',
+    total: 'Total',
+    checkout: 'Checkout',
+  },
+  checkout: {
+    continue: 'Continue',
+    free: 'Free',
+    address: {
+      title: 'Shipping address',
+      zipCode: 'ZIP code (CEP)',
+      street: 'Street',
+      number: 'Number',
+      complement: 'Apt, suite, etc.',
+      optional: 'Optional',
+      district: 'Neighborhood',
+      city: 'City',
+      state: 'State',
+    },
+    shipping: {
+      title: 'How would you like to receive it?',
+      required: 'Choose a delivery option to continue.',
+      businessDays: {
+        one: '%{count} business day',
+        other: '%{count} business days',
+      },
+      businessDaysRange: '%{min} to %{max} business days',
+    },
+    payment: {
+      title: 'Payment method',
+      required: 'Choose a payment method to continue.',
+      cardNumber: 'Card number',
+      cardHolder: 'Name on card',
+      expiry: 'Expiry date',
+      expiryPlaceholder: 'MM/YY',
+      cvv: 'CVV',
+      review: 'Review order',
+      cardEnding: 'ending in %{last4}',
+    },
+    subtotal: 'Subtotal',
+    shippingFee: 'Shipping',
+    shippingFeeWithOption: 'Shipping (%{option})',
+    review: {
+      edit: 'Edit',
+      empty: 'There is no order to review.',
+      backToCart: 'Back to cart',
+      items: 'Items',
+      shipping: 'Delivery',
+      payment: 'Payment',
+      summary: 'Summary',
+      confirm: 'Place order',
+    },
+    shippingOptions: {
+      standard: 'Standard delivery',
+      express: 'Express delivery',
+      pickup: 'Store pickup',
+    },
+    paymentMethods: {
+      'credit-card': 'Credit card',
+      pix: 'Pix',
+      boleto: 'Boleto',
+    },
+    steps: {
+      address: 'Address',
+      shipping: 'Delivery',
+      payment: 'Payment',
+      review: 'Review',
+    },
+  },
+  address: {
+    zipCodeLine: 'ZIP %{zipCode}',
+  },
+  orders: {
+    status: {
+      placed: 'Order placed',
+      paid: 'Payment approved',
+      shipped: 'In transit',
+      delivered: 'Delivered',
+    },
+    confirmed: 'Order confirmed!',
+    number: 'Order #%{number}',
+    totalPaid: 'Total paid',
+    itemCount: {
+      one: '%{count} item',
+      other: '%{count} items',
+    },
+    loading: 'Loading orders...',
+    empty: 'You haven\'t placed any orders yet.',
+    notFound: 'Order not found.',
+    placedAt: 'Placed on %{date}',
+    tracking: 'Tracking',
+    expectedAt: 'Expected on %{date}',
+  },
+  settings: {
+    logoutTitle: 'Sign out',
+    logoutMessage: 'Are you sure you want to sign out?',
+    navigate: 'Navigate',
+    profile: 'My details',
+    orders: 'My orders',
+    catalogTabs: 'Catalog tabs',
+    language: 'Language',
+    currency: 'Currency',
+    appearance: 'Appearance',
+    notifications: 'Notifications',
+    terms: 'Terms of use',
+    logout: 'Sign out',
+  },
+  language: {
+    automatic: 'Automatic',
+    automaticHint: 'Follows the device language (%{language})',
+    hint: 'The change applies to the whole app right away.',
+  },
+  currency: {
+    names: {
+      BRL: 'Brazilian real',
+      USD: 'US dollar',
+      EUR: 'Euro',
+    },
+    hint: 'Prices are converted from US dollars using a reference exchange rate.',
+  },
+  theme: {
+    modes: {
+      system: 'System',
+      light: 'Light',
+      dark: 'Dark',
+    },
+  },
+  connectivity: {
+    reconnected: 'Back online. Updating data...',
+    offline: 'No connection. Showing saved data.',
+  },
+  notFound: {
+    title: 'We couldn\'t find this page',
+    message: 'The link you opened doesn\'t lead to any page in the catalog.',
+    backHome: 'Back to home',
+  },
+  a11y: {
+    productCard: '%{title}, %{price}, was %{originalPrice}',
+    productCardNoDiscount: '%{title}, %{price}',
+    productCardHint: 'Opens the product details',
+    priceWithDiscount: '%{price}, was %{originalPrice}',
+    rating: 'Rated %{rating} out of 5',
+    addFavorite: 'Add to favorites',
+    removeFavorite: 'Remove from favorites',
+    share: 'Share product',
+    galleryImage: 'Image %{index} of %{total}',
+    galleryImageHint: 'Opens the image in full screen',
+    showImage: 'Show image %{index} of %{total}',
+    fieldError: '%{field}: %{error}',
+    formErrors: {
+      one: '1 field needs fixing',
+      other: '%{count} fields need fixing',
+    },
+    showPassword: 'Show password',
+    hidePassword: 'Hide password',
+    checkoutStep: 'Step %{step} of %{total}: %{name}',
+    editSection: 'Edit %{section}',
+    filtersActive: {
+      one: 'Filters, 1 active',
+      other: 'Filters, %{count} active',
+    },
+    filtersHint: 'Opens filters and sorting',
+    removeFilter: 'Remove filter %{filter}',
+    retryCategory: 'Try loading %{category} again',
+    close: 'Close',
+    back: 'Back',
+    removeFromCart: 'Remove %{title} from cart',
+    quantity: 'Quantity of %{title}',
+    cartTab: {
+      zero: 'Cart',
+      one: 'Cart, 1 item',
+      other: 'Cart, %{count} items',
+    },
+    clearSearch: 'Clear search',
+    searchResults: {
+      zero: 'No products found for "%{query}"',
+      one: '1 product found for "%{query}"',
+      other: '%{count} products found for "%{query}"',
+    },
+    recentSearchHint: 'Searches for this term again',
+    removeRecentSearch: 'Remove recent search',
+    moveTabUp: 'Move %{tab} up',
+    moveTabDown: 'Move %{tab} down',
+    hideTab: 'Hide %{tab}',
+    showTab: 'Show %{tab}',
+  },
+};
@@ -0,0 +1,445 @@
+// src/i18n/locales/es.js
+
+/**
+ * @constant es
+ * @description Textos do app em espanhol.
+ * Mesma estrutura de chaves do catálogo em português (`pt-BR.js`).
+ */
+export default {
+  common: {
+    retry: 'Intentar de nuevo',
+    reload: 'Recargar',
+    cancel: 'Cancelar',
+    yes: 'Sí',
+    error: 'Error',
+  },
+  app: {
+    name: 'Catálogo',
+  },
+  navigation: {
+    home: 'Inicio',
+    favorites: 'Favoritos',
+    cart: 'Carrito',
+    settings: 'Configuración',
+    orderConfirmation: 'Pedido confirmado',
+    productDetails: 'Detalles del Producto',
+    orderDetails: 'Detalles del pedido',
+    notFound: 'Página no encontrada',
+  },
+  errors: {
+    categories: 'No se pudieron cargar las categorías. Inténtalo de nuevo más tarde.',
+    products: 'No se pudieron cargar los productos. Inténtalo de nuevo más tarde.',
+    search: 'No se pudo realizar la búsqueda. Inténtalo de nuevo más tarde.',
+    productUnavailable: 'Este producto ya no está disponible.',
+    productDetails: 'No se pudieron cargar los detalles del producto. Inténtalo de nuevo más tarde.',
+    submitOrder: 'No se pudo completar el pedido. Tu carrito se mantuvo; inténtalo de nuevo.',
+    orders: 'No se pudieron cargar tus pedidos. Inténtalo de nuevo más tarde.',
+    invalidCredentials: 'Usuario o contraseña incorrectos.',
+    login: 'Ocurrió un error al iniciar sesión. Inténtalo de nuevo más tarde.',
+    emailTaken: 'Este correo ya está registrado.',
+    register: 'No se pudo crear la cuenta. Inténtalo de nuevo más tarde.',
+    accountNotFound: 'No encontramos una cuenta con este correo.',
+    resendCooldown: {
+      one: 'Espera 1 segundo para pedir un código nuevo.',
+      other: 'Espera %{count} segundos para pedir un código nuevo.',
+    },
+    resetCodeInvalid: {
+      one: 'Código incorrecto. Queda 1 intento.',
+      other: 'Código incorrecto. Quedan %{count} intentos.',
+    },
+    resetCodeExpired: 'Este código caducó. Pide uno nuevo.',
+    resetCodeLocked: 'Demasiados intentos incorrectos. Pide un código nuevo.',
+  },
+  validation: {
+    zipCode: 'Ingresa un código postal (CEP) válido de 8 dígitos.',
+    required: 'Campo obligatorio',
+    state: 'Usa la sigla del estado (ej.: SP).',
+    cardNumber: 'Número de tarjeta inválido.',
+    expiryFormat: 'Usa el formato MM/AA.',
+    cardExpired: 'Tarjeta vencida.',
+    cvv: 'CVV inválido.',
+    email: 'Introduce un correo válido.',
+    passwordTooShort: 'La contraseña debe tener al menos %{count} caracteres.',
+    passwordWeak: 'Usa letras y números en la contraseña.',
+    passwordMismatch: 'Las contraseñas no coinciden.',
+    resetCode: 'Introduce los %{count} dígitos del código.',
+    minLength: 'Usa al menos %{count} caracteres.',
+    pattern: 'Formato no válido.',
+    match: 'Los valores no coinciden.',
+  },
+  login: {
+    attentionTitle: 'Atención',
+    checkFields: 'Por favor, corrige los campos resaltados.',
+    welcome: '¡Bienvenido de nuevo!',
+    subtitle: 'Ingresa tus datos para entrar en tu cuenta.',
+    formTitle: 'Accede a tu cuenta',
+    usernamePlaceholder: 'Email o usuario',
+    passwordPlaceholder: 'Contraseña',
+    forgotPassword: '¿Olvidaste tu contraseña?',
+    submit: 'Entrar',
+    noAccount: '¿No tienes cuenta?',
+    createAccount: 'Crear cuenta',
+    passwordResetNotice: '¡Contraseña cambiada! Inicia sesión con la nueva contraseña.',
+  },
+  register: {
+    title: 'Crear cuenta',
+    subtitle: 'Completa tus datos para empezar a comprar.',
+    name: 'Nombre completo',
+    email: 'Correo electrónico',
+    password: 'Contraseña',
+    confirmPassword: 'Confirmar contraseña',
+    submit: 'Crear cuenta',
+    haveAccount: '¿Ya tienes cuenta?',
+    signIn: 'Iniciar sesión',
+  },
+  forgotPassword: {
+    title: 'Recuperar contraseña',
+    subtitle: 'Introduce el correo de tu cuenta para recibir un código de verificación.',
+    email: 'Correo electrónico',
+    sendCode: 'Enviar código',
+    codeTitle: 'Verificar código',
+    codeSubtitle: 'Introduce el código de %{count} dígitos enviado a %{email}.',
+    code: 'Código de verificación',
+    demoCode: 'Demostración: el código enviado es %{code}.',
+    verify: 'Verificar',
+    resend: 'Reenviar código',
+    resendIn: 'Reenviar código en %{count} s',
+    codeResent: 'Te enviamos un código nuevo.',
+    newPasswordTitle: 'Nueva contraseña',
+    newPasswordSubtitle: 'Crea una nueva contraseña para %{email}.',
+    newPassword: 'Nueva contraseña',
+    confirmPassword: 'Confirmar nueva contraseña',
+    save: 'Guardar nueva contraseña',
+  },
+  passwordStrength: {
+    label: 'Seguridad de la contraseña: %{level}',
+    weak: 'Débil',
+    fair: 'Aceptable',
+    good: 'Buena',
+    strong: 'Fuerte',
+    hint: 'Usa %{count} o más caracteres, con mayúsculas y minúsculas, números y símbolos.',
+  },
+  catalog: {
+    groups: {
+      masculino: 'Productos Masculinos',
+      feminino: 'Productos Femeninos',
+      eletronicos: 'Electrónica',
+      beleza: 'Belleza',
+      casa: 'Hogar y Decoración',
+      esportes: 'Deportes y Accesorios',
+      veiculos: 'Vehículos',
+      mercado: 'Supermercado',
+      outros: 'Otros',
+    },
+  },
+  catalogTabs: {
+    visible: 'Pestañas visibles',
+    hidden: 'Pestañas disponibles',
+    allVisible: 'Todas las pestañas ya están visibles.',
+    reset: 'Restaurar pestañas predeterminadas',
+  },
+  productList: {
+    cacheNotice: 'Mostrando datos guardados · última actualización: %{date}',
+    categoriesProgress: 'Cargando categorías: %{loaded} de %{total}',
+    loading: 'Cargando productos...',
+    categoriesCount: {
+      one: '%{loaded} de %{count} categoría',
+      other: '%{loaded} de %{count} categorías',
+    },
+    empty: 'No se encontraron productos en esta categoría.',
+    noFilterMatch: 'Ningún producto coincide con los filtros elegidos.',
+    selectProduct: 'Toca un producto para ver sus detalles aquí.',
+  },
+  filters: {
+    title: 'Filtros',
+    sheetTitle: 'Filtrar y ordenar',
+    sortBy: 'Ordenar por',
+    price: 'Precio (con descuento)',
+    minPrice: 'Mínimo',
+    priceSeparator: 'a',
+    maxPrice: 'Máximo',
+    minRating: 'Calificación mínima',
+    anyRating: 'Cualquiera',
+    brands: 'Marcas',
+    onlyDiscounted: 'Solo productos con descuento',
+    clear: 'Limpiar',
+    apply: 'Aplicar',
+    clearAll: 'Limpiar filtros',
+    chips: {
+      priceRange: '%{min} a %{max}',
+      priceFrom: 'Desde %{min}',
+      priceUpTo: 'Hasta %{max}',
+      minRating: '%{rating}★ o más',
+      discounted: 'Con descuento',
+    },
+    sort: {
+      relevance: 'Relevancia',
+      priceAsc: 'Menor precio',
+      priceDesc: 'Mayor precio',
+      ratingDesc: 'Mejor calificación',
+      discountDesc: 'Mayor descuento',
+      nameAsc: 'Nombre (A-Z)',
+    },
+  },
+  search: {
+    hint: 'Busca productos por nombre.',
+    recent: 'Búsquedas recientes',
+    clearRecent: 'Limpiar',
+    noResults: 'No se encontraron productos para "%{query}".',
+    noResultsHint: 'Revisa la ortografía o prueba términos más generales.',
+    placeholder: 'Buscar productos',
+  },
+  product: {
+    unavailable: 'No disponible',
+  },
+  productDetails: {
+    related: 'También te puede gustar',
+    shareText: '%{title} por %{price}',
+    notFound: 'Este producto no existe o ya no está disponible en el catálogo.',
+    loading: 'Cargando detalles...',
+    missing: 'No se encontraron los detalles del producto.',
+    specs: {
+      brand: 'Marca',
+      category: 'Categoría',
+      stock: 'Existencias',
+      soldOut: 'Agotado',
+      units: {
+        one: '%{count} unidad',
+        other: '%{count} unidades',
+      },
+      rating: 'Calificación',
+      dimensions: 'Dimensiones (An x Al x P)',
+      weight: 'Peso',
+    },
+    policies: {
+      shipping: 'Envío',
+      warranty: 'Garantía',
+      returns: 'Devolución',
+    },
+    addedTitle: 'Carrito',
+    addedMessage: '%{title} se agregó al carrito.',
+    keepShopping: 'Seguir comprando',
+    viewCart: 'Ver carrito',
+    refreshing: 'Actualizando detalles...',
+    refreshFailed: 'No se pudieron actualizar los detalles de este producto.',
+    cacheNotice: 'Datos guardados · última actualización: %{date}',
+    specsTitle: 'Especificaciones',
+    policiesTitle: 'Envío, garantía y devolución',
+    ratingsTitle: 'Calificaciones',
+    comments: 'Comentarios',
+    soldOut: 'Producto agotado',
+    addToCart: 'Agregar al carrito',
+  },
+  reviews: {
+    count: {
+      one: '1 reseña',
+      other: '%{count} reseñas',
+    },
+    sort: {
+      newest: 'Más recientes',
+      highest: 'Mejor calificación',
+    },
+  },
+  favorites: {
+    title: 'Favoritos',
+    empty: 'Todavía no tienes favoritos.',
+    emptyHint: 'Toca el corazón de un producto para guardarlo aquí.',
+  },
+  cart: {
+    lineTotal: 'Total: %{total}',
+    title: 'Mi carrito',
+    clear: 'Vaciar',
+    clearTitle: 'Vaciar carrito',
+    clearMessage: '¿Quieres quitar todos los artículos del carrito?',
+    empty: 'Tu carrito está vacío.',
+    browse: 'Ver productos',
+    subtotalItems: {
+      one: 'Subtotal (%{count} artículo)',
+      other: 'Subtotal (%{count} artículos)',
+    },
+    discounts: 'Descuentos',
+    total: 'Total',
+    checkout: 'Finalizar compra',
+  },
+  checkout: {
+    continue: 'Continuar',
+    free: 'Gratis',
+    address: {
+      title: 'Dirección de entrega',
+      zipCode: 'Código postal (CEP)',
+      street: 'Calle',
+      number: 'Número',
+      complement: 'Complemento',
+      optional: 'Opcional',
+      district: 'Barrio',
+      city: 'Ciudad',
+      state: 'Estado',
+    },
+    shipping: {
+      title: '¿Cómo quieres recibirlo?',
+      required: 'Elige una opción de entrega para continuar.',
+      businessDays: {
+        one: '%{count} día hábil',
+        other: '%{count} días hábiles',
+      },
+      businessDaysRange: '%{min} a %{max} días hábiles',
+    },
+    payment: {
+      title: 'Forma de pago',
+      required: 'Elige una forma de pago para continuar.',
+      cardNumber: 'Número de la tarjeta',
+      cardHolder: 'Nombre impreso en la tarjeta',
+      expiry: 'Vencimiento',
+      expiryPlaceholder: 'MM/AA',
+      cvv: 'CVV',
+      review: 'Revisar pedido',
+      cardEnding: 'terminada en %{last4}',
+    },
+    subtotal: 'Subtotal',
+    shippingFee: 'Envío',
+    shippingFeeWithOption: 'Envío (%{option})',
+    review: {
+      edit: 'Cambiar',
+      empty: 'No hay ningún pedido para revisar.',
+      backToCart: 'Volver al carrito',
+      items: 'Artículos',
+      shipping: 'Entrega',
+      payment: 'Pago',
+      summary: 'Resumen',
+      confirm: 'Confirmar pedido',
+    },
+    shippingOptions: {
+      standard: 'Entrega estándar',
+      express: 'Entrega exprés',
+      pickup: 'Retiro en tienda',
+    },
+    paymentMethods: {
+      'credit-card': 'Tarjeta de crédito',
+      pix: 'Pix',
+      boleto: 'Boleto bancario',
+    },
+    steps: {
+      address: 'Dirección',
+      shipping: 'Entrega',
+      payment: 'Pago',
+      review: 'Revisión',
+    },
+  },
+  address: {
+    zipCodeLine: 'CP %{zipCode}',
+  },
+  orders: {
+    status: {
+      placed: 'Pedido realizado',
+      paid: 'Pago aprobado',
+      shipped: 'En camino',
+      delivered: 'Entregado',
+    },
+    confirmed: '¡Pedido confirmado!',
+    number: 'Pedido n.º %{number}',
+    totalPaid: 'Total pagado',
+    itemCount: {
+      one: '%{count} artículo',
+      other: '%{count} artículos',
+    },
+    loading: 'Cargando pedidos...',
+    empty: 'Todavía no has hecho ningún pedido.',
+    notFound: 'Pedido no encontrado.',
+    placedAt: 'Realizado el %{date}',
+    tracking: 'Seguimiento',
+    expectedAt: 'Previsto para el %{date}',
+  },
+  settings: {
+    logoutTitle: 'Salir',
+    logoutMessage: '¿Seguro que quieres salir?',
+    navigate: 'Navegar',
+    profile: 'Mis datos',
+    orders: 'Mis pedidos',
+    catalogTabs: 'Pestañas del catálogo',
+    language: 'Idioma',
+    currency: 'Moneda',
+    appearance: 'Apariencia',
+    notifications: 'Notificaciones',
+    terms: 'Términos de uso',
+    logout: 'Cerrar sesión',
+  },
+  language: {
+    automatic: 'Automático',
+    automaticHint: 'Sigue el idioma del dispositivo (%{language})',
+    hint: 'El cambio se aplica al instante en toda la app.',
+  },
+  currency: {
+    names: {
+      BRL: 'Real brasileño',
+      USD: 'Dólar estadounidense',
+      EUR: 'Euro',
+    },
+    hint: 'Los precios se convierten desde dólares estadounidenses con un tipo de cambio de referencia.',
+  },
+  theme: {
+    modes: {
+      system: 'Sistema',
+      light: 'Claro',
+      dark: 'Oscuro',
+    },
+  },
+  connectivity: {
+    reconnected: 'Conexión restablecida. Actualizando datos...',
+    offline: 'Sin conexión. Mostrando datos guardados.',
+  },
+  notFound: {
+    title: 'No encontramos esta página',
+    message: 'El enlace que abriste no lleva a ninguna página del catálogo.',
+    backHome: 'Volver al inicio',
+  },
+  a11y: {
+    productCard: '%{title}, %{price}, antes %{originalPrice}',
+    productCardNoDiscount: '%{title}, %{price}',
+    productCardHint: 'Abre los detalles del producto',
+    priceWithDiscount: '%{price}, antes %{originalPrice}',
+    rating: 'Calificación %{rating} de 5',
+    addFavorite: 'Agregar a favoritos',
+    removeFavorite: 'Quitar de favoritos',
+    share: 'Compartir producto',
+    galleryImage: 'Imagen %{index} de %{total}',
+    galleryImageHint: 'Abre la imagen en pantalla completa',
+    showImage: 'Mostrar imagen %{index} de %{total}',
+    fieldError: '%{field}: %{error}',
+    formErrors: {
+      one: '1 campo debe corregirse',
+      other: '%{count} campos deben corregirse',
+    },
+    showPassword: 'Mostrar contraseña',
+    hidePassword: 'Ocultar contraseña',
+    checkoutStep: 'Paso %{step} de %{total}: %{name}',
+    editSection: 'Cambiar %{section}',
+    filtersActive: {
+      one: 'Filtros, 1 activo',
+      other: 'Filtros, %{count} activos',
+    },
+    filtersHint: 'Abre los filtros y el orden',
+    removeFilter: 'Quitar filtro %{filter}',
+    retryCategory: 'Intentar cargar %{category} de nuevo',
+    close: 'Cerrar',
+    back: 'Volver',
+    removeFromCart: 'Quitar %{title} del carrito',
+    quantity: 'Cantidad de %{title}',
+    cartTab: {
+      zero: 'Carrito',
+      one: 'Carrito, 1 artículo',
+      other: 'Carrito, %{count} artículos',
+    },
+    clearSearch: 'Borrar búsqueda',
+    searchResults: {
+      zero: 'Ningún producto encontrado para "%{query}"',
+      one: '1 producto encontrado para "%{query}"',
+      other: '%{count} productos encontrados para "%{query}"',
+    },
+    recentSearchHint: 'Busca este término de nuevo',
+    removeRecentSearch: 'Quitar búsqueda reciente',
+    moveTabUp: 'Mover %{tab} hacia arriba',
+    moveTabDown: 'Mover %{tab} hacia abajo',
+    hideTab: 'Ocultar %{tab}',
+    showTab: 'Mostrar %{tab}',
+  },
+};
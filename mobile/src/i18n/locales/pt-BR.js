@@ -0,0 +1,446 @@
+// src/i18n/locales/pt-BR.js
+
+/**
+ * @constant ptBR
+ * @description Textos do app em Português (Brasil). É o idioma padrão: chaves ausentes nos outros idiomas caem aqui.
+ * Chaves agrupadas por tela/área; `%{nome}` é substituído pelos valores passados a `t`
+ * e as chaves `one`/`other` são escolhidas pela opção `count`.
+ */
+export default {
+  common: {
+    retry: 'Tentar novamente',
+    reload: 'Recarregar',
+    cancel: 'Cancelar',
+    yes: 'Sim',
+    error: 'Erro',
+  },
+  app: {
+    name: 'Catálogo',
+  },
+  navigation: {
+    home: 'Início',
+    favorites: 'Favoritos',
+    cart: 'Carrinho',
+    settings: 'Configurações',
+    orderConfirmation: 'Pedido confirmado',
+    productDetails: 'Detalhes do Produto',
+    orderDetails: 'Detalhes do pedido',
+    notFound: 'Página não encontrada',
+  },
+  errors: {
+    categories: 'Não foi possível carregar as categorias. Tente novamente mais tarde.',
+    products: 'Não foi possível carregar os produtos. Tente novamente mais tarde.',
+    search: 'Não foi possível realizar a busca. Tente novamente mais tarde.',
+    productUnavailable: 'Este produto não está mais disponível.',
+    productDetails: 'Não foi possível carregar os detalhes do produto. Tente novamente mais tarde.',
+    submitOrder: 'Não foi possível concluir o pedido. Seu carrinho foi mantido; tente novamente.',
+    orders: 'Não foi possível carregar seus pedidos. Tente novamente mais tarde.',
+    invalidCredentials: 'Usuário ou senha inválidos.',
+    login: 'Ocorreu um erro ao tentar fazer login. Tente novamente mais tarde.',
+    emailTaken: 'Este e-mail já está cadastrado.',
+    register: 'Não foi possível criar a conta. Tente novamente mais tarde.',
+    accountNotFound: 'Não encontramos uma conta com este e-mail.',
+    resendCooldown: {
+      one: 'Aguarde 1 segundo para pedir um novo código.',
+      other: 'Aguarde %{count} segundos para pedir um novo código.',
+    },
+    resetCodeInvalid: {
+      one: 'Código incorreto. Resta 1 tentativa.',
+      other: 'Código incorreto. Restam %{count} tentativas.',
+    },
+    resetCodeExpired: 'Este código expirou. Peça um novo.',
+    resetCodeLocked: 'Muitas tentativas incorretas. Peça um novo código.',
+  },
+  validation: {
+    zipCode: 'Informe um CEP válido com 8 dígitos.',
+    required: 'Campo Obrigatório',
+    state: 'Use a sigla do estado (ex: SP).',
+    cardNumber: 'Número de cartão inválido.',
+    expiryFormat: 'Use o formato MM/AA.',
+    cardExpired: 'Cartão vencido.',
+    cvv: 'CVV inválido.',
+    email: 'Informe um e-mail válido.',
+    passwordTooShort: 'A senha precisa ter pelo menos %{count} caracteres.',
+    passwordWeak: 'Use letras e números na senha.',
+    passwordMismatch: 'As senhas não coincidem.',
+    resetCode: 'Digite os %{count} dígitos do código.',
+    minLength: 'Use pelo menos %{count} caracteres.',
+    pattern: 'Formato inválido.',
+    match: 'Os valores não coincidem.',
+  },
+  login: {
+    attentionTitle: 'Atenção',
+    checkFields: 'Por favor, corrija os campos destacados.',
+    welcome: 'Bem-vindo de volta!',
+    subtitle: 'Insira seus dados para entrar na conta.',
+    formTitle: 'Acesse sua conta',
+    usernamePlaceholder: 'Email ou Usuário',
+    passwordPlaceholder: 'Senha',
+    forgotPassword: 'Esqueceu a senha?',
+    submit: 'Entrar',
+    noAccount: 'Não tem conta?',
+    createAccount: 'Criar conta',
+    passwordResetNotice: 'Senha alterada! Entre com a nova senha.',
+  },
+  register: {
+    title: 'Criar conta',
+    subtitle: 'Preencha seus dados para começar a comprar.',
+    name: 'Nome completo',
+    email: 'E-mail',
+    password: 'Senha',
+    confirmPassword: 'Confirmar senha',
+    submit: 'Criar conta',
+    haveAccount: 'Já tem conta?',
+    signIn: 'Entrar',
+  },
+  forgotPassword: {
+    title: 'Recuperar senha',
+    subtitle: 'Informe o e-mail da sua conta para receber um código de verificação.',
+    email: 'E-mail',
+    sendCode: 'Enviar código',
+    codeTitle: 'Verificar código',
+    codeSubtitle: 'Digite o código de %{count} dígitos enviado para %{email}.',
+    code: 'Código de verificação',
+    demoCode: 'Demonstração: o código enviado é %{code}.',
+    verify: 'Verificar',
+    resend: 'Reenviar código',
+    resendIn: 'Reenviar código em %{count}s',
+    codeResent: 'Enviamos um novo código.',
+    newPasswordTitle: 'Nova senha',
+    newPasswordSubtitle: 'Crie uma nova senha para %{email}.',
+    newPassword: 'Nova senha',
+    confirmPassword: 'Confirmar nova senha',
+    save: 'Salvar nova senha',
+  },
+  passwordStrength: {
+    label: 'Força da senha: %{level}',
+    weak: 'Fraca',
+    fair: 'Razoável',
+    good: 'Boa',
+    strong: 'Forte',
+    hint: 'Use %{count} ou mais caracteres, com letras maiúsculas e minúsculas, números e símbolos.',
+  },
+  catalog: {
+    groups: {
+      masculino: 'Produtos Masculinos',
+      feminino: 'Produtos Femininos',
+      eletronicos: 'Eletrônicos',
+      beleza: 'Beleza',
+      casa: 'Casa e Decoração',
+      esportes: 'Esportes e Acessórios',
+      veiculos: 'Veículos',
+      mercado: 'Mercado',
+      outros: 'Outros',
+    },
+  },
+  catalogTabs: {
+    visible: 'Abas exibidas',
+    hidden: 'Abas disponíveis',
+    allVisible: 'Todas as abas já estão sendo exibidas.',
+    reset: 'Restaurar abas padrão',
+  },
+  productList: {
+    cacheNotice: 'Exibindo dados salvos · última atualização: %{date}',
+    categoriesProgress: 'Carregando categorias: %{loaded} de %{total}',
+    loading: 'Carregando produtos...',
+    categoriesCount: {
+      one: '%{loaded} de %{count} categoria',
+      other: '%{loaded} de %{count} categorias',
+    },
+    empty: 'Nenhum produto encontrado nesta categoria.',
+    noFilterMatch: 'Nenhum produto corresponde aos filtros escolhidos.',
+    selectProduct: 'Toque em um produto para ver os detalhes aqui.',
+  },
+  filters: {
+    title: 'Filtros',
+    sheetTitle: 'Filtrar e ordenar',
+    sortBy: 'Ordenar por',
+    price: 'Preço (com desconto)',
+    minPrice: 'Mínimo',
+    priceSeparator: 'até',
+    maxPrice: 'Máximo',
+    minRating: 'Avaliação mínima',
+    anyRating: 'Qualquer',
+    brands: 'Marcas',
+    onlyDiscounted: 'Somente produtos com desconto',
+    clear: 'Limpar',
+    apply: 'Aplicar',
+    clearAll: 'Limpar filtros',
+    chips: {
+      priceRange: '%{min} a %{max}',
+      priceFrom: 'A partir de %{min}',
+      priceUpTo: 'Até %{max}',
+      minRating: '%{rating}★ ou mais',
+      discounted: 'Com desconto',
+    },
+    sort: {
+      relevance: 'Relevância',
+      priceAsc: 'Menor preço',
+      priceDesc: 'Maior preço',
+      ratingDesc: 'Melhor avaliação',
+      discountDesc: 'Maior desconto',
+      nameAsc: 'Nome (A-Z)',
+    },
+  },
+  search: {
+    hint: 'Busque produtos pelo nome.',
+    recent: 'Buscas recentes',
+    clearRecent: 'Limpar',
+    noResults: 'Nenhum produto encontrado para "%{query}".',
+    noResultsHint: 'Confira a ortografia ou tente termos mais genéricos.',
+    placeholder: 'Buscar produtos',
+  },
+  product: {
+    unavailable: 'Indisponível',
+  },
+  productDetails: {
+    related: 'Você também pode gostar',
+    shareText: '%{title} por %{price}',
+    notFound: 'Este produto não existe ou não está mais disponível no catálogo.',
+    loading: 'Carregando detalhes...',
+    missing: 'Detalhes do produto não encontrados.',
+    specs: {
+      brand: 'Marca',
+      category: 'Categoria',
+      stock: 'Estoque',
+      soldOut: 'Esgotado',
+      units: {
+        one: '%{count} unidade',
+        other: '%{count} unidades',
+      },
+      rating: 'Avaliação',
+      dimensions: 'Dimensões (L x A x P)',
+      weight: 'Peso',
+    },
+    policies: {
+      shipping: 'Entrega',
+      warranty: 'Garantia',
+      returns: 'Devolução',
+    },
+    addedTitle: 'Carrinho',
+    addedMessage: '%{title} foi adicionado ao carrinho.',
+    keepShopping: 'Continuar comprando',
+    viewCart: 'Ver carrinho',
+    refreshing: 'Atualizando detalhes...',
+    refreshFailed: 'Não foi possível atualizar os detalhes deste produto.',
+    cacheNotice: 'Dados salvos · última atualização: %{date}',
+    specsTitle: 'Especificações',
+    policiesTitle: 'Entrega, garantia e devolução',
+    ratingsTitle: 'Avaliações',
+    comments: 'Comentários',
+    soldOut: 'Produto esgotado',
+    addToCart: 'Adicionar ao carrinho',
+  },
+  reviews: {
+    count: {
+      one: '1 avaliação',
+      other: '%{count} avaliações',
+    },
+    sort: {
+      newest: 'Mais recentes',
+      highest: 'Maior nota',
+    },
+  },
+  favorites: {
+    title: 'Favoritos',
+    empty: 'Você ainda não tem favoritos.',
+    emptyHint: 'Toque no coração de um produto para salvá-lo aqui.',
+  },
+  cart: {
+    lineTotal: 'Total: %{total}',
+    title: 'Meu carrinho',
+    clear: 'Esvaziar',
+    clearTitle: 'Esvaziar carrinho',
+    clearMessage: 'Deseja remover todos os itens do carrinho?',
+    empty: 'Seu carrinho está vazio.',
+    browse: 'Ver produtos',
+    subtotalItems: {
+      one: 'Subtotal (%{count} item)',
+      other: 'Subtotal (%{count} itens)',
+    },
+    discounts: 'Descontos',
+    total: 'Total',
+    checkout: 'Finalizar compra',
+  },
+  checkout: {
+    continue: 'Continuar',
+    free: 'Grátis',
+    address: {
+      title: 'Endereço de entrega',
+      zipCode: 'CEP',
+      street: 'Rua',
+      number: 'Número',
+      complement: 'Complemento',
+      optional: 'Opcional',
+      district: 'Bairro',
+      city: 'Cidade',
+      state: 'UF',
+    },
+    shipping: {
+      title: 'Como você quer receber?',
+      required: 'Escolha uma opção de entrega para continuar.',
+      businessDays: {
+        one: '%{count} dia útil',
+        other: '%{count} dias úteis',
+      },
+      businessDaysRange: '%{min} a %{max} dias úteis',
+    },
+    payment: {
+      title: 'Forma de pagamento',
+      required: 'Escolha uma forma de pagamento para continuar.',
+      cardNumber: 'Número do cartão',
+      cardHolder: 'Nome impresso no cartão',
+      expiry: 'Validade',
+      expiryPlaceholder: 'MM/AA',
+      cvv: 'CVV',
+      review: 'Revisar pedido',
+      cardEnding: 'final %{last4}',
+    },
+    subtotal: 'Subtotal',
+    shippingFee: 'Frete',
+    shippingFeeWithOption: 'Frete (%{option})',
+    review: {
+      edit: 'Alterar',
+      empty: 'Não há um pedido para revisar.',
+      backToCart: 'Voltar ao carrinho',
+      items: 'Itens',
+      shipping: 'Entrega',
+      payment: 'Pagamento',
+      summary: 'Resumo',
+      confirm: 'Confirmar pedido',
+    },
+    shippingOptions: {
+      standard: 'Entrega padrão',
+      express: 'Entrega expressa',
+      pickup: 'Retirar na loja',
+    },
+    paymentMethods: {
+      'credit-card': 'Cartão de crédito',
+      pix: 'Pix',
+      boleto: 'Boleto bancário',
+    },
+    steps: {
+      address: 'Endereço',
+      shipping: 'Entrega',
+      payment: 'Pagamento',
+      review: 'Revisão',
+    },
+  },
+  address: {
+    zipCodeLine: 'CEP %{zipCode}',
+  },
+  orders: {
+    status: {
+      placed: 'Pedido realizado',
+      paid: 'Pagamento aprovado',
+      shipped: 'Em transporte',
+      delivered: 'Entregue',
+    },
+    confirmed: 'Pedido confirmado!',
+    number: 'Pedido nº %{number}',
+    totalPaid: 'Total pago',
+    itemCount: {
+      one: '%{count} item',
+      other: '%{count} itens',
+    },
+    loading: 'Carregando pedidos...',
+    empty: 'Você ainda não fez nenhum pedido.',
+    notFound: 'Pedido não encontrado.',
+    placedAt: 'Realizado em %{date}',
+    tracking: 'Acompanhamento',
+    expectedAt: 'Previsto para %{date}',
+  },
+  settings: {
+    logoutTitle: 'Sair',
+    logoutMessage: 'Tem certeza que deseja sair?',
+    navigate: 'Navegar',
+    profile: 'Meus dados',
+    orders: 'Meus pedidos',
+    catalogTabs: 'Abas do catálogo',
+    language: 'Idioma',
+    currency: 'Moeda',
+    appearance: 'Aparência',
+    notifications: 'Notificações',
+    terms: 'Termos de uso',
+    logout: 'Sair da conta',
+  },
+  language: {
+    automatic: 'Automático',
+    automaticHint: 'Segue o idioma do aparelho (%{language})',
+    hint: 'A troca vale na hora para todo o app.',
+  },
+  currency: {
+    names: {
+      BRL: 'Real brasileiro',
+      USD: 'Dólar americano',
+      EUR: 'Euro',
+    },
+    hint: 'Os preços são convertidos a partir de dólar americano com uma cotação de referência.',
+  },
+  theme: {
+    modes: {
+      system: 'Sistema',
+      light: 'Claro',
+      dark: 'Escuro',
+    },
+  },
+  connectivity: {
+    reconnected: 'Conexão restabelecida. Atualizando dados...',
+    offline: 'Sem conexão. Exibindo dados salvos.',
+  },
+  notFound: {
+    title: 'Não encontramos esta página',
+    message: 'O link que você abriu não leva a nenhuma página do catálogo.',
+    backHome: 'Voltar ao início',
+  },
+  a11y: {
+    productCard: '%{title}, %{price}, antes %{originalPrice}',
+    productCardNoDiscount: '%{title}, %{price}',
+    productCardHint: 'Abre os detalhes do produto',
+    priceWithDiscount: '%{price}, antes %{originalPrice}',
+    rating: 'Nota %{rating} de 5',
+    addFavorite: 'Adicionar aos favoritos',
+    removeFavorite: 'Remover dos favoritos',
+    share: 'Compartilhar produto',
+    galleryImage: 'Imagem %{index} de %{total}',
+    galleryImageHint: 'Abre a imagem em tela cheia',
+    showImage: 'Mostrar imagem %{index} de %{total}',
+    fieldError: '%{field}: %{error}',
+    formErrors: {
+      one: '1 campo precisa ser corrigido',
+      other: '%{count} campos precisam ser corrigidos',
+    },
+    showPassword: 'Mostrar senha',
+    hidePassword: 'Ocultar senha',
+    checkoutStep: 'Etapa %{step} de %{total}: %{name}',
+    editSection: 'Alterar %{section}',
+    filtersActive: {
+      one: 'Filtros, 1 ativo',
+      other: 'Filtros, %{count} ativos',
+    },
+    filtersHint: 'Abre os filtros e a ordenação',
+    removeFilter: 'Remover filtro %{filter}',
+    retryCategory: 'Tentar carregar %{category} novamente',
+    close: 'Fechar',
+    back: 'Voltar',
+    removeFromCart: 'Remover %{title} do carrinho',
+    quantity: 'Quantidade de %{title}',
+    cartTab: {
+      zero: 'Carrinho',
+      one: 'Carrinho, 1 item',
+      other: 'Carrinho, %{count} itens',
+    },
+    clearSearch: 'Limpar busca',
+    searchResults: {
+      zero: 'Nenhum produto encontrado para "%{query}"',
+      one: '1 produto encontrado para "%{query}"',
+      other: '%{count} produtos encontrados para "%{query}"',
+    },
+    recentSearchHint: 'Busca este termo novamente',
+    removeRecentSearch: 'Remover busca recente',
+    moveTabUp: 'Mover %{tab} para cima',
+    moveTabDown: 'Mover %{tab} para baixo',
+    hideTab: 'Ocultar %{tab}',
+    showTab: 'Mostrar %{tab}',
+  },
+};
@@ -1,31 +1,71 @@
 // src/navigation/AppNavigator.js
-import React from 'react';
+import React, { useEffect } from 'react';
+import { TouchableOpacity, View } from 'react-native';
 // Importa navegadores do React Navigation
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 
-// Importa hook do Redux para acessar o estado global
-import { useSelector } from 'react-redux';
+// Importa hooks do Redux para acessar o estado global e despachar ações
+import { useDispatch, useSelector } from 'react-redux';
+// Importa o thunk que restaura a sessão salva no dispositivo
+import { restoreSession } from '../store/authSlice';
+// Importa o seletor da quantidade de itens do carrinho (badge da aba)
+import { selectCartCount } from '../store/cartSlice';
+// Importa o thunk que restaura a ordem e a visibilidade das abas do catálogo
+import { restoreTabLayout } from '../store/catalogSlice';
+// Importa o thunk que restaura as preferências salvas (ex: idioma)
+import { restoreSettings } from '../store/settingsSlice';
+// Importa o hook que abre os links (deep links) guardados até o login
+import usePendingLink from '../hooks/usePendingLink';
+// Importa o hook de traduções (títulos das abas e dos cabeçalhos)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que indica se o usuário pediu para reduzir animações (transições entre telas)
+import useReduceMotion from '../hooks/useReduceMotion';
 
 // Importa ícones da biblioteca @expo/vector-icons (Ionicons para home/settings, MaterialIcons para outros usos potenciais)
 import { Ionicons, MaterialIcons } from '@expo/vector-icons';
 
 // Importa as telas do aplicativo
 import LoginScreen from '../screens/LoginScreen';
+import RegisterScreen from '../screens/RegisterScreen';
+import ForgotPasswordScreen from '../screens/ForgotPasswordScreen';
+import VerifyResetCodeScreen from '../screens/VerifyResetCodeScreen';
+import ResetPasswordScreen from '../screens/ResetPasswordScreen';
 import ProductListScreen from '../screens/ProductListScreen';
 import ProductDetailsScreen from '../screens/ProductDetailsScreen';
 import SettingsScreen from '../screens/SettingsScreen';
+import CartScreen from '../screens/CartScreen';
+import FavoritesScreen from '../screens/FavoritesScreen';
+import CheckoutAddressScreen from '../screens/CheckoutAddressScreen';
+import CheckoutShippingScreen from '../screens/CheckoutShippingScreen';
+import CheckoutPaymentScreen from '../screens/CheckoutPaymentScreen';
+import CheckoutReviewScreen from '../screens/CheckoutReviewScreen';
+import OrderConfirmationScreen from '../screens/OrderConfirmationScreen';
+import OrdersScreen from '../screens/OrdersScreen';
+import OrderDetailsScreen from '../screens/OrderDetailsScreen';
+import SearchScreen from '../screens/SearchScreen';
+import CatalogTabsScreen from '../screens/CatalogTabsScreen';
+import LanguageScreen from '../screens/LanguageScreen';
+import CurrencyScreen from '../screens/CurrencyScreen';
+import NotFoundScreen from '../screens/NotFoundScreen';
+import SplashScreen from '../screens/SplashScreen';
+
+// Importa a faixa de aviso de conexão exibida acima das abas principais
+import ConnectivityBanner from '../components/ConnectivityBanner';
 
 // Cria instâncias dos navegadores
 const AuthStack = createNativeStackNavigator();    // Navegador de pilha para o fluxo de autenticação
 const AppStack = createNativeStackNavigator();     // Navegador de pilha principal do aplicativo
 const BottomTab = createBottomTabNavigator();      // Navegador de abas inferiores
+const CheckoutStack = createNativeStackNavigator(); // Navegador de pilha com as etapas do checkout
 
 /**
  * @function AuthNavigator
  * @description Define o navegador de pilha para o fluxo de autenticação do aplicativo.
- * Contém a tela de Login e pode ser expandido para incluir outras telas de autenticação
- * (ex: Registro, Recuperação de Senha).
+ * Contém a tela de Login, a de cadastro (Registro) e as três etapas da recuperação de senha
+ * (e-mail, código de verificação e nova senha).
  */
 const AuthNavigator = () => (
   <AuthStack.Navigator 
@@ -35,30 +75,51 @@ const AuthNavigator = () => (
       name="Login"           // Nome da rota para a tela de Login
       component={LoginScreen} // Componente da tela de Login
     />
+    <AuthStack.Screen
+      name="Register"           // Nome da rota para a tela de cadastro
+      component={RegisterScreen} // Componente da tela de cadastro, aberta pelo link "Criar conta"
+    />
+    <AuthStack.Screen
+      name="ForgotPassword"           // Recuperação de senha, etapa 1: e-mail da conta
+      component={ForgotPasswordScreen} // Aberta pelo "Esqueceu a senha?" da LoginScreen
+    />
+    <AuthStack.Screen
+      name="VerifyResetCode"           // Etapa 2: código de 6 dígitos
+      component={VerifyResetCodeScreen}
+    />
+    <AuthStack.Screen
+      name="ResetPassword"           // Etapa 3: nova senha (volta para o Login ao salvar)
+      component={ResetPasswordScreen}
+    />
   </AuthStack.Navigator>
 );
 
 /**
  * @function MainTabsNavigator
  * @description Define o navegador de abas inferiores (Bottom Tab Navigator) para as telas principais
- * do aplicativo após o login. Ele organiza as telas de "Início" (lista de produtos)
- * e "Configurações" em uma barra de navegação persistente na parte inferior da tela.
+ * do aplicativo após o login. Ele organiza as telas de "Início" (lista de produtos), "Favoritos",
+ * "Carrinho" e "Configurações" em uma barra de navegação persistente na parte inferior da tela.
  */
 const MainTabsNavigator = () => {
+  // Quantidade de unidades no carrinho, exibida como badge na aba "Carrinho"
+  const cartCount = useSelector(selectCartCount);
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+
   return (
     <BottomTab.Navigator
       // screenOptions: Configurações globais para todas as abas dentro deste navegador
       screenOptions={({ route }) => ({
         // tabBarActiveTintColor: Cor do ícone e texto da aba ativa
-        tabBarActiveTintColor: '#2567e8', 
+        tabBarActiveTintColor: colors.primary, 
         // tabBarInactiveTintColor: Cor do ícone e texto da aba inativa
-        tabBarInactiveTintColor: '#888',
+        tabBarInactiveTintColor: colors.textMuted,
         // tabBarStyle: Estilos aplicados à barra de abas em si
         tabBarStyle: {
           height: 60,              // Altura fixa da barra de abas inferior
           paddingBottom: 0,        // Zera o padding inferior explícito (SafeAreaView lida com insets)
           paddingTop: 1,           // Pequeno padding superior para o conteúdo da aba
-          backgroundColor: '#fff', // Fundo branco da barra de abas
+          backgroundColor: colors.surface, // Fundo da barra de abas (cor de superfície do tema)
           borderTopWidth: 0,       // Remove a borda superior padrão (para evitar a "linha branca")
           elevation: 0,            // Remove a sombra de elevação no Android
           shadowOpacity: 0,        // Remove a opacidade da sombra no iOS
@@ -71,6 +132,9 @@ const MainTabsNavigator = () => {
           fontWeight: 'bold',      // Negrito
           marginTop: 2,            // Pequeno espaço entre o ícone e o texto
         },
+        // tabBarAllowFontScaling: Rótulos em tamanho fixo, como nas abas nativas do iOS (a barra tem altura fixa;
+        // o leitor de tela continua lendo o nome de cada aba)
+        tabBarAllowFontScaling: false,
         // tabBarIcon: Função para renderizar o ícone de cada aba dinamicamente
         tabBarIcon: ({ focused, color, size }) => {
           let iconName; // Variável para armazenar o nome do ícone
@@ -79,6 +143,12 @@ const MainTabsNavigator = () => {
           if (route.name === 'HomeTab') {
             iconName = focused ? 'home' : 'home-outline'; // Ícone de casa (preenchido/contorno)
             return <Ionicons name={iconName} size={size} color={color} />;
+          } else if (route.name === 'FavoritesTab') {
+            iconName = focused ? 'heart' : 'heart-outline'; // Ícone de coração (preenchido/contorno)
+            return <Ionicons name={iconName} size={size} color={color} />;
+          } else if (route.name === 'CartTab') {
+            iconName = focused ? 'cart' : 'cart-outline'; // Ícone de carrinho (preenchido/contorno)
+            return <Ionicons name={iconName} size={size} color={color} />;
           } else if (route.name === 'SettingsTab') {
             iconName = focused ? 'settings' : 'settings-outline'; // Ícone de configurações (preenchido/contorno)
             return <Ionicons name={iconName} size={size} color={color} />;
@@ -95,7 +165,27 @@ const MainTabsNavigator = () => {
         name="HomeTab"              // Nome interno da rota da aba (usado para navegação e ícone)
         component={ProductListScreen} // Componente da tela de lista de produtos
         options={{
-          title: 'Início',          // Título exibido na barra de abas
+          title: t('navigation.home'), // Título exibido na barra de abas
+        }}
+      />
+      {/* Aba "Favoritos": Exibe os produtos salvos pelo usuário */}
+      <BottomTab.Screen
+        name="FavoritesTab"         // Nome interno da rota da aba
+        component={FavoritesScreen} // Componente da tela de favoritos
+        options={{
+          title: t('navigation.favorites'), // Título exibido na barra de abas
+        }}
+      />
+      {/* Aba "Carrinho": Exibe os itens do carrinho, com badge da quantidade de itens */}
+      <BottomTab.Screen
+        name="CartTab"              // Nome interno da rota da aba
+        component={CartScreen}      // Componente da tela do carrinho
+        options={{
+          title: t('navigation.cart'), // Título exibido na barra de abas
+          // tabBarBadge: Exibe a quantidade de itens (oculto quando o carrinho está vazio)
+          tabBarBadge: cartCount > 0 ? cartCount : undefined,
+          // tabBarAccessibilityLabel: O leitor de tela lê a quantidade junto com o nome da aba
+          tabBarAccessibilityLabel: t('a11y.cartTab', { count: cartCount }),
         }}
       />
       {/* Aba "Configurações": Exibe as opções de configuração do aplicativo */}
@@ -103,50 +193,187 @@ const MainTabsNavigator = () => {
         name="SettingsTab"          // Nome interno da rota da aba
         component={SettingsScreen}  // Componente da tela de configurações
         options={{
-          title: 'Configurações',   // Título exibido na barra de abas
+          title: t('navigation.settings'), // Título exibido na barra de abas
         }}
       />
     </BottomTab.Navigator>
   );
 };
 
+/**
+ * @function MainTabsWithBanner
+ * @description Envolve o `MainTabsNavigator` com a faixa global de conexão, exibida acima das abas
+ * enquanto o aparelho está sem internet (e por alguns segundos quando ela volta).
+ * Por ficar montada durante toda a sessão, é também ela que abre os links recebidos (ver `usePendingLink`).
+ */
+const MainTabsWithBanner = () => {
+  usePendingLink();
+
+  return (
+    <View style={{ flex: 1 }}>
+      <ConnectivityBanner />
+      <MainTabsNavigator />
+    </View>
+  );
+};
+
+/**
+ * @function CheckoutNavigator
+ * @description Define a pilha com as etapas do checkout: endereço, entrega, pagamento, revisão e confirmação.
+ * Cada etapa tem o botão de voltar padrão; a primeira fecha o checkout e volta ao carrinho.
+ * A confirmação não permite voltar (a revisão é substituída por ela após o envio do pedido).
+ */
+const CheckoutNavigator = () => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const reduceMotion = useReduceMotion();
+
+  return (
+    <CheckoutStack.Navigator
+      screenOptions={{
+        headerTintColor: colors.primary,   // Cor do botão de voltar e ações do cabeçalho
+        headerTitleStyle: { color: colors.text },
+        animation: reduceMotion ? 'none' : 'default', // Sem transição com "reduzir movimento" ativo
+      }}
+    >
+      <CheckoutStack.Screen
+        name="CheckoutAddress"
+        component={CheckoutAddressScreen}
+        options={({ navigation }) => ({
+          title: t('checkout.steps.address'),
+          // A primeira etapa não tem tela anterior nesta pilha, então o botão fecha o checkout inteiro
+          headerLeft: () => (
+            <TouchableOpacity
+              onPress={() => navigation.getParent()?.goBack()}
+              hitSlop={10}
+              accessibilityRole="button"
+              accessibilityLabel={t('a11y.back')}
+            >
+              <Ionicons name="arrow-back" size={24} color={colors.primary} />
+            </TouchableOpacity>
+          ),
+        })}
+      />
+      <CheckoutStack.Screen name="CheckoutShipping" component={CheckoutShippingScreen} options={{ title: t('checkout.steps.shipping') }} />
+      <CheckoutStack.Screen name="CheckoutPayment" component={CheckoutPaymentScreen} options={{ title: t('checkout.steps.payment') }} />
+      <CheckoutStack.Screen name="CheckoutReview" component={CheckoutReviewScreen} options={{ title: t('checkout.steps.review') }} />
+      <CheckoutStack.Screen
+        name="OrderConfirmation"
+        component={OrderConfirmationScreen}
+        options={{
+          title: t('navigation.orderConfirmation'),
+          headerBackVisible: false, // Oculta o botão de voltar: o pedido já foi enviado
+          gestureEnabled: false,    // Impede o gesto de voltar no iOS
+        }}
+      />
+    </CheckoutStack.Navigator>
+  );
+};
+
 /**
  * @function MainAppNavigator
  * @description Define o navegador de pilha principal do aplicativo para o usuário logado.
- * Ele engloba o `MainTabsNavigator` (barra de abas inferior) e a `ProductDetailsScreen`.
+ * Ele engloba o `MainTabsNavigator` (barra de abas inferior), a `ProductDetailsScreen`, a busca, o `CheckoutNavigator`
+ * e as telas de histórico de pedidos e de abas do catálogo abertas a partir das Configurações.
  * A `ProductDetailsScreen` é mantida fora das abas para que a barra inferior desapareça
  * quando o usuário navega para os detalhes de um produto, proporcionando uma experiência
  * de tela cheia para os detalhes.
  */
-const MainAppNavigator = () => (
-  <AppStack.Navigator 
-    initialRouteName="MainTabs" // Define 'MainTabs' como a rota inicial ao entrar neste navegador
-  >
-    <AppStack.Screen
-      name="MainTabs"             // Rota para o navegador de abas (que contém Início e Configurações)
-      component={MainTabsNavigator} // Componente do navegador de abas
-      options={{ headerShown: false }} // Oculta o cabeçalho padrão para o navegador de abas
-    />
-    <AppStack.Screen
-      name="ProductDetails"         // Rota para a tela de detalhes do produto
-      component={ProductDetailsScreen} // Componente da tela de detalhes
-      options={({ route }) => ({ 
-        // Define o título do cabeçalho da tela de detalhes, usando o título do produto
-        title: route.params?.productTitle || 'Detalhes do Produto' 
-      })}
-    />
-  </AppStack.Navigator>
-);
+const MainAppNavigator = () => {
+  const { t } = useTranslation();
+  const reduceMotion = useReduceMotion();
+
+  return (
+    <AppStack.Navigator 
+      initialRouteName="MainTabs" // Define 'MainTabs' como a rota inicial ao entrar neste navegador
+      // Sem transição entre telas quando o usuário pediu para reduzir animações
+      screenOptions={{ animation: reduceMotion ? 'none' : 'default' }}
+    >
+      <AppStack.Screen
+        name="MainTabs"             // Rota para o navegador de abas (que contém Início e Configurações)
+        component={MainTabsWithBanner} // Componente do navegador de abas (com a faixa de conexão acima)
+        options={{ headerShown: false }} // Oculta o cabeçalho padrão para o navegador de abas
+      />
+      <AppStack.Screen
+        name="ProductDetails"         // Rota para a tela de detalhes do produto
+        component={ProductDetailsScreen} // Componente da tela de detalhes
+        options={({ route }) => ({ 
+          // Define o título do cabeçalho da tela de detalhes, usando o título do produto
+          title: route.params?.productTitle || t('navigation.productDetails'),
+        })}
+      />
+      <AppStack.Screen
+        name="Search"                 // Rota para a tela de busca de produtos
+        component={SearchScreen}
+        options={{ headerShown: false }} // A tela exibe a própria barra de busca no lugar do cabeçalho
+      />
+      <AppStack.Screen
+        name="Checkout"               // Rota para a pilha de etapas do checkout
+        component={CheckoutNavigator}
+        options={{ headerShown: false }} // Cada etapa exibe o cabeçalho da pilha interna
+      />
+      <AppStack.Screen
+        name="Orders"                 // Rota para a lista de pedidos ("Meus pedidos")
+        component={OrdersScreen}
+        options={{ title: t('settings.orders') }}
+      />
+      <AppStack.Screen
+        name="OrderDetails"           // Rota para os detalhes de um pedido
+        component={OrderDetailsScreen}
+        options={{ title: t('navigation.orderDetails') }}
+      />
+      <AppStack.Screen
+        name="CatalogTabs"            // Rota para a personalização das abas do Início
+        component={CatalogTabsScreen}
+        options={{ title: t('settings.catalogTabs') }}
+      />
+      <AppStack.Screen
+        name="Language"               // Rota para a escolha do idioma do app
+        component={LanguageScreen}
+        options={{ title: t('settings.language') }}
+      />
+      <AppStack.Screen
+        name="Currency"               // Rota para a escolha da moeda dos preços
+        component={CurrencyScreen}
+        options={{ title: t('settings.currency') }}
+      />
+      <AppStack.Screen
+        name="NotFound"               // Rota para links com caminhos desconhecidos
+        component={NotFoundScreen}
+        options={{ title: t('navigation.notFound') }}
+      />
+    </AppStack.Navigator>
+  );
+};
 
 /**
  * @function AppNavigator
  * @description O navegador raiz e principal do aplicativo. Ele decide qual fluxo de navegação
  * exibir com base no estado de autenticação do usuário (logado ou não logado).
  * Utiliza o estado `isLoggedIn` do Redux para fazer essa decisão.
+ * Na inicialização, restaura a sessão salva no dispositivo e exibe a SplashScreen até terminar.
  */
 const AppNavigator = () => {
+  const dispatch = useDispatch();
   // `useSelector` para obter o estado de login do Redux Store
   const isLoggedIn = useSelector((state) => state.auth.isLoggedIn);
+  // `isRestoring` fica verdadeiro enquanto a sessão salva ainda está sendo lida
+  const isRestoring = useSelector((state) => state.auth.isRestoring);
+  // As preferências (ex: idioma) são lidas junto com a sessão, para a primeira tela já sair no idioma certo
+  const isSettingsHydrated = useSelector((state) => state.settings.isHydrated);
+
+  // Restaura a sessão, as abas do catálogo e as preferências salvos uma única vez, quando o app é aberto
+  // (o carrinho, as buscas recentes e os favoritos são de cada usuário: carregados quando a sessão é restaurada ou no login)
+  useEffect(() => {
+    dispatch(restoreSettings());
+    dispatch(restoreSession());
+    dispatch(restoreTabLayout());
+  }, [dispatch]);
+
+  // Enquanto a sessão é restaurada, exibe a tela de carregamento em vez de piscar o AuthNavigator
+  if (isRestoring || !isSettingsHydrated) {
+    return <SplashScreen />;
+  }
 
   // Renderiza o navegador apropriado:
   // Se o usuário estiver logado, exibe o fluxo principal do aplicativo (MainAppNavigator).
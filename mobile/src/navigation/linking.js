@@ -0,0 +1,93 @@
+// src/navigation/linking.js
+import * as Linking from 'expo-linking'; // Importa a API de links do Expo (link inicial e links recebidos)
+
+// Importa a ação que guarda os links recebidos até poderem ser abertos
+import { linkReceived } from '../store/linkingSlice';
+
+/**
+ * @constant APP_SCHEME
+ * @description Esquema próprio do app (o mesmo de `scheme` no app.json): `mobile://product/5`.
+ */
+export const APP_SCHEME = 'mobile';
+
+/**
+ * @constant WEB_LINK_URL
+ * @description Endereço web dos links compartilhados (`https://.../product/5`). Precisa ser o mesmo domínio
+ * configurado como App Link / Universal Link no app.json (`intentFilters` e `associatedDomains`).
+ */
+export const WEB_LINK_URL = 'https://catalogo.example.com';
+
+/**
+ * @constant LINK_PREFIXES
+ * @description Prefixos aceitos nos links recebidos. `Linking.createURL('/')` cobre o endereço
+ * usado pelo Expo Go durante o desenvolvimento (ex: 'exp://192.168.0.10:8081/--/').
+ */
+const LINK_PREFIXES = [Linking.createURL('/'), `${APP_SCHEME}://`, WEB_LINK_URL];
+
+/**
+ * @constant LINKING_CONFIG
+ * @description Mapa entre os caminhos dos links e as telas da `MainAppNavigator`.
+ * Qualquer caminho desconhecido cai na tela "NotFound".
+ */
+const LINKING_CONFIG = {
+  screens: {
+    ProductDetails: {
+      path: 'product/:productId',
+      parse: { productId: Number },
+    },
+    NotFound: '*',
+  },
+};
+
+/**
+ * @function getLinkPath
+ * @description Extrai o caminho de um link, sem o prefixo (ex: 'mobile://product/5' -> '/product/5').
+ * @param {string} url - O endereço completo do link.
+ * @returns {string|null} O caminho, ou `null` se o link não é do app.
+ */
+export const getLinkPath = (url) => {
+  const prefix = LINK_PREFIXES.find((candidate) => url.startsWith(candidate));
+  if (!prefix) {
+    return null;
+  }
+  return `/${url.slice(prefix.length).replace(/^\/+/, '')}`;
+};
+
+/**
+ * @function getProductLink
+ * @description Monta o link web de um produto, usado no compartilhamento.
+ * @param {number} productId - O ID do produto.
+ * @returns {string} O link (ex: 'https://catalogo.example.com/product/5').
+ */
+export const getProductLink = (productId) => `${WEB_LINK_URL}/product/${productId}`;
+
+/**
+ * @function createLinking
+ * @description Cria a configuração `linking` do `NavigationContainer`.
+ * Os links recebidos (o que abriu o app e os que chegam com ele aberto) não são abertos direto
+ * pelo React Navigation: eles são guardados na store (`linkReceived`) e abertos pelo `usePendingLink`
+ * quando a navegação do usuário logado está montada. Assim, um link que chega antes do login
+ * (ou enquanto a sessão salva é restaurada) não se perde.
+ * @param {object} store - A store Redux do app.
+ * @returns {object} A configuração `linking`.
+ */
+export const createLinking = (store) => ({
+  prefixes: LINK_PREFIXES,
+  config: LINKING_CONFIG,
+  async getInitialURL() {
+    const url = await Linking.getInitialURL();
+    if (url && getLinkPath(url)) {
+      store.dispatch(linkReceived(url));
+    }
+    // A tela inicial é sempre a padrão; o link guardado é aberto por cima dela
+    return null;
+  },
+  subscribe() {
+    const subscription = Linking.addEventListener('url', ({ url }) => {
+      if (getLinkPath(url)) {
+        store.dispatch(linkReceived(url));
+      }
+    });
+    return () => subscription.remove();
+  },
+});
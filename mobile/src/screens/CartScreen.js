@@ -0,0 +1,250 @@
+// src/screens/CartScreen.js
+import React from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  FlatList,       // Componente para renderizar listas de forma performática
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  StyleSheet,     // API para criar folhas de estilo
+  Alert           // API para exibir caixas de diálogo de alerta
+} from 'react-native';
+
+// Importa SafeAreaView para evitar que o conteúdo fique sob o notch/barra de status
+import { SafeAreaView } from 'react-native-safe-area-context';
+// Importa hooks do Redux para ler o carrinho e despachar ações
+import { useDispatch, useSelector } from 'react-redux';
+// Importa as ações e seletores do carrinho
+import {
+  removeFromCart,
+  updateQuantity,
+  clearCart,
+  selectCartItems,
+  selectCartCount,
+  selectCartTotals,
+} from '../store/cartSlice';
+// Importa a ação que limpa as escolhas de um checkout anterior
+import { resetCheckout } from '../store/checkoutSlice';
+// Importa o componente que exibe cada linha do carrinho
+import CartItem from '../components/CartItem';
+// Importa o hook de formatação de preços (na moeda e no idioma escolhidos)
+import usePricing from '../hooks/usePricing';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function CartScreen
+ * @description Tela da aba "Carrinho". Lista os itens adicionados, permite alterar quantidades
+ * e remover itens, e exibe o resumo com subtotal, descontos e total.
+ * @param {object} props - Propriedades da tela.
+ * @param {object} props.navigation - O objeto de navegação do React Navigation.
+ */
+const CartScreen = ({ navigation }) => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const { formatPrice } = usePricing();
+  const items = useSelector(selectCartItems);
+  const itemCount = useSelector(selectCartCount);
+  const { subtotal, discount, total } = useSelector(selectCartTotals);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  /**
+   * @function handleClearCart
+   * @description Pede confirmação antes de esvaziar o carrinho.
+   */
+  const handleClearCart = () => {
+    Alert.alert(
+      t('cart.clearTitle'),
+      t('cart.clearMessage'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('common.yes'), style: 'destructive', onPress: () => dispatch(clearCart()) },
+      ],
+      { cancelable: true }
+    );
+  };
+
+  /**
+   * @function handleCheckout
+   * @description Inicia um novo checkout, descartando as escolhas de uma compra anterior.
+   */
+  const handleCheckout = () => {
+    dispatch(resetCheckout());
+    navigation.navigate('Checkout');
+  };
+
+  /**
+   * @function renderCartItem
+   * @description Renderiza cada linha do carrinho com seus callbacks de quantidade, remoção e navegação.
+   */
+  const renderCartItem = ({ item }) => (
+    <CartItem
+      item={item}
+      onChangeQuantity={(quantity) => dispatch(updateQuantity({ id: item.id, quantity }))}
+      onRemove={() => dispatch(removeFromCart(item.id))}
+      onPress={() => navigation.navigate('ProductDetails', { productId: item.id, productTitle: item.title })}
+    />
+  );
+
+  return (
+    <SafeAreaView style={styles.safeArea} edges={['top']}>
+      {/* header: Título da tela e atalho para esvaziar o carrinho */}
+      <View style={styles.header}>
+        <Text style={styles.headerTitle} accessibilityRole="header">{t('cart.title')}</Text>
+        {items.length > 0 && (
+          <TouchableOpacity onPress={handleClearCart} accessibilityRole="button">
+            <Text style={styles.clearText}>{t('cart.clear')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {items.length === 0 ? (
+        // Estado vazio: convida o usuário a voltar ao catálogo
+        <View style={styles.centered}>
+          <Ionicons name="cart-outline" size={64} color={colors.placeholder} />
+          <Text style={styles.emptyText}>{t('cart.empty')}</Text>
+          <TouchableOpacity style={styles.primaryButton} onPress={() => navigation.navigate('HomeTab')} accessibilityRole="button">
+            <Text style={styles.primaryButtonText}>{t('cart.browse')}</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <>
+          <FlatList
+            data={items}
+            keyExtractor={(item) => String(item.id)}
+            renderItem={renderCartItem}
+            contentContainerStyle={styles.listContainer}
+          />
+
+          {/* summary: Resumo dos valores do carrinho */}
+          <View style={styles.summary}>
+            <View style={styles.summaryRow} accessible>
+              <Text style={styles.summaryLabel}>{t('cart.subtotalItems', { count: itemCount })}</Text>
+              <Text style={styles.summaryValue}>{formatPrice(subtotal)}</Text>
+            </View>
+            {discount > 0 && (
+              <View style={styles.summaryRow} accessible>
+                <Text style={styles.summaryLabel}>{t('cart.discounts')}</Text>
+                <Text style={styles.discountValue}>- {formatPrice(discount)}</Text>
+              </View>
+            )}
+            <View style={[styles.summaryRow, styles.totalRow]} accessible>
+              <Text style={styles.totalLabel}>{t('cart.total')}</Text>
+              <Text style={styles.totalValue}>{formatPrice(total)}</Text>
+            </View>
+            <TouchableOpacity style={[styles.primaryButton, styles.checkoutButton]} onPress={handleCheckout} accessibilityRole="button">
+              <Text style={styles.primaryButtonText}>{t('cart.checkout')}</Text>
+            </TouchableOpacity>
+          </View>
+        </>
+      )}
+    </SafeAreaView>
+  );
+};
+
+// --- Folha de Estilos do Componente CartScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    backgroundColor: colors.surface,
+  },
+  headerTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  clearText: {
+    color: colors.danger,
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: colors.textMuted,
+    marginTop: 10,
+    marginBottom: 10,
+  },
+  listContainer: {
+    paddingTop: 15,
+    paddingBottom: 10,
+  },
+  // summary: Painel fixo na parte inferior com os totais
+  summary: {
+    backgroundColor: colors.surface,
+    padding: 20,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  summaryLabel: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  summaryValue: {
+    fontSize: 14,
+    color: colors.text,
+  },
+  discountValue: {
+    fontSize: 14,
+    color: colors.success, // Verde para destacar a economia
+  },
+  totalRow: {
+    marginTop: 6,
+    marginBottom: 0,
+  },
+  totalLabel: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  totalValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  primaryButton: {
+    backgroundColor: colors.primary,
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: 8,
+    marginTop: 10,
+  },
+  // checkoutButton: Ocupa toda a largura do resumo, com a altura dos botões principais do app
+  checkoutButton: {
+    minHeight: 50,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  primaryButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default CartScreen;
@@ -0,0 +1,179 @@
+// src/screens/CatalogTabsScreen.js
+import React from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  ScrollView,     // Rolagem do conteúdo
+  StyleSheet      // API para criar folhas de estilo
+} from 'react-native';
+
+// Importa hooks do Redux para ler as abas e despachar ações
+import { useDispatch, useSelector } from 'react-redux';
+// Importa as ações e os seletores das abas do catálogo
+import {
+  moveTab,
+  hideTab,
+  showTab,
+  resetTabLayout,
+  selectVisibleTabs,
+  selectHiddenTabs,
+} from '../store/catalogSlice';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function CatalogTabsScreen
+ * @description Tela "Abas do catálogo", aberta a partir das Configurações.
+ * Permite reordenar e ocultar as abas exibidas no Início e adicionar as abas disponíveis.
+ * As alterações valem na hora e ficam salvas no dispositivo.
+ */
+const CatalogTabsScreen = () => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const visibleTabs = useSelector(selectVisibleTabs);
+  const hiddenTabs = useSelector(selectHiddenTabs);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  /**
+   * @function IconButton
+   * @description Botão de ícone usado nas ações de cada aba (mover, ocultar, adicionar).
+   * O `label` é o que o leitor de tela lê no lugar do ícone.
+   */
+  const IconButton = ({ name, label, onPress, disabled, color = colors.primary }) => (
+    <TouchableOpacity
+      onPress={onPress}
+      disabled={disabled}
+      hitSlop={6}
+      style={styles.iconButton}
+      accessibilityRole="button"
+      accessibilityLabel={label}
+      accessibilityState={{ disabled: !!disabled }}
+    >
+      <Ionicons name={name} size={22} color={disabled ? colors.placeholder : color} />
+    </TouchableOpacity>
+  );
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.sectionTitle} accessibilityRole="header">{t('catalogTabs.visible')}</Text>
+      <View style={styles.card}>
+        {visibleTabs.map((group, index) => (
+          <View key={group.id} style={[styles.row, index > 0 && styles.rowDivider]}>
+            <Text style={styles.tabLabel}>{t(group.labelKey)}</Text>
+            <IconButton
+              name="arrow-up"
+              label={t('a11y.moveTabUp', { tab: t(group.labelKey) })}
+              onPress={() => dispatch(moveTab({ id: group.id, offset: -1 }))}
+              disabled={index === 0}
+            />
+            <IconButton
+              name="arrow-down"
+              label={t('a11y.moveTabDown', { tab: t(group.labelKey) })}
+              onPress={() => dispatch(moveTab({ id: group.id, offset: 1 }))}
+              disabled={index === visibleTabs.length - 1}
+            />
+            <IconButton
+              name="eye-off-outline"
+              label={t('a11y.hideTab', { tab: t(group.labelKey) })}
+              color={colors.favorite}
+              onPress={() => dispatch(hideTab(group.id))}
+              disabled={visibleTabs.length === 1} // O Início precisa de pelo menos uma aba
+            />
+          </View>
+        ))}
+      </View>
+
+      <Text style={styles.sectionTitle} accessibilityRole="header">{t('catalogTabs.hidden')}</Text>
+      {hiddenTabs.length === 0 ? (
+        <Text style={styles.emptyText}>{t('catalogTabs.allVisible')}</Text>
+      ) : (
+        <View style={styles.card}>
+          {hiddenTabs.map((group, index) => (
+            <View key={group.id} style={[styles.row, index > 0 && styles.rowDivider]}>
+              <Text style={styles.tabLabel}>{t(group.labelKey)}</Text>
+              <IconButton
+                name="add-circle-outline"
+                label={t('a11y.showTab', { tab: t(group.labelKey) })}
+                onPress={() => dispatch(showTab(group.id))}
+              />
+            </View>
+          ))}
+        </View>
+      )}
+
+      <TouchableOpacity style={styles.resetButton} onPress={() => dispatch(resetTabLayout())} accessibilityRole="button">
+        <Text style={styles.resetButtonText}>{t('catalogTabs.reset')}</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+};
+
+// --- Folha de Estilos do Componente CatalogTabsScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 15,
+    paddingBottom: 40,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 10,
+    marginBottom: 10,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: 10,
+    paddingHorizontal: 15,
+    marginBottom: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  rowDivider: {
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  tabLabel: {
+    flex: 1,
+    fontSize: 16,
+    color: colors.text,
+  },
+  iconButton: {
+    marginLeft: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginBottom: 10,
+  },
+  resetButton: {
+    marginTop: 20,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  resetButtonText: {
+    color: colors.primary,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default CatalogTabsScreen;
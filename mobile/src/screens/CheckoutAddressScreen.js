@@ -0,0 +1,202 @@
+// src/screens/CheckoutAddressScreen.js
+import React, { useState } from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  ScrollView,     // Contêiner com funcionalidade de rolagem
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  StyleSheet,     // API para criar folhas de estilo
+  KeyboardAvoidingView, // Evita que o teclado cubra os campos do formulário
+  Platform,       // API para detectar a plataforma atual (iOS, Android, web)
+  AccessibilityInfo // Anuncia pelo leitor de tela quantos campos precisam de correção
+} from 'react-native';
+
+// Importa hooks do Redux para ler o endereço salvo e despachar ações
+import { useDispatch, useSelector } from 'react-redux';
+// Importa a ação que salva o endereço de entrega
+import { setAddress } from '../store/checkoutSlice';
+// Importa a validação do endereço
+import { validateAddress, onlyDigits } from '../utils/checkoutValidation';
+// Importa os componentes de formulário e o indicador de etapas
+import FormInput from '../components/FormInput';
+import CheckoutSteps from '../components/CheckoutSteps';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+// Endereço vazio usado quando o usuário ainda não informou nenhum
+const EMPTY_ADDRESS = { zipCode: '', street: '', number: '', complement: '', district: '', city: '', state: '' };
+
+/**
+ * @function CheckoutAddressScreen
+ * @description Primeira etapa do checkout: coleta e valida o endereço de entrega.
+ * Os erros só aparecem depois da primeira tentativa de avançar e, a partir daí, são revalidados a cada digitação.
+ * @param {object} props - Propriedades da tela.
+ * @param {object} props.navigation - O objeto de navegação do React Navigation.
+ */
+const CheckoutAddressScreen = ({ navigation }) => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const styles = useThemedStyles(createStyles);
+  // Pré-preenche com o endereço da última compra, se houver
+  const savedAddress = useSelector((state) => state.checkout.address);
+
+  const [address, setAddressFields] = useState(savedAddress || EMPTY_ADDRESS);
+  const [errors, setErrors] = useState({});
+  const [submitted, setSubmitted] = useState(false);
+
+  /**
+   * @function updateField
+   * @description Atualiza um campo do endereço e, após a primeira tentativa de envio, revalida o formulário.
+   * @param {string} field - O nome do campo.
+   * @param {string} value - O novo valor.
+   */
+  const updateField = (field, value) => {
+    const next = { ...address, [field]: value };
+    setAddressFields(next);
+    if (submitted) {
+      setErrors(validateAddress(next));
+    }
+  };
+
+  /**
+   * @function handleContinue
+   * @description Valida o endereço e, se estiver correto, salva-o e avança para a escolha da entrega.
+   */
+  const handleContinue = () => {
+    setSubmitted(true);
+    const validationErrors = validateAddress(address);
+    setErrors(validationErrors);
+    const errorCount = Object.keys(validationErrors).length;
+    if (errorCount > 0) {
+      AccessibilityInfo.announceForAccessibility(t('a11y.formErrors', { count: errorCount }));
+      return;
+    }
+    dispatch(setAddress({
+      ...address,
+      zipCode: onlyDigits(address.zipCode),
+      state: address.state.trim().toUpperCase(),
+    }));
+    navigation.navigate('CheckoutShipping');
+  };
+
+  return (
+    <KeyboardAvoidingView style={styles.container} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+      <CheckoutSteps currentStep={0} />
+      <ScrollView contentContainerStyle={styles.form} keyboardShouldPersistTaps="handled">
+        <Text style={styles.sectionTitle}>{t('checkout.address.title')}</Text>
+        <FormInput
+          label={t('checkout.address.zipCode')}
+          value={address.zipCode}
+          onChangeText={(text) => updateField('zipCode', text)}
+          error={errors.zipCode}
+          keyboardType="number-pad"
+          maxLength={9}
+          placeholder="00000-000"
+        />
+        <FormInput
+          label={t('checkout.address.street')}
+          value={address.street}
+          onChangeText={(text) => updateField('street', text)}
+          error={errors.street}
+        />
+        {/* row: Número e complemento lado a lado */}
+        <View style={styles.row}>
+          <FormInput
+            label={t('checkout.address.number')}
+            value={address.number}
+            onChangeText={(text) => updateField('number', text)}
+            error={errors.number}
+            style={styles.smallField}
+          />
+          <FormInput
+            label={t('checkout.address.complement')}
+            value={address.complement}
+            onChangeText={(text) => updateField('complement', text)}
+            placeholder={t('checkout.address.optional')}
+            style={styles.largeField}
+          />
+        </View>
+        <FormInput
+          label={t('checkout.address.district')}
+          value={address.district}
+          onChangeText={(text) => updateField('district', text)}
+          error={errors.district}
+        />
+        {/* row: Cidade e UF lado a lado */}
+        <View style={styles.row}>
+          <FormInput
+            label={t('checkout.address.city')}
+            value={address.city}
+            onChangeText={(text) => updateField('city', text)}
+            error={errors.city}
+            style={styles.largeField}
+          />
+          <FormInput
+            label={t('checkout.address.state')}
+            value={address.state}
+            onChangeText={(text) => updateField('state', text)}
+            error={errors.state}
+            autoCapitalize="characters"
+            maxLength={2}
+            style={styles.smallField}
+          />
+        </View>
+      </ScrollView>
+
+      {/* footer: Botão para avançar à próxima etapa */}
+      <View style={styles.footer}>
+        <TouchableOpacity style={styles.button} onPress={handleContinue} accessibilityRole="button">
+          <Text style={styles.buttonText}>{t('checkout.continue')}</Text>
+        </TouchableOpacity>
+      </View>
+    </KeyboardAvoidingView>
+  );
+};
+
+// --- Folha de Estilos do Componente CheckoutAddressScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.surface,
+  },
+  form: {
+    padding: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 15,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  smallField: {
+    width: '30%',
+  },
+  largeField: {
+    width: '65%',
+  },
+  footer: {
+    padding: 15,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  button: {
+    minHeight: 50,
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: colors.onPrimary,
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
+
+export default CheckoutAddressScreen;
@@ -0,0 +1,277 @@
+// src/screens/CheckoutPaymentScreen.js
+import React, { useState } from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  ScrollView,     // Contêiner com funcionalidade de rolagem
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  StyleSheet,     // API para criar folhas de estilo
+  KeyboardAvoidingView, // Evita que o teclado cubra os campos do cartão
+  Platform,       // API para detectar a plataforma atual (iOS, Android, web)
+  AccessibilityInfo // Anuncia pelo leitor de tela quantos campos precisam de correção
+} from 'react-native';
+
+// Importa hooks do Redux para ler a forma de pagamento salva e despachar ações
+import { useDispatch, useSelector } from 'react-redux';
+// Importa a ação que salva a forma de pagamento
+import { setPayment } from '../store/checkoutSlice';
+// Importa as formas de pagamento disponíveis
+import { PAYMENT_METHODS } from '../constants/checkout';
+// Importa a validação dos dados do cartão
+import { validateCard, onlyDigits } from '../utils/checkoutValidation';
+// Importa os componentes de formulário e o indicador de etapas
+import FormInput from '../components/FormInput';
+import CheckoutSteps from '../components/CheckoutSteps';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+// Importa o hook que anuncia o erro da forma de pagamento pelo leitor de tela
+import useAnnouncement from '../hooks/useAnnouncement';
+
+/**
+ * @function formatCardNumber
+ * @description Agrupa os dígitos do cartão de 4 em 4 enquanto o usuário digita (ex: "4111 1111 1111 1111").
+ * @param {string} value - O texto digitado.
+ * @returns {string} O número formatado.
+ */
+const formatCardNumber = (value) => onlyDigits(value).slice(0, 19).replace(/(\d{4})(?=\d)/g, '$1 ');
+
+/**
+ * @function formatExpiry
+ * @description Insere a barra da validade automaticamente (ex: "0827" vira "08/27").
+ * @param {string} value - O texto digitado.
+ * @returns {string} A validade formatada.
+ */
+const formatExpiry = (value) => {
+  const digits = onlyDigits(value).slice(0, 4);
+  return digits.length > 2 ? `${digits.slice(0, 2)}/${digits.slice(2)}` : digits;
+};
+
+/**
+ * @function CheckoutPaymentScreen
+ * @description Terceira etapa do checkout: escolha da forma de pagamento.
+ * Para cartão de crédito, valida número (Luhn), titular, validade e CVV.
+ * Apenas os 4 últimos dígitos do cartão são guardados na store.
+ * @param {object} props - Propriedades da tela.
+ * @param {object} props.navigation - O objeto de navegação do React Navigation.
+ */
+const CheckoutPaymentScreen = ({ navigation }) => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const savedPayment = useSelector((state) => state.checkout.payment);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  const [methodId, setMethodId] = useState(savedPayment?.methodId || null);
+  // Os dados do cartão ficam apenas no estado local da tela e nunca são persistidos
+  const [card, setCard] = useState({ number: '', holder: savedPayment?.cardHolder || '', expiry: '', cvv: '' });
+  const [errors, setErrors] = useState({});
+  const [submitted, setSubmitted] = useState(false);
+  const [methodError, setMethodError] = useState('');
+  useAnnouncement(methodError);
+
+  const isCreditCard = methodId === 'credit-card';
+
+  /**
+   * @function updateCardField
+   * @description Atualiza um campo do cartão e, após a primeira tentativa de envio, revalida.
+   * @param {string} field - O nome do campo.
+   * @param {string} value - O novo valor.
+   */
+  const updateCardField = (field, value) => {
+    const next = { ...card, [field]: value };
+    setCard(next);
+    if (submitted) {
+      setErrors(validateCard(next));
+    }
+  };
+
+  /**
+   * @function handleContinue
+   * @description Valida a forma de pagamento e avança para a revisão do pedido.
+   */
+  const handleContinue = () => {
+    if (!methodId) {
+      setMethodError(t('checkout.payment.required'));
+      return;
+    }
+
+    if (isCreditCard) {
+      setSubmitted(true);
+      const validationErrors = validateCard(card);
+      setErrors(validationErrors);
+      const errorCount = Object.keys(validationErrors).length;
+      if (errorCount > 0) {
+        AccessibilityInfo.announceForAccessibility(t('a11y.formErrors', { count: errorCount }));
+        return;
+      }
+      dispatch(setPayment({
+        methodId,
+        cardLast4: onlyDigits(card.number).slice(-4),
+        cardHolder: card.holder.trim(),
+      }));
+    } else {
+      dispatch(setPayment({ methodId }));
+    }
+    navigation.navigate('CheckoutReview');
+  };
+
+  return (
+    <KeyboardAvoidingView style={styles.container} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+      <CheckoutSteps currentStep={2} />
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <Text style={styles.sectionTitle}>{t('checkout.payment.title')}</Text>
+        {PAYMENT_METHODS.map((method) => {
+          const isSelected = method.id === methodId;
+          return (
+            <TouchableOpacity
+              key={method.id}
+              style={[styles.option, isSelected && styles.optionSelected]}
+              onPress={() => {
+                setMethodId(method.id);
+                setMethodError('');
+              }}
+              accessibilityRole="radio"
+              accessibilityLabel={t(method.labelKey)}
+              accessibilityState={{ checked: isSelected }}
+            >
+              <Ionicons
+                name={isSelected ? 'radio-button-on' : 'radio-button-off'}
+                size={22}
+                color={isSelected ? colors.primary : colors.textMuted}
+              />
+              <MaterialCommunityIcons name={method.icon} size={24} color={colors.textSecondary} style={styles.methodIcon} />
+              <Text style={styles.optionLabel}>{t(method.labelKey)}</Text>
+            </TouchableOpacity>
+          );
+        })}
+        {!!methodError && <Text style={styles.errorText} accessibilityRole="alert">{methodError}</Text>}
+
+        {/* Campos do cartão, exibidos somente quando "Cartão de crédito" está selecionado */}
+        {isCreditCard && (
+          <View style={styles.cardForm}>
+            <FormInput
+              label={t('checkout.payment.cardNumber')}
+              value={card.number}
+              onChangeText={(text) => updateCardField('number', formatCardNumber(text))}
+              error={errors.number}
+              keyboardType="number-pad"
+              placeholder="0000 0000 0000 0000"
+            />
+            <FormInput
+              label={t('checkout.payment.cardHolder')}
+              value={card.holder}
+              onChangeText={(text) => updateCardField('holder', text)}
+              error={errors.holder}
+              autoCapitalize="characters"
+            />
+            <View style={styles.row}>
+              <FormInput
+                label={t('checkout.payment.expiry')}
+                value={card.expiry}
+                onChangeText={(text) => updateCardField('expiry', formatExpiry(text))}
+                error={errors.expiry}
+                keyboardType="number-pad"
+                placeholder={t('checkout.payment.expiryPlaceholder')}
+                style={styles.halfField}
+              />
+              <FormInput
+                label={t('checkout.payment.cvv')}
+                value={card.cvv}
+                onChangeText={(text) => updateCardField('cvv', onlyDigits(text).slice(0, 4))}
+                error={errors.cvv}
+                keyboardType="number-pad"
+                secureTextEntry
+                style={styles.halfField}
+              />
+            </View>
+          </View>
+        )}
+      </ScrollView>
+
+      {/* footer: Botão para avançar à revisão */}
+      <View style={styles.footer}>
+        <TouchableOpacity style={styles.button} onPress={handleContinue} accessibilityRole="button">
+          <Text style={styles.buttonText}>{t('checkout.payment.review')}</Text>
+        </TouchableOpacity>
+      </View>
+    </KeyboardAvoidingView>
+  );
+};
+
+// --- Folha de Estilos do Componente CheckoutPaymentScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.surface,
+  },
+  content: {
+    padding: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 15,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 15,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginBottom: 10,
+  },
+  optionSelected: {
+    borderColor: colors.primary,
+    borderWidth: 2,
+  },
+  methodIcon: {
+    marginLeft: 12,
+  },
+  optionLabel: {
+    fontSize: 16,
+    color: colors.text,
+    marginLeft: 10,
+  },
+  errorText: {
+    color: colors.danger,
+    fontSize: 14,
+    marginTop: 5,
+  },
+  cardForm: {
+    marginTop: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  halfField: {
+    width: '48%',
+  },
+  footer: {
+    padding: 15,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  button: {
+    minHeight: 50,
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: colors.onPrimary,
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
+
+export default CheckoutPaymentScreen;
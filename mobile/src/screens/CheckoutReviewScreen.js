@@ -0,0 +1,288 @@
+// src/screens/CheckoutReviewScreen.js
+import React from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  ScrollView,     // Contêiner com funcionalidade de rolagem
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  StyleSheet,     // API para criar folhas de estilo
+  ActivityIndicator, // Indicador de carregamento (spinner)
+  Alert           // API para exibir caixas de diálogo de alerta
+} from 'react-native';
+
+// Importa hooks do Redux para ler o carrinho/checkout e despachar ações
+import { useDispatch, useSelector } from 'react-redux';
+// Importa o thunk que envia o pedido
+import { placeOrder } from '../store/checkoutSlice';
+// Importa os seletores do carrinho
+import { selectCartItems, selectCartTotals } from '../store/cartSlice';
+// Importa as opções de entrega
+import { SHIPPING_OPTIONS } from '../constants/checkout';
+// Importa a regra de preço com desconto
+import { getDiscountedPrice } from '../utils/pricing';
+// Importa o hook de formatação de preços (na moeda e no idioma escolhidos)
+import usePricing from '../hooks/usePricing';
+// Importa a formatação do endereço
+import { formatAddressLines } from '../utils/address';
+// Importa o indicador de etapas do checkout
+import CheckoutSteps from '../components/CheckoutSteps';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function ReviewSection
+ * @description Bloco da revisão com título, conteúdo e um atalho "Alterar" que volta à etapa correspondente.
+ * @param {object} props - Propriedades do componente.
+ * @param {string} props.title - O título do bloco.
+ * @param {function} [props.onEdit] - Callback do atalho "Alterar".
+ * @param {React.ReactNode} props.children - O conteúdo do bloco.
+ */
+const ReviewSection = ({ title, onEdit, children }) => {
+  const { t } = useTranslation();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.section}>
+      <View style={styles.sectionHeader}>
+        <Text style={styles.sectionTitle} accessibilityRole="header">{title}</Text>
+        {onEdit && (
+          <TouchableOpacity
+            onPress={onEdit}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.editSection', { section: title })}
+          >
+            <Text style={styles.editText}>{t('checkout.review.edit')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      {children}
+    </View>
+  );
+};
+
+/**
+ * @function CheckoutReviewScreen
+ * @description Última etapa do checkout: revisão de itens, endereço, entrega, pagamento e totais.
+ * Ao confirmar, envia o pedido; em caso de falha, exibe o erro e mantém o carrinho intacto.
+ * @param {object} props - Propriedades da tela.
+ * @param {object} props.navigation - O objeto de navegação do React Navigation.
+ */
+const CheckoutReviewScreen = ({ navigation }) => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const { formatPrice } = usePricing();
+  const items = useSelector(selectCartItems);
+  const { subtotal, discount, total } = useSelector(selectCartTotals);
+  const { address, shippingOptionId, payment, status } = useSelector((state) => state.checkout);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const shippingOption = SHIPPING_OPTIONS.find((option) => option.id === shippingOptionId);
+
+  const isSubmitting = status === 'loading';
+  const shippingPrice = shippingOption?.price ?? 0;
+
+  /**
+   * @function handleConfirm
+   * @description Envia o pedido. Em caso de sucesso, substitui a pilha do checkout pela confirmação
+   * (impedindo voltar para a revisão); em caso de falha, mantém o usuário nesta tela.
+   */
+  const handleConfirm = async () => {
+    const result = await dispatch(placeOrder());
+    if (placeOrder.fulfilled.match(result)) {
+      navigation.reset({ index: 0, routes: [{ name: 'OrderConfirmation' }] });
+    } else {
+      Alert.alert(t('common.error'), t(result.payload || 'errors.submitOrder'));
+    }
+  };
+
+  // Pedido concluído: a pilha está sendo substituída pela confirmação e o carrinho já foi esvaziado
+  if (status === 'succeeded') {
+    return null;
+  }
+
+  // Protege contra chegar aqui com o carrinho vazio ou sem as etapas anteriores concluídas
+  if (items.length === 0 || !address || !shippingOption || !payment) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.emptyText}>{t('checkout.review.empty')}</Text>
+        <TouchableOpacity style={styles.button} onPress={() => navigation.getParent()?.goBack()} accessibilityRole="button">
+          <Text style={styles.buttonText}>{t('checkout.review.backToCart')}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <CheckoutSteps currentStep={3} />
+      <ScrollView contentContainerStyle={styles.content}>
+        <ReviewSection title={t('checkout.review.items')} onEdit={() => navigation.getParent()?.goBack()}>
+          {items.map((item) => (
+            <View key={item.id} style={styles.itemRow} accessible>
+              <Text style={styles.itemText} numberOfLines={1}>{item.quantity}x {item.title}</Text>
+              <Text style={styles.itemPrice}>{formatPrice(getDiscountedPrice(item) * item.quantity)}</Text>
+            </View>
+          ))}
+        </ReviewSection>
+
+        <ReviewSection title={t('checkout.address.title')} onEdit={() => navigation.navigate('CheckoutAddress')}>
+          {formatAddressLines(address).map((line) => (
+            <Text key={line} style={styles.detailText}>{line}</Text>
+          ))}
+        </ReviewSection>
+
+        <ReviewSection title={t('checkout.review.shipping')} onEdit={() => navigation.navigate('CheckoutShipping')}>
+          <Text style={styles.detailText}>{t(shippingOption.labelKey)}</Text>
+        </ReviewSection>
+
+        <ReviewSection title={t('checkout.review.payment')} onEdit={() => navigation.navigate('CheckoutPayment')}>
+          <Text style={styles.detailText}>
+            {t(`checkout.paymentMethods.${payment.methodId}`)}
+            {payment.cardLast4 ? ` ${t('checkout.payment.cardEnding', { last4: payment.cardLast4 })}` : ''}
+          </Text>
+        </ReviewSection>
+
+        {/* Resumo dos valores, incluindo o frete */}
+        <ReviewSection title={t('checkout.review.summary')}>
+          <View style={styles.itemRow} accessible>
+            <Text style={styles.detailText}>{t('checkout.subtotal')}</Text>
+            <Text style={styles.detailText}>{formatPrice(subtotal)}</Text>
+          </View>
+          {discount > 0 && (
+            <View style={styles.itemRow} accessible>
+              <Text style={styles.detailText}>{t('cart.discounts')}</Text>
+              <Text style={styles.discountText}>- {formatPrice(discount)}</Text>
+            </View>
+          )}
+          <View style={styles.itemRow} accessible>
+            <Text style={styles.detailText}>{t('checkout.shippingFee')}</Text>
+            <Text style={styles.detailText}>{shippingPrice === 0 ? t('checkout.free') : formatPrice(shippingPrice)}</Text>
+          </View>
+          <View style={[styles.itemRow, styles.totalRow]}>
+            <Text style={styles.totalText}>{t('cart.total')}</Text>
+            <Text style={styles.totalText}>{formatPrice(total + shippingPrice)}</Text>
+          </View>
+        </ReviewSection>
+      </ScrollView>
+
+      {/* footer: Botão que envia o pedido */}
+      <View style={styles.footer}>
+        <TouchableOpacity
+          style={styles.button}
+          onPress={handleConfirm}
+          disabled={isSubmitting}
+          accessibilityRole="button"
+          accessibilityLabel={t('checkout.review.confirm')} // Mantém o rótulo enquanto o spinner ocupa o botão
+          accessibilityState={{ disabled: isSubmitting, busy: isSubmitting }}
+        >
+          {isSubmitting ? (
+            <ActivityIndicator color={colors.onPrimary} />
+          ) : (
+            <Text style={styles.buttonText}>{t('checkout.review.confirm')}</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente CheckoutReviewScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: colors.background,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: colors.textMuted,
+    marginBottom: 10,
+  },
+  content: {
+    padding: 15,
+  },
+  section: {
+    backgroundColor: colors.surface,
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 12,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  editText: {
+    color: colors.primary,
+    fontSize: 14,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  itemText: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginRight: 10,
+  },
+  itemPrice: {
+    fontSize: 14,
+    color: colors.text,
+  },
+  detailText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  discountText: {
+    fontSize: 14,
+    color: colors.success,
+  },
+  totalRow: {
+    marginTop: 6,
+  },
+  totalText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  footer: {
+    padding: 15,
+    backgroundColor: colors.surface,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  button: {
+    minHeight: 50,
+    alignSelf: 'stretch',
+    paddingHorizontal: 20,
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: colors.onPrimary,
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
+
+export default CheckoutReviewScreen;
@@ -0,0 +1,193 @@
+// src/screens/CheckoutShippingScreen.js
+import React, { useState } from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  ScrollView,     // Contêiner com funcionalidade de rolagem
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  StyleSheet      // API para criar folhas de estilo
+} from 'react-native';
+
+// Importa hooks do Redux para ler a opção salva e despachar ações
+import { useDispatch, useSelector } from 'react-redux';
+// Importa a ação que salva a opção de entrega
+import { setShippingOption } from '../store/checkoutSlice';
+// Importa as opções de entrega disponíveis
+import { SHIPPING_OPTIONS } from '../constants/checkout';
+// Importa o hook de formatação de preços (na moeda e no idioma escolhidos)
+import usePricing from '../hooks/usePricing';
+// Importa o indicador de etapas do checkout
+import CheckoutSteps from '../components/CheckoutSteps';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+// Importa o hook que anuncia o erro pelo leitor de tela
+import useAnnouncement from '../hooks/useAnnouncement';
+
+/**
+ * @function formatDeliveryTime
+ * @description Monta o texto do prazo estimado de uma opção de entrega.
+ * @param {object} option - A opção de entrega (com `minDays` e `maxDays`).
+ * @param {function} t - Função de tradução do idioma escolhido.
+ * @returns {string} O prazo formatado (ex: "5 a 8 dias úteis").
+ */
+const formatDeliveryTime = (option, t) => (
+  option.minDays === option.maxDays
+    ? t('checkout.shipping.businessDays', { count: option.minDays })
+    : t('checkout.shipping.businessDaysRange', { min: option.minDays, max: option.maxDays })
+);
+
+/**
+ * @function CheckoutShippingScreen
+ * @description Segunda etapa do checkout: escolha da opção de entrega.
+ * @param {object} props - Propriedades da tela.
+ * @param {object} props.navigation - O objeto de navegação do React Navigation.
+ */
+const CheckoutShippingScreen = ({ navigation }) => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const { formatPrice } = usePricing();
+  const savedOptionId = useSelector((state) => state.checkout.shippingOptionId);
+  const [selectedId, setSelectedId] = useState(savedOptionId);
+  const [error, setError] = useState('');
+  useAnnouncement(error);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  /**
+   * @function handleContinue
+   * @description Exige uma opção selecionada antes de avançar para o pagamento.
+   */
+  const handleContinue = () => {
+    if (!selectedId) {
+      setError(t('checkout.shipping.required'));
+      return;
+    }
+    dispatch(setShippingOption(selectedId));
+    navigation.navigate('CheckoutPayment');
+  };
+
+  return (
+    <View style={styles.container}>
+      <CheckoutSteps currentStep={1} />
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={styles.sectionTitle}>{t('checkout.shipping.title')}</Text>
+        {SHIPPING_OPTIONS.map((option) => {
+          const isSelected = option.id === selectedId;
+          const deliveryTime = formatDeliveryTime(option, t);
+          const price = option.price === 0 ? t('checkout.free') : formatPrice(option.price);
+          return (
+            <TouchableOpacity
+              key={option.id}
+              style={[styles.option, isSelected && styles.optionSelected]}
+              onPress={() => {
+                setSelectedId(option.id);
+                setError('');
+              }}
+              accessibilityRole="radio"
+              accessibilityLabel={`${t(option.labelKey)}, ${deliveryTime}, ${price}`}
+              accessibilityState={{ checked: isSelected }}
+            >
+              <Ionicons
+                name={isSelected ? 'radio-button-on' : 'radio-button-off'}
+                size={22}
+                color={isSelected ? colors.primary : colors.textMuted}
+              />
+              <View style={styles.optionInfo}>
+                <Text style={styles.optionLabel}>{t(option.labelKey)}</Text>
+                <Text style={styles.optionDetail}>{deliveryTime}</Text>
+              </View>
+              <Text style={styles.optionPrice}>{price}</Text>
+            </TouchableOpacity>
+          );
+        })}
+        {!!error && <Text style={styles.errorText} accessibilityRole="alert">{error}</Text>}
+      </ScrollView>
+
+      {/* footer: Botão para avançar à próxima etapa */}
+      <View style={styles.footer}>
+        <TouchableOpacity style={styles.button} onPress={handleContinue} accessibilityRole="button">
+          <Text style={styles.buttonText}>{t('checkout.continue')}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente CheckoutShippingScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.surface,
+  },
+  content: {
+    padding: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 15,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 15,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginBottom: 10,
+  },
+  optionSelected: {
+    borderColor: colors.primary,
+    borderWidth: 2,
+  },
+  optionInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  optionLabel: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  optionDetail: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  optionPrice: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  errorText: {
+    color: colors.danger,
+    fontSize: 14,
+    marginTop: 5,
+  },
+  footer: {
+    padding: 15,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  button: {
+    minHeight: 50,
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: colors.onPrimary,
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
+
+export default CheckoutShippingScreen;
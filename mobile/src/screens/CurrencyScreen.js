@@ -0,0 +1,120 @@
+// src/screens/CurrencyScreen.js
+import React from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  ScrollView,     // Rolagem do conteúdo
+  StyleSheet      // API para criar folhas de estilo
+} from 'react-native';
+
+// Importa o hook do Redux para despachar ações
+import { useDispatch } from 'react-redux';
+// Importa o thunk que troca a moeda de exibição
+import { changeCurrency } from '../store/settingsSlice';
+// Importa as moedas oferecidas
+import { CURRENCIES } from '../constants/currencies';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook de preços (moeda escolhida)
+import usePricing from '../hooks/usePricing';
+// Importa a formatação de preços em uma moeda específica (exemplo de cada opção)
+import { formatPrice } from '../utils/pricing';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function CurrencyScreen
+ * @description Tela "Moeda", aberta a partir das Configurações. Lista as moedas oferecidas, cada uma
+ * com um exemplo de preço já convertido; a escolha vale na hora para todos os preços do app e fica salva.
+ */
+const CurrencyScreen = () => {
+  const dispatch = useDispatch();
+  const { t, language } = useTranslation();
+  const { currency } = usePricing();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.card} accessibilityRole="radiogroup">
+        {CURRENCIES.map((option, index) => {
+          const isSelected = option.id === currency;
+          // Exemplo: quanto vale 1 dólar (moeda da API) na moeda da opção
+          const sample = formatPrice(1, { currency: option.id, locale: language });
+          return (
+            <TouchableOpacity
+              key={option.id}
+              style={[styles.row, index > 0 && styles.rowDivider]}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: isSelected }}
+              onPress={() => dispatch(changeCurrency(option.id))}
+            >
+              <View style={styles.rowInfo}>
+                <Text style={styles.label}>{t(option.labelKey)}</Text>
+                <Text style={styles.hint}>{`${option.id} · ${sample}`}</Text>
+              </View>
+              <Ionicons
+                name={isSelected ? 'radio-button-on' : 'radio-button-off'}
+                size={22}
+                color={isSelected ? colors.primary : colors.textMuted}
+              />
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <Text style={styles.footerText}>{t('currency.hint')}</Text>
+    </ScrollView>
+  );
+};
+
+// --- Folha de Estilos do Componente CurrencyScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 15,
+    paddingBottom: 40,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: 10,
+    paddingHorizontal: 15,
+    marginTop: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 14,
+  },
+  rowDivider: {
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 16,
+    color: colors.text,
+  },
+  hint: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  footerText: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginTop: 10,
+    marginHorizontal: 5,
+  },
+});
+
+export default CurrencyScreen;
@@ -0,0 +1,120 @@
+// src/screens/FavoritesScreen.js
+import React, { useCallback } from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  StyleSheet,     // API para criar folhas de estilo
+  RefreshControl  // Componente para funcionalidade "pull-to-refresh" na lista
+} from 'react-native';
+
+// Importa SafeAreaView para evitar que o conteúdo fique sob o notch/barra de status
+import { SafeAreaView } from 'react-native-safe-area-context';
+// Importa o hook que executa um efeito sempre que a aba ganha foco
+import { useFocusEffect } from '@react-navigation/native';
+// Importa hooks do Redux para ler os favoritos e despachar ações
+import { useDispatch, useSelector } from 'react-redux';
+// Importa o thunk de verificação e o seletor dos favoritos
+import { refreshFavorites, selectFavorites } from '../store/favoritesSlice';
+// Importa a grade de produtos (a mesma da lista de categorias)
+import ProductGrid from '../components/ProductGrid';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function FavoritesScreen
+ * @description Tela da aba "Favoritos". Exibe os produtos salvos pelo usuário logado na mesma grade
+ * da lista de categorias. Sempre que a aba é aberta, os favoritos são conferidos na API:
+ * produtos que deixaram de existir aparecem como "Indisponível" em vez de sumirem da lista.
+ * @param {object} props - Propriedades da tela.
+ * @param {object} props.navigation - O objeto de navegação do React Navigation.
+ */
+const FavoritesScreen = ({ navigation }) => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const favorites = useSelector(selectFavorites);
+  const isHydrated = useSelector((state) => state.favorites.isHydrated);
+  const isRefreshing = useSelector((state) => state.favorites.status === 'loading');
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  // Confere os favoritos na API ao abrir a aba (depois de carregados do dispositivo)
+  useFocusEffect(
+    useCallback(() => {
+      if (isHydrated) {
+        dispatch(refreshFavorites());
+      }
+    }, [dispatch, isHydrated])
+  );
+
+  return (
+    <SafeAreaView style={styles.safeArea} edges={['top']}>
+      <View style={styles.header}>
+        <Text style={styles.headerTitle}>{t('favorites.title')}</Text>
+      </View>
+
+      {favorites.length === 0 ? (
+        // Estado vazio: explica como favoritar um produto
+        <View style={styles.centered}>
+          <Ionicons name="heart-outline" size={64} color={colors.placeholder} />
+          <Text style={styles.emptyText}>{t('favorites.empty')}</Text>
+          <Text style={styles.emptyHint}>{t('favorites.emptyHint')}</Text>
+        </View>
+      ) : (
+        <ProductGrid
+          products={favorites}
+          navigation={navigation}
+          refreshControl={
+            <RefreshControl
+              refreshing={isRefreshing}
+              onRefresh={() => dispatch(refreshFavorites())}
+              colors={[colors.primary]}
+            />
+          }
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+// --- Folha de Estilos do Componente FavoritesScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    backgroundColor: colors.surface,
+  },
+  headerTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: colors.textMuted,
+    marginTop: 10,
+  },
+  emptyHint: {
+    fontSize: 14,
+    color: colors.placeholder,
+    marginTop: 4,
+    textAlign: 'center',
+  },
+});
+
+export default FavoritesScreen;
@@ -0,0 +1,117 @@
+// src/screens/ForgotPasswordScreen.js
+import React from 'react';
+import {
+  Text,           // Exibição de texto
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  StyleSheet,     // API para criar folhas de estilo
+  ActivityIndicator // Indicador de carregamento (spinner)
+} from 'react-native';
+
+// Importa o serviço (simulado) que envia o código de recuperação
+import { requestPasswordReset } from '../services/passwordRecovery';
+// Importa o hook de formulário e as regras de validação declarativas
+import useForm from '../hooks/useForm';
+import { required, email, isValidEmail } from '../utils/formRules';
+// Importa a moldura das telas de autenticação e o campo de texto
+import AuthFormLayout from '../components/AuthFormLayout';
+import FormInput from '../components/FormInput';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function ForgotPasswordScreen
+ * @description Primeira etapa da recuperação de senha, aberta pelo "Esqueceu a senha?" da LoginScreen:
+ * pede o e-mail da conta e envia o código de verificação. Se o usuário já tinha digitado um e-mail
+ * no login, ele vem preenchido.
+ * @param {object} props - Propriedades da tela.
+ * @param {object} props.navigation - O objeto de navegação do React Navigation.
+ * @param {object} props.route - A rota atual; `route.params.email` traz o que foi digitado no login.
+ */
+const ForgotPasswordScreen = ({ navigation, route }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  // O e-mail digitado no login só é aproveitado se tiver formato de e-mail (o login também aceita nome de usuário)
+  const initialEmail = route.params?.email ?? '';
+  const { getFieldProps, setFieldError, handleSubmit, isSubmitting } = useForm({
+    initialValues: { email: isValidEmail(initialEmail) ? initialEmail : '' },
+    rules: { email: [required(), email()] },
+  });
+
+  /**
+   * @function handleSendCode
+   * @description Pede o código ao serviço de recuperação e avança para a verificação
+   * (chamada pelo `handleSubmit` do formulário só quando o e-mail é válido).
+   * @param {object} formValues - Os valores validados (`{ email }`).
+   */
+  const handleSendCode = async (formValues) => {
+    try {
+      const reset = await requestPasswordReset(formValues.email);
+      navigation.navigate('VerifyResetCode', {
+        email: reset.email,
+        demoCode: reset.code,
+        resendAvailableAt: reset.resendAvailableAt,
+      });
+    } catch (requestError) {
+      setFieldError('email', requestError.message);
+    }
+  };
+  const submitSendCode = handleSubmit(handleSendCode);
+
+  return (
+    <AuthFormLayout
+      title={t('forgotPassword.title')}
+      subtitle={t('forgotPassword.subtitle')}
+      onBack={() => navigation.goBack()}
+    >
+      <FormInput
+        label={t('forgotPassword.email')}
+        {...getFieldProps('email')}
+        onSubmitEditing={submitSendCode}
+        autoCapitalize="none"
+        autoComplete="email"
+        keyboardType="email-address"
+        textContentType="emailAddress"
+        returnKeyType="send"
+      />
+      <TouchableOpacity
+        style={styles.button}
+        onPress={submitSendCode}
+        disabled={isSubmitting}
+        accessibilityRole="button"
+        accessibilityLabel={t('forgotPassword.sendCode')}
+        accessibilityState={{ disabled: isSubmitting, busy: isSubmitting }}
+      >
+        {isSubmitting ? (
+          <ActivityIndicator color={colors.onPrimary} />
+        ) : (
+          <Text style={styles.buttonText}>{t('forgotPassword.sendCode')}</Text>
+        )}
+      </TouchableOpacity>
+    </AuthFormLayout>
+  );
+};
+
+// --- Folha de Estilos do Componente ForgotPasswordScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  button: {
+    minHeight: 50,
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  buttonText: {
+    color: colors.onPrimary,
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
+
+export default ForgotPasswordScreen;
@@ -0,0 +1,121 @@
+// src/screens/LanguageScreen.js
+import React from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  ScrollView,     // Rolagem do conteúdo
+  StyleSheet      // API para criar folhas de estilo
+} from 'react-native';
+
+// Importa hooks do Redux para ler o idioma escolhido e despachar ações
+import { useDispatch, useSelector } from 'react-redux';
+// Importa o thunk que troca o idioma e o seletor do idioma escolhido
+import { changeLanguage, selectLanguagePreference } from '../store/settingsSlice';
+// Importa os idiomas suportados e o idioma do aparelho
+import { SUPPORTED_LANGUAGES, getDeviceLanguage } from '../i18n';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function LanguageScreen
+ * @description Tela "Idioma", aberta a partir das Configurações. Permite seguir o idioma do aparelho
+ * (padrão) ou fixar um dos idiomas suportados. A troca vale na hora, sem reiniciar o app, e fica salva.
+ */
+const LanguageScreen = () => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const preference = useSelector(selectLanguagePreference);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  const deviceLanguage = SUPPORTED_LANGUAGES.find((language) => language.id === getDeviceLanguage());
+  // A primeira opção (`id: null`) segue o idioma do aparelho
+  const options = [
+    { id: null, label: t('language.automatic'), hint: t('language.automaticHint', { language: deviceLanguage.label }) },
+    ...SUPPORTED_LANGUAGES,
+  ];
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.card} accessibilityRole="radiogroup">
+        {options.map((option, index) => {
+          const isSelected = option.id === preference;
+          return (
+            <TouchableOpacity
+              key={option.id ?? 'device'}
+              style={[styles.row, index > 0 && styles.rowDivider]}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: isSelected }}
+              onPress={() => dispatch(changeLanguage(option.id))}
+            >
+              <View style={styles.rowInfo}>
+                <Text style={styles.label}>{option.label}</Text>
+                {option.hint && <Text style={styles.hint}>{option.hint}</Text>}
+              </View>
+              <Ionicons
+                name={isSelected ? 'radio-button-on' : 'radio-button-off'}
+                size={22}
+                color={isSelected ? colors.primary : colors.textMuted}
+              />
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <Text style={styles.footerText}>{t('language.hint')}</Text>
+    </ScrollView>
+  );
+};
+
+// --- Folha de Estilos do Componente LanguageScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 15,
+    paddingBottom: 40,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: 10,
+    paddingHorizontal: 15,
+    marginTop: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 14,
+  },
+  rowDivider: {
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 16,
+    color: colors.text,
+  },
+  hint: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  footerText: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginTop: 10,
+    marginHorizontal: 5,
+  },
+});
+
+export default LanguageScreen;
@@ -0,0 +1,86 @@
+// src/screens/NotFoundScreen.js
+import React from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  StyleSheet      // API para criar folhas de estilo
+} from 'react-native';
+
+// Importa o hook de navegação (a tela também é exibida dentro da tela de detalhes)
+import { useNavigation } from '@react-navigation/native';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function NotFoundScreen
+ * @description Tela amigável para links que não levam a lugar nenhum: caminhos desconhecidos
+ * (rota "NotFound") e produtos que não existem na API (exibida pela tela de detalhes).
+ * @param {object} props - Propriedades da tela.
+ * @param {string} [props.message] - Texto explicativo exibido abaixo do título (padrão: link desconhecido).
+ */
+const NotFoundScreen = ({ message }) => {
+  const navigation = useNavigation();
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.container}>
+      <Ionicons name="search-outline" size={64} color={colors.placeholder} />
+      <Text style={styles.title} accessibilityRole="header">{t('notFound.title')}</Text>
+      <Text style={styles.message}>{message || t('notFound.message')}</Text>
+      <TouchableOpacity
+        style={styles.button}
+        onPress={() => navigation.navigate('MainTabs', { screen: 'HomeTab' })}
+        accessibilityRole="button"
+      >
+        <Text style={styles.buttonText}>{t('notFound.backHome')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente NotFoundScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 30,
+    backgroundColor: colors.background,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 15,
+    textAlign: 'center',
+  },
+  message: {
+    fontSize: 15,
+    color: colors.textMuted,
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  button: {
+    backgroundColor: colors.primary,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 5,
+    marginTop: 20,
+  },
+  buttonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default NotFoundScreen;
@@ -0,0 +1,139 @@
+// src/screens/OrderConfirmationScreen.js
+import React from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  StyleSheet      // API para criar folhas de estilo
+} from 'react-native';
+
+// Importa o hook useSelector do Redux para ler o último pedido concluído
+import { useSelector } from 'react-redux';
+// Importa o hook de formatação de preços (na moeda e no idioma escolhidos)
+import usePricing from '../hooks/usePricing';
+// Importa a formatação do endereço
+import { formatAddressLines } from '../utils/address';
+// Importa a função que monta o número exibido do pedido
+import { getOrderNumber } from '../utils/orderStatus';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function OrderConfirmationScreen
+ * @description Tela final do checkout, exibida após o pedido ser aceito.
+ * Mostra o número do pedido, o total pago, o endereço e o prazo de entrega.
+ * Não possui botão de voltar: a única saída é retornar ao catálogo.
+ * @param {object} props - Propriedades da tela.
+ * @param {object} props.navigation - O objeto de navegação do React Navigation.
+ */
+const OrderConfirmationScreen = ({ navigation }) => {
+  const order = useSelector((state) => state.checkout.lastOrder);
+  const { t } = useTranslation();
+  const { formatPrice } = usePricing();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  // Volta para a aba "Início", fechando a pilha do checkout
+  const handleContinueShopping = () => navigation.navigate('MainTabs', { screen: 'HomeTab' });
+
+  if (!order) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <Ionicons name="checkmark-circle" size={96} color={colors.success} />
+      <Text style={styles.title}>{t('orders.confirmed')}</Text>
+      <Text style={styles.subtitle}>{t('orders.number', { number: getOrderNumber(order) })}</Text>
+
+      {/* card: Resumo do pedido */}
+      <View style={styles.card}>
+        <Text style={styles.cardLabel}>{t('orders.totalPaid')}</Text>
+        <Text style={styles.cardValue}>{formatPrice(order.totals.total)}</Text>
+
+        <Text style={styles.cardLabel}>{t('checkout.review.shipping')}</Text>
+        <Text style={styles.cardText}>{t(`checkout.shippingOptions.${order.shipping.id}`)}</Text>
+        {formatAddressLines(order.address).map((line) => (
+          <Text key={line} style={styles.cardText}>{line}</Text>
+        ))}
+
+        <Text style={styles.cardLabel}>{t('checkout.review.payment')}</Text>
+        <Text style={styles.cardText}>
+          {t(`checkout.paymentMethods.${order.payment.methodId}`)}
+          {order.payment.cardLast4 ? ` ${t('checkout.payment.cardEnding', { last4: order.payment.cardLast4 })}` : ''}
+        </Text>
+      </View>
+
+      <TouchableOpacity style={styles.button} onPress={handleContinueShopping} accessibilityRole="button">
+        <Text style={styles.buttonText}>{t('productDetails.keepShopping')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente OrderConfirmationScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 20,
+    backgroundColor: colors.background,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 10,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: colors.textMuted,
+    marginTop: 4,
+    marginBottom: 20,
+  },
+  card: {
+    width: '100%',
+    backgroundColor: colors.surface,
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 20,
+  },
+  cardLabel: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: colors.textMuted,
+    marginTop: 10,
+    marginBottom: 2,
+  },
+  cardValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  cardText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  button: {
+    width: '100%',
+    minHeight: 50,
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: colors.onPrimary,
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
+
+export default OrderConfirmationScreen;
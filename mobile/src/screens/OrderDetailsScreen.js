@@ -0,0 +1,289 @@
+// src/screens/OrderDetailsScreen.js
+import React from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  Image,          // Componente para exibir imagens
+  ScrollView,     // Contêiner com funcionalidade de rolagem
+  StyleSheet      // API para criar folhas de estilo
+} from 'react-native';
+
+// Importa o hook useRoute do React Navigation para acessar os parâmetros da rota
+import { useRoute } from '@react-navigation/native';
+// Importa o hook useSelector do Redux para ler o pedido
+import { useSelector } from 'react-redux';
+// Importa o seletor de pedido por ID
+import { selectOrderById } from '../store/ordersSlice';
+// Importa a regra de preço com desconto
+import { getDiscountedPrice } from '../utils/pricing';
+// Importa o hook de formatação de preços (na moeda e no idioma escolhidos)
+import usePricing from '../hooks/usePricing';
+// Importa a formatação do endereço
+import { formatAddressLines } from '../utils/address';
+// Importa as funções de número, linha do tempo e data dos pedidos
+import { getOrderNumber, getOrderTimeline, formatOrderDate } from '../utils/orderStatus';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function OrderDetailsScreen
+ * @description Tela de detalhes de um pedido: linha do tempo de status, itens, totais,
+ * endereço de entrega e forma de pagamento (estes dois apenas para pedidos feitos no app).
+ */
+const OrderDetailsScreen = () => {
+  const route = useRoute();
+  const { orderId } = route.params;
+  const order = useSelector((state) => selectOrderById(state, orderId));
+  const { t } = useTranslation();
+  const { formatPrice } = usePricing();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  if (!order) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.errorText}>{t('orders.notFound')}</Text>
+      </View>
+    );
+  }
+
+  const timeline = getOrderTimeline(order);
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.title}>{t('orders.number', { number: getOrderNumber(order) })}</Text>
+      {order.createdAt && (
+        <Text style={styles.subtitle}>{t('orders.placedAt', { date: formatOrderDate(order.createdAt) })}</Text>
+      )}
+
+      {/* Linha do tempo de status */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle} accessibilityRole="header">{t('orders.tracking')}</Text>
+        {timeline.map((step, index) => (
+          <View key={step.key} style={styles.timelineRow} accessible>
+            {/* timelineMarker: Círculo da etapa e traço até a próxima */}
+            <View style={styles.timelineMarker}>
+              <Ionicons
+                name={step.done ? 'checkmark-circle' : 'ellipse-outline'}
+                size={22}
+                color={step.done ? colors.success : colors.placeholder}
+              />
+              {index < timeline.length - 1 && (
+                <View style={[styles.timelineLine, step.done && timeline[index + 1].done && styles.timelineLineDone]} />
+              )}
+            </View>
+            <View style={styles.timelineText}>
+              <Text style={[styles.timelineLabel, !step.done && styles.timelineLabelPending]}>{step.label}</Text>
+              {step.date && (
+                <Text style={styles.timelineDate}>
+                  {step.done ? formatOrderDate(step.date) : t('orders.expectedAt', { date: formatOrderDate(step.date) })}
+                </Text>
+              )}
+            </View>
+          </View>
+        ))}
+      </View>
+
+      {/* Itens do pedido */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle} accessibilityRole="header">{t('checkout.review.items')}</Text>
+        {order.items.map((item) => (
+          <View key={item.id} style={styles.itemRow} accessible>
+            <Image source={{ uri: item.thumbnail }} style={styles.itemImage} resizeMode="contain" />
+            <View style={styles.itemInfo}>
+              <Text style={styles.itemTitle} numberOfLines={2}>{item.title}</Text>
+              <Text style={styles.itemDetail}>
+                {item.quantity} x {formatPrice(getDiscountedPrice(item))}
+              </Text>
+            </View>
+            <Text style={styles.itemTotal}>{formatPrice(getDiscountedPrice(item) * item.quantity)}</Text>
+          </View>
+        ))}
+      </View>
+
+      {/* Totais */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle} accessibilityRole="header">{t('checkout.review.summary')}</Text>
+        <View style={styles.totalRow} accessible>
+          <Text style={styles.detailText}>{t('checkout.subtotal')}</Text>
+          <Text style={styles.detailText}>{formatPrice(order.totals.subtotal)}</Text>
+        </View>
+        {order.totals.discount > 0 && (
+          <View style={styles.totalRow} accessible>
+            <Text style={styles.detailText}>{t('cart.discounts')}</Text>
+            <Text style={styles.discountText}>- {formatPrice(order.totals.discount)}</Text>
+          </View>
+        )}
+        {order.shipping && (
+          <View style={styles.totalRow} accessible>
+            <Text style={styles.detailText}>
+              {t('checkout.shippingFeeWithOption', { option: t(`checkout.shippingOptions.${order.shipping.id}`) })}
+            </Text>
+            <Text style={styles.detailText}>
+              {order.totals.shipping === 0 ? t('checkout.free') : formatPrice(order.totals.shipping)}
+            </Text>
+          </View>
+        )}
+        <View style={[styles.totalRow, styles.grandTotalRow]}>
+          <Text style={styles.grandTotalText}>{t('cart.total')}</Text>
+          <Text style={styles.grandTotalText}>{formatPrice(order.totals.total)}</Text>
+        </View>
+      </View>
+
+      {/* Endereço e pagamento: a DummyJSON não informa esses dados, então só existem em pedidos feitos no app */}
+      {order.address && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('checkout.address.title')}</Text>
+          {formatAddressLines(order.address).map((line) => (
+            <Text key={line} style={styles.detailText}>{line}</Text>
+          ))}
+        </View>
+      )}
+      {order.payment && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('checkout.review.payment')}</Text>
+          <Text style={styles.detailText}>
+            {t(`checkout.paymentMethods.${order.payment.methodId}`)}
+            {order.payment.cardLast4 ? ` ${t('checkout.payment.cardEnding', { last4: order.payment.cardLast4 })}` : ''}
+          </Text>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+// --- Folha de Estilos do Componente OrderDetailsScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 15,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.background,
+  },
+  errorText: {
+    fontSize: 16,
+    color: colors.danger,
+    textAlign: 'center',
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  section: {
+    backgroundColor: colors.surface,
+    borderRadius: 10,
+    padding: 15,
+    marginTop: 12,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 10,
+  },
+  timelineRow: {
+    flexDirection: 'row',
+  },
+  timelineMarker: {
+    alignItems: 'center',
+    width: 24,
+  },
+  timelineLine: {
+    flex: 1,
+    width: 2,
+    minHeight: 16,
+    backgroundColor: colors.disabled,
+  },
+  timelineLineDone: {
+    backgroundColor: colors.success,
+  },
+  timelineText: {
+    flex: 1,
+    marginLeft: 10,
+    paddingBottom: 14,
+  },
+  timelineLabel: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  timelineLabelPending: {
+    color: colors.textMuted,
+    fontWeight: 'normal',
+  },
+  timelineDate: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  itemImage: {
+    width: 50,
+    minHeight: 50,
+    borderRadius: 6,
+  },
+  itemInfo: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  itemTitle: {
+    fontSize: 14,
+    color: colors.text,
+  },
+  itemDetail: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  itemTotal: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  grandTotalRow: {
+    marginTop: 6,
+  },
+  grandTotalText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  detailText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  discountText: {
+    fontSize: 14,
+    color: colors.success,
+  },
+});
+
+export default OrderDetailsScreen;
@@ -0,0 +1,231 @@
+// src/screens/OrdersScreen.js
+import React, { useEffect } from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  FlatList,       // Componente para renderizar listas de forma performática
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  StyleSheet,     // API para criar folhas de estilo
+  ActivityIndicator, // Indicador de carregamento (spinner)
+  RefreshControl  // Componente para funcionalidade "pull-to-refresh" na lista
+} from 'react-native';
+
+// Importa hooks do Redux para ler os pedidos e despachar ações
+import { useDispatch, useSelector } from 'react-redux';
+// Importa o thunk de paginação e os seletores do histórico de pedidos
+import { fetchRemoteOrders, selectAllOrders, selectHasMoreRemoteOrders } from '../store/ordersSlice';
+// Importa o hook de formatação de preços (na moeda e no idioma escolhidos)
+import usePricing from '../hooks/usePricing';
+// Importa as funções de número, status e data dos pedidos
+import { getOrderNumber, getOrderStatusLabel, formatOrderDate } from '../utils/orderStatus';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function OrdersScreen
+ * @description Tela "Meus pedidos", aberta a partir das Configurações.
+ * Lista primeiro os pedidos feitos no app e, em seguida, os pedidos do usuário na DummyJSON,
+ * carregados página a página ao rolar até o fim da lista.
+ * @param {object} props - Propriedades da tela.
+ * @param {object} props.navigation - O objeto de navegação do React Navigation.
+ */
+const OrdersScreen = ({ navigation }) => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const { formatPrice } = usePricing();
+  const orders = useSelector(selectAllOrders);
+  const hasMore = useSelector(selectHasMoreRemoteOrders);
+  const { remoteStatus, remoteErrorKey, remoteOrders } = useSelector((state) => state.orders);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  const isLoading = remoteStatus === 'loading';
+
+  // Carrega a primeira página de pedidos da API ao abrir a tela
+  useEffect(() => {
+    dispatch(fetchRemoteOrders({ refresh: true }));
+  }, [dispatch]);
+
+  /**
+   * @function renderOrderItem
+   * @description Renderiza o resumo de um pedido: número, data, status, quantidade de itens e total.
+   */
+  const renderOrderItem = ({ item }) => {
+    const itemCount = item.items.reduce((count, orderItem) => count + orderItem.quantity, 0);
+    return (
+      <TouchableOpacity
+        style={styles.orderCard}
+        onPress={() => navigation.navigate('OrderDetails', { orderId: item.id })}
+        accessibilityRole="button"
+      >
+        <View style={styles.orderInfo}>
+          <Text style={styles.orderNumber}>{t('orders.number', { number: getOrderNumber(item) })}</Text>
+          {item.createdAt && <Text style={styles.orderDate}>{formatOrderDate(item.createdAt)}</Text>}
+          <Text style={styles.orderStatus}>{getOrderStatusLabel(item)}</Text>
+          <Text style={styles.orderSummary}>
+            {t('orders.itemCount', { count: itemCount })} · {formatPrice(item.totals.total)}
+          </Text>
+        </View>
+        <Ionicons name="chevron-forward-outline" size={24} color={colors.textMuted} />
+      </TouchableOpacity>
+    );
+  };
+
+  /**
+   * @function renderFooter
+   * @description Rodapé da lista: spinner enquanto carrega a próxima página
+   * ou botão de tentar novamente se ela falhar (sem apagar os pedidos já exibidos).
+   */
+  const renderFooter = () => {
+    if (isLoading && remoteOrders.length > 0) {
+      return <ActivityIndicator style={styles.footer} color={colors.primary} />;
+    }
+    if (remoteStatus === 'failed') {
+      return (
+        <View style={styles.footer}>
+          <Text style={styles.errorText}>{t(remoteErrorKey)}</Text>
+          <TouchableOpacity onPress={() => dispatch(fetchRemoteOrders())} style={styles.retryButton} accessibilityRole="button">
+            <Text style={styles.retryButtonText}>{t('common.retry')}</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+    return null;
+  };
+
+  // Primeira carga, ainda sem nenhum pedido para mostrar
+  if (isLoading && orders.length === 0) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color={colors.primary} />
+        <Text style={styles.loadingText}>{t('orders.loading')}</Text>
+      </View>
+    );
+  }
+
+  return (
+    <FlatList
+      style={styles.list}
+      data={orders}
+      keyExtractor={(item) => item.id}
+      renderItem={renderOrderItem}
+      contentContainerStyle={orders.length === 0 ? styles.emptyContainer : styles.listContainer}
+      onEndReached={() => {
+        if (hasMore && remoteStatus !== 'failed') {
+          dispatch(fetchRemoteOrders());
+        }
+      }}
+      onEndReachedThreshold={0.5}
+      ListFooterComponent={renderFooter}
+      ListEmptyComponent={
+        remoteStatus === 'failed' ? null : (
+          <View style={styles.centered}>
+            <Ionicons name="receipt-outline" size={64} color={colors.placeholder} />
+            <Text style={styles.emptyText}>{t('orders.empty')}</Text>
+          </View>
+        )
+      }
+      refreshControl={
+        <RefreshControl
+          refreshing={false}
+          onRefresh={() => dispatch(fetchRemoteOrders({ refresh: true }))}
+          colors={[colors.primary]}
+        />
+      }
+    />
+  );
+};
+
+// --- Folha de Estilos do Componente OrdersScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  list: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  listContainer: {
+    padding: 15,
+  },
+  emptyContainer: {
+    flexGrow: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: colors.background,
+  },
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: colors.textSecondary,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: colors.textMuted,
+    marginTop: 10,
+  },
+  orderCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: colors.border,
+    padding: 15,
+    marginBottom: 10,
+  },
+  orderInfo: {
+    flex: 1,
+  },
+  orderNumber: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  orderDate: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  orderStatus: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.primary,
+    marginTop: 6,
+  },
+  orderSummary: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  footer: {
+    paddingVertical: 20,
+    alignItems: 'center',
+  },
+  errorText: {
+    fontSize: 14,
+    color: colors.danger,
+    textAlign: 'center',
+  },
+  retryButton: {
+    backgroundColor: colors.primary,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 5,
+    marginTop: 10,
+  },
+  retryButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default OrdersScreen;
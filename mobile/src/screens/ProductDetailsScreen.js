@@ -1,181 +1,444 @@
 // src/screens/ProductDetailsScreen.js
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useState } from 'react';
 import { 
   View,           // Contêiner básico para layout
   Text,           // Exibição de texto
-  Image,          // Componente para exibir imagens
   ScrollView,     // Contêiner com funcionalidade de rolagem
   StyleSheet,     // API para criar folhas de estilo
   ActivityIndicator, // Indicador de carregamento (spinner)
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
   Alert,          // API para exibir caixas de diálogo de alerta
-  Dimensions,     // API para obter as dimensões da tela do dispositivo
+  Share,          // Folha de compartilhamento nativa do sistema
   Platform,       // Para ajustar padding para iOS/Android se necessário (geralmente via SafeAreaView/insets)
   StatusBar       // Para ajustar a barra de status se necessário
 } from 'react-native';
 
-// Importa o hook useRoute do React Navigation para acessar os parâmetros da rota
-import { useRoute } from '@react-navigation/native';
-// Importa a função de API para buscar detalhes de um produto específico
-import { getProductDetails } from '../services/api'; 
+// Importa os hooks do React Navigation para acessar os parâmetros da rota e navegar
+import { useRoute, useNavigation } from '@react-navigation/native';
+// Importa hooks do Redux para ler o produto da store e despachar ações
+import { useDispatch, useSelector } from 'react-redux';
+// Importa os thunks que buscam os detalhes do produto e a primeira página da categoria, e os seletores do productSlice
+import {
+  fetchProductDetails,
+  fetchCategoryPage,
+  getListKey,
+  selectProductById,
+  selectProductDetailsStatus,
+  makeSelectRelatedProducts,
+} from '../store/productSlice';
+// Importa a ação que adiciona um produto ao carrinho
+import { addToCart } from '../store/cartSlice';
+// Importa a regra de preço com desconto
+import { getDiscountedPrice } from '../utils/pricing';
+// Importa o hook de formatação de preços (na moeda e no idioma escolhidos)
+import usePricing from '../hooks/usePricing';
+// Importa a formatação de data e hora (horário da última atualização)
+import { formatDateTime } from '../utils/date';
+// Importa o seletor com os nomes das categorias (exibidos nas especificações)
+import { selectCategoryNames } from '../store/catalogSlice';
+// Importa o botão de coração exibido no cabeçalho da tela
+import FavoriteButton from '../components/FavoriteButton';
+// Importa a galeria deslizante de imagens e o visualizador em tela cheia com zoom
+import ImageGallery from '../components/ImageGallery';
+import FullScreenImageViewer from '../components/FullScreenImageViewer';
+// Importa as seções recolhíveis, o resumo das avaliações e a lista de avaliações
+import CollapsibleSection, { InfoRow } from '../components/CollapsibleSection';
+import RatingSummary from '../components/RatingSummary';
+import ReviewList from '../components/ReviewList';
+// Importa o carrossel "Você também pode gostar"
+import RelatedProductsCarousel from '../components/RelatedProductsCarousel';
+// Importa a tela amigável exibida quando o produto não existe (ex: link com ID desconhecido)
+import NotFoundScreen from './NotFoundScreen';
+// Importa o link web do produto, usado no compartilhamento
+import { getProductLink } from '../navigation/linking';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
 
-// Obtém a largura da janela para calcular dimensões responsivas, especialmente para a imagem principal
-const { width } = Dimensions.get('window');
+/**
+ * @function shareProduct
+ * @description Abre a folha de compartilhamento do sistema com o título, o preço e o link do produto.
+ * No iOS o link vai no campo `url` (vira uma prévia); no Android ele precisa fazer parte da mensagem.
+ * @param {object} product - O produto compartilhado.
+ * @param {function} t - Função de tradução do idioma escolhido.
+ * @param {function} formatPrice - Formatação de preços na moeda escolhida (do hook `usePricing`).
+ */
+const shareProduct = (product, t, formatPrice) => {
+  const link = getProductLink(product.id);
+  const text = t('productDetails.shareText', { title: product.title, price: formatPrice(getDiscountedPrice(product)) });
+  Share.share(
+    Platform.OS === 'ios'
+      ? { message: text, url: link }
+      : { title: product.title, message: `${text}\n${link}` }
+  );
+};
 
 /**
  * @function ProductDetailsScreen
  * @description Componente de tela que exibe os detalhes completos de um produto específico.
- * Carrega os dados do produto através de uma API com base no ID recebido por parâmetro
- * de navegação e gerencia os estados de carregamento e erro. O layout segue o Figma.
+ * Lê o produto do `productSlice` pelo ID recebido por parâmetro de navegação: se ele já foi carregado
+ * (ex: pela lista de categorias), os dados aparecem na hora enquanto os detalhes mais recentes são buscados.
+ * Gerencia os estados de carregamento e erro. O layout segue o Figma.
+ * Também é usada como painel de detalhes da visão dividida do Início (tablets e janelas largas): nesse caso
+ * recebe o produto por `productId` em vez dos parâmetros da rota, exibe as ações no topo do painel
+ * (não há cabeçalho próprio) e os produtos relacionados são abertos no mesmo painel.
+ * @param {object} props - Propriedades da tela.
+ * @param {number} [props.productId] - Produto exibido no painel da visão dividida.
+ * @param {function} [props.onProductPress] - Chamada com o produto relacionado tocado, no painel da visão dividida.
  */
-const ProductDetailsScreen = () => {
+const ProductDetailsScreen = ({ productId: paneProductId, onProductPress }) => {
   // useRoute: Hook para acessar o objeto de rota, que contém os parâmetros passados na navegação
   const route = useRoute();
-  // Extrai o 'productId' dos parâmetros da rota. Este ID é usado para buscar os detalhes do produto.
-  const { productId } = route.params;
+  // isPane: A tela está no painel de detalhes da visão dividida, e não em uma tela própria da pilha
+  const isPane = paneProductId !== undefined;
+  // ID do produto: o do painel ou o dos parâmetros da rota. Este ID é usado para buscar os detalhes do produto.
+  const productId = isPane ? paneProductId : route.params.productId;
+  // Links com um ID inválido (ex: 'mobile://product/abc') nem chegam a consultar a API
+  const isValidId = Number.isInteger(productId) && productId > 0;
+  const navigation = useNavigation();
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const { formatPrice } = usePricing();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  // --- Dados do Produto (productSlice) ---
+  // product: Dados do produto já presentes na store (ex: vindos da lista de categorias), exibidos de imediato
+  const product = useSelector((state) => selectProductById(state, productId));
+  // status/errorKey: Situação da busca dos detalhes mais recentes do produto (a mensagem de erro é traduzida ao exibir)
+  const { status, errorKey, errorStatus, fromCache, cachedAt } = useSelector((state) => selectProductDetailsStatus(state, productId));
+  // viewerIndex: Imagem aberta no visualizador em tela cheia (null quando ele está fechado)
+  const [viewerIndex, setViewerIndex] = useState(null);
+  const categoryNames = useSelector(selectCategoryNames);
 
-  // --- Estados do Componente ---
-  // product: Estado para armazenar os detalhes do produto carregado
-  const [product, setProduct] = useState(null);
-  // isLoading: Estado para controlar a exibição do indicador de carregamento
-  const [isLoading, setIsLoading] = useState(true);
-  // error: Estado para armazenar mensagens de erro (se a requisição falhar)
-  const [error, setError] = useState(null);
+  // --- Produtos Relacionados ---
+  // Escolhidos entre os produtos já carregados (ex: pela lista de categorias); cada tela tem o seu seletor
+  const selectRelatedProducts = useMemo(makeSelectRelatedProducts, []);
+  const relatedProducts = useSelector((state) => selectRelatedProducts(state, productId));
+  const category = product?.category;
+  // hasCategoryList: A primeira página da categoria do produto já foi pedida (aqui ou pela lista de categorias)
+  const hasCategoryList = useSelector((state) => !!category && !!state.products.lists[getListKey(category)]);
+
+  /**
+   * @useEffect
+   * @description Busca os detalhes do produto quando o componente é montado ou quando o `productId` muda.
+   * O thunk não faz a requisição se os detalhes carregados ainda estão dentro da validade.
+   */
+  useEffect(() => {
+    if (isValidId) {
+      dispatch(fetchProductDetails(productId));
+    }
+  }, [dispatch, productId, isValidId]);
 
   /**
    * @useEffect
-   * @description Hook que executa a função `loadProductDetails` quando o componente é montado
-   * ou quando o `productId` muda.
+   * @description Se o produto foi aberto sem passar pela lista da sua categoria (ex: pela busca),
+   * carrega a primeira página da categoria para montar o carrossel de relacionados.
    */
   useEffect(() => {
-    /**
-     * @function loadProductDetails
-     * @description Função assíncrona responsável por buscar os detalhes de um produto específico
-     * usando o `productId`. Gerencia os estados de carregamento e erro durante a requisição.
-     */
-    const loadProductDetails = async () => {
-      setIsLoading(true); 
-      setError(null);     
-      try {
-        const data = await getProductDetails(productId);
-        setProduct(data); 
-      } catch (err) {
-        console.error("Erro ao carregar detalhes do produto:", err);
-        setError(err.message || 'Não foi possível carregar os detalhes do produto.');
-        Alert.alert('Erro', err.message || 'Não foi possível carregar os detalhes do produto.');
-      } finally {
-        setIsLoading(false);
-      }
-    };
-
-    loadProductDetails(); 
-  }, [productId]); 
+    if (category && !hasCategoryList) {
+      dispatch(fetchCategoryPage({ category }));
+    }
+  }, [dispatch, category, hasCategoryList]);
+
+  /**
+   * @function renderHeaderActions
+   * @description Botões de compartilhar e de favoritar, exibidos no cabeçalho (ou no topo do painel da visão dividida).
+   * @callback
+   */
+  const renderHeaderActions = useCallback(() => (
+    <View style={styles.headerActions}>
+      <TouchableOpacity
+        onPress={() => shareProduct(product, t, formatPrice)}
+        hitSlop={8}
+        style={styles.shareButton}
+        accessibilityRole="button"
+        accessibilityLabel={t('a11y.share')}
+      >
+        <Ionicons name="share-social-outline" size={24} color={colors.textSecondary} />
+      </TouchableOpacity>
+      <FavoriteButton product={product} size={26} withBackground={false} />
+    </View>
+  ), [product, t, formatPrice, styles, colors]);
+
+  /**
+   * @useLayoutEffect
+   * @description Coloca os botões de compartilhar e de favoritar no cabeçalho assim que o produto é carregado.
+   * Quando a tela é aberta por um link, o título não vem nos parâmetros e passa a ser o do produto.
+   */
+  useLayoutEffect(() => {
+    // No painel da visão dividida, o cabeçalho é o da tela do Início: as ações ficam no topo do painel
+    if (isPane) {
+      return;
+    }
+    navigation.setOptions({
+      ...(!route.params?.productTitle && product ? { title: product.title } : {}),
+      headerRight: product ? renderHeaderActions : undefined,
+    });
+  }, [navigation, product, route.params?.productTitle, isPane, renderHeaderActions]);
 
   // --- Renderização Condicional da Interface do Usuário ---
 
-  // 1. Exibição do indicador de carregamento (spinner) enquanto os dados estão sendo buscados
-  if (isLoading) {
+  // 1. Produto inexistente (ID inválido ou desconhecido pela API): tela amigável de "não encontrado"
+  if (!product && (!isValidId || errorStatus === 404)) {
+    return <NotFoundScreen message={t('productDetails.notFound')} />;
+  }
+
+  // 2. Exibição do indicador de carregamento (spinner) enquanto não há nenhum dado do produto
+  if (!product && (status === 'loading' || status === 'idle')) {
     return (
       <View style={styles.centered}>
-        <ActivityIndicator size="large" color="#2567e8" /> {/* Usando a cor azul do tema */}
-        <Text style={styles.loadingText}>Carregando detalhes...</Text>
+        <ActivityIndicator size="large" color={colors.primary} /> {/* Usando a cor azul do tema */}
+        <Text style={styles.loadingText}>{t('productDetails.loading')}</Text>
       </View>
     );
   }
 
-  // 2. Exibição de mensagem de erro ou "não encontrado" se a requisição falhar ou o produto não existir
-  if (error || !product) {
+  // 3. Exibição de mensagem de erro ou "não encontrado" se a requisição falhar e não houver dados do produto
+  if (!product) {
     return (
       <View style={styles.centered}>
-        <Text style={styles.errorText}>{error || 'Detalhes do produto não encontrados.'}</Text>
+        <Text style={styles.errorText}>{t(errorKey || 'productDetails.missing')}</Text>
+        <TouchableOpacity onPress={() => dispatch(fetchProductDetails(productId))} style={styles.retryButton} accessibilityRole="button">
+          <Text style={styles.retryButtonText}>{t('common.retry')}</Text>
+        </TouchableOpacity>
       </View>
     );
   }
 
   // Calcula o preço com desconto com base no preço original e porcentagem de desconto
   const originalPrice = product.price;
-  const discountedPriceValue = originalPrice - (originalPrice * product.discountPercentage / 100);
+  const discountedPriceValue = getDiscountedPrice(product);
+  // Produtos sem estoque não podem ser adicionados ao carrinho
+  const isOutOfStock = product.stock === 0;
+  // Imagens da galeria: a lista completa do produto ou, na falta dela, a miniatura
+  // (sem nenhuma imagem, a galeria exibe o espaço reservado de "imagem indisponível")
+  const images = product.images?.length > 0 ? product.images : [product.thumbnail];
+  const reviews = product.reviews || [];
+
+  // Especificações: só entram as linhas que o produto informa
+  const { dimensions } = product;
+  const specifications = [
+    { label: t('productDetails.specs.brand'), value: product.brand },
+    { label: t('productDetails.specs.category'), value: categoryNames[product.category] || product.category },
+    {
+      label: t('productDetails.specs.stock'),
+      value: isOutOfStock
+        ? t('productDetails.specs.soldOut')
+        : product.stock != null && t('productDetails.specs.units', { count: product.stock }),
+    },
+    { label: t('productDetails.specs.rating'), value: product.rating != null && `${product.rating.toFixed(1)} ★` },
+    {
+      label: t('productDetails.specs.dimensions'),
+      value: dimensions && `${dimensions.width} x ${dimensions.height} x ${dimensions.depth} cm`,
+    },
+    { label: t('productDetails.specs.weight'), value: product.weight != null && `${product.weight} kg` },
+  ].filter((row) => row.value);
+  const policies = [
+    { label: t('productDetails.policies.shipping'), value: product.shippingInformation },
+    { label: t('productDetails.policies.warranty'), value: product.warrantyInformation },
+    { label: t('productDetails.policies.returns'), value: product.returnPolicy },
+  ].filter((row) => row.value);
+
+  /**
+   * @function handleAddToCart
+   * @description Adiciona o produto ao carrinho e oferece um atalho para a aba do carrinho.
+   */
+  const handleAddToCart = () => {
+    dispatch(addToCart({ product }));
+    Alert.alert(
+      t('productDetails.addedTitle'),
+      t('productDetails.addedMessage', { title: product.title }),
+      [
+        { text: t('productDetails.keepShopping'), style: 'cancel' },
+        { text: t('productDetails.viewCart'), onPress: () => navigation.navigate('MainTabs', { screen: 'CartTab' }) },
+      ],
+      { cancelable: true }
+    );
+  };
 
   return (
-    // ScrollView: Permite que o conteúdo da tela seja rolado se for muito extenso
-    <ScrollView style={styles.container}>
-      {/* mainImageContainer: Contêiner para a imagem principal do produto, com padding e fundo branco */}
-      <View style={styles.mainImageContainer}>
-        {product.images && product.images.length > 0 && (
-          <Image 
-            source={{ uri: product.images[0] }} 
-            style={styles.mainImage} 
-            resizeMode="contain" 
-          />
-        )}
-      </View>
-      
-      {/* infoContent: Contêiner para as informações textuais do produto (sem o card branco explícito) */}
-      <View style={styles.infoContent}>
-        <Text style={styles.title}>{product.title}</Text>
+    <View style={styles.container}>
+      {/* paneToolbar: Ações do produto no topo do painel da visão dividida (no lugar das do cabeçalho) */}
+      {isPane && <View style={styles.paneToolbar}>{renderHeaderActions()}</View>}
+      {/* ScrollView: Permite que o conteúdo da tela seja rolado se for muito extenso */}
+      <ScrollView style={styles.container}>
+        {/* Galeria deslizante das imagens do produto; tocar em uma imagem abre o visualizador em tela cheia */}
+        <ImageGallery images={images} onImagePress={setViewerIndex} />
         
-        {/* priceContainer: View para exibir os preços formatados (descontado e original) */}
-        <View style={styles.priceContainer}>
-          {/* discountedPrice: Exibe o preço final (com desconto), com destaque */}
-          <Text style={styles.discountedPrice}>R$ {discountedPriceValue.toFixed(2)}</Text>
-          {/* originalPrice: Exibe o preço original riscado, se houver desconto */}
-          {product.discountPercentage > 0 && (
-            <Text style={styles.originalPrice}>R$ {originalPrice.toFixed(2)}</Text>
+        {/* infoContent: Contêiner para as informações textuais do produto (sem o card branco explícito) */}
+        <View style={styles.infoContent}>
+          <Text style={styles.title} accessibilityRole="header">{product.title}</Text>
+
+          {/* Aviso discreto enquanto os detalhes mais recentes chegam (ou se a atualização falhar) */}
+          {status === 'loading' && (
+            <View style={styles.refreshRow}>
+              <ActivityIndicator size="small" color={colors.primary} />
+              <Text style={styles.refreshText}>{t('productDetails.refreshing')}</Text>
+            </View>
+          )}
+          {status === 'failed' && (
+            <Text style={styles.refreshErrorText}>{t('productDetails.refreshFailed')}</Text>
+          )}
+          {/* Sem conexão, os detalhes vêm do cache offline: informa quando foram obtidos */}
+          {fromCache && cachedAt && (
+            <Text style={styles.refreshErrorText}>{t('productDetails.cacheNotice', { date: formatDateTime(cachedAt) })}</Text>
+          )}
+          
+          {/* priceContainer: View para exibir os preços formatados (descontado e original) */}
+          <View
+            style={styles.priceContainer}
+            accessible // O leitor de tela lê os dois preços de uma vez, deixando claro qual é o original
+            accessibilityLabel={product.discountPercentage > 0
+              ? t('a11y.priceWithDiscount', { price: formatPrice(discountedPriceValue), originalPrice: formatPrice(originalPrice) })
+              : formatPrice(discountedPriceValue)}
+          >
+            {/* discountedPrice: Exibe o preço final (com desconto), com destaque */}
+            <Text style={styles.discountedPrice}>{formatPrice(discountedPriceValue)}</Text>
+            {/* originalPrice: Exibe o preço original riscado, se houver desconto */}
+            {product.discountPercentage > 0 && (
+              <Text style={styles.originalPrice}>{formatPrice(originalPrice)}</Text>
+            )}
+          </View>
+
+          {/* description: Exibe a descrição completa do produto */}
+          <Text style={styles.description}>{product.description}</Text>
+
+          {/* Seções recolhíveis: especificações, entrega/garantia/devolução e resumo das avaliações */}
+          {specifications.length > 0 && (
+            <CollapsibleSection title={t('productDetails.specsTitle')} icon="list-outline" initiallyExpanded>
+              {specifications.map((row) => <InfoRow key={row.label} {...row} />)}
+            </CollapsibleSection>
+          )}
+          {policies.length > 0 && (
+            <CollapsibleSection title={t('productDetails.policiesTitle')} icon="cube-outline">
+              {policies.map((row) => <InfoRow key={row.label} {...row} />)}
+            </CollapsibleSection>
+          )}
+          {reviews.length > 0 && (
+            <CollapsibleSection title={t('productDetails.ratingsTitle')} icon="star-outline" initiallyExpanded>
+              <RatingSummary rating={product.rating ?? 0} reviews={reviews} />
+            </CollapsibleSection>
+          )}
+
+          {/* Lista de avaliações, com ordenação por mais recentes ou maior nota */}
+          {reviews.length > 0 && (
+            <View style={styles.reviewsSection}>
+              <Text style={styles.sectionTitle} accessibilityRole="header">{t('productDetails.comments')}</Text>
+              <ReviewList reviews={reviews} />
+            </View>
           )}
         </View>
 
-        {/* description: Exibe a descrição completa do produto */}
-        <Text style={styles.description}>{product.description}</Text>
-
-        {/*
-          Removido: Marca, Categoria, Estoque, Avaliação
-          Conforme a nova imagem do Figma, essas informações não estão mais visíveis nesta tela.
-          Se precisar delas novamente, reintroduza-as aqui.
-        */}
-        {/* <Text style={styles.brand}>Marca: {product.brand}</Text> */}
-        {/* <Text style={styles.category}>Categoria: {product.category}</Text> */}
-        {/* <Text style={styles.stock}>Estoque: {product.stock} unidades</Text> */}
-        {/* <Text style={styles.rating}>Avaliação: {product.rating} ⭐</Text> */}
+        {/* Carrossel "Você também pode gostar": abre os detalhes do produto tocado por cima desta tela */}
+        <RelatedProductsCarousel
+          products={relatedProducts}
+          onProductPress={(item) => (
+            onProductPress
+              ? onProductPress(item)
+              : navigation.push('ProductDetails', { productId: item.id, productTitle: item.title })
+          )}
+        />
+      </ScrollView>
+
+      {/* footer: Barra fixa com o botão de adicionar ao carrinho */}
+      <View style={styles.footer}>
+        <TouchableOpacity
+          style={[styles.addToCartButton, isOutOfStock && styles.addToCartButtonDisabled]}
+          onPress={handleAddToCart}
+          disabled={isOutOfStock}
+          accessibilityRole="button"
+          accessibilityState={{ disabled: isOutOfStock }}
+        >
+          <Text style={styles.addToCartButtonText}>
+            {isOutOfStock ? t('productDetails.soldOut') : t('productDetails.addToCart')}
+          </Text>
+        </TouchableOpacity>
       </View>
-    </ScrollView>
+
+      {viewerIndex !== null && (
+        <FullScreenImageViewer
+          visible
+          images={images}
+          initialIndex={viewerIndex}
+          onClose={() => setViewerIndex(null)}
+        />
+      )}
+    </View>
   );
 };
 
 // --- Folha de Estilos do Componente ProductDetailsScreen ---
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,                          // Ocupa todo o espaço vertical disponível
-    backgroundColor: '#fff',          // Fundo branco (conforme Figma, não tem cinza no fundo principal)
+    backgroundColor: colors.surface,  // Fundo branco no tema claro (conforme Figma, não tem cinza no fundo principal)
   },
   centered: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: '#f8f8f8', // Fundo cinza para telas de loading/erro
+    backgroundColor: colors.background, // Fundo cinza para telas de loading/erro
   },
   loadingText: {
     marginTop: 10,
     fontSize: 16,
-    color: '#555',
+    color: colors.textSecondary,
   },
   errorText: {
     fontSize: 16,
-    color: 'red',
+    color: colors.danger,
     textAlign: 'center',
+    paddingHorizontal: 20,
+  },
+  retryButton: {
+    backgroundColor: colors.primary,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 5,
+    marginTop: 15,
+  },
+  retryButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  // headerActions: Botões de compartilhar e favoritar lado a lado no cabeçalho
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
   },
-  // mainImageContainer: Novo contêiner para a imagem principal, para aplicar padding e fundo
-  mainImageContainer: {
-    width: '100%',
-    backgroundColor: '#fff', // Fundo branco para a área da imagem
-    paddingVertical: 20,     // Padding vertical para a imagem
-    alignItems: 'center',    // Centraliza a imagem horizontalmente
-    borderBottomWidth: 1,    // Borda inferior sutil, como no Figma
-    borderBottomColor: '#eee',
-  },
-  // mainImage: Estilo da imagem principal do produto dentro do seu contêiner
-  mainImage: {
-    width: width * 0.8,      // 80% da largura da tela, como na imagem do Figma
-    height: width * 0.8,     // Altura igual à largura para um formato quadrado
-    resizeMode: 'contain',   // Garante que a imagem caiba sem cortar
+  shareButton: {
+    marginRight: 15,
+  },
+  // paneToolbar: Barra com as ações do produto no topo do painel da visão dividida
+  paneToolbar: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  // refreshRow: Linha com o spinner pequeno exibido enquanto os detalhes são atualizados
+  refreshRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  refreshText: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginLeft: 6,
+  },
+  refreshErrorText: {
+    fontSize: 13,
+    color: colors.textMuted,
   },
   // infoContent: Contêiner para as informações textuais abaixo da imagem
   infoContent: {
@@ -185,14 +448,7 @@ const styles = StyleSheet.create({
     fontSize: 24,
     fontWeight: 'bold',
     marginBottom: 5,         // Espaço menor após o título, conforme Figma
-    color: '#333',
-  },
-
-  category: {
-    // Removido da exibição conforme Figma.
-    // fontSize: 14,
-    // color: '#888',
-    // marginBottom: 15,
+    color: colors.text,
   },
   priceContainer: {
     flexDirection: 'row',
@@ -202,14 +458,14 @@ const styles = StyleSheet.create({
   },
   originalPrice: {
     fontSize: 16,            // Tamanho um pouco maior para o preço riscado
-    color: '#888',
+    color: colors.textMuted,
     textDecorationLine: 'line-through',
     marginLeft: 10,          // Espaço à esquerda do preço riscado
   },
   discountedPrice: {
     fontSize: 28,            // Tamanho maior para o preço com desconto, como no Figma
     fontWeight: 'bold',
-    color: '#E91E63',           // Cor mais escura para o preço principal
+    color: colors.favorite,     // Cor mais escura para o preço principal
   },
   discountPercentage: {
     // Removido da exibição conforme Figma.
@@ -227,20 +483,43 @@ const styles = StyleSheet.create({
   },
   description: {
     fontSize: 16,            // Tamanho da fonte da descrição
-    color: '#555',
+    color: colors.textSecondary,
     lineHeight: 24,          // Altura da linha para melhor legibilidade
     marginBottom: 15,        // Padding inferior do ScrollView (se precisar)
   },
-  stock: {
-    // Removido da exibição conforme Figma.
-    // fontSize: 14,
-    // color: '#666',
-    // marginBottom: 5,
+  // reviewsSection: Bloco da lista de avaliações, abaixo das seções recolhíveis
+  reviewsSection: {
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+    paddingTop: 15,
   },
-  rating: {
-    // Removido da exibição conforme Figma.
-    // fontSize: 14,
-    // color: '#666',
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 10,
+  },
+  // footer: Barra inferior fixa que contém o botão de adicionar ao carrinho
+  footer: {
+    padding: 15,
+    backgroundColor: colors.surface,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  addToCartButton: {
+    minHeight: 50,
+    backgroundColor: colors.primary, // Azul do tema
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  addToCartButtonDisabled: {
+    backgroundColor: colors.placeholder, // Cinza quando o produto está esgotado
+  },
+  addToCartButtonText: {
+    color: colors.onPrimary,
+    fontSize: 18,
+    fontWeight: 'bold',
   },
 });
 
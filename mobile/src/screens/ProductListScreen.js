@@ -1,21 +1,41 @@
 // src/screens/ProductListScreen.js
-import React from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { 
   View,           // Contêiner básico para layout usando flexbox
   Text,           // Componente para exibir texto
   StyleSheet,     // API para criar folhas de estilo CSS-like
   TouchableOpacity, // Componente de botão que responde ao toque com opacidade
   StatusBar,      // Componente para controlar a barra de status do dispositivo
-  Platform        // API para detectar a plataforma atual (iOS, Android, web)
+  Platform,       // API para detectar a plataforma atual (iOS, Android, web)
+  useWindowDimensions // Hook com as dimensões atuais da janela (decide se cabe a visão dividida)
 } from 'react-native';
 
 // Importa o navegador de abas superiores do React Navigation
 import { createMaterialTopTabNavigator } from '@react-navigation/material-top-tabs';
 // Importa o hook para acesso ao objeto de navegação
 import { useNavigation } from '@react-navigation/native';
+// Importa hooks do Redux para ler as abas do catálogo e despachar ações
+import { useDispatch, useSelector } from 'react-redux';
+// Importa o thunk que busca as categorias e o seletor das abas visíveis
+import { fetchCategories, selectVisibleTabs } from '../store/catalogSlice';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
 
 // Importa o componente CategoryProductList, responsável por renderizar a lista de produtos por categoria
 import CategoryProductList from '../components/CategoryProductList';
+// Importa a tela de detalhes, exibida como painel ao lado da grade em telas largas
+import ProductDetailsScreen from './ProductDetailsScreen';
+// Importa o contexto da visão dividida, lido pela grade de produtos
+import { SplitViewContext } from '../hooks/useSplitView';
+// Importa a regra que decide se a janela comporta a visão dividida e a fração ocupada pela grade
+import { isSplitViewWidth } from '../utils/layout';
+import { SPLIT_VIEW_LIST_RATIO } from '../constants/layout';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
 
 // Cria uma instância do navegador de abas superiores
 const Tab = createMaterialTopTabNavigator();
@@ -24,122 +44,217 @@ const Tab = createMaterialTopTabNavigator();
  * @function ProductListScreen
  * @description Tela principal que exibe um catálogo de produtos, organizado por categorias
  * através de um navegador de abas superiores (Top Tab Navigator).
+ * As abas são montadas a partir das categorias da API (`products/categories`), agrupadas conforme
+ * o mapa de `constants/categoryGroups`, na ordem e visibilidade escolhidas pelo usuário nas Configurações.
  * Esta tela também inclui um cabeçalho personalizado e gerencia a barra de status.
+ * Em telas largas (tablets, janelas largas), vira uma visão dividida: a grade fica à esquerda e o produto tocado
+ * aparece à direita, no painel de detalhes, em vez de abrir uma nova tela. Se a janela estreitar com um produto
+ * aberto no painel (ex: ao girar o aparelho), os detalhes passam para uma tela própria.
  */
 const ProductListScreen = () => {
   // Hook para acessar o objeto de navegação, permitindo a transição entre telas
   const navigation = useNavigation();
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const { colors, isDark } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  // Grupos de categorias exibidos como abas
+  const tabs = useSelector(selectVisibleTabs);
+
+  // --- Visão Dividida (telas largas) ---
+  const { width } = useWindowDimensions();
+  const isSplitView = isSplitViewWidth(width);
+  // selectedProduct: Produto exibido no painel de detalhes ({ id, title }), ou null antes do primeiro toque
+  const [selectedProduct, setSelectedProduct] = useState(null);
+  const listWidth = Math.round(width * SPLIT_VIEW_LIST_RATIO);
+  // Valor lido pela grade (ProductGrid) dentro das abas; fora da visão dividida a grade navega normalmente
+  const splitView = useMemo(() => (isSplitView
+    ? {
+      listWidth,
+      selectedProductId: selectedProduct?.id ?? null,
+      selectProduct: (product) => setSelectedProduct({ id: product.id, title: product.title }),
+    }
+    : null), [isSplitView, listWidth, selectedProduct]);
+
+  // Se a janela deixa de comportar a visão dividida com um produto aberto, ele segue em uma tela própria
+  useEffect(() => {
+    if (!isSplitView && selectedProduct) {
+      navigation.navigate('ProductDetails', { productId: selectedProduct.id, productTitle: selectedProduct.title });
+      setSelectedProduct(null);
+    }
+  }, [isSplitView, selectedProduct, navigation]);
+
+  // Busca as categorias existentes na API (as abas padrão aparecem enquanto isso)
+  useEffect(() => {
+    dispatch(fetchCategories());
+  }, [dispatch]);
 
   return (
     // Contêiner principal da tela. Define o layout flexível para ocupar todo o espaço
     // e ajusta o padding superior para a barra de status em Android.
     <View style={styles.container}> 
       {/* StatusBar: Componente para estilizar a barra de status do sistema (cor, estilo do texto) */}
-      <StatusBar barStyle="dark-content" backgroundColor="#fff" />
+      <StatusBar barStyle={isDark ? 'light-content' : 'dark-content'} backgroundColor={colors.surface} />
 
-      {/* Header: View que funciona como um cabeçalho personalizado.
-        Ele cria um espaço acima da barra de abas superiores, empurrando-a para baixo,
-        conforme o design desejado.
+      {/* Header: cabeçalho personalizado acima das abas superiores.
+        Exibe uma barra de busca que, ao ser tocada, abre a tela de busca de produtos.
       */}
       <View style={styles.header}>
-        {/*
-          headerTitle: Título exibido no cabeçalho. 
-          Pode ser personalizado ou removido se apenas o espaço for necessário.
-        */}
-
+        <TouchableOpacity style={styles.searchBar} onPress={() => navigation.navigate('Search')} activeOpacity={0.7} accessibilityRole="button">
+          <Ionicons name="search" size={18} color={colors.textMuted} />
+          <Text style={styles.searchPlaceholder}>{t('search.placeholder')}</Text>
+        </TouchableOpacity>
       </View>
 
-      {/* Contêiner principal para o Top Tab Navigator.
+      {/* Contêiner principal para o Top Tab Navigator (e, na visão dividida, para o painel de detalhes).
         'flex: 1' garante que este View ocupe todo o espaço restante após o cabeçalho.
       */}
-      <View style={{ flex: 1 }}> 
-        {/* Tab.Navigator: Componente que cria a navegação de abas na parte superior.
-          Gerencia a exibição de diferentes telas (abas) para cada categoria de produtos.
-        */}
-        <Tab.Navigator
-          // screenOptions: Configurações globais para todas as abas dentro deste navegador
-          screenOptions={{
-            // tabBarActiveTintColor: Cor do ícone e texto da aba ativa (azul do tema)
-            tabBarActiveTintColor: '#2567e8',
-            // tabBarInactiveTintColor: Cor do ícone e texto da aba inativa (cinza)
-            tabBarInactiveTintColor: '#888',
-            // tabBarIndicatorStyle: Estilo da linha indicadora abaixo da aba ativa
-            tabBarIndicatorStyle: {
-              backgroundColor: '#2567e8', // Cor do indicador (azul do tema)
-              height: 5,                  // Altura da linha indicadora
-              borderRadius: 1.5,          // Borda arredondada da linha indicadora
-            },
-            // tabBarStyle: Estilos aplicados à barra de abas em si (fundo, sombras, altura)
-            tabBarStyle: {
-              backgroundColor: '#fff', // Fundo branco da barra de abas
-              elevation: 0,             // Remove sombra no Android
-              shadowOpacity: 0,         // Remove opacidade da sombra no iOS
-              shadowOffset: { width: 0, height: 0 }, // Zera deslocamento da sombra no iOS
-              shadowRadius: 0,          // Zera o raio da sombra no iOS
-              borderBottomWidth: 0,     // Remove borda inferior padrão da barra de abas
-              height: 50,               // Altura explícita da barra de abas superiores
-            },
-            // tabBarLabelStyle: Estilos aplicados ao texto (rótulo) de cada aba
-            tabBarLabelStyle: {
-              fontSize: 14,             // Tamanho da fonte do rótulo
-              fontWeight: 'bold',       // Texto em negrito
-              textTransform: 'none',    // Impede que o texto seja convertido para maiúsculas
-            },
-            // tabBarPressColor: Cor de feedback ao tocar em uma aba
-            tabBarPressColor: '#e0e0e0',
-          }}
-        >
-          {/* Tab.Screen para a categoria "Produtos Masculinos" */}
-          <Tab.Screen
-            name="Produtos Masculinos" // Nome da aba exibido na interface
-            // children: Função que retorna o componente a ser renderizado quando esta aba estiver ativa
-            children={() => (
-              <CategoryProductList
-                categories={['mens-shirts', 'mens-shoes', 'mens-watches']} // Categorias masculinas para esta aba
-                navigation={navigation} // Passa o objeto de navegação para o componente filho
-              />
-            )}
-          />
-          {/* Tab.Screen para a categoria "Produtos Femininos" */}
-          <Tab.Screen
-            name="Produtos Femininos" // Nome da aba exibido na interface
-            children={() => (
-              <CategoryProductList
-                categories={['womens-bags', 'womens-dresses', 'womens-jewellery', 'womens-shoes', 'womens-watches']} // Categorias femininas
-                navigation={navigation}
-              />
-            )}
-          />
-        </Tab.Navigator>
-      </View>
+      <SplitViewContext.Provider value={splitView}>
+        <View style={styles.body}>
+          {/* Na visão dividida, a grade fica com a fração esquerda da largura */}
+          <View style={isSplitView ? { width: listWidth } : { flex: 1 }}>
+            {/* Tab.Navigator: Componente que cria a navegação de abas na parte superior.
+              Gerencia a exibição de diferentes telas (abas) para cada categoria de produtos.
+            */}
+            <Tab.Navigator
+              // screenOptions: Configurações globais para todas as abas dentro deste navegador
+              screenOptions={{
+                // tabBarActiveTintColor: Cor do ícone e texto da aba ativa (azul do tema)
+                tabBarActiveTintColor: colors.primary,
+                // tabBarInactiveTintColor: Cor do ícone e texto da aba inativa (cinza)
+                tabBarInactiveTintColor: colors.textMuted,
+                // tabBarIndicatorStyle: Estilo da linha indicadora abaixo da aba ativa
+                tabBarIndicatorStyle: {
+                  backgroundColor: colors.primary, // Cor do indicador (azul do tema)
+                  height: 5,                  // Altura da linha indicadora
+                  borderRadius: 1.5,          // Borda arredondada da linha indicadora
+                },
+                // tabBarStyle: Estilos aplicados à barra de abas em si (fundo, sombras, altura)
+                tabBarStyle: {
+                  backgroundColor: colors.surface, // Fundo da barra de abas (branco no tema claro)
+                  elevation: 0,             // Remove sombra no Android
+                  shadowOpacity: 0,         // Remove opacidade da sombra no iOS
+                  shadowOffset: { width: 0, height: 0 }, // Zera deslocamento da sombra no iOS
+                  shadowRadius: 0,          // Zera o raio da sombra no iOS
+                  borderBottomWidth: 0,     // Remove borda inferior padrão da barra de abas
+                  minHeight: 50,            // Altura mínima da barra de abas superiores (cresce com a fonte do sistema)
+                },
+                // tabBarLabelStyle: Estilos aplicados ao texto (rótulo) de cada aba
+                tabBarLabelStyle: {
+                  fontSize: 14,             // Tamanho da fonte do rótulo
+                  fontWeight: 'bold',       // Texto em negrito
+                  textTransform: 'none',    // Impede que o texto seja convertido para maiúsculas
+                },
+                // tabBarPressColor: Cor de feedback ao tocar em uma aba
+                tabBarPressColor: colors.placeholder,
+                // Com mais de duas abas, a barra rola horizontalmente e cada aba ocupa a largura do seu nome
+                tabBarScrollEnabled: tabs.length > 2,
+                tabBarItemStyle: tabs.length > 2 ? { width: 'auto', minWidth: 120 } : undefined,
+              }}
+            >
+              {/* Uma Tab.Screen para cada grupo de categorias visível, na ordem escolhida nas Configurações */}
+              {tabs.map((group) => (
+                <Tab.Screen
+                  key={group.id}
+                  name={group.id}                   // Nome interno da rota da aba (ID do grupo)
+                  options={{ title: t(group.labelKey) }}  // Nome da aba exibido na interface
+                  // children: Função que retorna o componente a ser renderizado quando esta aba estiver ativa
+                  children={() => (
+                    <CategoryProductList
+                      tabKey={group.id}                 // Identifica a aba para guardar seus filtros
+                      categories={group.categories}     // Categorias da API que compõem a aba
+                      navigation={navigation} // Passa o objeto de navegação para o componente filho
+                    />
+                  )}
+                />
+              ))}
+            </Tab.Navigator>
+          </View>
+
+          {/* detailPane: Painel de detalhes da visão dividida; a chave recria o painel (e volta ao topo) a cada produto */}
+          {isSplitView && (
+            <View style={styles.detailPane}>
+              {selectedProduct ? (
+                <ProductDetailsScreen
+                  key={selectedProduct.id}
+                  productId={selectedProduct.id}
+                  onProductPress={splitView.selectProduct}
+                />
+              ) : (
+                <View style={styles.detailPlaceholder}>
+                  <Ionicons name="pricetag-outline" size={64} color={colors.placeholder} />
+                  <Text style={styles.detailPlaceholderText}>{t('productList.selectProduct')}</Text>
+                </View>
+              )}
+            </View>
+          )}
+        </View>
+      </SplitViewContext.Provider>
     </View>
   );
 };
 
 // --- Folha de Estilos do Componente ProductListScreen ---
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   // container: Estilo para o contêiner View principal da tela
   container: {
     flex: 1,                          // Ocupa todo o espaço vertical disponível
-    backgroundColor: '#fff',          // Fundo branco da tela
+    backgroundColor: colors.surface,  // Fundo da tela (branco no tema claro)
     // paddingTop condicional para Android: Ajusta o conteúdo abaixo da barra de status
     paddingTop: Platform.OS === 'android' ? StatusBar.currentHeight : 0, 
   },
   // header: Estilo para o View que serve como cabeçalho customizado acima das abas
   header: {
-    height: 20,                       // Altura fixa do cabeçalho
-    backgroundColor: '#fff',          // Cor de fundo do cabeçalho
-    justifyContent: 'center',         // Centraliza o conteúdo (título) verticalmente
-    alignItems: 'flex-start',         // Alinha o conteúdo (título) à esquerda
-    paddingHorizontal: 20,            // Espaçamento horizontal para o conteúdo do cabeçalho
-    // borderBottomWidth: 1,             // Exemplo de estilo para uma borda inferior no cabeçalho
-    // borderBottomColor: '#eee',
+    backgroundColor: colors.surface,  // Cor de fundo do cabeçalho
+    justifyContent: 'center',         // Centraliza o conteúdo verticalmente
+    paddingHorizontal: 15,            // Espaçamento horizontal para o conteúdo do cabeçalho
+    paddingVertical: 10,              // Espaçamento vertical em volta da barra de busca
+  },
+  // searchBar: Barra de busca (apenas visual) que abre a tela de busca
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surfaceMuted,
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    minHeight: 40,
+  },
+  // searchPlaceholder: Texto de convite exibido dentro da barra de busca
+  searchPlaceholder: {
+    fontSize: 16,
+    color: colors.textMuted,
+    marginLeft: 8,
+  },
+  // body: Área abaixo do cabeçalho; na visão dividida, a grade e o painel de detalhes ficam lado a lado
+  body: {
+    flex: 1,
+    flexDirection: 'row',
+  },
+  // detailPane: Painel de detalhes à direita da grade (visão dividida)
+  detailPane: {
+    flex: 1,
+    borderLeftWidth: 1,
+    borderLeftColor: colors.border,
+    backgroundColor: colors.background,
+  },
+  // detailPlaceholder: Convite exibido no painel enquanto nenhum produto foi tocado
+  detailPlaceholder: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 30,
+  },
+  detailPlaceholderText: {
+    fontSize: 16,
+    color: colors.textMuted,
+    textAlign: 'center',
+    marginTop: 10,
   },
   // headerTitle: Estilo para o texto do título dentro do cabeçalho
   headerTitle: {
     fontSize: 22,
     fontWeight: 'bold',
-    color: '#333',
+    color: colors.text,
   },
   // Outros estilos (como os de CategoryProductList.js, ProductCard.js, etc.)
   // estariam definidos em seus respectivos arquivos para manter a modularidade.
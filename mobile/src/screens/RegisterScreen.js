@@ -0,0 +1,230 @@
+// src/screens/RegisterScreen.js
+import React, { useState } from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  StyleSheet,     // API para criar folhas de estilo
+  ActivityIndicator, // Indicador de carregamento (spinner)
+  AccessibilityInfo // Anuncia pelo leitor de tela quantos campos precisam de correção
+} from 'react-native';
+
+// Importa o hook useDispatch do Redux para despachar ações
+import { useDispatch } from 'react-redux';
+// Importa a ação de sucesso de login (a conta criada já entra logada)
+import { loginSuccess } from '../store/authSlice';
+// Importa as funções de API que conferem se o e-mail já está em uso e criam a conta
+import { isEmailRegistered, registerUser } from '../services/api';
+// Importa o hook de formulário e as regras de validação declarativas
+import useForm from '../hooks/useForm';
+import { required, email, password, match } from '../utils/formRules';
+// Importa a moldura das telas de autenticação e os componentes de formulário
+import AuthFormLayout from '../components/AuthFormLayout';
+import FormInput from '../components/FormInput';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+// Importa o hook que anuncia os erros pelo leitor de tela
+import useAnnouncement from '../hooks/useAnnouncement';
+
+/**
+ * @function RegisterScreen
+ * @description Tela de cadastro, aberta pelo link "Criar conta" da LoginScreen.
+ * A validação é feita ao vivo: o erro de cada campo aparece quando ele perde o foco (ou na primeira
+ * tentativa de envio) e, a partir daí, acompanha a digitação. Erros devolvidos pelo servidor
+ * (ex: e-mail já cadastrado) aparecem no campo correspondente. Com o cadastro aceito, o usuário já entra logado.
+ * @param {object} props - Propriedades da tela.
+ * @param {object} props.navigation - O objeto de navegação do React Navigation.
+ */
+const RegisterScreen = ({ navigation }) => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  // Regras de cada campo (utils/formRules); a senha segue as mesmas regras da recuperação de senha.
+  // O e-mail já cadastrado é conferido quando o campo perde o foco (e de novo no envio)
+  const { values, getFieldProps, setValue, setFieldError, handleSubmit, isSubmitting, submitError } = useForm({
+    initialValues: { name: '', email: '', password: '', confirmPassword: '' },
+    rules: {
+      name: [required()],
+      email: [required(), email()],
+      password: [required(), password()],
+      confirmPassword: [required(), match('password', t('validation.passwordMismatch'))],
+    },
+    asyncRules: {
+      email: [async (value) => ((await isEmailRegistered(value)) ? t('errors.emailTaken') : undefined)],
+    },
+  });
+  const [generalError, setGeneralError] = useState('');
+  // Sem conexão, a conferência do e-mail no envio falha antes do cadastro: o aviso é o mesmo de uma falha no cadastro
+  const visibleGeneralError = generalError || (submitError ? t('errors.register') : '');
+  useAnnouncement(visibleGeneralError);
+
+  /**
+   * @function updateField
+   * @description Atualiza um campo do formulário e descarta o aviso geral de falha.
+   * @param {string} field - O nome do campo.
+   * @param {string} value - O novo valor.
+   */
+  const updateField = (field, value) => {
+    setValue(field, value);
+    setGeneralError('');
+  };
+
+  /**
+   * @function getInputProps
+   * @description Props de um campo do cadastro: as do `useForm`, com a digitação passando por `updateField`.
+   * @param {string} field - O nome do campo.
+   * @returns {object} As props do `FormInput`.
+   */
+  const getInputProps = (field) => ({
+    ...getFieldProps(field),
+    onChangeText: (text) => updateField(field, text),
+  });
+
+  /**
+   * @function handleRegister
+   * @description Envia o cadastro (chamada pelo `handleSubmit` do formulário só quando os campos são válidos).
+   * Em caso de sucesso, despacha `loginSuccess` com a sessão da nova conta (o AppNavigator troca para as
+   * telas principais); em caso de falha, exibe o erro no campo indicado pelo servidor ou um aviso geral.
+   * @param {object} formValues - Os valores validados (`{ name, email, password, confirmPassword }`).
+   */
+  const handleRegister = async (formValues) => {
+    setGeneralError('');
+    // O primeiro nome vai em `firstName` e o restante em `lastName`, como a DummyJSON espera
+    const [firstName, ...lastNames] = formValues.name.trim().split(/\s+/);
+    try {
+      const session = await registerUser({
+        firstName,
+        lastName: lastNames.join(' '),
+        email: formValues.email.trim(),
+        password: formValues.password,
+      });
+      dispatch(loginSuccess(session));
+    } catch (error) {
+      if (error.fieldErrors) {
+        Object.entries(error.fieldErrors).forEach(([field, message]) => setFieldError(field, message));
+        AccessibilityInfo.announceForAccessibility(error.message);
+      } else {
+        setGeneralError(error.message || t('errors.register'));
+      }
+    }
+  };
+
+  // Com campos inválidos, anuncia pelo leitor de tela quantos precisam de correção (os erros já aparecem em cada campo)
+  const submitRegister = handleSubmit(handleRegister, (errors) => {
+    AccessibilityInfo.announceForAccessibility(t('a11y.formErrors', { count: Object.keys(errors).length }));
+  });
+
+  return (
+    <AuthFormLayout
+      title={t('register.title')}
+      subtitle={t('register.subtitle')}
+      onBack={() => navigation.goBack()}
+    >
+      {!!visibleGeneralError && (
+        <Text style={styles.generalErrorMessage} accessibilityRole="alert">{visibleGeneralError}</Text>
+      )}
+      <FormInput
+        label={t('register.name')}
+        {...getInputProps('name')}
+        autoCapitalize="words"
+        autoComplete="name"
+        textContentType="name"
+      />
+      <FormInput
+        label={t('register.email')}
+        {...getInputProps('email')}
+        autoCapitalize="none"
+        autoComplete="email"
+        keyboardType="email-address"
+        textContentType="emailAddress"
+      />
+      <FormInput
+        label={t('register.password')}
+        {...getInputProps('password')}
+        secureTextEntry
+        autoCapitalize="none"
+        textContentType="newPassword"
+      />
+      <PasswordStrengthMeter password={values.password} />
+      <FormInput
+        label={t('register.confirmPassword')}
+        {...getInputProps('confirmPassword')}
+        secureTextEntry
+        autoCapitalize="none"
+        textContentType="newPassword"
+      />
+
+      <TouchableOpacity
+        style={styles.button}
+        onPress={submitRegister}
+        disabled={isSubmitting}
+        accessibilityRole="button"
+        accessibilityLabel={t('register.submit')}
+        accessibilityState={{ disabled: isSubmitting, busy: isSubmitting }}
+      >
+        {isSubmitting ? (
+          <ActivityIndicator color={colors.onPrimary} />
+        ) : (
+          <Text style={styles.buttonText}>{t('register.submit')}</Text>
+        )}
+      </TouchableOpacity>
+
+      {/* linkRow: Volta para a LoginScreen */}
+      <View style={styles.linkRow}>
+        <Text style={styles.linkLabel}>{t('register.haveAccount')}</Text>
+        <TouchableOpacity onPress={() => navigation.goBack()} accessibilityRole="button">
+          <Text style={styles.linkText}>{t('register.signIn')}</Text>
+        </TouchableOpacity>
+      </View>
+    </AuthFormLayout>
+  );
+};
+
+// --- Folha de Estilos do Componente RegisterScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  generalErrorMessage: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.danger,
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  button: {
+    minHeight: 50,
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  buttonText: {
+    color: colors.onPrimary,
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  linkRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+    marginTop: 20,
+  },
+  linkLabel: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginRight: 5,
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.primary,
+  },
+});
+
+export default RegisterScreen;
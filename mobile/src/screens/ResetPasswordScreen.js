@@ -0,0 +1,139 @@
+// src/screens/ResetPasswordScreen.js
+import React, { useState } from 'react';
+import {
+  Text,           // Exibição de texto
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  StyleSheet,     // API para criar folhas de estilo
+  ActivityIndicator, // Indicador de carregamento (spinner)
+  AccessibilityInfo // Anuncia pelo leitor de tela quantos campos precisam de correção
+} from 'react-native';
+
+// Importa o serviço (simulado) que grava a nova senha
+import { resetPassword } from '../services/passwordRecovery';
+// Importa o hook de formulário e as regras de validação declarativas (mesmas regras de senha do cadastro)
+import useForm from '../hooks/useForm';
+import { required, password, match } from '../utils/formRules';
+// Importa a moldura das telas de autenticação e os componentes de formulário
+import AuthFormLayout from '../components/AuthFormLayout';
+import FormInput from '../components/FormInput';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+// Importa o hook que anuncia os erros pelo leitor de tela
+import useAnnouncement from '../hooks/useAnnouncement';
+
+/**
+ * @function ResetPasswordScreen
+ * @description Última etapa da recuperação de senha: escolha da nova senha, com o medidor de força e as
+ * mesmas regras do cadastro. Ao salvar, volta para a LoginScreen com o e-mail preenchido e um aviso de sucesso.
+ * @param {object} props - Propriedades da tela.
+ * @param {object} props.navigation - O objeto de navegação do React Navigation.
+ * @param {object} props.route - A rota atual; `route.params` traz `{ email, resetToken }`.
+ */
+const ResetPasswordScreen = ({ navigation, route }) => {
+  const { email, resetToken } = route.params;
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  const { values, getFieldProps, handleSubmit, isSubmitting } = useForm({
+    initialValues: { password: '', confirmPassword: '' },
+    rules: {
+      password: [required(), password()],
+      confirmPassword: [required(), match('password', t('validation.passwordMismatch'))],
+    },
+  });
+  const [generalError, setGeneralError] = useState('');
+  useAnnouncement(generalError);
+
+  /**
+   * @function handleSave
+   * @description Grava a nova senha (chamada pelo `handleSubmit` do formulário só quando os campos são válidos);
+   * em seguida volta ao login, que exibe o aviso de sucesso.
+   * @param {object} formValues - Os valores validados (`{ password, confirmPassword }`).
+   */
+  const handleSave = async (formValues) => {
+    try {
+      await resetPassword(email, resetToken, formValues.password);
+      navigation.popTo('Login', { resetEmail: email });
+    } catch (error) {
+      setGeneralError(error.message);
+    }
+  };
+
+  // Com campos inválidos, anuncia pelo leitor de tela quantos precisam de correção (os erros já aparecem em cada campo)
+  const submitSave = handleSubmit(handleSave, (errors) => {
+    AccessibilityInfo.announceForAccessibility(t('a11y.formErrors', { count: Object.keys(errors).length }));
+  });
+
+  return (
+    <AuthFormLayout
+      title={t('forgotPassword.newPasswordTitle')}
+      subtitle={t('forgotPassword.newPasswordSubtitle', { email })}
+      onBack={() => navigation.goBack()}
+    >
+      {!!generalError && (
+        <Text style={styles.generalErrorMessage} accessibilityRole="alert">{generalError}</Text>
+      )}
+      <FormInput
+        label={t('forgotPassword.newPassword')}
+        {...getFieldProps('password')}
+        secureTextEntry
+        autoCapitalize="none"
+        textContentType="newPassword"
+      />
+      <PasswordStrengthMeter password={values.password} />
+      <FormInput
+        label={t('forgotPassword.confirmPassword')}
+        {...getFieldProps('confirmPassword')}
+        secureTextEntry
+        autoCapitalize="none"
+        textContentType="newPassword"
+      />
+      <TouchableOpacity
+        style={styles.button}
+        onPress={submitSave}
+        disabled={isSubmitting}
+        accessibilityRole="button"
+        accessibilityLabel={t('forgotPassword.save')}
+        accessibilityState={{ disabled: isSubmitting, busy: isSubmitting }}
+      >
+        {isSubmitting ? (
+          <ActivityIndicator color={colors.onPrimary} />
+        ) : (
+          <Text style={styles.buttonText}>{t('forgotPassword.save')}</Text>
+        )}
+      </TouchableOpacity>
+    </AuthFormLayout>
+  );
+};
+
+// --- Folha de Estilos do Componente ResetPasswordScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  generalErrorMessage: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.danger,
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  button: {
+    minHeight: 50,
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  buttonText: {
+    color: colors.onPrimary,
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
+
+export default ResetPasswordScreen;
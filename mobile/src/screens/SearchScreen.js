@@ -0,0 +1,371 @@
+// src/screens/SearchScreen.js
+import React, { useEffect, useState } from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  TextInput,      // Campo de texto da busca
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  FlatList,       // Lista das buscas recentes
+  StyleSheet,     // API para criar folhas de estilo
+  ActivityIndicator, // Indicador de carregamento (spinner)
+  Keyboard        // API para fechar o teclado
+} from 'react-native';
+
+// Importa SafeAreaView para evitar que o conteúdo fique sob o notch/barra de status
+import { SafeAreaView } from 'react-native-safe-area-context';
+// Importa hooks do Redux para ler as buscas recentes e despachar ações
+import { useDispatch, useSelector } from 'react-redux';
+// Importa as ações das buscas recentes
+import { addRecentSearch, removeRecentSearch, clearRecentSearches } from '../store/searchSlice';
+// Importa a função de busca e o verificador de requisições canceladas
+import { searchProducts, isRequestCanceled } from '../services/api';
+// Importa o hook que atrasa o texto digitado até o usuário parar de digitar
+import useDebouncedValue from '../hooks/useDebouncedValue';
+// Importa a grade de produtos (a mesma da lista de categorias)
+import ProductGrid from '../components/ProductGrid';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+// Importa o hook que anuncia mensagens pelo leitor de tela
+import useAnnouncement from '../hooks/useAnnouncement';
+
+/**
+ * @function SearchScreen
+ * @description Tela de busca de produtos, aberta pela barra de busca do cabeçalho do Início.
+ * A busca é feita enquanto o usuário digita (com atraso para não disparar uma requisição por tecla),
+ * e cada nova busca cancela a anterior para que resultados antigos nunca sobrescrevam os novos.
+ * Com o campo vazio, exibe as buscas recentes, que podem ser removidas uma a uma ou todas de uma vez.
+ * @param {object} props - Propriedades da tela.
+ * @param {object} props.navigation - O objeto de navegação do React Navigation.
+ */
+const SearchScreen = ({ navigation }) => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const recentSearches = useSelector((state) => state.search.recentSearches);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [status, setStatus] = useState('idle'); // 'idle'|'loading'|'succeeded'|'failed'
+  const [error, setError] = useState(null);
+  const [retryCount, setRetryCount] = useState(0); // Incrementado para repetir a última busca
+
+  const debouncedQuery = useDebouncedValue(query.trim());
+
+  // Busca os produtos sempre que o texto estabiliza, cancelando a requisição anterior
+  useEffect(() => {
+    if (!debouncedQuery) {
+      setResults([]);
+      setStatus('idle');
+      setError(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setStatus('loading');
+    setError(null);
+
+    searchProducts(debouncedQuery, { signal: controller.signal })
+      .then((products) => {
+        setResults(products);
+        setStatus('succeeded');
+      })
+      .catch((err) => {
+        // Buscas canceladas foram substituídas por uma mais nova: não há nada a exibir
+        if (isRequestCanceled(err)) {
+          return;
+        }
+        setError(err.message);
+        setStatus('failed');
+      });
+
+    return () => controller.abort();
+  }, [debouncedQuery, retryCount]);
+
+  // O leitor de tela anuncia quantos produtos a busca encontrou (ou o erro), já que a grade muda sem o foco sair do campo
+  let searchAnnouncement = null;
+  if (status === 'succeeded') {
+    searchAnnouncement = t('a11y.searchResults', { count: results.length, query: debouncedQuery });
+  } else if (status === 'failed') {
+    searchAnnouncement = error;
+  }
+  useAnnouncement(searchAnnouncement);
+
+  /**
+   * @function saveCurrentSearch
+   * @description Guarda o texto atual nas buscas recentes (ao confirmar pelo teclado ou abrir um resultado).
+   */
+  const saveCurrentSearch = () => {
+    if (query.trim()) {
+      dispatch(addRecentSearch(query));
+    }
+  };
+
+  /**
+   * @function handleSelectRecent
+   * @description Repete uma busca recente, levando-a de volta para o topo da lista.
+   */
+  const handleSelectRecent = (term) => {
+    setQuery(term);
+    dispatch(addRecentSearch(term));
+    Keyboard.dismiss();
+  };
+
+  /**
+   * @function renderRecentSearches
+   * @description Lista de buscas recentes exibida enquanto o campo está vazio.
+   */
+  const renderRecentSearches = () => {
+    if (recentSearches.length === 0) {
+      return (
+        <View style={styles.centered}>
+          <Ionicons name="search-outline" size={64} color={colors.placeholder} />
+          <Text style={styles.emptyText}>{t('search.hint')}</Text>
+        </View>
+      );
+    }
+
+    return (
+      <FlatList
+        data={recentSearches}
+        keyExtractor={(item) => item}
+        keyboardShouldPersistTaps="handled"
+        ListHeaderComponent={
+          <View style={styles.recentHeader}>
+            <Text style={styles.recentTitle} accessibilityRole="header">{t('search.recent')}</Text>
+            <TouchableOpacity onPress={() => dispatch(clearRecentSearches())} hitSlop={8} accessibilityRole="button">
+              <Text style={styles.clearText}>{t('search.clearRecent')}</Text>
+            </TouchableOpacity>
+          </View>
+        }
+        renderItem={({ item }) => (
+          <TouchableOpacity
+            style={styles.recentItem}
+            onPress={() => handleSelectRecent(item)}
+            accessibilityRole="button"
+            accessibilityLabel={item}
+            accessibilityHint={t('a11y.recentSearchHint')}
+            // O botão de remover fica dentro do item; para o leitor de tela, ele vira uma ação do próprio item
+            accessibilityActions={[{ name: 'activate' }, { name: 'remove', label: t('a11y.removeRecentSearch') }]}
+            onAccessibilityAction={(event) => {
+              if (event.nativeEvent.actionName === 'remove') {
+                dispatch(removeRecentSearch(item));
+              } else {
+                handleSelectRecent(item);
+              }
+            }}
+          >
+            <Ionicons name="time-outline" size={20} color={colors.textMuted} />
+            <Text style={styles.recentText} numberOfLines={1}>{item}</Text>
+            <TouchableOpacity
+              onPress={() => dispatch(removeRecentSearch(item))}
+              hitSlop={8}
+              accessibilityRole="button"
+              accessibilityLabel={t('a11y.removeRecentSearch')}
+            >
+              <Ionicons name="close" size={20} color={colors.textMuted} />
+            </TouchableOpacity>
+          </TouchableOpacity>
+        )}
+      />
+    );
+  };
+
+  /**
+   * @function renderResults
+   * @description Conteúdo exibido para um texto buscado: carregamento, erro, nenhum resultado ou a grade.
+   */
+  const renderResults = () => {
+    // Enquanto o usuário ainda digita (ou a busca está em andamento) e não há resultados anteriores
+    if ((status === 'loading' || status === 'idle') && results.length === 0) {
+      return (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color={colors.primary} />
+        </View>
+      );
+    }
+
+    if (status === 'failed') {
+      return (
+        <View style={styles.centered}>
+          <Text style={styles.errorText}>{error}</Text>
+          <TouchableOpacity onPress={() => setRetryCount((count) => count + 1)} style={styles.retryButton} accessibilityRole="button">
+            <Text style={styles.retryButtonText}>{t('common.retry')}</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    if (status === 'succeeded' && results.length === 0) {
+      return (
+        <View style={styles.centered}>
+          <Ionicons name="sad-outline" size={64} color={colors.placeholder} />
+          <Text style={styles.emptyText}>{t('search.noResults', { query: debouncedQuery })}</Text>
+          <Text style={styles.emptyHint}>{t('search.noResultsHint')}</Text>
+        </View>
+      );
+    }
+
+    return (
+      <ProductGrid
+        products={results}
+        navigation={navigation}
+        keyboardShouldPersistTaps="handled"
+        onScrollBeginDrag={Keyboard.dismiss}
+        // Abrir um resultado conta como uma busca concluída
+        onProductPress={saveCurrentSearch}
+      />
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.safeArea} edges={['top']}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          onPress={() => navigation.goBack()}
+          hitSlop={10}
+          accessibilityRole="button"
+          accessibilityLabel={t('a11y.back')}
+        >
+          <Ionicons name="arrow-back" size={24} color={colors.primary} />
+        </TouchableOpacity>
+        <View style={styles.searchBar}>
+          <Ionicons name="search" size={18} color={colors.textMuted} />
+          <TextInput
+            style={styles.searchInput}
+            placeholder={t('search.placeholder')}
+            placeholderTextColor={colors.textMuted}
+            accessibilityLabel={t('search.placeholder')}
+            accessibilityRole="search"
+            value={query}
+            onChangeText={setQuery}
+            onSubmitEditing={saveCurrentSearch}
+            returnKeyType="search"
+            autoFocus
+            autoCorrect={false}
+            autoCapitalize="none"
+          />
+          {query.length > 0 && (
+            <TouchableOpacity
+              onPress={() => setQuery('')}
+              hitSlop={8}
+              accessibilityRole="button"
+              accessibilityLabel={t('a11y.clearSearch')}
+            >
+              <Ionicons name="close-circle" size={18} color={colors.textMuted} />
+            </TouchableOpacity>
+          )}
+        </View>
+        {status === 'loading' && results.length > 0 && <ActivityIndicator size="small" color={colors.primary} />}
+      </View>
+
+      {query.trim() ? renderResults() : renderRecentSearches()}
+    </SafeAreaView>
+  );
+};
+
+// --- Folha de Estilos do Componente SearchScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    backgroundColor: colors.surface,
+    gap: 10,
+  },
+  searchBar: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surfaceMuted,
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    minHeight: 40,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    color: colors.text,
+    marginHorizontal: 8,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: colors.textMuted,
+    marginTop: 10,
+    textAlign: 'center',
+  },
+  emptyHint: {
+    fontSize: 14,
+    color: colors.placeholder,
+    marginTop: 4,
+    textAlign: 'center',
+  },
+  errorText: {
+    color: colors.danger,
+    fontSize: 16,
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  retryButton: {
+    backgroundColor: colors.primary,
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+  },
+  retryButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  recentHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 15,
+    paddingBottom: 5,
+  },
+  recentTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  clearText: {
+    fontSize: 14,
+    color: colors.primary,
+    fontWeight: 'bold',
+  },
+  recentItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  recentText: {
+    flex: 1,
+    fontSize: 15,
+    color: colors.text,
+    marginHorizontal: 12,
+  },
+});
+
+export default SearchScreen;
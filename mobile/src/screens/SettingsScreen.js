@@ -16,42 +16,60 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { useDispatch, useSelector } from 'react-redux'; 
 // Importa a ação de logout do slice de autenticação do Redux
 import { logout } from '../store/authSlice';
+// Importa a troca do tema e o seletor do tema escolhido
+import { themeModeChanged, selectThemeMode } from '../store/settingsSlice';
+// Importa os modos de tema oferecidos (Sistema, Claro e Escuro)
+import { THEME_MODES } from '../theme';
 // Importa ícones da biblioteca @expo/vector-icons
 // Ionicons para a seta de navegação e MaterialCommunityIcons para ícones de menu
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons'; 
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
 
 /**
  * @function SettingsScreen
  * @description Componente de tela que exibe as configurações do aplicativo.
  * Inclui informações do perfil do usuário, opções de menu de navegação e um botão de logout.
  * O design replica a imagem do Figma fornecida.
+ * @param {object} props - Propriedades da tela.
+ * @param {object} props.navigation - O objeto de navegação do React Navigation.
  */
-const SettingsScreen = () => {
+const SettingsScreen = ({ navigation }) => {
   // Hook useDispatch para obter a função de despacho de ações Redux
   const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   // Hook useSelector para obter os dados do usuário (nome, username/email) do estado Redux
   const user = useSelector((state) => state.auth.user); 
+  // Modo de tema escolhido, destacado no seletor "Aparência"
+  const themeMode = useSelector(selectThemeMode);
 
   // Define o nome de usuário e e-mail. Prioriza dados do Redux, caso contrário, usa mock data.
   const userName = user?.name || 'João da Silva'; 
-  const userEmail = user?.username || 'joaodasilva@gmail.com'; 
+  const userEmail = user?.email || user?.username || 'joaodasilva@gmail.com'; 
 
   /**
    * @function handleLogout
    * @description Lida com a ação de logout do usuário.
    * Exibe um alerta de confirmação antes de despachar a ação `logout` para o Redux.
+   * O listener de sessão do `authSlice` reage a essa ação apagando a sessão salva no dispositivo.
    */
   const handleLogout = () => {
     Alert.alert(
-      "Sair",                     // Título do alerta
-      "Tem certeza que deseja sair?", // Mensagem do alerta
+      t('settings.logoutTitle'),  // Título do alerta
+      t('settings.logoutMessage'), // Mensagem do alerta
       [
         {
-          text: "Cancelar",       // Texto do botão "Cancelar"
+          text: t('common.cancel'), // Texto do botão "Cancelar"
           style: "cancel"         // Estilo para o botão "Cancelar" (geralmente cinza)
         },
         {
-          text: "Sim",            // Texto do botão "Sim"
+          text: t('common.yes'),  // Texto do botão "Sim"
           onPress: () => dispatch(logout()) // Despacha a ação `logout` ao pressionar "Sim"
         }
       ],
@@ -71,14 +89,14 @@ const SettingsScreen = () => {
    * @returns {JSX.Element} Um TouchableOpacity estilizado que representa um item de menu.
    */
   const OptionItem = ({ iconName, text, onPress, iconSet: IconComponent = MaterialCommunityIcons }) => (
-    <TouchableOpacity style={styles.optionButton} onPress={onPress}>
+    <TouchableOpacity style={styles.optionButton} onPress={onPress} accessibilityRole="button">
       {/* optionContent: View que agrupa o ícone principal e o texto da opção */}
       <View style={styles.optionContent}>
-        <IconComponent name={iconName} size={24} color="#555" /> {/* Ícone principal */}
+        <IconComponent name={iconName} size={24} color={colors.textSecondary} /> {/* Ícone principal */}
         <Text style={styles.optionButtonText}>{text}</Text>     {/* Texto da opção */}
       </View>
       {/* Seta de navegação à direita */}
-      <Ionicons name="chevron-forward-outline" size={24} color="#888" /> 
+      <Ionicons name="chevron-forward-outline" size={24} color={colors.textMuted} /> 
     </TouchableOpacity>
   );
 
@@ -106,26 +124,78 @@ const SettingsScreen = () => {
         {/* Opções de menu, renderizadas usando o componente OptionItem reutilizável */}
         <OptionItem 
           iconName="account-outline" 
-          text="Meus dados" 
-          onPress={() => Alert.alert("Navegar", "Meus Dados")} // Ação de exemplo ao clicar
+          text={t('settings.profile')}
+          onPress={() => Alert.alert(t('settings.navigate'), t('settings.profile'))} // Ação de exemplo ao clicar
         />
+        <OptionItem 
+          iconName="package-variant-closed" 
+          text={t('settings.orders')}
+          onPress={() => navigation.navigate('Orders')} // Abre o histórico de pedidos
+        />
+        <OptionItem 
+          iconName="tab" 
+          text={t('settings.catalogTabs')}
+          onPress={() => navigation.navigate('CatalogTabs')} // Abre a personalização das abas do Início
+        />
+        <OptionItem 
+          iconName="translate" 
+          text={t('settings.language')}
+          onPress={() => navigation.navigate('Language')} // Abre a escolha do idioma do app
+        />
+        <OptionItem 
+          iconName="cash-multiple" 
+          text={t('settings.currency')}
+          onPress={() => navigation.navigate('Currency')} // Abre a escolha da moeda dos preços
+        />
+
+        {/* Aparência: seletor do tema (Sistema, Claro ou Escuro), aplicado na hora e salvo no dispositivo */}
+        <View style={styles.appearanceOption}>
+          <View style={styles.optionContent}>
+            <MaterialCommunityIcons name="theme-light-dark" size={24} color={colors.textSecondary} />
+            <Text style={styles.optionButtonText}>{t('settings.appearance')}</Text>
+          </View>
+          <View style={styles.segmentedControl} accessibilityRole="radiogroup" accessibilityLabel={t('settings.appearance')}>
+            {THEME_MODES.map((mode) => {
+              const isSelected = mode.id === themeMode;
+              return (
+                <TouchableOpacity
+                  key={mode.id}
+                  style={[styles.segment, isSelected && styles.segmentSelected]}
+                  onPress={() => dispatch(themeModeChanged(mode.id))}
+                  accessibilityRole="radio"
+                  accessibilityState={{ checked: isSelected }}
+                >
+                  <MaterialCommunityIcons
+                    name={mode.icon}
+                    size={16}
+                    color={isSelected ? colors.onPrimary : colors.textSecondary}
+                  />
+                  <Text style={[styles.segmentText, isSelected && styles.segmentTextSelected]}>
+                    {t(mode.labelKey)}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
         <OptionItem 
           iconName="bell-outline" 
-          text="Notificações" 
-          onPress={() => Alert.alert("Navegar", "Notificações")} 
+          text={t('settings.notifications')}
+          onPress={() => Alert.alert(t('settings.navigate'), t('settings.notifications'))} 
         />
         <OptionItem 
           iconName="script-text-outline" 
-          text="Termos de uso" 
-          onPress={() => Alert.alert("Navegar", "Termos de uso")} 
+          text={t('settings.terms')}
+          onPress={() => Alert.alert(t('settings.navigate'), t('settings.terms'))} 
         />
 
         {/* Botão Sair da Conta: Exibe o botão de logout com estilo vermelho */}
         <TouchableOpacity
           style={styles.logoutButton}
           onPress={handleLogout} // Chama a função `handleLogout` ao ser pressionado
+          accessibilityRole="button"
         >
-          <Text style={styles.logoutButtonText}>Sair da conta</Text>
+          <Text style={styles.logoutButtonText}>{t('settings.logout')}</Text>
         </TouchableOpacity>
       </View>
     </SafeAreaView>
@@ -133,17 +203,17 @@ const SettingsScreen = () => {
 };
 
 // --- Folha de Estilos do Componente SettingsScreen ---
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   // safeArea: Estilo para o contêiner principal SafeAreaView
   safeArea: {
     flex: 1,                          // Ocupa todo o espaço disponível
-    backgroundColor: '#2567e8',       // Cor de fundo padrão da tela
+    backgroundColor: colors.primary,  // Cor de fundo padrão da tela
   },
   // topBlueSection: Estilo para a View que cria a seção superior azul da tela de perfil
   topBlueSection: {
     width: '100%',                    // Ocupa toda a largura
     height: 150,                      // Altura fixa da seção azul
-    backgroundColor: '#2567e8',       // Cor azul do tema
+    backgroundColor: colors.primary,  // Cor azul do tema
     justifyContent: 'flex-end',       // Alinha o conteúdo (imagem de perfil) à parte inferior
     alignItems: 'center',             // Centraliza o conteúdo horizontalmente
     paddingBottom: 20,                // Espaço entre a imagem e a borda inferior da seção azul
@@ -154,15 +224,15 @@ const styles = StyleSheet.create({
     height: 200,                      // Altura da imagem
     borderRadius: 100,                 // Metade da largura/altura para torná-la circular
     borderWidth: 1,                   // Borda branca ao redor da imagem
-    borderColor: '#fff',              // Cor da borda
+    borderColor: colors.surface,      // Cor da borda
     position: 'absolute',             // Permite posicionamento fora do fluxo normal, para sobrepor o card
     bottom: -90,                      // Posiciona a imagem 50px acima da base da seção azul (metade da altura da imagem)
-    backgroundColor: '#eee',          // Cor de fundo para placeholders visuais
+    backgroundColor: colors.surfaceMuted, // Cor de fundo para placeholders visuais
   },
   // contentCard: Estilo para o card branco que contém as informações do usuário e opções
   contentCard: {
     flex: 1,                          // Ocupa o espaço restante verticalmente
-    backgroundColor: '#fff',          // Fundo branco do card
+    backgroundColor: colors.surface,  // Fundo do card (branco no tema claro)
     marginTop: 20,                    // Margem superior para posicionar o card abaixo da imagem de perfil
                                       // (50px para metade da imagem circular ficar no card)
     borderTopLeftRadius: 20,          // Borda superior esquerda arredondada
@@ -182,14 +252,14 @@ const styles = StyleSheet.create({
   userName: {
     fontSize: 22,
     fontWeight: 'bold',
-    color: '#333',
+    color: colors.text,
     marginTop: 20,                    // Espaço após a imagem de perfil
     marginBottom: 5,                  // Espaço abaixo do nome
   },
   // userEmail: Estilo para o e-mail do usuário
   userEmail: {
     fontSize: 16,
-    color: '#888',
+    color: colors.textMuted,
     marginBottom: 30,                 // Espaço antes das opções de menu
   },
   // optionButton: Estilo para cada TouchableOpacity que representa um item de menu (ex: "Meus dados")
@@ -198,14 +268,53 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',  // Espaça o conteúdo principal e a seta para as extremidades
     alignItems: 'center',             // Alinha verticalmente os itens
     width: '100%',                    // Ocupa toda a largura do contêiner pai
-    backgroundColor: '#fff',          // Fundo branco do botão
+    backgroundColor: colors.surface,  // Fundo do botão (branco no tema claro)
     paddingVertical: 15,              // Padding vertical interno
     paddingHorizontal: 15,            // Padding horizontal interno
     borderRadius: 10,                 // Cantos arredondados
     borderWidth: 1,                   // Borda sutil como no Figma
-    borderColor: '#eee',              // Cor da borda
+    borderColor: colors.border,       // Cor da borda
     marginBottom: 10,                 // Espaço entre os botões de opção
   },
+  // appearanceOption: Mesmo visual dos itens de menu, com o seletor de tema abaixo do título
+  appearanceOption: {
+    width: '100%',
+    backgroundColor: colors.surface,
+    paddingVertical: 12,
+    paddingHorizontal: 15,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginBottom: 10,
+  },
+  // segmentedControl: Botões lado a lado do seletor de tema
+  segmentedControl: {
+    flexDirection: 'row',
+    marginTop: 10,
+    borderRadius: 8,
+    backgroundColor: colors.surfaceMuted,
+    padding: 3,
+  },
+  segment: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 7,
+    borderRadius: 6,
+  },
+  segmentSelected: {
+    backgroundColor: colors.primary,
+  },
+  segmentText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginLeft: 5,
+  },
+  segmentTextSelected: {
+    color: colors.onPrimary,
+    fontWeight: 'bold',
+  },
   // optionContent: Estilo para o View que agrupa o ícone principal e o texto da opção
   optionContent: {
     flexDirection: 'row',             // Ícone e texto lado a lado
@@ -214,20 +323,20 @@ const styles = StyleSheet.create({
   // optionButtonText: Estilo para o texto de cada opção de menu
   optionButtonText: {
     fontSize: 16,
-    color: '#333',
+    color: colors.text,
     marginLeft: 15,                   // Espaço entre o ícone e o texto
   },
   // logoutButton: Estilo para o botão "Sair da conta"
   logoutButton: {
     width: '100%',                    // Ocupa toda a largura
-    backgroundColor: '#E53935',       // Cor vermelha do tema (conforme Figma)
+    backgroundColor: colors.danger,   // Cor vermelha do tema (conforme Figma)
     paddingVertical: 15,              // Padding vertical interno
     borderRadius: 10,                 // Cantos arredondados
     marginTop: 30,                    // Margem superior para separar das opções de menu
     alignItems: 'center',             // Centraliza o texto horizontalmente
     justifyContent: 'center',         // Centraliza o texto verticalmente
     // Sombras para dar efeito de elevação ao botão
-    shadowColor: "#000",
+    shadowColor: colors.shadow,
     shadowOffset: { width: 0, height: 2 },
     shadowOpacity: 0.2,
     shadowRadius: 3,
@@ -236,7 +345,7 @@ const styles = StyleSheet.create({
   // logoutButtonText: Estilo para o texto do botão "Sair da conta"
   logoutButtonText: {
     fontSize: 18,
-    color: '#fff',                    // Cor do texto branco
+    color: colors.onPrimary,          // Cor do texto branco
     fontWeight: 'bold',
   },
 });
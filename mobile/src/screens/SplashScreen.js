@@ -0,0 +1,54 @@
+// src/screens/SplashScreen.js
+import React from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  StyleSheet,     // API para criar folhas de estilo
+  ActivityIndicator, // Indicador de carregamento (spinner)
+  StatusBar       // Componente para controlar a barra de status do dispositivo
+} from 'react-native';
+
+// Importa a função de tradução (a preferência salva ainda pode estar sendo restaurada)
+import { t } from '../i18n';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function SplashScreen
+ * @description Tela de carregamento exibida na inicialização enquanto a sessão salva no dispositivo
+ * é restaurada. Evita que o AuthNavigator apareça por um instante antes de o usuário
+ * ser levado para o fluxo principal.
+ */
+const SplashScreen = () => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  return (
+    <View style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor={colors.primary} />
+      <Text style={styles.title}>{t('app.name')}</Text>
+      <ActivityIndicator size="large" color={colors.onPrimary} />
+    </View>
+  );
+};
+
+// --- Folha de Estilos do Componente SplashScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  // container: Ocupa toda a tela com o azul do tema, centralizando o conteúdo
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.primary,
+  },
+  // title: Nome do aplicativo exibido acima do spinner
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: colors.onPrimary,
+    marginBottom: 20,
+  },
+});
+
+export default SplashScreen;
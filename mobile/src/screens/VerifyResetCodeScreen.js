@@ -0,0 +1,236 @@
+// src/screens/VerifyResetCodeScreen.js
+import React, { useEffect, useState } from 'react';
+import {
+  View,           // Contêiner básico para layout
+  Text,           // Exibição de texto
+  TouchableOpacity, // Botão que responde ao toque com feedback de opacidade
+  StyleSheet,     // API para criar folhas de estilo
+  ActivityIndicator, // Indicador de carregamento (spinner)
+  AccessibilityInfo // Anuncia pelo leitor de tela o reenvio do código
+} from 'react-native';
+
+// Importa o serviço (simulado) que confere e reenvia o código de recuperação
+import { verifyResetCode, requestPasswordReset } from '../services/passwordRecovery';
+// Importa a quantidade de dígitos do código
+import { RESET_CODE_LENGTH } from '../constants/account';
+// Importa a função que remove o que não é dígito
+import { onlyDigits } from '../utils/checkoutValidation';
+// Importa a moldura das telas de autenticação e o campo de texto
+import AuthFormLayout from '../components/AuthFormLayout';
+import FormInput from '../components/FormInput';
+// Importa ícones da biblioteca @expo/vector-icons
+import { Ionicons } from '@expo/vector-icons';
+// Importa o hook de traduções (textos no idioma escolhido)
+import useTranslation from '../hooks/useTranslation';
+// Importa o hook do tema atual (cores do modo claro ou escuro)
+import useTheme from '../hooks/useTheme';
+// Importa o hook que monta a folha de estilos com as cores do tema
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * @function getSecondsUntil
+ * @description Calcula quantos segundos faltam até um instante (zero se já passou).
+ * @param {number} timestamp - O instante, em milissegundos.
+ * @returns {number} Os segundos restantes, arredondados para cima.
+ */
+const getSecondsUntil = (timestamp) => Math.max(0, Math.ceil((timestamp - Date.now()) / 1000));
+
+/**
+ * @function VerifyResetCodeScreen
+ * @description Segunda etapa da recuperação de senha: o usuário digita o código de 6 dígitos enviado
+ * ao e-mail. Como o envio é simulado, o código aparece em um aviso de demonstração.
+ * O botão de reenviar fica bloqueado por um intervalo (com contagem regressiva) e, quando as
+ * tentativas acabam, só resta pedir um novo código.
+ * @param {object} props - Propriedades da tela.
+ * @param {object} props.navigation - O objeto de navegação do React Navigation.
+ * @param {object} props.route - A rota atual; `route.params` traz `{ email, demoCode, resendAvailableAt }`.
+ */
+const VerifyResetCodeScreen = ({ navigation, route }) => {
+  const { email } = route.params;
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  // Verdadeiro quando o código atual não pode mais ser usado (tentativas esgotadas ou expirado)
+  const [isLocked, setIsLocked] = useState(false);
+  const [demoCode, setDemoCode] = useState(route.params.demoCode);
+  const [resendAvailableAt, setResendAvailableAt] = useState(route.params.resendAvailableAt);
+  const [resendSeconds, setResendSeconds] = useState(() => getSecondsUntil(route.params.resendAvailableAt));
+  const [isVerifying, setIsVerifying] = useState(false);
+
+  // Contagem regressiva do botão de reenviar, atualizada a cada segundo até zerar
+  useEffect(() => {
+    setResendSeconds(getSecondsUntil(resendAvailableAt));
+    const interval = setInterval(() => {
+      const seconds = getSecondsUntil(resendAvailableAt);
+      setResendSeconds(seconds);
+      if (seconds === 0) {
+        clearInterval(interval);
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [resendAvailableAt]);
+
+  /**
+   * @function handleVerify
+   * @description Confere o código e, se estiver correto, avança para a escolha da nova senha.
+   */
+  const handleVerify = async () => {
+    if (code.length !== RESET_CODE_LENGTH) {
+      setError(t('validation.resetCode', { count: RESET_CODE_LENGTH }));
+      return;
+    }
+
+    setIsVerifying(true);
+    try {
+      const resetToken = await verifyResetCode(email, code);
+      navigation.navigate('ResetPassword', { email, resetToken });
+    } catch (verifyError) {
+      setError(verifyError.message);
+      if (verifyError.reason !== 'invalid') {
+        setIsLocked(true);
+        setCode('');
+      }
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  /**
+   * @function handleResend
+   * @description Pede um novo código, que substitui o anterior e devolve todas as tentativas.
+   */
+  const handleResend = async () => {
+    try {
+      const reset = await requestPasswordReset(email);
+      setDemoCode(reset.code);
+      setResendAvailableAt(reset.resendAvailableAt);
+      setIsLocked(false);
+      setError('');
+      setCode('');
+      AccessibilityInfo.announceForAccessibility(t('forgotPassword.codeResent'));
+    } catch (resendError) {
+      setError(resendError.message);
+      if (resendError.resendAvailableAt) {
+        setResendAvailableAt(resendError.resendAvailableAt);
+      }
+    }
+  };
+
+  const canResend = resendSeconds === 0;
+
+  return (
+    <AuthFormLayout
+      title={t('forgotPassword.codeTitle')}
+      subtitle={t('forgotPassword.codeSubtitle', { count: RESET_CODE_LENGTH, email })}
+      onBack={() => navigation.goBack()}
+    >
+      {/* demoNotice: Faz o papel da caixa de entrada enquanto o envio do código é simulado */}
+      <View style={styles.demoNotice} accessible>
+        <Ionicons name="mail-outline" size={18} color={colors.warningText} />
+        <Text style={styles.demoNoticeText}>{t('forgotPassword.demoCode', { code: demoCode })}</Text>
+      </View>
+
+      <FormInput
+        label={t('forgotPassword.code')}
+        value={code}
+        onChangeText={(text) => {
+          setCode(onlyDigits(text));
+          if (!isLocked) {
+            setError('');
+          }
+        }}
+        onSubmitEditing={handleVerify}
+        error={error}
+        editable={!isLocked}
+        keyboardType="number-pad"
+        maxLength={RESET_CODE_LENGTH}
+        autoComplete="one-time-code"
+        textContentType="oneTimeCode"
+        style={styles.codeField}
+      />
+
+      <TouchableOpacity
+        style={[styles.button, (isLocked || isVerifying) && styles.buttonDisabled]}
+        onPress={handleVerify}
+        disabled={isLocked || isVerifying}
+        accessibilityRole="button"
+        accessibilityLabel={t('forgotPassword.verify')}
+        accessibilityState={{ disabled: isLocked || isVerifying, busy: isVerifying }}
+      >
+        {isVerifying ? (
+          <ActivityIndicator color={colors.onPrimary} />
+        ) : (
+          <Text style={styles.buttonText}>{t('forgotPassword.verify')}</Text>
+        )}
+      </TouchableOpacity>
+
+      {/* resendButton: Reenvio do código, liberado depois da contagem regressiva */}
+      <TouchableOpacity
+        style={styles.resendButton}
+        onPress={handleResend}
+        disabled={!canResend}
+        accessibilityRole="button"
+        accessibilityState={{ disabled: !canResend }}
+      >
+        <Text style={[styles.resendText, !canResend && styles.resendTextDisabled]}>
+          {canResend ? t('forgotPassword.resend') : t('forgotPassword.resendIn', { count: resendSeconds })}
+        </Text>
+      </TouchableOpacity>
+    </AuthFormLayout>
+  );
+};
+
+// --- Folha de Estilos do Componente VerifyResetCodeScreen ---
+const createStyles = (colors) => StyleSheet.create({
+  demoNotice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.warningBackground,
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 15,
+  },
+  demoNoticeText: {
+    flex: 1,
+    fontSize: 13,
+    color: colors.warningText,
+    marginLeft: 8,
+  },
+  codeField: {
+    marginBottom: 10,
+  },
+  button: {
+    minHeight: 50,
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  buttonDisabled: {
+    backgroundColor: colors.disabled,
+  },
+  buttonText: {
+    color: colors.onPrimary,
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  resendButton: {
+    alignSelf: 'center',
+    paddingVertical: 10,
+    marginTop: 10,
+  },
+  resendText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.primary,
+  },
+  resendTextDisabled: {
+    color: colors.textMuted,
+  },
+});
+
+export default VerifyResetCodeScreen;
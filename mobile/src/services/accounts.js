@@ -0,0 +1,101 @@
+// src/services/accounts.js
+import * as SecureStore from 'expo-secure-store'; // Armazenamento criptografado do dispositivo (Keychain no iOS, Keystore no Android)
+// Importa as funções de leitura/gravação de JSON no armazenamento do dispositivo
+import { getStoredJSON, setStoredJSON } from './storage';
+
+// A DummyJSON só simula o cadastro (`users/add` não grava nada), então as contas criadas no app
+// ficam guardadas no próprio aparelho: os dados na lista abaixo e cada senha no SecureStore.
+const ACCOUNTS_STORAGE_KEY = 'accounts';
+
+/**
+ * @function getPasswordKey
+ * @description Monta a chave do SecureStore onde fica a senha de uma conta local.
+ * @param {number} accountId - O ID da conta.
+ * @returns {string} A chave (ex: `account.password.1718000000000`).
+ */
+const getPasswordKey = (accountId) => `account.password.${accountId}`;
+
+/**
+ * @function normalizeLogin
+ * @description Padroniza um e-mail ou nome de usuário para comparação (sem espaços e em minúsculas).
+ * @param {string} value - O texto digitado.
+ * @returns {string} O texto padronizado.
+ */
+const normalizeLogin = (value = '') => value.trim().toLowerCase();
+
+/**
+ * @function findAccount
+ * @description Função assíncrona que procura uma conta criada no aparelho pelo e-mail ou nome de usuário.
+ * @param {string} login - O e-mail ou nome de usuário.
+ * @returns {Promise<object|null>} Uma Promise que resolve com a conta, ou com `null` se não existir.
+ */
+export const findAccount = async (login) => {
+  const accounts = await getStoredJSON(ACCOUNTS_STORAGE_KEY, []);
+  const normalized = normalizeLogin(login);
+  return accounts.find((account) => account.email === normalized || account.username === normalized) ?? null;
+};
+
+/**
+ * @function createAccount
+ * @description Função assíncrona que grava uma nova conta no aparelho. O e-mail vira também o nome de usuário.
+ * @param {object} data - Dados do cadastro.
+ * @param {string} data.firstName - O primeiro nome.
+ * @param {string} data.lastName - O sobrenome (pode ser vazio).
+ * @param {string} data.email - O e-mail.
+ * @param {string} data.password - A senha escolhida.
+ * @returns {Promise<object>} Uma Promise que resolve com a conta criada (sem a senha).
+ */
+export const createAccount = async ({ firstName, lastName, email, password }) => {
+  const accounts = await getStoredJSON(ACCOUNTS_STORAGE_KEY, []);
+  const normalizedEmail = normalizeLogin(email);
+  const account = {
+    id: Date.now(),
+    username: normalizedEmail,
+    email: normalizedEmail,
+    firstName: firstName.trim(),
+    lastName: lastName.trim(),
+    createdAt: new Date().toISOString(),
+  };
+  await SecureStore.setItemAsync(getPasswordKey(account.id), password);
+  await setStoredJSON(ACCOUNTS_STORAGE_KEY, [...accounts, account]);
+  return account;
+};
+
+/**
+ * @function verifyAccountPassword
+ * @description Função assíncrona que confere a senha de uma conta local.
+ * @param {object} account - A conta (precisa de `id`).
+ * @param {string} password - A senha digitada.
+ * @returns {Promise<boolean>} `true` se a senha estiver correta.
+ */
+export const verifyAccountPassword = async (account, password) => {
+  const storedPassword = await SecureStore.getItemAsync(getPasswordKey(account.id));
+  return storedPassword !== null && storedPassword === password;
+};
+
+/**
+ * @function updateAccountPassword
+ * @description Função assíncrona que troca a senha de uma conta local.
+ * @param {object} account - A conta (precisa de `id`).
+ * @param {string} password - A nova senha.
+ * @returns {Promise<void>}
+ */
+export const updateAccountPassword = async (account, password) => {
+  await SecureStore.setItemAsync(getPasswordKey(account.id), password);
+};
+
+/**
+ * @function toSessionUser
+ * @description Converte uma conta local nos dados de usuário guardados na sessão (mesmo formato do `login`).
+ * A marca `isLocal` indica que a conta não existe na DummyJSON (sem tokens nem pedidos remotos).
+ * @param {object} account - A conta local.
+ * @returns {object} O usuário da sessão.
+ */
+export const toSessionUser = (account) => ({
+  id: account.id,
+  username: account.username,
+  email: account.email,
+  name: `${account.firstName} ${account.lastName}`.trim(),
+  image: null,
+  isLocal: true,
+});
@@ -1,5 +1,14 @@
 // src/services/api.js
 import axios from 'axios'; // Importa a biblioteca Axios para fazer requisições HTTP
+// Importa as ações de autenticação usadas pelos interceptadores (renovação de token e logout)
+import { logout, tokensRefreshed } from '../store/authSlice';
+// Importa a tradução das mensagens de erro exibidas ao usuário
+import { t } from '../i18n';
+// Importa as contas criadas no aparelho (a DummyJSON só simula o cadastro)
+import { findAccount, createAccount, verifyAccountPassword, toSessionUser } from './accounts';
+
+// Tempo de validade (em minutos) solicitado para o token de acesso no login e na renovação
+const TOKEN_EXPIRATION_MINUTES = 30;
 
 /**
  * @constant api
@@ -16,24 +25,90 @@ const api = axios.create({
 });
 
 /**
- * @function getProductsByCategory
- * @description Função assíncrona para buscar uma lista de produtos de uma categoria específica na API.
- * @param {string} category - O nome da categoria de produtos a ser buscada (ex: 'mens-shirts', 'womens-dresses').
- * @returns {Promise<object[]>} Uma Promise que resolve com um array de objetos de produtos.
- * @throws {Error} Lança um erro se a requisição falhar ou se houver um problema de rede.
+ * @function createApiError
+ * @description Monta o erro amigável lançado quando uma requisição falha. Além da mensagem traduzida,
+ * o erro leva a chave da tradução em `messageKey`: é ela que os slices guardam na store, para que a tela
+ * traduza o erro ao exibi-lo e ele acompanhe uma troca de idioma.
+ * @param {string} messageKey - A chave da mensagem (ex: 'errors.products').
+ * @returns {Error} O erro.
+ */
+const createApiError = (messageKey) => {
+  const error = new Error(t(messageKey));
+  error.messageKey = messageKey;
+  return error;
+};
+
+/**
+ * @function getCategories
+ * @description Função assíncrona que busca a lista de categorias de produtos da DummyJSON (`products/categories`).
+ * @returns {Promise<object[]>} Uma Promise que resolve com as categorias no formato `{ slug, name, url }`.
+ * @throws {Error} Lança um erro com mensagem amigável se a requisição falhar.
  */
-export const getProductsByCategory = async (category) => {
+export const getCategories = async () => {
   try {
-    // Faz uma requisição GET para o endpoint de produtos por categoria
-    const response = await api.get(`products/category/${category}`);
-    // A API dummyjson.com retorna os produtos dentro de um array aninhado 'products' na propriedade 'data'.
-    return response.data.products;
+    const response = await api.get('products/categories');
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao buscar as categorias:', error.response?.data || error.message);
+    throw createApiError('errors.categories');
+  }
+};
+
+/**
+ * @function getProductsPageByCategory
+ * @description Função assíncrona que busca uma página de produtos de uma categoria, usando os parâmetros
+ * `limit`/`skip` da DummyJSON. Usada pela rolagem infinita das listas de categoria.
+ * @param {string} category - O nome da categoria de produtos (ex: 'mens-shirts').
+ * @param {object} [options] - Opções de paginação e ordenação.
+ * @param {number} [options.limit=10] - Quantidade de produtos por página.
+ * @param {number} [options.skip=0] - Quantidade de produtos a pular (início da página).
+ * @param {string} [options.sortBy] - Campo pelo qual a API deve ordenar os produtos.
+ * @param {'asc'|'desc'} [options.order] - Direção da ordenação.
+ * @returns {Promise<object>} Uma Promise que resolve com `{ products, total, skip, limit }`.
+ * @throws {Error} Lança um erro com mensagem amigável se a requisição falhar.
+ */
+export const getProductsPageByCategory = async (category, { limit = 10, skip = 0, sortBy, order } = {}) => {
+  try {
+    const params = sortBy ? { limit, skip, sortBy, order } : { limit, skip };
+    const response = await api.get(`products/category/${category}`, { params });
+    return response.data;
   } catch (error) {
-    // Captura erros da requisição (rede, servidor, etc.)
-    // Loga o erro detalhado no console para depuração.
     console.error(`Erro ao buscar produtos da categoria ${category}:`, error.response?.data || error.message);
-    // Lança um novo erro com uma mensagem amigável para ser tratada pela UI.
-    throw new Error('Não foi possível carregar os produtos. Tente novamente mais tarde.');
+    throw createApiError('errors.products');
+  }
+};
+
+/**
+ * @function isRequestCanceled
+ * @description Indica se um erro corresponde a uma requisição cancelada (via `AbortController`),
+ * para que a UI possa ignorá-lo sem exibir mensagem de erro.
+ * @param {Error} error - O erro capturado.
+ * @returns {boolean} `true` se a requisição foi cancelada.
+ */
+export const isRequestCanceled = (error) => axios.isCancel(error);
+
+/**
+ * @function searchProducts
+ * @description Função assíncrona que busca produtos pelo nome no endpoint `products/search` da DummyJSON.
+ * Aceita um `AbortSignal` para que buscas antigas possam ser canceladas quando o usuário continua digitando.
+ * @param {string} query - O texto buscado.
+ * @param {object} [options] - Opções da requisição.
+ * @param {AbortSignal} [options.signal] - Sinal usado para cancelar a requisição.
+ * @returns {Promise<object[]>} Uma Promise que resolve com os produtos encontrados.
+ * @throws {Error} Lança o erro de cancelamento original (verificável com `isRequestCanceled`)
+ * ou um erro com mensagem amigável se a busca falhar.
+ */
+export const searchProducts = async (query, { signal } = {}) => {
+  try {
+    const response = await api.get('products/search', { params: { q: query }, signal });
+    return response.data.products;
+  } catch (error) {
+    // Cancelamentos não são falhas: repassa o erro original para que a UI possa ignorá-lo
+    if (axios.isCancel(error)) {
+      throw error;
+    }
+    console.error(`Erro ao buscar produtos por "${query}":`, error.response?.data || error.message);
+    throw createApiError('errors.search');
   }
 };
 
@@ -43,6 +118,7 @@ export const getProductsByCategory = async (category) => {
  * @param {number} id - O ID único do produto a ser buscado.
  * @returns {Promise<object>} Uma Promise que resolve com o objeto de detalhes do produto.
  * @throws {Error} Lança um erro se a requisição falhar ou se o produto não for encontrado.
+ * O erro lançado tem a propriedade `status` com o código HTTP da resposta (ex: 404), quando houver.
  */
 export const getProductDetails = async (id) => {
   try {
@@ -54,34 +130,264 @@ export const getProductDetails = async (id) => {
     // Captura erros da requisição
     console.error(`Erro ao buscar detalhes do produto ${id}:`, error.response?.data || error.message);
     // Lança um novo erro com uma mensagem amigável para a UI.
-    throw new Error('Não foi possível carregar os detalhes do produto. Tente novamente mais tarde.');
+    // O status HTTP é preservado para que a UI diferencie um produto removido (404) de uma falha de rede.
+    const friendlyError = createApiError(
+      error.response?.status === 404 ? 'errors.productUnavailable' : 'errors.productDetails'
+    );
+    friendlyError.status = error.response?.status;
+    throw friendlyError;
+  }
+};
+
+/**
+ * @function submitOrder
+ * @description Função assíncrona que envia o pedido para o endpoint `carts/add` da DummyJSON.
+ * A API simula a criação do carrinho e devolve os totais calculados no servidor (nada é gravado de fato).
+ * @param {number} userId - O ID do usuário logado.
+ * @param {object[]} items - Os itens do carrinho (precisam de `id` e `quantity`).
+ * @returns {Promise<object>} Uma Promise que resolve com o carrinho criado pela API.
+ * @throws {Error} Lança um erro com mensagem amigável se o envio falhar.
+ */
+export const submitOrder = async (userId, items) => {
+  try {
+    const response = await api.post('carts/add', {
+      userId,
+      products: items.map(({ id, quantity }) => ({ id, quantity })),
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao enviar o pedido:', error.response?.data || error.message);
+    throw createApiError('errors.submitOrder');
+  }
+};
+
+/**
+ * @function getUserOrders
+ * @description Função assíncrona que busca, de forma paginada, os carrinhos (pedidos) de um usuário
+ * no endpoint `carts/user/:id` da DummyJSON.
+ * @param {number} userId - O ID do usuário.
+ * @param {object} [options] - Opções de paginação.
+ * @param {number} [options.limit=10] - Quantidade de pedidos por página.
+ * @param {number} [options.skip=0] - Quantidade de pedidos a pular (início da página).
+ * @returns {Promise<object>} Uma Promise que resolve com `{ carts, total, skip, limit }`.
+ * @throws {Error} Lança um erro com mensagem amigável se a requisição falhar.
+ */
+export const getUserOrders = async (userId, { limit = 10, skip = 0 } = {}) => {
+  try {
+    const response = await api.get(`carts/user/${userId}`, { params: { limit, skip } });
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao buscar pedidos do usuário ${userId}:`, error.response?.data || error.message);
+    throw createApiError('errors.orders');
   }
 };
 
 /**
- * @function mockLogin
- * @description Função assíncrona que simula um processo de login.
- * Esta função não se conecta a uma API de login real, mas simula um atraso de rede
- * e verifica credenciais hardcoded ('user'/'password').
+ * @function login
+ * @description Função assíncrona que autentica o usuário no endpoint `auth/login` da DummyJSON.
+ * Em caso de sucesso, a API devolve os dados do usuário junto com o token de acesso (JWT)
+ * e o token de atualização (refresh token), usados depois pelos interceptadores da instância `api`.
+ * Contas criadas no app (`registerUser`) são conferidas no aparelho e entram sem tokens.
  * @param {string} username - O nome de usuário fornecido para o login.
  * @param {string} password - A senha fornecida para o login.
- * @returns {Promise<object>} Uma Promise que resolve com `{ success: true, user: { ... } }` em caso de sucesso,
- * ou rejeita com um erro em caso de falha de autenticação.
+ * @returns {Promise<object>} Uma Promise que resolve com `{ user, accessToken, refreshToken }`.
+ * @throws {Error} Lança um erro com mensagem amigável se as credenciais forem inválidas ou a requisição falhar.
  */
-export const mockLogin = async (username, password) => {
-  return new Promise((resolve, reject) => {
-    // Simula um atraso de rede de 1 segundo (1000ms)
-    setTimeout(() => {
-      // Verifica se as credenciais correspondem aos valores hardcoded
-      if (username === 'user' && password === 'password') {
-        // Resolve a Promise com sucesso e um objeto de usuário mock
-        resolve({ success: true, user: { username: 'user', name: 'Usuário Teste' } });
-      } else {
-        // Rejeita a Promise com uma mensagem de erro para credenciais inválidas
-        reject(new Error('Usuário ou senha inválidos.'));
-      }
-    }, 1000); // Atraso de 1 segundo
+export const login = async (username, password) => {
+  // Contas criadas no app são conferidas no próprio aparelho, sem passar pela API
+  const account = await findAccount(username);
+  if (account) {
+    if (!(await verifyAccountPassword(account, password))) {
+      throw new Error(t('errors.invalidCredentials'));
+    }
+    return { user: toSessionUser(account), accessToken: null, refreshToken: null };
+  }
+
+  try {
+    // `skipAuthRefresh` impede que o interceptador tente renovar o token nesta própria requisição
+    const response = await api.post(
+      'auth/login',
+      { username, password, expiresInMins: TOKEN_EXPIRATION_MINUTES },
+      { skipAuthRefresh: true }
+    );
+    const { accessToken, refreshToken, ...profile } = response.data;
+    return {
+      user: {
+        id: profile.id,
+        username: profile.username,
+        email: profile.email,
+        name: `${profile.firstName} ${profile.lastName}`.trim(), // Nome completo exibido nas Configurações
+        image: profile.image,
+      },
+      accessToken,
+      refreshToken,
+    };
+  } catch (error) {
+    console.error('Erro ao fazer login:', error.response?.data || error.message);
+    // A DummyJSON responde 400 para credenciais inválidas; qualquer outra falha é tratada como erro de rede/servidor
+    if (error.response?.status === 400 || error.response?.status === 401) {
+      throw new Error(t('errors.invalidCredentials'));
+    }
+    throw new Error(t('errors.login'));
+  }
+};
+
+/**
+ * @function refreshSession
+ * @description Função assíncrona que solicita um novo par de tokens ao endpoint `auth/refresh`
+ * a partir do refresh token atual.
+ * @param {string} refreshToken - O refresh token recebido no login (ou na última renovação).
+ * @returns {Promise<object>} Uma Promise que resolve com `{ accessToken, refreshToken }`.
+ * @throws {Error} Lança o erro original do Axios se a renovação falhar (ex: refresh token expirado).
+ */
+export const refreshSession = async (refreshToken) => {
+  const response = await api.post(
+    'auth/refresh',
+    { refreshToken, expiresInMins: TOKEN_EXPIRATION_MINUTES },
+    { skipAuthRefresh: true }
+  );
+  return {
+    accessToken: response.data.accessToken,
+    refreshToken: response.data.refreshToken,
+  };
+};
+
+/**
+ * @function createFieldError
+ * @description Monta um erro ligado a um campo do formulário. A tela lê `fieldErrors` para
+ * exibir a mensagem abaixo do campo certo, em vez de um aviso geral.
+ * @param {string} field - O nome do campo (ex: 'email').
+ * @param {string} message - A mensagem de erro (traduzida).
+ * @returns {Error} O erro com a propriedade `fieldErrors`.
+ */
+const createFieldError = (field, message) => {
+  const error = new Error(message);
+  error.fieldErrors = { [field]: message };
+  return error;
+};
+
+/**
+ * @function isEmailRegistered
+ * @description Função assíncrona que verifica se o e-mail já está em uso por uma conta criada no aparelho
+ * ou por um usuário da DummyJSON (endpoint `users/filter`). Usada pela validação do campo no cadastro
+ * e de novo no envio.
+ * @param {string} email - O e-mail a verificar.
+ * @returns {Promise<boolean>} `true` se o e-mail já estiver em uso.
+ * @throws {Error} Lança o erro original do Axios se a requisição falhar.
+ */
+export const isEmailRegistered = async (email) => {
+  if (await findAccount(email)) {
+    return true;
+  }
+  const response = await api.get('users/filter', {
+    params: { key: 'email', value: email.trim().toLowerCase(), limit: 1, select: 'email' },
   });
+  return response.data.total > 0;
+};
+
+/**
+ * @function registerUser
+ * @description Função assíncrona que cria uma conta. Confere se o e-mail já está em uso (no aparelho e na DummyJSON)
+ * e envia o cadastro ao endpoint `users/add`. Como a API só simula a criação, a conta é gravada no aparelho
+ * para que o usuário consiga entrar de novo depois.
+ * @param {object} data - Dados do cadastro.
+ * @param {string} data.firstName - O primeiro nome.
+ * @param {string} data.lastName - O sobrenome (pode ser vazio).
+ * @param {string} data.email - O e-mail, usado também como nome de usuário.
+ * @param {string} data.password - A senha escolhida.
+ * @returns {Promise<object>} Uma Promise que resolve com a sessão `{ user, accessToken, refreshToken }` da nova conta.
+ * @throws {Error} Lança um erro com mensagem amigável. Erros de um campo (ex: e-mail já cadastrado)
+ * trazem a propriedade `fieldErrors` (`{ email: 'mensagem' }`).
+ */
+export const registerUser = async ({ firstName, lastName, email, password }) => {
+  try {
+    if (await isEmailRegistered(email)) {
+      throw createFieldError('email', t('errors.emailTaken'));
+    }
+    await api.post('users/add', { firstName, lastName, email, username: email, password });
+  } catch (error) {
+    if (error.fieldErrors) {
+      throw error;
+    }
+    console.error('Erro ao criar a conta:', error.response?.data || error.message);
+    // A DummyJSON responde 400 com uma mensagem em inglês citando o campo recusado
+    const serverMessage = error.response?.status === 400 ? error.response.data?.message || '' : '';
+    if (/email/i.test(serverMessage)) {
+      throw createFieldError('email', /exist|taken|already/i.test(serverMessage) ? t('errors.emailTaken') : t('validation.email'));
+    }
+    if (/password/i.test(serverMessage)) {
+      throw createFieldError('password', t('validation.passwordWeak'));
+    }
+    throw new Error(t('errors.register'));
+  }
+
+  const account = await createAccount({ firstName, lastName, email, password });
+  return { user: toSessionUser(account), accessToken: null, refreshToken: null };
+};
+
+/**
+ * @function setupAuthInterceptors
+ * @description Registra os interceptadores de autenticação na instância `api`.
+ * - Requisição: anexa o cabeçalho `Authorization: Bearer <token>` quando há um usuário logado.
+ * - Resposta: ao receber 401, renova o token uma única vez (mesmo com várias requisições simultâneas)
+ *   e repete a requisição original. Se a renovação não for possível, despacha `logout`,
+ *   o que faz o AppNavigator voltar para o AuthNavigator.
+ * Recebe a store como parâmetro para evitar uma dependência circular entre a API e a store.
+ * @param {object} store - A store Redux da aplicação.
+ */
+export const setupAuthInterceptors = (store) => {
+  // Promise da renovação em andamento, compartilhada entre requisições que falharem ao mesmo tempo
+  let refreshPromise = null;
+
+  api.interceptors.request.use((config) => {
+    const { accessToken } = store.getState().auth;
+    if (accessToken && !config.headers.Authorization) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
+    }
+    return config;
+  });
+
+  api.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const originalRequest = error.config;
+
+      // Só tenta renovar em respostas 401 de requisições que ainda não foram repetidas
+      if (
+        error.response?.status !== 401 ||
+        !originalRequest ||
+        originalRequest.skipAuthRefresh ||
+        originalRequest._retry
+      ) {
+        return Promise.reject(error);
+      }
+      originalRequest._retry = true;
+
+      const { refreshToken } = store.getState().auth;
+      if (!refreshToken) {
+        store.dispatch(logout());
+        return Promise.reject(error);
+      }
+
+      try {
+        if (!refreshPromise) {
+          refreshPromise = refreshSession(refreshToken).finally(() => {
+            refreshPromise = null;
+          });
+        }
+        const tokens = await refreshPromise;
+        store.dispatch(tokensRefreshed(tokens));
+
+        // Repete a requisição original com o novo token de acesso
+        originalRequest.headers.Authorization = `Bearer ${tokens.accessToken}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        console.error('Não foi possível renovar a sessão:', refreshError.response?.data || refreshError.message);
+        store.dispatch(logout());
+        return Promise.reject(error);
+      }
+    }
+  );
 };
 
 // Exporta a instância configurada do Axios como exportação padrão,
@@ -0,0 +1,19 @@
+// src/services/connectivity.js
+import NetInfo from '@react-native-community/netinfo'; // Informações sobre a conexão de rede do aparelho
+
+// Importa a ação que registra as mudanças de conexão
+import { connectivityChanged } from '../store/networkSlice';
+
+/**
+ * @function startConnectivityMonitoring
+ * @description Passa a acompanhar a conexão do aparelho e a registrar cada mudança na store.
+ * `isInternetReachable` é nulo enquanto o sistema ainda não testou o acesso à internet;
+ * nesse caso vale apenas `isConnected`.
+ * @param {object} store - A store do Redux (usada para despachar `connectivityChanged`).
+ * @returns {function} Função que encerra o monitoramento.
+ */
+export const startConnectivityMonitoring = (store) =>
+  NetInfo.addEventListener((state) => {
+    const isOnline = Boolean(state.isConnected) && state.isInternetReachable !== false;
+    store.dispatch(connectivityChanged({ isOnline }));
+  });
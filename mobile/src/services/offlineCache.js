@@ -0,0 +1,84 @@
+// src/services/offlineCache.js
+// Importa as funções de leitura/gravação de JSON no armazenamento do dispositivo
+import { getStoredJSON, setStoredJSON, removeStoredItem } from './storage';
+
+// Prefixo das chaves do cache no dispositivo
+const CACHE_PREFIX = 'offlineCache:';
+// Chave do índice do cache: { [chave]: { size, savedAt, lastAccess } }
+const CACHE_INDEX_KEY = `${CACHE_PREFIX}index`;
+
+/**
+ * @constant MAX_CACHE_SIZE
+ * @description Tamanho máximo (em caracteres de JSON, ~bytes) ocupado pelo catálogo salvo no dispositivo.
+ * Ao passar do limite, as entradas usadas há mais tempo são apagadas primeiro.
+ */
+export const MAX_CACHE_SIZE = 2 * 1024 * 1024; // ~2 MB
+
+// Fila que executa as operações uma de cada vez, para que gravações simultâneas não sobrescrevam o índice
+let queue = Promise.resolve();
+const enqueue = (task) => {
+  const result = queue.then(task);
+  queue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * @function evictToFit
+ * @description Apaga as entradas usadas há mais tempo até o cache caber no limite de tamanho.
+ * @param {object} index - O índice do cache (alterado no lugar).
+ * @returns {Promise<void>}
+ */
+const evictToFit = async (index) => {
+  let totalSize = Object.values(index).reduce((sum, entry) => sum + entry.size, 0);
+  const oldestFirst = Object.keys(index).sort((a, b) => index[a].lastAccess - index[b].lastAccess);
+  for (const key of oldestFirst) {
+    if (totalSize <= MAX_CACHE_SIZE) {
+      break;
+    }
+    totalSize -= index[key].size;
+    delete index[key];
+    await removeStoredItem(`${CACHE_PREFIX}${key}`);
+  }
+};
+
+/**
+ * @function setCachedEntry
+ * @description Função assíncrona que salva dados no cache offline, registrando o horário em que foram obtidos.
+ * Entradas maiores que o limite inteiro do cache não são salvas.
+ * @param {string} key - A chave da entrada (ex: 'product:12').
+ * @param {*} data - Os dados (serializáveis em JSON).
+ * @param {number} [savedAt=Date.now()] - Horário em que os dados vieram da API.
+ * @returns {Promise<void>}
+ */
+export const setCachedEntry = (key, data, savedAt = Date.now()) =>
+  enqueue(async () => {
+    const serialized = JSON.stringify({ data, savedAt });
+    if (serialized.length > MAX_CACHE_SIZE) {
+      return;
+    }
+    const index = await getStoredJSON(CACHE_INDEX_KEY, {});
+    await setStoredJSON(`${CACHE_PREFIX}${key}`, { data, savedAt });
+    index[key] = { size: serialized.length, savedAt, lastAccess: Date.now() };
+    await evictToFit(index);
+    await setStoredJSON(CACHE_INDEX_KEY, index);
+  });
+
+/**
+ * @function getCachedEntry
+ * @description Função assíncrona que lê uma entrada do cache offline e a marca como usada agora.
+ * @param {string} key - A chave da entrada.
+ * @returns {Promise<{ data: *, savedAt: number }|null>} Os dados e o horário em que foram obtidos, ou `null`.
+ */
+export const getCachedEntry = (key) =>
+  enqueue(async () => {
+    const entry = await getStoredJSON(`${CACHE_PREFIX}${key}`, null);
+    if (!entry) {
+      return null;
+    }
+    const index = await getStoredJSON(CACHE_INDEX_KEY, {});
+    if (index[key]) {
+      index[key].lastAccess = Date.now();
+      await setStoredJSON(CACHE_INDEX_KEY, index);
+    }
+    return entry;
+  });
@@ -0,0 +1,162 @@
+// src/services/passwordRecovery.js
+// Importa as contas criadas no aparelho, as únicas cuja senha o app consegue trocar
+import { findAccount, updateAccountPassword } from './accounts';
+// Importa a tradução das mensagens de erro exibidas ao usuário
+import { t } from '../i18n';
+// Importa as regras do código de recuperação
+import {
+  RESET_CODE_LENGTH,
+  RESET_CODE_TTL_MINUTES,
+  RESET_CODE_RESEND_SECONDS,
+  RESET_CODE_MAX_ATTEMPTS,
+} from '../constants/account';
+
+// Serviço simulado de recuperação de senha. A DummyJSON não envia e-mails nem troca senhas, então
+// os códigos ficam só na memória do app (somem ao fechá-lo) e são devolvidos à tela, que os exibe
+// no lugar da caixa de entrada. Cada e-mail tem no máximo uma recuperação em andamento.
+const pendingResets = new Map();
+
+/**
+ * @function normalizeEmail
+ * @description Padroniza o e-mail usado como chave das recuperações em andamento.
+ * @param {string} email - O e-mail digitado.
+ * @returns {string} O e-mail sem espaços e em minúsculas.
+ */
+const normalizeEmail = (email = '') => email.trim().toLowerCase();
+
+/**
+ * @function createRecoveryError
+ * @description Monta um erro da recuperação com o motivo, para a tela decidir o que fazer
+ * (ex: bloquear o campo do código quando as tentativas acabam).
+ * @param {string} reason - O motivo ('notFound' | 'cooldown' | 'invalid' | 'expired' | 'locked').
+ * @param {string} message - A mensagem de erro (traduzida).
+ * @returns {Error} O erro com a propriedade `reason`.
+ */
+const createRecoveryError = (reason, message) => {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+};
+
+/**
+ * @function generateCode
+ * @description Sorteia um código numérico de `RESET_CODE_LENGTH` dígitos (com zeros à esquerda).
+ * @returns {string} O código.
+ */
+const generateCode = () =>
+  String(Math.floor(Math.random() * 10 ** RESET_CODE_LENGTH)).padStart(RESET_CODE_LENGTH, '0');
+
+/**
+ * @function getActiveReset
+ * @description Devolve a recuperação em andamento de um e-mail, descartando-a se o código já expirou.
+ * @param {string} email - O e-mail padronizado.
+ * @returns {object|null} A recuperação, ou `null` se não houver uma válida.
+ */
+const getActiveReset = (email) => {
+  const reset = pendingResets.get(email);
+  if (reset && reset.expiresAt <= Date.now()) {
+    pendingResets.delete(email);
+    return null;
+  }
+  return reset ?? null;
+};
+
+/**
+ * @function requestPasswordReset
+ * @description Função assíncrona que "envia" um novo código de recuperação para o e-mail de uma conta
+ * criada no app. Um novo pedido substitui o código anterior e zera as tentativas, mas só é aceito
+ * depois do intervalo de reenvio.
+ * @param {string} email - O e-mail da conta.
+ * @returns {Promise<object>} Uma Promise que resolve com `{ email, code, expiresAt, resendAvailableAt }`
+ * (datas em milissegundos). O `code` faz o papel do e-mail recebido.
+ * @throws {Error} Lança um erro com `reason` 'notFound' se não houver conta com o e-mail, ou 'cooldown'
+ * (com `resendAvailableAt`) se o último código foi enviado há pouco.
+ */
+export const requestPasswordReset = async (email) => {
+  const normalizedEmail = normalizeEmail(email);
+  const account = await findAccount(normalizedEmail);
+  if (!account) {
+    throw createRecoveryError('notFound', t('errors.accountNotFound'));
+  }
+
+  const now = Date.now();
+  const current = getActiveReset(normalizedEmail);
+  if (current && current.resendAvailableAt > now) {
+    const error = createRecoveryError('cooldown', t('errors.resendCooldown', {
+      count: Math.ceil((current.resendAvailableAt - now) / 1000),
+    }));
+    error.resendAvailableAt = current.resendAvailableAt;
+    throw error;
+  }
+
+  const reset = {
+    code: generateCode(),
+    expiresAt: now + RESET_CODE_TTL_MINUTES * 60 * 1000,
+    resendAvailableAt: now + RESET_CODE_RESEND_SECONDS * 1000,
+    attemptsLeft: RESET_CODE_MAX_ATTEMPTS,
+    resetToken: null,
+  };
+  pendingResets.set(normalizedEmail, reset);
+  return {
+    email: normalizedEmail,
+    code: reset.code,
+    expiresAt: reset.expiresAt,
+    resendAvailableAt: reset.resendAvailableAt,
+  };
+};
+
+/**
+ * @function verifyResetCode
+ * @description Função assíncrona que confere o código digitado. Cada erro gasta uma tentativa;
+ * quando elas acabam, o código é invalidado e é preciso pedir outro (até lá, toda conferência é recusada
+ * como 'locked'; a recuperação fica guardada para manter o intervalo entre reenvios).
+ * @param {string} email - O e-mail da conta.
+ * @param {string} code - O código digitado.
+ * @returns {Promise<string>} Uma Promise que resolve com o token que autoriza a troca da senha.
+ * @throws {Error} Lança um erro com `reason` 'expired' (sem código válido), 'invalid' (com `attemptsLeft`)
+ * ou 'locked' (tentativas esgotadas).
+ */
+export const verifyResetCode = async (email, code) => {
+  const normalizedEmail = normalizeEmail(email);
+  const reset = getActiveReset(normalizedEmail);
+  if (!reset) {
+    throw createRecoveryError('expired', t('errors.resetCodeExpired'));
+  }
+  if (reset.attemptsLeft === 0) {
+    throw createRecoveryError('locked', t('errors.resetCodeLocked'));
+  }
+
+  if (code.trim() !== reset.code) {
+    reset.attemptsLeft -= 1;
+    if (reset.attemptsLeft === 0) {
+      throw createRecoveryError('locked', t('errors.resetCodeLocked'));
+    }
+    const error = createRecoveryError('invalid', t('errors.resetCodeInvalid', { count: reset.attemptsLeft }));
+    error.attemptsLeft = reset.attemptsLeft;
+    throw error;
+  }
+
+  reset.resetToken = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  return reset.resetToken;
+};
+
+/**
+ * @function resetPassword
+ * @description Função assíncrona que grava a nova senha de uma conta, desde que o código tenha sido
+ * conferido (`resetToken`) e ainda esteja dentro da validade. A recuperação é encerrada em seguida.
+ * @param {string} email - O e-mail da conta.
+ * @param {string} resetToken - O token devolvido por `verifyResetCode`.
+ * @param {string} password - A nova senha (já validada pela tela).
+ * @returns {Promise<void>}
+ * @throws {Error} Lança um erro com `reason` 'expired' se o código expirou ou o token não confere.
+ */
+export const resetPassword = async (email, resetToken, password) => {
+  const normalizedEmail = normalizeEmail(email);
+  const reset = getActiveReset(normalizedEmail);
+  const account = await findAccount(normalizedEmail);
+  if (!reset || !reset.resetToken || reset.resetToken !== resetToken || !account) {
+    throw createRecoveryError('expired', t('errors.resetCodeExpired'));
+  }
+  await updateAccountPassword(account, password);
+  pendingResets.delete(normalizedEmail);
+};
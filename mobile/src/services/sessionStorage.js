@@ -0,0 +1,62 @@
+// src/services/sessionStorage.js
+import * as SecureStore from 'expo-secure-store'; // Armazenamento criptografado do dispositivo (Keychain no iOS, Keystore no Android)
+
+// Chaves usadas no SecureStore. Cada parte da sessão é salva separadamente porque
+// o SecureStore limita o tamanho de cada valor, e os dois tokens JWT juntos podem ultrapassar esse limite.
+const USER_KEY = 'session.user';
+const ACCESS_TOKEN_KEY = 'session.accessToken';
+const REFRESH_TOKEN_KEY = 'session.refreshToken';
+
+/**
+ * @function saveSession
+ * @description Função assíncrona que grava a sessão do usuário logado de forma segura no dispositivo.
+ * @param {object} session - Dados da sessão.
+ * @param {object} session.user - Os dados do usuário logado.
+ * @param {string} session.accessToken - O token de acesso atual.
+ * @param {string} session.refreshToken - O token de atualização atual.
+ * @returns {Promise<void>}
+ */
+export const saveSession = async ({ user, accessToken, refreshToken }) => {
+  await Promise.all([
+    SecureStore.setItemAsync(USER_KEY, JSON.stringify(user)),
+    SecureStore.setItemAsync(ACCESS_TOKEN_KEY, accessToken ?? ''),
+    SecureStore.setItemAsync(REFRESH_TOKEN_KEY, refreshToken ?? ''),
+  ]);
+};
+
+/**
+ * @function loadSession
+ * @description Função assíncrona que lê a sessão salva no dispositivo.
+ * @returns {Promise<object|null>} Uma Promise que resolve com `{ user, accessToken, refreshToken }`,
+ * ou com `null` se não houver sessão salva.
+ */
+export const loadSession = async () => {
+  const [user, accessToken, refreshToken] = await Promise.all([
+    SecureStore.getItemAsync(USER_KEY),
+    SecureStore.getItemAsync(ACCESS_TOKEN_KEY),
+    SecureStore.getItemAsync(REFRESH_TOKEN_KEY),
+  ]);
+
+  // Sem usuário salvo não há sessão a restaurar
+  if (!user) {
+    return null;
+  }
+  return {
+    user: JSON.parse(user),
+    accessToken: accessToken || null,
+    refreshToken: refreshToken || null,
+  };
+};
+
+/**
+ * @function clearSession
+ * @description Função assíncrona que apaga a sessão salva no dispositivo (usada no logout).
+ * @returns {Promise<void>}
+ */
+export const clearSession = async () => {
+  await Promise.all([
+    SecureStore.deleteItemAsync(USER_KEY),
+    SecureStore.deleteItemAsync(ACCESS_TOKEN_KEY),
+    SecureStore.deleteItemAsync(REFRESH_TOKEN_KEY),
+  ]);
+};
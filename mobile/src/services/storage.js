@@ -0,0 +1,35 @@
+// src/services/storage.js
+import AsyncStorage from '@react-native-async-storage/async-storage'; // Armazenamento chave-valor persistente (não criptografado)
+
+/**
+ * @function getStoredJSON
+ * @description Função assíncrona que lê um valor JSON salvo no dispositivo.
+ * @param {string} key - A chave do valor salvo.
+ * @param {*} [fallback=null] - Valor devolvido se a chave não existir.
+ * @returns {Promise<*>} Uma Promise que resolve com o valor já convertido de JSON, ou com o `fallback`.
+ */
+export const getStoredJSON = async (key, fallback = null) => {
+  const value = await AsyncStorage.getItem(key);
+  return value === null ? fallback : JSON.parse(value);
+};
+
+/**
+ * @function setStoredJSON
+ * @description Função assíncrona que salva um valor no dispositivo, serializado como JSON.
+ * @param {string} key - A chave sob a qual o valor será salvo.
+ * @param {*} value - O valor a ser salvo.
+ * @returns {Promise<void>}
+ */
+export const setStoredJSON = async (key, value) => {
+  await AsyncStorage.setItem(key, JSON.stringify(value));
+};
+
+/**
+ * @function removeStoredItem
+ * @description Função assíncrona que apaga um valor salvo no dispositivo.
+ * @param {string} key - A chave do valor a ser apagado.
+ * @returns {Promise<void>}
+ */
+export const removeStoredItem = async (key) => {
+  await AsyncStorage.removeItem(key);
+};
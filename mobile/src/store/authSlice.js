@@ -1,5 +1,29 @@
 // src/store/authSlice.js
-import { createSlice } from '@reduxjs/toolkit'; // Importa a função createSlice do Redux Toolkit
+import { createSlice, createAsyncThunk, isAnyOf } from '@reduxjs/toolkit'; // Importa funções do Redux Toolkit
+// Importa as funções que gravam, leem e apagam a sessão no armazenamento seguro do dispositivo
+import { saveSession, loadSession, clearSession } from '../services/sessionStorage';
+// Importa o atalho para registrar efeitos colaterais no listener middleware
+import { startAppListening } from './listenerMiddleware';
+
+/**
+ * @function restoreSession
+ * @description Thunk assíncrono que lê a sessão salva no dispositivo na inicialização do app.
+ * Enquanto ele está pendente, o AppNavigator exibe a tela de carregamento (splash)
+ * em vez de mostrar o AuthNavigator por um instante.
+ * @returns {Promise<object|null>} Uma Promise que resolve com a sessão salva ou `null`.
+ */
+export const restoreSession = createAsyncThunk(
+  'auth/restoreSession',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await loadSession();
+    } catch (error) {
+      // Uma sessão corrompida ou ilegível não deve impedir o app de abrir: o usuário apenas faz login novamente
+      console.error('Erro ao restaurar a sessão:', error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
 
 /**
  * @constant authSlice
@@ -14,6 +38,9 @@ const authSlice = createSlice({
   initialState: {
     isLoggedIn: false, // Booleano que indica se o usuário está logado (false por padrão).
     user: null,        // Objeto que armazena os dados do usuário logado (nulo por padrão).
+    accessToken: null, // Token de acesso (JWT) enviado no cabeçalho Authorization das requisições.
+    refreshToken: null, // Token usado para obter um novo token de acesso quando o atual expira.
+    isRestoring: true, // Indica que a sessão salva no dispositivo ainda está sendo lida na inicialização.
   },
   
   // reducers: Objeto contendo funções que definem como o estado pode ser alterado.
@@ -26,11 +53,26 @@ const authSlice = createSlice({
      * Atualiza o estado para indicar que o usuário está logado e armazena seus dados.
      * @param {object} state - O estado atual do slice 'auth'.
      * @param {object} action - O objeto de ação despachado. Espera `action.payload.user`
-     * contendo os dados do usuário (ex: { username: 'test', name: 'User Test' }).
+     * contendo os dados do usuário (ex: { username: 'test', name: 'User Test' }) e os tokens
+     * `action.payload.accessToken` e `action.payload.refreshToken` devolvidos pela API.
      */
     loginSuccess: (state, action) => {
       state.isLoggedIn = true;          // Define isLoggedIn para true
       state.user = action.payload.user; // Armazena os dados do usuário recebidos no payload
+      state.accessToken = action.payload.accessToken;   // Armazena o token de acesso
+      state.refreshToken = action.payload.refreshToken; // Armazena o token de atualização
+    },
+    /**
+     * @action tokensRefreshed
+     * @description Reducer para lidar com a renovação transparente dos tokens.
+     * Despachado pelo interceptador da instância `api` após uma chamada bem-sucedida a `auth/refresh`.
+     * @param {object} state - O estado atual do slice 'auth'.
+     * @param {object} action - O objeto de ação despachado. Espera `action.payload.accessToken`
+     * e `action.payload.refreshToken`.
+     */
+    tokensRefreshed: (state, action) => {
+      state.accessToken = action.payload.accessToken;
+      state.refreshToken = action.payload.refreshToken;
     },
     /**
      * @action logout
@@ -41,14 +83,64 @@ const authSlice = createSlice({
     logout: (state) => {
       state.isLoggedIn = false; // Define isLoggedIn para false
       state.user = null;        // Limpa os dados do usuário
+      state.accessToken = null; // Descarta os tokens da sessão encerrada
+      state.refreshToken = null;
     },
   },
+
+  // extraReducers: Lida com os estágios do thunk `restoreSession`.
+  extraReducers: (builder) => {
+    builder
+      .addCase(restoreSession.pending, (state) => {
+        state.isRestoring = true;
+      })
+      .addCase(restoreSession.fulfilled, (state, action) => {
+        state.isRestoring = false;
+        // Só reidrata a sessão se havia uma salva e se o usuário não fez login enquanto ela era lida
+        if (action.payload && !state.isLoggedIn) {
+          state.isLoggedIn = true;
+          state.user = action.payload.user;
+          state.accessToken = action.payload.accessToken;
+          state.refreshToken = action.payload.refreshToken;
+        }
+      })
+      .addCase(restoreSession.rejected, (state) => {
+        state.isRestoring = false;
+      });
+  },
 });
 
 // Extrai as ações geradas automaticamente pelo createSlice.
 // Estas ações são "action creators" que podem ser despachadas no aplicativo.
-export const { loginSuccess, logout } = authSlice.actions;
+export const { loginSuccess, tokensRefreshed, logout } = authSlice.actions;
 
 // Exporta o reducer gerado pelo createSlice.
 // Este reducer será combinado com outros reducers na store principal do Redux.
 export default authSlice.reducer;
+
+// --- Persistência da sessão ---
+
+// Grava a sessão no armazenamento seguro sempre que o usuário faz login ou os tokens são renovados
+startAppListening({
+  matcher: isAnyOf(loginSuccess, tokensRefreshed),
+  effect: async (action, listenerApi) => {
+    const { user, accessToken, refreshToken } = listenerApi.getState().auth;
+    try {
+      await saveSession({ user, accessToken, refreshToken });
+    } catch (error) {
+      console.error('Erro ao salvar a sessão:', error);
+    }
+  },
+});
+
+// Apaga a sessão salva em qualquer logout (botão "Sair da conta" ou falha na renovação do token)
+startAppListening({
+  actionCreator: logout,
+  effect: async () => {
+    try {
+      await clearSession();
+    } catch (error) {
+      console.error('Erro ao apagar a sessão salva:', error);
+    }
+  },
+});
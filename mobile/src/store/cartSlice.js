@@ -0,0 +1,217 @@
+// src/store/cartSlice.js
+import { createSlice, createAsyncThunk, createSelector, isAnyOf } from '@reduxjs/toolkit'; // Importa funções do Redux Toolkit
+// Importa as funções de leitura/gravação de JSON no armazenamento do dispositivo
+import { getStoredJSON, setStoredJSON } from '../services/storage';
+// Importa a regra de preço com desconto compartilhada com o ProductCard
+import { getDiscountedPrice } from '../utils/pricing';
+// Importa as ações de autenticação que disparam a carga e a limpeza do carrinho
+import { loginSuccess, logout, restoreSession } from './authSlice';
+// Importa o atalho para registrar efeitos colaterais no listener middleware
+import { startAppListening } from './listenerMiddleware';
+
+/**
+ * @function getCartStorageKey
+ * @description Monta a chave do carrinho de um usuário no dispositivo (cada usuário tem o seu carrinho).
+ * @param {number|string} userId - O ID do usuário.
+ * @returns {string} A chave de armazenamento.
+ */
+const getCartStorageKey = (userId) => `cart:${userId}`;
+
+/**
+ * @function restoreCart
+ * @description Thunk assíncrono que carrega o carrinho do usuário salvo no dispositivo.
+ * @param {number} userId - O ID do usuário logado.
+ * @returns {Promise<object[]>} Uma Promise que resolve com os itens salvos (ou um array vazio).
+ */
+export const restoreCart = createAsyncThunk(
+  'cart/restore',
+  async (userId, { rejectWithValue }) => {
+    try {
+      return await getStoredJSON(getCartStorageKey(userId), []);
+    } catch (error) {
+      console.error('Erro ao restaurar o carrinho:', error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * @function toCartItem
+ * @description Extrai do produto apenas os campos necessários para exibir o item e calcular os totais,
+ * evitando salvar o objeto completo (descrição, avaliações, imagens) no dispositivo.
+ * @param {object} product - O objeto de produto vindo da API.
+ * @param {number} quantity - A quantidade do item.
+ * @returns {object} O item do carrinho.
+ */
+const toCartItem = (product, quantity) => ({
+  id: product.id,
+  title: product.title,
+  thumbnail: product.thumbnail,
+  price: product.price,
+  discountPercentage: product.discountPercentage,
+  stock: product.stock,
+  quantity,
+});
+
+/**
+ * @function clampQuantity
+ * @description Limita a quantidade de um item entre 1 e o estoque disponível (quando informado).
+ * @param {number} quantity - A quantidade desejada.
+ * @param {number} [stock] - O estoque disponível do produto.
+ * @returns {number} A quantidade ajustada.
+ */
+const clampQuantity = (quantity, stock) => {
+  const max = stock > 0 ? stock : Infinity;
+  return Math.min(Math.max(1, Math.floor(quantity)), max);
+};
+
+/**
+ * @constant cartSlice
+ * @description Define um "slice" do estado Redux para gerenciar o carrinho de compras do usuário logado.
+ * Os itens são guardados em um array para preservar a ordem em que foram adicionados.
+ */
+const cartSlice = createSlice({
+  name: 'cart',
+
+  initialState: {
+    items: [],           // Itens do carrinho: { id, title, thumbnail, price, discountPercentage, stock, quantity }
+    isHydrated: false,   // Indica se o carrinho salvo no dispositivo já foi carregado
+    userId: null,        // Dono do carrinho (o usuário cuja restauração foi pedida por último)
+  },
+
+  reducers: {
+    /**
+     * @action addToCart
+     * @description Adiciona um produto ao carrinho. Se ele já estiver no carrinho, soma a quantidade.
+     * @param {object} action - Espera `action.payload.product` e, opcionalmente, `action.payload.quantity` (padrão 1).
+     */
+    addToCart: (state, action) => {
+      const { product, quantity = 1 } = action.payload;
+      const existing = state.items.find((item) => item.id === product.id);
+      if (existing) {
+        existing.quantity = clampQuantity(existing.quantity + quantity, existing.stock);
+      } else {
+        state.items.push(toCartItem(product, clampQuantity(quantity, product.stock)));
+      }
+    },
+    /**
+     * @action removeFromCart
+     * @description Remove um item do carrinho.
+     * @param {object} action - Espera `action.payload` com o ID do produto.
+     */
+    removeFromCart: (state, action) => {
+      state.items = state.items.filter((item) => item.id !== action.payload);
+    },
+    /**
+     * @action updateQuantity
+     * @description Altera a quantidade de um item. Quantidades menores que 1 removem o item.
+     * @param {object} action - Espera `action.payload.id` e `action.payload.quantity`.
+     */
+    updateQuantity: (state, action) => {
+      const { id, quantity } = action.payload;
+      if (quantity < 1) {
+        state.items = state.items.filter((item) => item.id !== id);
+        return;
+      }
+      const item = state.items.find((cartItem) => cartItem.id === id);
+      if (item) {
+        item.quantity = clampQuantity(quantity, item.stock);
+      }
+    },
+    /**
+     * @action clearCart
+     * @description Esvazia o carrinho.
+     */
+    clearCart: (state) => {
+      state.items = [];
+    },
+  },
+
+  extraReducers: (builder) => {
+    builder
+      .addCase(restoreCart.pending, (state, action) => {
+        state.userId = action.meta.arg;
+      })
+      .addCase(restoreCart.fulfilled, (state, action) => {
+        // Uma leitura lenta de um usuário que já saiu não vai para o carrinho de quem entrou depois
+        if (action.meta.arg !== state.userId) {
+          return;
+        }
+        // Itens adicionados antes de a restauração terminar têm prioridade sobre os salvos
+        const restored = action.payload.filter(
+          (saved) => !state.items.some((item) => item.id === saved.id)
+        );
+        state.items = [...restored, ...state.items];
+        state.isHydrated = true;
+      })
+      .addCase(restoreCart.rejected, (state, action) => {
+        if (action.meta.arg === state.userId) {
+          state.isHydrated = true;
+        }
+      })
+      // No logout, descarta o carrinho do usuário anterior (ele continua salvo no dispositivo)
+      .addCase(logout, () => cartSlice.getInitialState());
+  },
+});
+
+export const { addToCart, removeFromCart, updateQuantity, clearCart } = cartSlice.actions;
+
+// --- Seletores ---
+
+/**
+ * @function selectCartItems
+ * @description Seleciona os itens do carrinho.
+ */
+export const selectCartItems = (state) => state.cart.items;
+
+/**
+ * @function selectCartCount
+ * @description Seleciona a quantidade total de unidades no carrinho (usada no badge da aba).
+ */
+export const selectCartCount = createSelector([selectCartItems], (items) =>
+  items.reduce((count, item) => count + item.quantity, 0)
+);
+
+/**
+ * @function selectCartTotals
+ * @description Calcula os totais do carrinho a partir da mesma regra de desconto do ProductCard.
+ * @returns {{ subtotal: number, discount: number, total: number }} Subtotal pelo preço original,
+ * valor economizado com descontos e total a pagar.
+ */
+export const selectCartTotals = createSelector([selectCartItems], (items) => {
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const total = items.reduce((sum, item) => sum + getDiscountedPrice(item) * item.quantity, 0);
+  return { subtotal, discount: subtotal - total, total };
+});
+
+// --- Carga e persistência do carrinho ---
+
+// Carrega o carrinho do usuário quando a sessão é restaurada ou quando ele faz login
+startAppListening({
+  matcher: isAnyOf(loginSuccess, restoreSession.fulfilled),
+  effect: async (action, listenerApi) => {
+    const userId = listenerApi.getState().auth.user?.id;
+    if (userId !== undefined && userId !== null) {
+      listenerApi.dispatch(restoreCart(userId));
+    }
+  },
+});
+
+// Grava o carrinho no dispositivo sempre que ele é alterado (depois de restaurado, para não sobrescrever o salvo)
+startAppListening({
+  predicate: (action, currentState, previousState) =>
+    currentState.cart.isHydrated && currentState.cart.items !== previousState.cart.items,
+  effect: async (action, listenerApi) => {
+    const { auth, cart } = listenerApi.getState();
+    if (!auth.user) {
+      return;
+    }
+    try {
+      await setStoredJSON(getCartStorageKey(auth.user.id), cart.items);
+    } catch (error) {
+      console.error('Erro ao salvar o carrinho:', error);
+    }
+  },
+});
+
+export default cartSlice.reducer;
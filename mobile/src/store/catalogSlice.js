@@ -0,0 +1,232 @@
+// src/store/catalogSlice.js
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit'; // Importa funções do Redux Toolkit
+// Importa a função de API que lista as categorias de produtos
+import { getCategories } from '../services/api';
+// Importa as funções de leitura/gravação de JSON no armazenamento do dispositivo
+import { getStoredJSON, setStoredJSON } from '../services/storage';
+// Importa o atalho para registrar efeitos colaterais no listener middleware
+import { startAppListening } from './listenerMiddleware';
+// Importa o mapa de agrupamento das categorias em abas e o layout padrão
+import { CATEGORY_GROUPS, OTHER_GROUP_ID, DEFAULT_TAB_LAYOUT } from '../constants/categoryGroups';
+
+// Chave sob a qual o layout das abas é salvo no dispositivo
+const TAB_LAYOUT_STORAGE_KEY = 'catalogTabLayout';
+
+/**
+ * @function fetchCategories
+ * @description Thunk assíncrono que busca as categorias existentes na API para montar as abas do catálogo.
+ * Não busca de novo se as categorias já foram carregadas (ou estão carregando).
+ * @returns {Promise<object[]>} Uma Promise que resolve com as categorias `{ slug, name }`.
+ */
+export const fetchCategories = createAsyncThunk(
+  'catalog/fetchCategories',
+  async (_, { rejectWithValue }) => {
+    try {
+      const categories = await getCategories();
+      return categories.map(({ slug, name }) => ({ slug, name }));
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  },
+  {
+    condition: (_, { getState }) => {
+      const { categoriesStatus } = getState().catalog;
+      return categoriesStatus !== 'loading' && categoriesStatus !== 'succeeded';
+    },
+  }
+);
+
+/**
+ * @function restoreTabLayout
+ * @description Thunk assíncrono que carrega do dispositivo a ordem e a visibilidade das abas escolhidas pelo usuário.
+ * @returns {Promise<string[]|null>} Uma Promise que resolve com os IDs das abas visíveis, ou `null` se nunca foram alteradas.
+ */
+export const restoreTabLayout = createAsyncThunk(
+  'catalog/restoreTabLayout',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await getStoredJSON(TAB_LAYOUT_STORAGE_KEY, null);
+    } catch (error) {
+      console.error('Erro ao restaurar as abas do catálogo:', error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * @constant catalogSlice
+ * @description Define um "slice" do estado Redux para as abas do catálogo na tela Início:
+ * as categorias existentes na API e o layout (ordem e visibilidade) das abas escolhido pelo usuário.
+ */
+const catalogSlice = createSlice({
+  name: 'catalog',
+
+  initialState: {
+    categories: [],             // Categorias da API ({ slug, name }); vazio até a primeira carga
+    categoriesStatus: 'idle',   // Status da carga das categorias ('idle'|'loading'|'succeeded'|'failed')
+    tabLayout: DEFAULT_TAB_LAYOUT, // IDs dos grupos exibidos como abas, na ordem escolhida
+    isHydrated: false,          // Indica se o layout salvo já foi carregado do dispositivo
+  },
+
+  reducers: {
+    /**
+     * @action moveTab
+     * @description Move uma aba visível uma posição para frente (-1) ou para trás (+1).
+     * @param {object} action - Espera `action.payload` com `id` e `offset`.
+     */
+    moveTab: (state, action) => {
+      const { id, offset } = action.payload;
+      const index = state.tabLayout.indexOf(id);
+      const target = index + offset;
+      if (index < 0 || target < 0 || target >= state.tabLayout.length) {
+        return;
+      }
+      [state.tabLayout[index], state.tabLayout[target]] = [state.tabLayout[target], state.tabLayout[index]];
+    },
+    /**
+     * @action hideTab
+     * @description Oculta uma aba. A última aba visível não pode ser ocultada.
+     */
+    hideTab: (state, action) => {
+      if (state.tabLayout.length > 1) {
+        state.tabLayout = state.tabLayout.filter((id) => id !== action.payload);
+      }
+    },
+    /**
+     * @action showTab
+     * @description Adiciona uma aba oculta ao fim das abas visíveis.
+     */
+    showTab: (state, action) => {
+      if (!state.tabLayout.includes(action.payload)) {
+        state.tabLayout.push(action.payload);
+      }
+    },
+    /**
+     * @action resetTabLayout
+     * @description Volta às abas padrão.
+     */
+    resetTabLayout: (state) => {
+      state.tabLayout = DEFAULT_TAB_LAYOUT;
+    },
+  },
+
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchCategories.pending, (state) => {
+        state.categoriesStatus = 'loading';
+      })
+      .addCase(fetchCategories.fulfilled, (state, action) => {
+        state.categoriesStatus = 'succeeded';
+        state.categories = action.payload;
+      })
+      .addCase(fetchCategories.rejected, (state) => {
+        // Sem as categorias da API, as abas são montadas direto do mapa de agrupamento
+        state.categoriesStatus = 'failed';
+      })
+      .addCase(restoreTabLayout.fulfilled, (state, action) => {
+        if (Array.isArray(action.payload) && action.payload.length > 0) {
+          state.tabLayout = action.payload;
+        }
+        state.isHydrated = true;
+      })
+      .addCase(restoreTabLayout.rejected, (state) => {
+        state.isHydrated = true;
+      });
+  },
+});
+
+export const { moveTab, hideTab, showTab, resetTabLayout } = catalogSlice.actions;
+
+// --- Seletores ---
+
+/**
+ * @function selectCatalogGroups
+ * @description Monta os grupos de categorias disponíveis como abas.
+ * Com as categorias da API carregadas, cada grupo fica só com as categorias que existem,
+ * grupos vazios são descartados e as categorias sem grupo formam a aba "Outros".
+ * Antes disso (ou se a carga falhar), usa o mapa de agrupamento como está.
+ */
+export const selectCatalogGroups = createSelector(
+  [(state) => state.catalog.categories],
+  (categories) => {
+    if (categories.length === 0) {
+      return CATEGORY_GROUPS;
+    }
+    const slugs = new Set(categories.map((category) => category.slug));
+    const groups = CATEGORY_GROUPS
+      .map((group) => ({ ...group, categories: group.categories.filter((slug) => slugs.has(slug)) }))
+      .filter((group) => group.categories.length > 0);
+
+    const groupedSlugs = new Set(groups.flatMap((group) => group.categories));
+    const otherCategories = categories.filter((category) => !groupedSlugs.has(category.slug));
+    if (otherCategories.length > 0) {
+      groups.push({
+        id: OTHER_GROUP_ID,
+        labelKey: 'catalog.groups.outros',
+        categories: otherCategories.map((category) => category.slug),
+      });
+    }
+    return groups;
+  }
+);
+
+/**
+ * @function selectVisibleTabs
+ * @description Seleciona os grupos exibidos como abas, na ordem escolhida pelo usuário.
+ * IDs salvos que não correspondem mais a nenhum grupo são ignorados; se nada sobrar, usa as abas padrão.
+ */
+export const selectVisibleTabs = createSelector(
+  [selectCatalogGroups, (state) => state.catalog.tabLayout],
+  (groups, tabLayout) => {
+    const pickGroups = (ids) => ids.map((id) => groups.find((group) => group.id === id)).filter(Boolean);
+    const tabs = pickGroups(tabLayout);
+    return tabs.length > 0 ? tabs : pickGroups(DEFAULT_TAB_LAYOUT);
+  }
+);
+
+/**
+ * @function selectHiddenTabs
+ * @description Seleciona os grupos disponíveis que não estão entre as abas visíveis (podem ser adicionados).
+ */
+export const selectHiddenTabs = createSelector(
+  [selectCatalogGroups, selectVisibleTabs],
+  (groups, visibleTabs) => groups.filter((group) => !visibleTabs.includes(group))
+);
+
+/**
+ * @function selectCategoryNames
+ * @description Seleciona um mapa `slug -> nome` das categorias da API (ex: 'mens-shirts' -> 'Mens Shirts').
+ */
+export const selectCategoryNames = createSelector(
+  [(state) => state.catalog.categories],
+  (categories) => Object.fromEntries(categories.map((category) => [category.slug, category.name]))
+);
+
+// --- Persistência do layout das abas ---
+
+// Grava o layout das abas no dispositivo sempre que o usuário o altera
+startAppListening({
+  predicate: (action, currentState, previousState) =>
+    currentState.catalog.isHydrated &&
+    currentState.catalog.tabLayout !== previousState.catalog.tabLayout,
+  effect: async (action, listenerApi) => {
+    try {
+      await setStoredJSON(TAB_LAYOUT_STORAGE_KEY, listenerApi.getState().catalog.tabLayout);
+    } catch (error) {
+      console.error('Erro ao salvar as abas do catálogo:', error);
+    }
+  },
+});
+
+// Se as categorias não puderam ser carregadas (ex: sem conexão), tenta de novo quando a conexão volta
+startAppListening({
+  predicate: (action, currentState, previousState) =>
+    currentState.network.isOnline &&
+    !previousState.network.isOnline &&
+    currentState.catalog.categoriesStatus === 'failed',
+  effect: async (action, listenerApi) => {
+    listenerApi.dispatch(fetchCategories());
+  },
+});
+
+export default catalogSlice.reducer;
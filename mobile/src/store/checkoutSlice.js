@@ -0,0 +1,135 @@
+// src/store/checkoutSlice.js
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'; // Importa funções do Redux Toolkit
+// Importa a função de API que envia o pedido
+import { submitOrder } from '../services/api';
+// Importa a ação que esvazia o carrinho e os seletores usados para montar o pedido
+import { clearCart, selectCartItems, selectCartTotals } from './cartSlice';
+// Importa as opções de entrega do checkout
+import { SHIPPING_OPTIONS } from '../constants/checkout';
+
+/**
+ * @function placeOrder
+ * @description Thunk assíncrono que fecha a compra: envia os itens do carrinho para a API
+ * e monta o pedido com endereço, entrega, pagamento e totais.
+ * O carrinho só é esvaziado depois que o envio dá certo; em caso de falha ele é mantido intacto.
+ * @param {void} _ - Não recebe argumentos; lê o carrinho e as escolhas do checkout da store.
+ * @param {object} thunkAPI - Objeto com utilitários do Redux Thunk (`getState`, `dispatch`, `rejectWithValue`).
+ * @returns {Promise<object>} Uma Promise que resolve com o pedido criado.
+ */
+export const placeOrder = createAsyncThunk(
+  'checkout/placeOrder',
+  async (_, { getState, dispatch, rejectWithValue }) => {
+    const state = getState();
+    const items = selectCartItems(state);
+    const { subtotal, discount, total } = selectCartTotals(state);
+    const { address, shippingOptionId, payment } = state.checkout;
+    const shippingOption = SHIPPING_OPTIONS.find((option) => option.id === shippingOptionId);
+
+    try {
+      // Contas criadas no app não existem na DummyJSON (que recusaria o carrinho), então o pedido fica só no aparelho
+      const remoteCart = state.auth.user?.isLocal ? null : await submitOrder(state.auth.user?.id, items);
+
+      const order = {
+        // O ID devolvido pela DummyJSON não é único entre pedidos, então o pedido local recebe o seu próprio
+        id: `local-${Date.now()}`,
+        remoteId: remoteCart?.id ?? null,
+        source: 'local',       // Pedido feito no app (em oposição aos carrinhos da API no histórico)
+        userId: state.auth.user?.id ?? null,
+        createdAt: new Date().toISOString(),
+        items,
+        address,
+        shipping: shippingOption,
+        payment,
+        totals: {
+          subtotal,
+          discount,
+          shipping: shippingOption.price,
+          total: total + shippingOption.price,
+        },
+      };
+
+      // Só esvazia o carrinho depois que o pedido foi aceito
+      dispatch(clearCart());
+      return order;
+    } catch (error) {
+      return rejectWithValue(error.messageKey ?? 'errors.submitOrder');
+    }
+  }
+);
+
+/**
+ * @constant checkoutSlice
+ * @description Define um "slice" do estado Redux para as escolhas feitas em cada etapa do checkout
+ * (endereço, entrega e pagamento) e para o status do envio do pedido.
+ */
+const checkoutSlice = createSlice({
+  name: 'checkout',
+
+  initialState: {
+    address: null,            // Endereço de entrega informado na primeira etapa
+    shippingOptionId: null,   // ID da opção de entrega escolhida (ver SHIPPING_OPTIONS)
+    payment: null,            // Forma de pagamento escolhida: { methodId, cardLast4?, cardHolder? }
+    status: 'idle',           // Status do envio do pedido ('idle'|'loading'|'succeeded'|'failed')
+    errorKey: null,           // Chave da mensagem de erro do envio (traduzida pela tela)
+    lastOrder: null,          // Último pedido concluído, exibido na tela de confirmação
+  },
+
+  reducers: {
+    /**
+     * @action setAddress
+     * @description Salva o endereço de entrega validado.
+     */
+    setAddress: (state, action) => {
+      state.address = action.payload;
+    },
+    /**
+     * @action setShippingOption
+     * @description Salva o ID da opção de entrega escolhida.
+     */
+    setShippingOption: (state, action) => {
+      state.shippingOptionId = action.payload;
+    },
+    /**
+     * @action setPayment
+     * @description Salva a forma de pagamento escolhida. Para cartões, guarda apenas
+     * os 4 últimos dígitos e o nome do titular — o número completo e o CVV nunca vão para a store.
+     * @param {object} action - Espera `action.payload.methodId` e, para cartão, `cardLast4` e `cardHolder`.
+     */
+    setPayment: (state, action) => {
+      state.payment = { ...action.payload };
+    },
+    /**
+     * @action resetCheckout
+     * @description Limpa as escolhas do checkout (usado ao iniciar uma nova compra).
+     */
+    resetCheckout: (state) => {
+      state.shippingOptionId = null;
+      state.payment = null;
+      state.status = 'idle';
+      state.errorKey = null;
+    },
+  },
+
+  extraReducers: (builder) => {
+    builder
+      .addCase(placeOrder.pending, (state) => {
+        state.status = 'loading';
+        state.errorKey = null;
+      })
+      .addCase(placeOrder.fulfilled, (state, action) => {
+        state.status = 'succeeded';
+        state.lastOrder = action.payload;
+        // O endereço é mantido para pré-preencher a próxima compra
+        state.shippingOptionId = null;
+        state.payment = null;
+      })
+      .addCase(placeOrder.rejected, (state, action) => {
+        state.status = 'failed';
+        state.errorKey = action.payload;
+      });
+  },
+});
+
+export const { setAddress, setShippingOption, setPayment, resetCheckout } = checkoutSlice.actions;
+
+export default checkoutSlice.reducer;
@@ -0,0 +1,203 @@
+// src/store/favoritesSlice.js
+import { createSlice, createAsyncThunk, isAnyOf } from '@reduxjs/toolkit'; // Importa funções do Redux Toolkit
+// Importa a função de API usada para verificar se os favoritos ainda existem
+import { getProductDetails } from '../services/api';
+// Importa as funções de leitura/gravação de JSON no armazenamento do dispositivo
+import { getStoredJSON, setStoredJSON } from '../services/storage';
+// Importa as ações de autenticação que disparam a carga e a limpeza dos favoritos
+import { loginSuccess, logout, restoreSession } from './authSlice';
+// Importa o atalho para registrar efeitos colaterais no listener middleware
+import { startAppListening } from './listenerMiddleware';
+
+/**
+ * @function getFavoritesStorageKey
+ * @description Monta a chave dos favoritos de um usuário no dispositivo (cada usuário tem sua lista).
+ * @param {number|string} userId - O ID do usuário.
+ * @returns {string} A chave de armazenamento.
+ */
+const getFavoritesStorageKey = (userId) => `favorites:${userId}`;
+
+/**
+ * @function toFavorite
+ * @description Extrai do produto os campos necessários para exibi-lo na grade de favoritos
+ * sem precisar buscá-lo novamente na API.
+ * @param {object} product - O objeto de produto vindo da API.
+ * @returns {object} O favorito salvo.
+ */
+const toFavorite = (product) => ({
+  id: product.id,
+  title: product.title,
+  description: product.description,
+  thumbnail: product.thumbnail,
+  price: product.price,
+  discountPercentage: product.discountPercentage,
+  stock: product.stock,
+  unavailable: false, // Marcado como `true` quando o produto deixa de existir na API
+});
+
+/**
+ * @function restoreFavorites
+ * @description Thunk assíncrono que carrega os favoritos do usuário salvos no dispositivo.
+ * @param {number} userId - O ID do usuário logado.
+ * @returns {Promise<object[]>} Uma Promise que resolve com os favoritos salvos.
+ */
+export const restoreFavorites = createAsyncThunk(
+  'favorites/restore',
+  async (userId, { rejectWithValue }) => {
+    try {
+      return await getStoredJSON(getFavoritesStorageKey(userId), []);
+    } catch (error) {
+      console.error('Erro ao restaurar os favoritos:', error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * @function refreshFavorites
+ * @description Thunk assíncrono que consulta cada favorito na API para atualizar seus dados (ex: preço).
+ * Produtos que não existem mais (404) são marcados como indisponíveis em vez de removidos;
+ * falhas de rede mantêm os dados salvos sem alterar a disponibilidade.
+ * @returns {Promise<object[]>} Uma Promise que resolve com `{ id, product?, unavailable? }` de cada favorito verificado.
+ */
+export const refreshFavorites = createAsyncThunk(
+  'favorites/refresh',
+  async (_, { getState }) => {
+    const favorites = getState().favorites.items;
+    const results = await Promise.allSettled(
+      favorites.map((favorite) => getProductDetails(favorite.id))
+    );
+    return favorites.map((favorite, index) => {
+      const result = results[index];
+      if (result.status === 'fulfilled') {
+        return { id: favorite.id, product: result.value };
+      }
+      return { id: favorite.id, unavailable: result.reason?.status === 404 ? true : undefined };
+    });
+  }
+);
+
+/**
+ * @constant favoritesSlice
+ * @description Define um "slice" do estado Redux para a lista de favoritos do usuário logado.
+ */
+const favoritesSlice = createSlice({
+  name: 'favorites',
+
+  initialState: {
+    items: [],            // Favoritos do usuário, do mais recente para o mais antigo
+    isHydrated: false,    // Indica se os favoritos do usuário já foram carregados do dispositivo
+    status: 'idle',       // Status da verificação dos favoritos na API ('idle'|'loading'|'succeeded')
+    userId: null,         // Dono da lista (o usuário cuja restauração foi pedida por último)
+  },
+
+  reducers: {
+    /**
+     * @action toggleFavorite
+     * @description Adiciona o produto aos favoritos ou o remove, se já estiver lá.
+     * @param {object} action - Espera `action.payload` com o objeto do produto.
+     */
+    toggleFavorite: (state, action) => {
+      const product = action.payload;
+      const index = state.items.findIndex((item) => item.id === product.id);
+      if (index >= 0) {
+        state.items.splice(index, 1);
+      } else {
+        state.items.unshift(toFavorite(product));
+      }
+    },
+  },
+
+  extraReducers: (builder) => {
+    builder
+      .addCase(restoreFavorites.pending, (state, action) => {
+        state.userId = action.meta.arg;
+      })
+      .addCase(restoreFavorites.fulfilled, (state, action) => {
+        // Uma leitura lenta de um usuário que já saiu não entra na lista de quem entrou depois
+        if (action.meta.arg !== state.userId) {
+          return;
+        }
+        // Favoritos marcados antes de a restauração terminar continuam no topo
+        const restored = action.payload.filter(
+          (saved) => !state.items.some((item) => item.id === saved.id)
+        );
+        state.items = [...state.items, ...restored];
+        state.isHydrated = true;
+      })
+      .addCase(restoreFavorites.rejected, (state, action) => {
+        if (action.meta.arg === state.userId) {
+          state.isHydrated = true;
+        }
+      })
+      .addCase(refreshFavorites.pending, (state) => {
+        state.status = 'loading';
+      })
+      .addCase(refreshFavorites.fulfilled, (state, action) => {
+        state.status = 'succeeded';
+        action.payload.forEach(({ id, product, unavailable }) => {
+          const index = state.items.findIndex((item) => item.id === id);
+          if (index < 0) {
+            return; // O favorito foi removido enquanto a verificação acontecia
+          }
+          if (product) {
+            state.items[index] = toFavorite(product);
+          } else if (unavailable !== undefined) {
+            state.items[index].unavailable = unavailable;
+          }
+        });
+      })
+      // No logout, descarta os favoritos do usuário anterior (eles continuam salvos no dispositivo)
+      .addCase(logout, () => favoritesSlice.getInitialState());
+  },
+});
+
+export const { toggleFavorite } = favoritesSlice.actions;
+
+// --- Seletores ---
+
+/**
+ * @function selectFavorites
+ * @description Seleciona a lista de favoritos do usuário logado.
+ */
+export const selectFavorites = (state) => state.favorites.items;
+
+/**
+ * @function selectIsFavorite
+ * @description Indica se um produto está nos favoritos.
+ */
+export const selectIsFavorite = (state, productId) =>
+  state.favorites.items.some((item) => item.id === productId);
+
+// --- Carga e persistência dos favoritos ---
+
+// Carrega os favoritos do usuário ao fazer login ou ao restaurar a sessão salva
+startAppListening({
+  matcher: isAnyOf(loginSuccess, restoreSession.fulfilled),
+  effect: async (action, listenerApi) => {
+    const userId = listenerApi.getState().auth.user?.id;
+    if (userId !== undefined && userId !== null) {
+      listenerApi.dispatch(restoreFavorites(userId));
+    }
+  },
+});
+
+// Grava os favoritos do usuário no dispositivo sempre que a lista muda
+startAppListening({
+  predicate: (action, currentState, previousState) =>
+    currentState.favorites.isHydrated &&
+    currentState.favorites.items !== previousState.favorites.items,
+  effect: async (action, listenerApi) => {
+    const { auth, favorites } = listenerApi.getState();
+    if (!auth.user) {
+      return;
+    }
+    try {
+      await setStoredJSON(getFavoritesStorageKey(auth.user.id), favorites.items);
+    } catch (error) {
+      console.error('Erro ao salvar os favoritos:', error);
+    }
+  },
+});
+
+export default favoritesSlice.reducer;
@@ -0,0 +1,50 @@
+// src/store/filtersSlice.js
+import { createSlice } from '@reduxjs/toolkit'; // Importa a função createSlice do Redux Toolkit
+// Importa os filtros padrão de uma aba
+import { DEFAULT_FILTERS } from '../constants/productFilters';
+
+/**
+ * @constant filtersSlice
+ * @description Define um "slice" do estado Redux para os filtros e a ordenação de cada aba de categorias.
+ * Os filtros ficam guardados por aba (pelo nome da aba), então cada uma mantém suas escolhas
+ * ao alternar entre abas ou ao voltar dos detalhes de um produto.
+ */
+const filtersSlice = createSlice({
+  name: 'filters',
+
+  initialState: {
+    byTab: {}, // Filtros de cada aba: { [nomeDaAba]: { minPrice, maxPrice, minRating, brands, onlyDiscounted, sortId } }
+  },
+
+  reducers: {
+    /**
+     * @action updateTabFilters
+     * @description Mescla alterações nos filtros de uma aba (usado pela folha de filtros e pelos chips).
+     * @param {object} action - Espera `action.payload` com `tabKey` e `changes`.
+     */
+    updateTabFilters: (state, action) => {
+      const { tabKey, changes } = action.payload;
+      state.byTab[tabKey] = { ...DEFAULT_FILTERS, ...state.byTab[tabKey], ...changes };
+    },
+    /**
+     * @action resetTabFilters
+     * @description Volta os filtros de uma aba ao padrão.
+     * @param {object} action - Espera `action.payload` com o `tabKey`.
+     */
+    resetTabFilters: (state, action) => {
+      delete state.byTab[action.payload];
+    },
+  },
+});
+
+export const { updateTabFilters, resetTabFilters } = filtersSlice.actions;
+
+// --- Seletores ---
+
+/**
+ * @function selectTabFilters
+ * @description Seleciona os filtros de uma aba (os padrões, se a aba ainda não tiver filtros).
+ */
+export const selectTabFilters = (state, tabKey) => state.filters.byTab[tabKey] || DEFAULT_FILTERS;
+
+export default filtersSlice.reducer;
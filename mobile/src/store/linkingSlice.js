@@ -0,0 +1,46 @@
+// src/store/linkingSlice.js
+import { createSlice } from '@reduxjs/toolkit'; // Importa a função createSlice do Redux Toolkit
+
+/**
+ * @constant linkingSlice
+ * @description Define um "slice" do estado Redux com o link (deep link) que chegou ao app e ainda não foi aberto.
+ * Todo link recebido (ao abrir o app ou com ele aberto) passa por aqui, para que um link que chegue antes
+ * do login fique guardado e seja aberto assim que o usuário entrar (ver `hooks/usePendingLink.js`).
+ */
+const linkingSlice = createSlice({
+  name: 'linking',
+
+  initialState: {
+    pendingLink: null,      // Endereço completo do link aguardando para ser aberto (ex: 'mobile://product/5')
+  },
+
+  reducers: {
+    /**
+     * @action linkReceived
+     * @description Guarda um link recebido. Um link mais novo substitui o anterior ainda não aberto.
+     * @param {object} action - Espera `action.payload` com o endereço do link.
+     */
+    linkReceived: (state, action) => {
+      state.pendingLink = action.payload;
+    },
+    /**
+     * @action linkOpened
+     * @description Descarta o link guardado depois que ele foi aberto.
+     */
+    linkOpened: (state) => {
+      state.pendingLink = null;
+    },
+  },
+});
+
+export const { linkReceived, linkOpened } = linkingSlice.actions;
+
+// --- Seletores ---
+
+/**
+ * @function selectPendingLink
+ * @description Seleciona o link aguardando para ser aberto (ou `null`).
+ */
+export const selectPendingLink = (state) => state.linking.pendingLink;
+
+export default linkingSlice.reducer;
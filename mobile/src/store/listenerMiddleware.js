@@ -0,0 +1,17 @@
+// src/store/listenerMiddleware.js
+import { createListenerMiddleware } from '@reduxjs/toolkit'; // Importa a fábrica do middleware de "listeners" do Redux Toolkit
+
+/**
+ * @constant listenerMiddleware
+ * @description Middleware que executa efeitos colaterais (ex: gravar dados no dispositivo)
+ * em resposta a ações despachadas, sem misturar essa lógica aos reducers.
+ * Cada slice registra seus próprios listeners através de `startAppListening`.
+ */
+export const listenerMiddleware = createListenerMiddleware();
+
+/**
+ * @function startAppListening
+ * @description Atalho para `listenerMiddleware.startListening`, usado pelos slices
+ * para registrar efeitos colaterais (ex: `startAppListening({ actionCreator, effect })`).
+ */
+export const startAppListening = listenerMiddleware.startListening;
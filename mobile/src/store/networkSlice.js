@@ -0,0 +1,45 @@
+// src/store/networkSlice.js
+import { createSlice } from '@reduxjs/toolkit'; // Importa a função createSlice do Redux Toolkit
+
+/**
+ * @constant networkSlice
+ * @description Define um "slice" do estado Redux com a situação da conexão do aparelho,
+ * atualizada pelo monitoramento de conectividade (ver `services/connectivity.js`).
+ */
+const networkSlice = createSlice({
+  name: 'network',
+
+  initialState: {
+    isOnline: true,         // O app começa supondo que há conexão até o primeiro aviso do sistema
+    lastChangedAt: null,    // Horário (em ms) da última mudança de conexão
+  },
+
+  reducers: {
+    /**
+     * @action connectivityChanged
+     * @description Registra uma mudança na conexão do aparelho.
+     * @param {object} action - Espera `action.payload` com `isOnline`.
+     */
+    connectivityChanged: {
+      reducer: (state, action) => {
+        if (state.isOnline !== action.payload.isOnline) {
+          state.isOnline = action.payload.isOnline;
+          state.lastChangedAt = action.payload.changedAt;
+        }
+      },
+      prepare: ({ isOnline }) => ({ payload: { isOnline, changedAt: Date.now() } }),
+    },
+  },
+});
+
+export const { connectivityChanged } = networkSlice.actions;
+
+// --- Seletores ---
+
+/**
+ * @function selectIsOnline
+ * @description Indica se o aparelho está conectado à internet.
+ */
+export const selectIsOnline = (state) => state.network.isOnline;
+
+export default networkSlice.reducer;
@@ -0,0 +1,232 @@
+// src/store/ordersSlice.js
+import { createSlice, createAsyncThunk, createSelector, isAnyOf } from '@reduxjs/toolkit'; // Importa funções do Redux Toolkit
+// Importa a função de API que busca os pedidos do usuário
+import { getUserOrders } from '../services/api';
+// Importa as funções de leitura/gravação de JSON no armazenamento do dispositivo
+import { getStoredJSON, setStoredJSON } from '../services/storage';
+// Importa as ações de autenticação que disparam a carga e a limpeza dos pedidos
+import { loginSuccess, logout, restoreSession } from './authSlice';
+// Importa o thunk do checkout, cujo pedido concluído entra no histórico local
+import { placeOrder } from './checkoutSlice';
+// Importa o atalho para registrar efeitos colaterais no listener middleware
+import { startAppListening } from './listenerMiddleware';
+
+// Quantidade de pedidos da API carregados por página
+export const ORDERS_PAGE_SIZE = 10;
+
+/**
+ * @function getOrdersStorageKey
+ * @description Monta a chave do histórico local de pedidos de um usuário no dispositivo.
+ * @param {number|string} userId - O ID do usuário.
+ * @returns {string} A chave de armazenamento.
+ */
+const getOrdersStorageKey = (userId) => `orders:${userId}`;
+
+/**
+ * @function fromRemoteCart
+ * @description Converte um carrinho da DummyJSON para o mesmo formato dos pedidos feitos no app.
+ * A API não informa data, endereço nem frete desses pedidos.
+ * @param {object} cart - O carrinho devolvido por `carts/user/:id`.
+ * @returns {object} O pedido no formato usado pelas telas de histórico.
+ */
+const fromRemoteCart = (cart) => ({
+  id: `remote-${cart.id}`,
+  remoteId: cart.id,
+  source: 'remote',
+  userId: cart.userId,
+  createdAt: null,
+  address: null,
+  shipping: null,
+  payment: null,
+  items: cart.products.map((product) => ({
+    id: product.id,
+    title: product.title,
+    thumbnail: product.thumbnail,
+    price: product.price,
+    discountPercentage: product.discountPercentage,
+    quantity: product.quantity,
+  })),
+  totals: {
+    subtotal: cart.total,
+    discount: cart.total - cart.discountedTotal,
+    shipping: 0,
+    total: cart.discountedTotal,
+  },
+});
+
+/**
+ * @function restoreOrders
+ * @description Thunk assíncrono que carrega o histórico local de pedidos do usuário salvo no dispositivo.
+ * @param {number} userId - O ID do usuário logado.
+ * @returns {Promise<object[]>} Uma Promise que resolve com os pedidos locais salvos.
+ */
+export const restoreOrders = createAsyncThunk(
+  'orders/restore',
+  async (userId, { rejectWithValue }) => {
+    try {
+      return await getStoredJSON(getOrdersStorageKey(userId), []);
+    } catch (error) {
+      console.error('Erro ao restaurar o histórico de pedidos:', error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * @function fetchRemoteOrders
+ * @description Thunk assíncrono que busca a próxima página de pedidos do usuário na API.
+ * @param {object} [arg] - Argumentos do thunk.
+ * @param {boolean} [arg.refresh=false] - Se `true`, recomeça da primeira página (pull-to-refresh).
+ * @returns {Promise<object>} Uma Promise que resolve com `{ orders, total, refresh }`.
+ */
+export const fetchRemoteOrders = createAsyncThunk(
+  'orders/fetchRemote',
+  async ({ refresh = false } = {}, { getState, rejectWithValue }) => {
+    const { auth, orders } = getState();
+    const skip = refresh ? 0 : orders.remoteOrders.length;
+    // Contas criadas no app não têm carrinhos na DummyJSON: o histórico tem só os pedidos locais
+    if (auth.user.isLocal) {
+      return { orders: [], total: 0, refresh };
+    }
+    try {
+      const data = await getUserOrders(auth.user.id, { limit: ORDERS_PAGE_SIZE, skip });
+      return { orders: data.carts.map(fromRemoteCart), total: data.total, refresh };
+    } catch (error) {
+      return rejectWithValue(error.messageKey ?? 'errors.orders');
+    }
+  },
+  {
+    // Evita buscar a mesma página duas vezes (ex: `onEndReached` disparado em sequência)
+    condition: ({ refresh = false } = {}, { getState }) => {
+      const { orders } = getState();
+      if (orders.remoteStatus === 'loading') {
+        return false;
+      }
+      return refresh || orders.remoteTotal === null || orders.remoteOrders.length < orders.remoteTotal;
+    },
+  }
+);
+
+/**
+ * @constant ordersSlice
+ * @description Define um "slice" do estado Redux para o histórico de pedidos.
+ * Combina os pedidos feitos no app (salvos no dispositivo, por usuário) com os carrinhos
+ * do usuário na DummyJSON (carregados página a página).
+ */
+const ordersSlice = createSlice({
+  name: 'orders',
+
+  initialState: {
+    localOrders: [],        // Pedidos feitos no app, do mais recente para o mais antigo
+    isHydrated: false,      // Indica se o histórico local do usuário já foi carregado do dispositivo
+    remoteOrders: [],       // Pedidos vindos da API já carregados
+    remoteTotal: null,      // Total de pedidos na API (null enquanto a primeira página não chega)
+    remoteStatus: 'idle',   // Status da busca na API ('idle'|'loading'|'succeeded'|'failed')
+    remoteErrorKey: null,   // Chave da mensagem de erro da busca na API (traduzida pela tela)
+    userId: null,           // Dono do histórico local (o usuário cuja restauração foi pedida por último)
+  },
+
+  reducers: {},
+
+  extraReducers: (builder) => {
+    builder
+      .addCase(restoreOrders.pending, (state, action) => {
+        state.userId = action.meta.arg;
+      })
+      .addCase(restoreOrders.fulfilled, (state, action) => {
+        // Uma leitura lenta de um usuário que já saiu não entra no histórico de quem entrou depois
+        if (action.meta.arg !== state.userId) {
+          return;
+        }
+        // Pedidos concluídos antes de a restauração terminar continuam no topo
+        const restored = action.payload.filter(
+          (saved) => !state.localOrders.some((order) => order.id === saved.id)
+        );
+        state.localOrders = [...state.localOrders, ...restored];
+        state.isHydrated = true;
+      })
+      .addCase(restoreOrders.rejected, (state, action) => {
+        if (action.meta.arg === state.userId) {
+          state.isHydrated = true;
+        }
+      })
+      // Todo pedido concluído no checkout entra no topo do histórico local
+      .addCase(placeOrder.fulfilled, (state, action) => {
+        state.localOrders.unshift(action.payload);
+      })
+      .addCase(fetchRemoteOrders.pending, (state) => {
+        state.remoteStatus = 'loading';
+        state.remoteErrorKey = null;
+      })
+      .addCase(fetchRemoteOrders.fulfilled, (state, action) => {
+        const { orders, total, refresh } = action.payload;
+        state.remoteStatus = 'succeeded';
+        state.remoteTotal = total;
+        state.remoteOrders = refresh ? orders : [...state.remoteOrders, ...orders];
+      })
+      .addCase(fetchRemoteOrders.rejected, (state, action) => {
+        state.remoteStatus = 'failed';
+        state.remoteErrorKey = action.payload;
+      })
+      // No logout, descarta os pedidos do usuário anterior (o histórico local continua salvo no dispositivo)
+      .addCase(logout, () => ordersSlice.getInitialState());
+  },
+});
+
+// --- Seletores ---
+
+/**
+ * @function selectAllOrders
+ * @description Seleciona os pedidos locais seguidos dos pedidos da API já carregados.
+ */
+export const selectAllOrders = createSelector(
+  [(state) => state.orders.localOrders, (state) => state.orders.remoteOrders],
+  (localOrders, remoteOrders) => [...localOrders, ...remoteOrders]
+);
+
+/**
+ * @function selectOrderById
+ * @description Seleciona um pedido (local ou da API) pelo seu ID.
+ */
+export const selectOrderById = (state, orderId) =>
+  selectAllOrders(state).find((order) => order.id === orderId);
+
+/**
+ * @function selectHasMoreRemoteOrders
+ * @description Indica se ainda há páginas de pedidos a carregar na API.
+ */
+export const selectHasMoreRemoteOrders = (state) =>
+  state.orders.remoteTotal === null || state.orders.remoteOrders.length < state.orders.remoteTotal;
+
+// --- Carga e persistência do histórico local ---
+
+// Carrega o histórico local do usuário ao fazer login ou ao restaurar a sessão salva
+startAppListening({
+  matcher: isAnyOf(loginSuccess, restoreSession.fulfilled),
+  effect: async (action, listenerApi) => {
+    const userId = listenerApi.getState().auth.user?.id;
+    if (userId !== undefined && userId !== null) {
+      listenerApi.dispatch(restoreOrders(userId));
+    }
+  },
+});
+
+// Grava o histórico local no dispositivo sempre que um novo pedido é concluído
+startAppListening({
+  predicate: (action, currentState, previousState) =>
+    currentState.orders.isHydrated &&
+    currentState.orders.localOrders !== previousState.orders.localOrders,
+  effect: async (action, listenerApi) => {
+    const { auth, orders } = listenerApi.getState();
+    if (!auth.user) {
+      return;
+    }
+    try {
+      await setStoredJSON(getOrdersStorageKey(auth.user.id), orders.localOrders);
+    } catch (error) {
+      console.error('Erro ao salvar o histórico de pedidos:', error);
+    }
+  },
+});
+
+export default ordersSlice.reducer;
@@ -1,41 +1,181 @@
 // src/store/productSlice.js
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'; // Importa createSlice para criar a "fatia" do estado e createAsyncThunk para ações assíncronas
-import { getProductsByCategory, getProductDetails } from '../services/api'; // Importa funções de API para buscar produtos
-
-/**
- * @function fetchProductsByCategory
- * @description Thunk assíncrono para buscar produtos de uma categoria específica.
- * Utiliza `createAsyncThunk` para lidar com os diferentes estágios de uma requisição
- * assíncrona (pending, fulfilled, rejected).
- * @param {object} arg - Argumentos passados para o thunk.
- * @param {string} arg.category - O nome da categoria de produtos a ser buscada.
- * @param {object} thunkAPI - Objeto com utilitários do Redux Thunk (ex: `rejectWithValue`).
- * @returns {Promise<object>} Uma Promise que resolve com um objeto contendo a categoria e os produtos,
- * ou rejeita com a mensagem de erro.
- */
-export const fetchProductsByCategory = createAsyncThunk(
-  'products/fetchByCategory', // Tipo de ação base (ex: 'products/fetchByCategory/pending', '/fulfilled', '/rejected')
-  async ({ category }, { rejectWithValue }) => {
+import { createSlice, createAsyncThunk, createEntityAdapter, createSelector } from '@reduxjs/toolkit'; // Importa funções do Redux Toolkit
+import { getProductsPageByCategory, getProductDetails } from '../services/api'; // Importa funções de API para buscar produtos
+// Importa o cache offline, que guarda no dispositivo as listas e os detalhes já carregados
+import { getCachedEntry, setCachedEntry } from '../services/offlineCache';
+// Importa o atalho para registrar efeitos colaterais no listener middleware
+import { startAppListening } from './listenerMiddleware';
+// Importa a escolha dos produtos relacionados ("Você também pode gostar")
+import { getRelatedProducts } from '../utils/relatedProducts';
+
+/**
+ * @constant PRODUCT_TTL_MS
+ * @description Tempo (em ms) durante o qual um produto ou uma lista de categoria carregados são considerados atuais.
+ * Depois disso, os dados continuam sendo exibidos, mas são buscados de novo na próxima vez que forem usados.
+ */
+export const PRODUCT_TTL_MS = 5 * 60 * 1000; // 5 minutos
+
+/**
+ * @constant PRODUCTS_PAGE_SIZE
+ * @description Quantidade de produtos pedidos a cada categoria por página (rolagem infinita).
+ */
+export const PRODUCTS_PAGE_SIZE = 10;
+
+/**
+ * @function isStale
+ * @description Indica se um horário de busca já passou do tempo de validade (ou se nunca houve busca).
+ * @param {number|null|undefined} fetchedAt - Horário da busca (em ms).
+ * @param {number} [now=Date.now()] - Horário atual (em ms).
+ * @returns {boolean} `true` se os dados precisam ser buscados de novo.
+ */
+export const isStale = (fetchedAt, now = Date.now()) => !fetchedAt || now - fetchedAt > PRODUCT_TTL_MS;
+
+/**
+ * @function getListKey
+ * @description Monta a chave da lista paginada de uma categoria. Cada ordenação pedida à API tem sua própria lista.
+ * @param {string} category - A categoria (ex: 'mens-shirts').
+ * @param {string|null} [sortBy] - Campo da ordenação da API.
+ * @param {string|null} [order] - Direção da ordenação.
+ * @returns {string} A chave da lista.
+ */
+export const getListKey = (category, sortBy, order) => (sortBy ? `${category}:${sortBy}:${order}` : category);
+
+/**
+ * @constant productsAdapter
+ * @description Adaptador de entidades que guarda os produtos normalizados por ID (`ids` + `entities`).
+ * Cada produto traz `fetchedAt` (última vez que veio da API) e `detailsFetchedAt` (última vez que veio
+ * do endpoint de detalhes), usados para decidir se os dados ainda estão atuais.
+ */
+const productsAdapter = createEntityAdapter();
+
+// Status dos detalhes de um produto que ainda não foi buscado (constante para manter a mesma referência)
+const IDLE_DETAILS = { status: 'idle', errorKey: null, errorStatus: null, fromCache: false, cachedAt: null };
+
+/**
+ * @function saveToCache
+ * @description Salva dados no cache offline sem interromper o fluxo em caso de falha (o cache é só um reserva).
+ */
+const saveToCache = (key, data, savedAt) =>
+  setCachedEntry(key, data, savedAt).catch((error) => console.error('Erro ao salvar no cache offline:', error));
+
+/**
+ * @function readFromCache
+ * @description Lê dados do cache offline, devolvendo `null` se não houver nada salvo ou se a leitura falhar.
+ */
+const readFromCache = (key) =>
+  getCachedEntry(key).catch((error) => {
+    console.error('Erro ao ler o cache offline:', error);
+    return null;
+  });
+
+/**
+ * @function upsertFresher
+ * @description Grava produtos na store, sem deixar que dados salvos no cache (mais antigos)
+ * substituam dados mais recentes que já estejam lá.
+ * @param {object} state - O estado do slice.
+ * @param {object[]} products - Os produtos, cada um com `fetchedAt`.
+ */
+const upsertFresher = (state, products) => {
+  productsAdapter.upsertMany(
+    state,
+    products.filter((product) => !(state.entities[product.id]?.fetchedAt > product.fetchedAt))
+  );
+};
+
+/**
+ * @function fetchCategoryPage
+ * @description Thunk assíncrono que busca uma página de produtos de uma categoria (na ordenação pedida)
+ * e a acrescenta à lista da categoria. Com `reset`, recomeça da primeira página.
+ * Não faz nada se a lista já chegou ao fim ou se uma página já está sendo carregada (exceto com `reset`).
+ * Cada página carregada é salva no cache offline; se a requisição falhar (ex: sem conexão),
+ * a página salva é usada no lugar, marcada com `fromCache` e com o horário em que foi obtida.
+ * @param {object} arg - Argumentos do thunk.
+ * @param {string} arg.category - A categoria.
+ * @param {string|null} [arg.sortBy] - Campo da ordenação da API.
+ * @param {string|null} [arg.order] - Direção da ordenação.
+ * @param {boolean} [arg.reset=false] - Recomeça a paginação do início.
+ * @param {object} thunkAPI - Objeto com utilitários do Redux Thunk (`getState`, `rejectWithValue`).
+ * @returns {Promise<object>} Uma Promise que resolve com `{ products, total, skip, fetchedAt, fromCache }`.
+ */
+export const fetchCategoryPage = createAsyncThunk(
+  'products/fetchCategoryPage',
+  async ({ category, sortBy, order, reset = false }, { getState, rejectWithValue }) => {
+    const listKey = getListKey(category, sortBy, order);
+    const list = getState().products.lists[listKey];
+    const skip = reset || !list ? 0 : list.ids.length;
+    const cacheKey = `list:${listKey}:${skip}`;
     try {
-      // Chama a função da API para buscar produtos por categoria
-      const products = await getProductsByCategory(category);
-      // Retorna os dados que serão incluídos no payload da ação fulfilled
-      return { category, products };
+      const page = await getProductsPageByCategory(category, { limit: PRODUCTS_PAGE_SIZE, skip, sortBy, order });
+      const fetchedAt = Date.now();
+      saveToCache(cacheKey, { products: page.products, total: page.total }, fetchedAt);
+      return { products: page.products, total: page.total, skip, fetchedAt, fromCache: false };
     } catch (error) {
-      // Em caso de erro, rejeita a Promise com a mensagem de erro para que o estado rejected seja tratado
-      return rejectWithValue(error.message);
+      // Sem resposta da API, usa a página salva no dispositivo (se houver)
+      const cached = await readFromCache(cacheKey);
+      if (cached) {
+        return { ...cached.data, skip, fetchedAt: cached.savedAt, fromCache: true };
+      }
+      return rejectWithValue(error.messageKey ?? 'errors.products');
     }
+  },
+  {
+    condition: ({ category, sortBy, order, reset = false }, { getState }) => {
+      const list = getState().products.lists[getListKey(category, sortBy, order)];
+      if (!list || reset) {
+        return true;
+      }
+      // `total` é nulo até a primeira página chegar
+      return list.status !== 'loading' && (list.total === null || list.ids.length < list.total);
+    },
+  }
+);
+
+/**
+ * @function fetchTabPage
+ * @description Thunk assíncrono que carrega a próxima página de todas as categorias de uma aba ao mesmo tempo.
+ * Com `reset`, recomeça todas da primeira página; com `onlyFailed`, repete apenas as categorias cuja última
+ * página falhou (botão "Tentar novamente"). Sem essas opções, as categorias com falha não são repetidas.
+ * Cada categoria registra seu próprio sucesso ou erro na store assim que a sua resposta chega,
+ * então a falha de uma categoria não impede a exibição das demais.
+ * @param {object} arg - Argumentos do thunk.
+ * @param {string[]} arg.categories - As categorias da aba.
+ * @param {string|null} [arg.sortBy] - Campo da ordenação da API.
+ * @param {string|null} [arg.order] - Direção da ordenação.
+ * @param {boolean} [arg.reset=false] - Recomeça a paginação do início.
+ * @param {boolean} [arg.onlyFailed=false] - Repete só as categorias que falharam.
+ */
+export const fetchTabPage = createAsyncThunk(
+  'products/fetchTabPage',
+  async ({ categories, sortBy, order, reset = false, onlyFailed = false }, { getState, dispatch }) => {
+    const { lists } = getState().products;
+    const hasFailed = (category) => lists[getListKey(category, sortBy, order)]?.status === 'failed';
+    // Ao rolar, categorias com falha ficam de fora (cada uma tem seu próprio botão de tentar novamente)
+    let targets = categories;
+    if (onlyFailed) {
+      targets = categories.filter(hasFailed);
+    } else if (!reset) {
+      targets = categories.filter((category) => !hasFailed(category));
+    }
+    await Promise.all(
+      targets.map((category) => {
+        // Ao repetir uma falha, uma lista vencida (ex: "puxar para atualizar" que falhou) recomeça do início
+        const retryReset = onlyFailed && isStale(lists[getListKey(category, sortBy, order)]?.fetchedAt);
+        return dispatch(fetchCategoryPage({ category, sortBy, order, reset: reset || retryReset }));
+      })
+    );
   }
 );
 
 /**
  * @function fetchProductDetails
  * @description Thunk assíncrono para buscar os detalhes de um único produto pelo seu ID.
- * Similar a `fetchProductsByCategory`, lida com os estágios de requisição.
+ * Não busca de novo se os detalhes carregados ainda estão dentro do tempo de validade.
+ * Os detalhes carregados são salvos no cache offline e usados no lugar da API quando ela não responde
+ * (exceto se o produto não existe mais: nesse caso o 404 é repassado).
  * @param {number} productId - O ID do produto cujos detalhes devem ser buscados.
  * @param {object} thunkAPI - Objeto com utilitários do Redux Thunk.
  * @returns {Promise<object>} Uma Promise que resolve com o objeto de detalhes do produto,
- * ou rejeita com a mensagem de erro.
+ * ou rejeita com `{ messageKey, status }` (o `status` HTTP permite identificar um produto inexistente).
  */
 export const fetchProductDetails = createAsyncThunk(
   'products/fetchDetails', // Tipo de ação base
@@ -43,101 +183,252 @@ export const fetchProductDetails = createAsyncThunk(
     try {
       // Chama a função da API para buscar detalhes do produto
       const product = await getProductDetails(productId);
+      const fetchedAt = Date.now();
+      saveToCache(`product:${productId}`, product, fetchedAt);
       // Retorna os dados que serão incluídos no payload da ação fulfilled
-      return product;
+      return { product, fetchedAt, fromCache: false };
     } catch (error) {
-      // Em caso de erro, rejeita a Promise com a mensagem de erro
-      return rejectWithValue(error.message);
+      if (error.status !== 404) {
+        // Sem resposta da API, usa os detalhes salvos no dispositivo (se houver)
+        const cached = await readFromCache(`product:${productId}`);
+        if (cached) {
+          return { product: cached.data, fetchedAt: cached.savedAt, fromCache: true };
+        }
+      }
+      // Em caso de erro, rejeita a Promise com a chave da mensagem (traduzida pela tela) e o status HTTP
+      return rejectWithValue({ messageKey: error.messageKey ?? 'errors.productDetails', status: error.status });
     }
+  },
+  {
+    condition: (productId, { getState }) => {
+      const { entities, details } = getState().products;
+      if (details[productId]?.status === 'loading') {
+        return false;
+      }
+      return isStale(entities[productId]?.detailsFetchedAt);
+    },
   }
 );
 
 /**
  * @constant productSlice
- * @description Define um "slice" do estado Redux para gerenciar os dados dos produtos.
- * Isso inclui a lista de produtos por categoria e os detalhes do produto atualmente visualizado,
- * juntamente com seus respectivos status de carregamento e erro.
+ * @description Define um "slice" do estado Redux que é a fonte única dos dados de produtos do app.
+ * Os produtos ficam normalizados por ID (entity adapter); as listas paginadas de cada categoria guardam
+ * apenas os IDs, e os detalhes guardam apenas o status de carga — os dados de um produto existem em um só lugar.
  */
 const productSlice = createSlice({
   name: 'products', // Nome do slice
   
-  // initialState: Define o estado inicial para este slice.
-  initialState: {
-    // categories: Objeto para armazenar produtos organizados por categoria.
-    // Cada chave de categoria (ex: 'mens-shirts') contém um objeto com:
-    //   - `items`: array de produtos daquela categoria.
-    //   - `status`: status da requisição ('idle'|'loading'|'succeeded'|'failed').
-    //   - `error`: mensagem de erro para a requisição da categoria.
-    categories: {}, 
-    // currentProduct: Objeto que armazena os detalhes do produto atualmente sendo visualizado.
-    currentProduct: null,
-    // status: Status geral da requisição para o `currentProduct` ('idle'|'loading'|'succeeded'|'failed').
-    status: 'idle', 
-    // error: Mensagem de erro para a requisição de `currentProduct`.
-    error: null,
-  },
+  // initialState: Define o estado inicial para este slice (`ids` e `entities` vêm do adaptador).
+  initialState: productsAdapter.getInitialState({
+    // lists: Listas paginadas por categoria e ordenação (ver getListKey). Cada uma contém:
+    //   - `ids`: IDs dos produtos carregados, na ordem da API.
+    //   - `total`: total de produtos da categoria informado pela API (nulo até a primeira página).
+    //   - `status`: status da última página ('idle'|'loading'|'succeeded'|'failed').
+    //   - `errorKey`: chave da tradução da mensagem de erro da última página (traduzida pela tela, acompanha o idioma).
+    //   - `fetchedAt`: horário da carga da primeira página (validade da lista).
+    //   - `requestId`: ID da requisição em andamento (respostas de requisições substituídas são ignoradas).
+    //   - `fromCache`: indica que alguma página veio do cache offline (dados possivelmente desatualizados).
+    //   - `category`, `sortBy`, `order`: parâmetros da lista, usados para recarregá-la quando a conexão volta.
+    lists: {},
+    // details: Status da carga dos detalhes de cada produto: { [id]: { status, errorKey, errorStatus, fromCache, cachedAt } }.
+    details: {},
+  }),
   
   // reducers: Objeto para reducers síncronos. Neste slice, não há reducers síncronos customizados.
   reducers: {},
   
   // extraReducers: Objeto para lidar com ações definidas fora do slice (como as ações geradas por createAsyncThunk).
-  // Usa um "builder" para adicionar casos de reducer para os diferentes estágios dos thunks assíncronos.
   extraReducers: (builder) => {
     builder
-      // --- Reducers para fetchProductsByCategory (Buscar Produtos por Categoria) ---
-      // Caso: Requisição `fetchProductsByCategory` está pendente
-      .addCase(fetchProductsByCategory.pending, (state, action) => {
-        // Obtém a categoria do argumento original do thunk
-        const category = action.meta.arg.category;
-        // Se a categoria ainda não existe no estado, inicializa-a
-        if (!state.categories[category]) {
-          state.categories[category] = { items: [], status: 'loading', error: null };
+      // --- Reducers para fetchCategoryPage (Página de uma Categoria) ---
+      .addCase(fetchCategoryPage.pending, (state, action) => {
+        const { category, sortBy, order } = action.meta.arg;
+        const key = getListKey(category, sortBy, order);
+        // Os IDs atuais continuam na lista até a nova página chegar (inclusive no "puxar para atualizar")
+        const list = state.lists[key] || {
+          ids: [], total: null, errorKey: null, fetchedAt: null, fromCache: false, category, sortBy, order,
+        };
+        state.lists[key] = { ...list, status: 'loading', errorKey: null, requestId: action.meta.requestId };
+      })
+      .addCase(fetchCategoryPage.fulfilled, (state, action) => {
+        const { category, sortBy, order } = action.meta.arg;
+        const list = state.lists[getListKey(category, sortBy, order)];
+        if (!list || list.requestId !== action.meta.requestId) {
+          return; // Uma requisição mais nova (ex: "puxar para atualizar") substituiu esta
+        }
+        const { products, total, skip, fetchedAt, fromCache } = action.payload;
+        upsertFresher(state, products.map((product) => ({ ...product, fetchedAt })));
+
+        const pageIds = products.map((product) => product.id);
+        const previousIds = skip === 0 ? [] : list.ids;
+        list.ids = [...previousIds, ...pageIds.filter((id) => !previousIds.includes(id))];
+        list.total = total;
+        list.status = 'succeeded';
+        list.requestId = null;
+        if (skip === 0) {
+          list.fetchedAt = fetchedAt;
+          list.fromCache = fromCache;
         } else {
-          // Se a categoria já existe, apenas atualiza o status para 'loading'
-          state.categories[category].status = 'loading';
+          list.fromCache = list.fromCache || fromCache;
         }
       })
-      // Caso: Requisição `fetchProductsByCategory` foi bem-sucedida
-      .addCase(fetchProductsByCategory.fulfilled, (state, action) => {
-        // Extrai a categoria e os produtos do payload da ação
-        const { category, products } = action.payload;
-        // Atualiza os produtos e o status para 'succeeded' para a categoria específica
-        state.categories[category] = { items: products, status: 'succeeded', error: null };
-      })
-      // Caso: Requisição `fetchProductsByCategory` foi rejeitada (falhou)
-      .addCase(fetchProductsByCategory.rejected, (state, action) => {
-        const category = action.meta.arg.category;
-        // Se a categoria ainda não existe, inicializa-a com status 'failed' e o erro
-        if (!state.categories[category]) {
-          state.categories[category] = { items: [], status: 'failed', error: action.payload };
-        } else {
-          // Se a categoria existe, atualiza o status e a mensagem de erro
-          state.categories[category].status = 'failed';
-          state.categories[category].error = action.payload;
+      .addCase(fetchCategoryPage.rejected, (state, action) => {
+        const { category, sortBy, order } = action.meta.arg;
+        const list = state.lists[getListKey(category, sortBy, order)];
+        if (!list || list.requestId !== action.meta.requestId) {
+          return;
         }
+        list.status = 'failed';
+        list.errorKey = action.payload;
+        list.requestId = null;
       })
       // --- Reducers para fetchProductDetails (Buscar Detalhes de Produto) ---
-      // Caso: Requisição `fetchProductDetails` está pendente
-      .addCase(fetchProductDetails.pending, (state) => {
-        // Define o status geral para 'loading' e limpa qualquer erro anterior
-        state.status = 'loading';
-        state.error = null;
+      .addCase(fetchProductDetails.pending, (state, action) => {
+        state.details[action.meta.arg] = { ...IDLE_DETAILS, status: 'loading' };
       })
-      // Caso: Requisição `fetchProductDetails` foi bem-sucedida
       .addCase(fetchProductDetails.fulfilled, (state, action) => {
-        // Define o status geral para 'succeeded' e armazena os detalhes do produto
-        state.status = 'succeeded';
-        state.currentProduct = action.payload;
+        const { product, fetchedAt, fromCache } = action.payload;
+        upsertFresher(state, [{ ...product, fetchedAt, detailsFetchedAt: fetchedAt }]);
+        state.details[product.id] = {
+          ...IDLE_DETAILS,
+          status: 'succeeded',
+          fromCache,
+          cachedAt: fromCache ? fetchedAt : null,
+        };
       })
-      // Caso: Requisição `fetchProductDetails` foi rejeitada (falhou)
       .addCase(fetchProductDetails.rejected, (state, action) => {
-        // Define o status geral para 'failed' e armazena a mensagem de erro
-        state.status = 'failed';
-        state.error = action.payload;
+        state.details[action.meta.arg] = {
+          ...IDLE_DETAILS,
+          status: 'failed',
+          errorKey: action.payload?.messageKey,
+          errorStatus: action.payload?.status ?? null,
+        };
       });
   },
 });
 
+/**
+ * @function revalidateProducts
+ * @description Thunk que recarrega tudo o que foi exibido a partir do cache offline ou que falhou
+ * por falta de conexão: as listas voltam à primeira página e os detalhes são buscados de novo.
+ * Disparado automaticamente quando a conexão volta.
+ */
+export const revalidateProducts = createAsyncThunk(
+  'products/revalidate',
+  async (_, { getState, dispatch }) => {
+    const { lists, details } = getState().products;
+    const listRequests = Object.values(lists)
+      .filter((list) => list.fromCache || list.status === 'failed')
+      .map(({ category, sortBy, order }) => dispatch(fetchCategoryPage({ category, sortBy, order, reset: true })));
+    const detailRequests = Object.keys(details)
+      .filter((id) => details[id].fromCache || (details[id].status === 'failed' && details[id].errorStatus !== 404))
+      .map((id) => dispatch(fetchProductDetails(Number(id))));
+    await Promise.all([...listRequests, ...detailRequests]);
+  }
+);
+
+// --- Seletores ---
+
+// Seletores gerados pelo adaptador: selectProductById(state, id), selectAllProducts(state), etc.
+export const {
+  selectById: selectProductById,
+  selectEntities: selectProductEntities,
+} = productsAdapter.getSelectors((state) => state.products);
+
+/**
+ * @function selectProductDetailsStatus
+ * @description Seleciona o status da carga dos detalhes de um produto (`{ status, errorKey, errorStatus, fromCache, cachedAt }`).
+ */
+export const selectProductDetailsStatus = (state, productId) => state.products.details[productId] || IDLE_DETAILS;
+
+/**
+ * @function makeSelectTabProducts
+ * @description Cria um seletor memoizado com os produtos e o estado de carga de uma aba, a partir das listas
+ * de cada categoria. As páginas são intercaladas na ordem em que a rolagem as carrega (página 1 de cada
+ * categoria, depois a página 2 de cada uma, ...), sem produtos repetidos.
+ * Cada tela cria o seu com `useMemo`, para que a memoização não seja compartilhada entre abas.
+ * @returns {function} Seletor `(state, categories, sortBy, order) => { products, categoryStates, hasMore, fetchedAt, fromCache }`.
+ */
+export const makeSelectTabProducts = () =>
+  createSelector(
+    [
+      selectProductEntities,
+      (state) => state.products.lists,
+      (state, categories) => categories,
+      (state, categories, sortBy) => sortBy,
+      (state, categories, sortBy, order) => order,
+    ],
+    (entities, lists, categories, sortBy, order) => {
+      const categoryLists = categories.map((category) => lists[getListKey(category, sortBy, order)]);
+      const pageCount = Math.max(0, ...categoryLists.map((list) => Math.ceil((list?.ids.length || 0) / PRODUCTS_PAGE_SIZE)));
+
+      const seen = new Set();
+      const products = [];
+      for (let page = 0; page < pageCount; page += 1) {
+        categoryLists.forEach((list) => {
+          (list?.ids.slice(page * PRODUCTS_PAGE_SIZE, (page + 1) * PRODUCTS_PAGE_SIZE) || []).forEach((id) => {
+            if (!seen.has(id) && entities[id]) {
+              seen.add(id);
+              products.push(entities[id]);
+            }
+          });
+        });
+      }
+
+      const categoryStates = categories.map((category, index) => {
+        const list = categoryLists[index];
+        return {
+          category,
+          status: list?.status || 'idle',
+          errorKey: list?.errorKey || null,
+          loaded: list?.ids.length || 0,
+          total: list ? list.total : null,
+        };
+      });
+
+      return {
+        products,
+        categoryStates,
+        // Alguma categoria ainda não carregou todas as páginas
+        hasMore: categoryLists.some((list) => !list || list.total === null || list.ids.length < list.total),
+        // Horário da carga mais antiga entre as categorias (validade da aba)
+        fetchedAt: categoryLists.every((list) => list?.fetchedAt)
+          ? Math.min(...categoryLists.map((list) => list.fetchedAt))
+          : null,
+        // Alguma categoria está exibindo páginas salvas no dispositivo (sem conexão)
+        fromCache: categoryLists.some((list) => list?.fromCache),
+      };
+    }
+  );
+
+/**
+ * @function makeSelectRelatedProducts
+ * @description Cria um seletor memoizado dos produtos relacionados a um produto ("Você também pode gostar"),
+ * escolhidos entre os produtos já carregados na store (ex: pelas listas de categoria). Cada tela de detalhes
+ * cria o seu próprio seletor, já que várias podem estar empilhadas ao mesmo tempo.
+ * Uso: `useSelector((state) => selectRelated(state, productId))`.
+ */
+export const makeSelectRelatedProducts = () =>
+  createSelector(
+    [selectProductEntities, (state, productId) => productId],
+    (entities, productId) => {
+      const product = entities[productId];
+      return product ? getRelatedProducts(product, Object.values(entities)) : [];
+    }
+  );
+
+// --- Revalidação ao reconectar ---
+
+// Quando a conexão volta, substitui os dados do cache offline (e as falhas) por dados atuais da API
+startAppListening({
+  predicate: (action, currentState, previousState) =>
+    currentState.network.isOnline && !previousState.network.isOnline,
+  effect: async (action, listenerApi) => {
+    listenerApi.dispatch(revalidateProducts());
+  },
+});
+
 // Exporta o reducer gerado pelo createSlice.
 // Este reducer será combinado com outros reducers na store principal do Redux.
 export default productSlice.reducer;
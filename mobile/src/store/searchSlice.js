@@ -0,0 +1,143 @@
+// src/store/searchSlice.js
+import { createSlice, createAsyncThunk, isAnyOf } from '@reduxjs/toolkit'; // Importa funções do Redux Toolkit
+// Importa as funções de leitura/gravação de JSON no armazenamento do dispositivo
+import { getStoredJSON, setStoredJSON } from '../services/storage';
+// Importa as ações de autenticação que disparam a carga e a limpeza das buscas recentes
+import { loginSuccess, logout, restoreSession } from './authSlice';
+// Importa o atalho para registrar efeitos colaterais no listener middleware
+import { startAppListening } from './listenerMiddleware';
+
+// Quantidade máxima de buscas recentes guardadas
+const MAX_RECENT_SEARCHES = 10;
+
+/**
+ * @function getRecentSearchesStorageKey
+ * @description Monta a chave das buscas recentes de um usuário no dispositivo (cada usuário tem a sua lista).
+ * @param {number|string} userId - O ID do usuário.
+ * @returns {string} A chave de armazenamento.
+ */
+const getRecentSearchesStorageKey = (userId) => `recentSearches:${userId}`;
+
+/**
+ * @function restoreRecentSearches
+ * @description Thunk assíncrono que carrega as buscas recentes do usuário salvas no dispositivo.
+ * @param {number} userId - O ID do usuário logado.
+ * @returns {Promise<string[]>} Uma Promise que resolve com as buscas salvas.
+ */
+export const restoreRecentSearches = createAsyncThunk(
+  'search/restoreRecent',
+  async (userId, { rejectWithValue }) => {
+    try {
+      return await getStoredJSON(getRecentSearchesStorageKey(userId), []);
+    } catch (error) {
+      console.error('Erro ao restaurar as buscas recentes:', error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * @constant searchSlice
+ * @description Define um "slice" do estado Redux para as buscas recentes do usuário logado, exibidas na tela de busca.
+ * Os resultados da busca em si ficam no estado local da tela.
+ */
+const searchSlice = createSlice({
+  name: 'search',
+
+  initialState: {
+    recentSearches: [],   // Termos buscados, do mais recente para o mais antigo
+    isHydrated: false,    // Indica se as buscas salvas já foram carregadas do dispositivo
+    userId: null,         // Dono das buscas (o usuário cuja restauração foi pedida por último)
+  },
+
+  reducers: {
+    /**
+     * @action addRecentSearch
+     * @description Coloca um termo no topo das buscas recentes (sem duplicatas, ignorando maiúsculas/minúsculas).
+     * @param {object} action - Espera `action.payload` com o termo buscado.
+     */
+    addRecentSearch: (state, action) => {
+      const term = action.payload.trim();
+      if (!term) {
+        return;
+      }
+      state.recentSearches = [
+        term,
+        ...state.recentSearches.filter((item) => item.toLowerCase() !== term.toLowerCase()),
+      ].slice(0, MAX_RECENT_SEARCHES);
+    },
+    /**
+     * @action removeRecentSearch
+     * @description Remove um termo das buscas recentes.
+     */
+    removeRecentSearch: (state, action) => {
+      state.recentSearches = state.recentSearches.filter((item) => item !== action.payload);
+    },
+    /**
+     * @action clearRecentSearches
+     * @description Apaga todas as buscas recentes.
+     */
+    clearRecentSearches: (state) => {
+      state.recentSearches = [];
+    },
+  },
+
+  extraReducers: (builder) => {
+    builder
+      .addCase(restoreRecentSearches.pending, (state, action) => {
+        state.userId = action.meta.arg;
+      })
+      .addCase(restoreRecentSearches.fulfilled, (state, action) => {
+        // Uma leitura lenta de um usuário que já saiu não entra nas buscas de quem entrou depois
+        if (action.meta.arg !== state.userId) {
+          return;
+        }
+        // Termos buscados antes de a restauração terminar continuam no topo
+        const restored = action.payload.filter((term) => !state.recentSearches.includes(term));
+        state.recentSearches = [...state.recentSearches, ...restored].slice(0, MAX_RECENT_SEARCHES);
+        state.isHydrated = true;
+      })
+      .addCase(restoreRecentSearches.rejected, (state, action) => {
+        if (action.meta.arg === state.userId) {
+          state.isHydrated = true;
+        }
+      })
+      // No logout, descarta as buscas do usuário anterior (elas continuam salvas no dispositivo)
+      .addCase(logout, () => searchSlice.getInitialState());
+  },
+});
+
+export const { addRecentSearch, removeRecentSearch, clearRecentSearches } = searchSlice.actions;
+
+// --- Persistência das buscas recentes ---
+
+// Carrega as buscas recentes salvas do usuário assim que ele entra (login ou sessão restaurada)
+startAppListening({
+  matcher: isAnyOf(loginSuccess, restoreSession.fulfilled),
+  effect: async (action, listenerApi) => {
+    const userId = listenerApi.getState().auth.user?.id;
+    if (userId !== undefined && userId !== null) {
+      listenerApi.dispatch(restoreRecentSearches(userId));
+    }
+  },
+});
+
+// Grava as buscas recentes do usuário no dispositivo sempre que a lista muda
+startAppListening({
+  predicate: (action, currentState, previousState) =>
+    currentState.search.isHydrated &&
+    currentState.search.recentSearches !== previousState.search.recentSearches,
+  effect: async (action, listenerApi) => {
+    const { auth, search } = listenerApi.getState();
+    if (!auth.user) {
+      return;
+    }
+    try {
+      await setStoredJSON(getRecentSearchesStorageKey(auth.user.id), search.recentSearches);
+    } catch (error) {
+      console.error('Erro ao salvar as buscas recentes:', error);
+    }
+  },
+});
+
+export default searchSlice.reducer;
@@ -0,0 +1,200 @@
+// src/store/settingsSlice.js
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit'; // Importa funções do Redux Toolkit
+// Importa as funções de leitura/gravação de JSON no armazenamento do dispositivo
+import { getStoredJSON, setStoredJSON } from '../services/storage';
+// Importa a troca do idioma das traduções e a escolha do idioma efetivo
+import { applyLanguage, resolveLanguage } from '../i18n';
+// Importa a troca da moeda de exibição dos preços
+import { setDisplayCurrency, isSupportedCurrency } from '../utils/pricing';
+// Importa a moeda exibida por padrão
+import { DEFAULT_CURRENCY } from '../constants/currencies';
+// Importa o modo de tema padrão e os modos oferecidos
+import { DEFAULT_THEME_MODE, THEME_MODES } from '../theme';
+// Importa o atalho para registrar efeitos colaterais no listener middleware
+import { startAppListening } from './listenerMiddleware';
+
+// Chave sob a qual as preferências do app são salvas no dispositivo
+const SETTINGS_STORAGE_KEY = 'appSettings';
+
+/**
+ * @function restoreSettings
+ * @description Thunk assíncrono que carrega as preferências salvas no dispositivo (idioma, moeda e tema)
+ * e já as aplica às traduções e à formatação de preços. Uma preferência trocada pelo usuário enquanto
+ * a leitura acontecia vale mais que a salva: ela não é aplicada nem sobrescrita na store.
+ * @returns {Promise<object>} Uma Promise que resolve com as preferências salvas.
+ */
+export const restoreSettings = createAsyncThunk(
+  'settings/restore',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const settings = await getStoredJSON(SETTINGS_STORAGE_KEY, {});
+      const { changedFields } = getState().settings;
+      if (!changedFields.language) {
+        applyLanguage(settings.language ?? null);
+      }
+      // Uma moeda salva que deixou de ser oferecida volta para a padrão
+      const currency = isSupportedCurrency(settings.currency) ? settings.currency : DEFAULT_CURRENCY;
+      if (!changedFields.currency) {
+        setDisplayCurrency(currency);
+      }
+      const themeMode = THEME_MODES.some((mode) => mode.id === settings.themeMode)
+        ? settings.themeMode
+        : DEFAULT_THEME_MODE;
+      return { ...settings, currency, themeMode };
+    } catch (error) {
+      console.error('Erro ao restaurar as preferências:', error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * @function markChanged
+ * @description Anota uma preferência trocada antes de as salvas serem lidas, para que `restoreSettings` não a desfaça.
+ * @param {object} state - O estado do slice.
+ * @param {string} field - A preferência trocada ('language' | 'currency' | 'themeMode').
+ */
+const markChanged = (state, field) => {
+  if (!state.isHydrated) {
+    state.changedFields[field] = true;
+  }
+};
+
+/**
+ * @constant settingsSlice
+ * @description Define um "slice" do estado Redux com as preferências do usuário escolhidas nas Configurações.
+ */
+const settingsSlice = createSlice({
+  name: 'settings',
+
+  initialState: {
+    language: null,       // Idioma escolhido ('pt-BR' | 'en' | 'es'), ou `null` para seguir o aparelho
+    currency: DEFAULT_CURRENCY, // Moeda em que os preços são exibidos (ver constants/currencies)
+    themeMode: DEFAULT_THEME_MODE, // Tema escolhido ('system' | 'light' | 'dark')
+    isHydrated: false,    // Indica se as preferências salvas já foram carregadas do dispositivo
+    changedFields: {},    // Preferências trocadas antes da leitura das salvas (`{ language: true }`), que não são sobrescritas
+  },
+
+  reducers: {
+    /**
+     * @action languageChanged
+     * @description Registra o idioma escolhido. Use o thunk `changeLanguage`, que também troca o idioma das traduções.
+     * @param {object} action - Espera `action.payload` com o idioma, ou `null` para seguir o aparelho.
+     */
+    languageChanged: (state, action) => {
+      state.language = action.payload;
+      markChanged(state, 'language');
+    },
+    /**
+     * @action currencyChanged
+     * @description Registra a moeda de exibição. Use o thunk `changeCurrency`, que também troca a moeda dos preços.
+     * @param {object} action - Espera `action.payload` com o código da moeda (ex: 'BRL').
+     */
+    currencyChanged: (state, action) => {
+      state.currency = action.payload;
+      markChanged(state, 'currency');
+    },
+    /**
+     * @action themeModeChanged
+     * @description Troca o tema do app. O `ThemeProvider` lê o modo da store e redesenha as telas na hora.
+     * @param {object} action - Espera `action.payload` com o modo ('system' | 'light' | 'dark').
+     */
+    themeModeChanged: (state, action) => {
+      state.themeMode = action.payload;
+      markChanged(state, 'themeMode');
+    },
+  },
+
+  extraReducers: (builder) => {
+    builder
+      .addCase(restoreSettings.fulfilled, (state, action) => {
+        const restored = { ...action.payload, language: action.payload.language ?? null };
+        // Só as preferências que o usuário não trocou desde a abertura do app vêm das salvas
+        ['language', 'currency', 'themeMode'].forEach((field) => {
+          if (!state.changedFields[field]) {
+            state[field] = restored[field];
+          }
+        });
+        state.isHydrated = true;
+        state.changedFields = {};
+      })
+      .addCase(restoreSettings.rejected, (state) => {
+        state.isHydrated = true;
+        state.changedFields = {};
+      });
+  },
+});
+
+export const { languageChanged, currencyChanged, themeModeChanged } = settingsSlice.actions;
+
+/**
+ * @function changeLanguage
+ * @description Troca o idioma do app na hora, sem reiniciar: aplica o idioma às traduções e então
+ * o registra na store, o que redesenha as telas que usam `useTranslation`.
+ * @param {string|null} language - O idioma escolhido, ou `null` para seguir o aparelho.
+ */
+export const changeLanguage = (language) => (dispatch) => {
+  applyLanguage(language);
+  dispatch(languageChanged(language));
+};
+
+/**
+ * @function changeCurrency
+ * @description Troca na hora a moeda em que os preços são exibidos: aplica a moeda à formatação
+ * e então a registra na store, o que redesenha as telas que usam `usePricing`.
+ * @param {string} currency - O código da moeda escolhida.
+ */
+export const changeCurrency = (currency) => (dispatch) => {
+  setDisplayCurrency(currency);
+  dispatch(currencyChanged(currency));
+};
+
+// --- Seletores ---
+
+/**
+ * @function selectLanguagePreference
+ * @description Seleciona o idioma escolhido nas Configurações (`null` = seguir o aparelho).
+ */
+export const selectLanguagePreference = (state) => state.settings.language;
+
+/**
+ * @function selectLanguage
+ * @description Seleciona o idioma efetivo do app (o escolhido ou, na falta dele, o do aparelho).
+ * Memoizado pelo idioma escolhido: o idioma do aparelho só é consultado quando a escolha muda.
+ */
+export const selectLanguage = createSelector([selectLanguagePreference], resolveLanguage);
+
+/**
+ * @function selectCurrency
+ * @description Seleciona a moeda de exibição dos preços.
+ */
+export const selectCurrency = (state) => state.settings.currency;
+
+/**
+ * @function selectThemeMode
+ * @description Seleciona o modo de tema escolhido ('system' = seguir o aparelho).
+ */
+export const selectThemeMode = (state) => state.settings.themeMode;
+
+// --- Persistência das preferências ---
+
+// Grava as preferências no dispositivo sempre que o usuário muda alguma delas
+// (inclusive as trocadas antes da leitura das salvas, gravadas assim que ela termina)
+startAppListening({
+  predicate: (action, currentState, previousState) =>
+    currentState.settings.isHydrated &&
+    (currentState.settings.language !== previousState.settings.language ||
+      currentState.settings.currency !== previousState.settings.currency ||
+      currentState.settings.themeMode !== previousState.settings.themeMode ||
+      Object.keys(previousState.settings.changedFields).length > 0),
+  effect: async (action, listenerApi) => {
+    const { language, currency, themeMode } = listenerApi.getState().settings;
+    try {
+      await setStoredJSON(SETTINGS_STORAGE_KEY, { language, currency, themeMode });
+    } catch (error) {
+      console.error('Erro ao salvar as preferências:', error);
+    }
+  },
+});
+
+export default settingsSlice.reducer;
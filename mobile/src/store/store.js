@@ -4,6 +4,22 @@ import { configureStore } from '@reduxjs/toolkit'; // Importa a função configu
 // Importa os reducers de cada "slice" (fatia) do estado da aplicação
 import authReducer from './authSlice';    // Reducer para gerenciar o estado de autenticação
 import productReducer from './productSlice'; // Reducer para gerenciar o estado dos produtos
+import cartReducer from './cartSlice';       // Reducer para gerenciar o carrinho de compras
+import checkoutReducer from './checkoutSlice'; // Reducer para gerenciar as etapas do checkout
+import ordersReducer from './ordersSlice';   // Reducer para gerenciar o histórico de pedidos
+import favoritesReducer from './favoritesSlice'; // Reducer para gerenciar os favoritos do usuário
+import searchReducer from './searchSlice';     // Reducer para gerenciar as buscas recentes
+import filtersReducer from './filtersSlice';   // Reducer para gerenciar os filtros de cada aba de categorias
+import catalogReducer from './catalogSlice';   // Reducer para gerenciar as abas de categorias do Início
+import networkReducer from './networkSlice';   // Reducer para gerenciar a situação da conexão do aparelho
+import linkingReducer from './linkingSlice';   // Reducer para gerenciar os links recebidos que aguardam para ser abertos
+import settingsReducer from './settingsSlice'; // Reducer para gerenciar as preferências do app (ex: idioma)
+// Importa o middleware que executa efeitos colaterais (ex: persistência da sessão) a partir das ações
+import { listenerMiddleware } from './listenerMiddleware';
+// Importa a configuração dos interceptadores de autenticação da instância Axios
+import { setupAuthInterceptors } from '../services/api';
+// Importa o monitoramento da conexão do aparelho
+import { startConnectivityMonitoring } from '../services/connectivity';
 
 /**
  * @constant store
@@ -24,7 +40,39 @@ export const store = configureStore({
     auth: authReducer,
     // 'products': O estado relacionado a produtos será gerenciado pelo productReducer
     products: productReducer,
+    // 'cart': O carrinho de compras será gerenciado pelo cartReducer
+    cart: cartReducer,
+    // 'checkout': As escolhas do checkout e o envio do pedido serão gerenciados pelo checkoutReducer
+    checkout: checkoutReducer,
+    // 'orders': O histórico de pedidos (locais e da API) será gerenciado pelo ordersReducer
+    orders: ordersReducer,
+    // 'favorites': Os favoritos do usuário logado serão gerenciados pelo favoritesReducer
+    favorites: favoritesReducer,
+    // 'search': As buscas recentes exibidas na tela de busca serão gerenciadas pelo searchReducer
+    search: searchReducer,
+    // 'filters': Os filtros e a ordenação de cada aba de categorias serão gerenciados pelo filtersReducer
+    filters: filtersReducer,
+    // 'catalog': As categorias da API e o layout das abas do Início serão gerenciados pelo catalogReducer
+    catalog: catalogReducer,
+    // 'network': A situação da conexão (online/offline) será gerenciada pelo networkReducer
+    network: networkReducer,
+    // 'linking': O deep link guardado até poder ser aberto (ex: antes do login) será gerenciado pelo linkingReducer
+    linking: linkingReducer,
+    // 'settings': As preferências escolhidas nas Configurações (ex: idioma) serão gerenciadas pelo settingsReducer
+    settings: settingsReducer,
   },
+  /**
+   * @property {function} middleware
+   * @description Adiciona o listener middleware antes dos middlewares padrão (thunk, verificações),
+   * para que os efeitos registrados pelos slices sejam executados.
+   */
+  middleware: (getDefaultMiddleware) => getDefaultMiddleware().prepend(listenerMiddleware.middleware),
   // DevTools: O Redux Toolkit configura automaticamente os Redux DevTools para depuração.
-  // Outras opções como middleware personalizado ou preloadedState podem ser adicionadas aqui.
-});
\ No newline at end of file
+});
+
+// Registra os interceptadores que anexam o token de acesso às requisições e o renovam quando expira.
+// Precisa da store já criada para ler os tokens e despachar `tokensRefreshed`/`logout`.
+setupAuthInterceptors(store);
+
+// Acompanha a conexão do aparelho durante toda a vida do app (banner "sem conexão" e revalidação ao reconectar).
+startConnectivityMonitoring(store);
@@ -0,0 +1,33 @@
+// src/theme/ThemeProvider.js
+import React, { createContext, useMemo } from 'react';
+// Importa o hook que informa o tema do aparelho (claro ou escuro)
+import { useColorScheme } from 'react-native';
+// Importa o hook do Redux para acompanhar o modo de tema escolhido
+import { useSelector } from 'react-redux';
+// Importa o seletor do modo de tema
+import { selectThemeMode } from '../store/settingsSlice';
+// Importa a montagem do tema e a escolha do esquema de cores efetivo
+import { createTheme, resolveColorScheme } from './index';
+
+// Contexto com o tema atual; o valor padrão (tema claro) vale para componentes fora do provedor
+export const ThemeContext = createContext({ mode: 'system', ...createTheme('light') });
+
+/**
+ * @function ThemeProvider
+ * @description Provedor do tema do app. Combina o modo escolhido nas Configurações com o tema do aparelho
+ * e disponibiliza a paleta (e o tema do React Navigation) para os componentes via `useTheme`.
+ * Como acompanha `useColorScheme`, no modo "Sistema" o app troca de tema junto com o aparelho.
+ * @param {object} props - Propriedades do componente.
+ * @param {React.ReactNode} props.children - A árvore de componentes do app.
+ */
+const ThemeProvider = ({ children }) => {
+  const mode = useSelector(selectThemeMode);
+  const systemScheme = useColorScheme();
+  const scheme = resolveColorScheme(mode, systemScheme);
+
+  const theme = useMemo(() => ({ mode, ...createTheme(scheme) }), [mode, scheme]);
+
+  return <ThemeContext.Provider value={theme}>{children}</ThemeContext.Provider>;
+};
+
+export default ThemeProvider;
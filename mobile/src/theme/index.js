@@ -0,0 +1,124 @@
+// src/theme/index.js
+// Importa os temas padrão do React Navigation (fontes e cores de base do cabeçalho e das abas)
+import { DefaultTheme, DarkTheme } from '@react-navigation/native';
+
+/**
+ * @constant DEFAULT_THEME_MODE
+ * @description Modo de tema usado enquanto o usuário não escolhe outro: segue o tema do aparelho.
+ */
+export const DEFAULT_THEME_MODE = 'system';
+
+/**
+ * @constant THEME_MODES
+ * @description Modos oferecidos no seletor "Aparência" das Configurações (identificador, chave da tradução e ícone).
+ */
+export const THEME_MODES = [
+  { id: 'system', labelKey: 'theme.modes.system', icon: 'theme-light-dark' },
+  { id: 'light', labelKey: 'theme.modes.light', icon: 'white-balance-sunny' },
+  { id: 'dark', labelKey: 'theme.modes.dark', icon: 'weather-night' },
+];
+
+/**
+ * @constant lightColors
+ * @description Paleta do tema claro. São as cores que o app sempre usou (azul `#2567e8`, fundo `#f8f8f8`...).
+ */
+export const lightColors = {
+  primary: '#2567e8',          // Cor principal: botões, links, ícones ativos
+  onPrimary: '#fff',           // Texto e ícones sobre a cor principal (e sobre `danger`/`success`)
+  primaryMuted: '#e8f0fe',     // Fundo suave de itens selecionados e destaques
+  background: '#f8f8f8',       // Fundo das telas
+  surface: '#fff',             // Fundo de cards, cabeçalhos, barra de abas e folhas
+  surfaceMuted: '#f0f0f0',     // Fundo de campos, chips e espaços reservados de imagens
+  floatingSurface: 'rgba(255, 255, 255, 0.9)', // Fundo translúcido de botões sobre imagens (ex: coração)
+  text: '#333',                // Texto principal
+  textSecondary: '#555',       // Texto de apoio (descrições, rótulos)
+  textMuted: '#888',           // Texto discreto (legendas, ícones inativos)
+  placeholder: '#aaa',         // Texto de exemplo dos campos e ícones desabilitados
+  border: '#eee',              // Divisórias e bordas de cards
+  borderStrong: '#ddd',        // Bordas de campos e botões contornados
+  disabled: '#ccc',            // Fundo de botões desabilitados
+  neutral: '#555',             // Fundo de selos e faixas neutras (ex: "Indisponível", "Sem conexão")
+  success: '#2e7d32',          // Descontos, confirmações e status concluídos
+  danger: '#E53935',           // Erros e ações destrutivas
+  dangerBackground: '#fdecea', // Fundo de avisos de erro
+  warningBackground: '#fcf8e3', // Fundo de avisos (ex: "dados salvos")
+  warningText: '#8a6d3b',      // Texto de avisos
+  favorite: '#E91E63',         // Coração dos favoritos
+  star: '#FFB400',             // Estrelas das avaliações
+  shadow: '#000',              // Cor das sombras
+  overlay: 'rgba(0, 0, 0, 0.4)', // Fundo escurecido atrás de folhas e janelas
+};
+
+/**
+ * @constant darkColors
+ * @description Paleta do tema escuro, com as mesmas chaves de `lightColors`.
+ */
+export const darkColors = {
+  primary: '#5b8def',
+  onPrimary: '#fff',
+  primaryMuted: '#1f2b45',
+  background: '#121212',
+  surface: '#1e1e1e',
+  surfaceMuted: '#2a2a2a',
+  floatingSurface: 'rgba(30, 30, 30, 0.85)',
+  text: '#ececec',
+  textSecondary: '#c4c4c4',
+  textMuted: '#9a9a9a',
+  placeholder: '#6f6f6f',
+  border: '#2e2e2e',
+  borderStrong: '#444',
+  disabled: '#4a4a4a',
+  neutral: '#424242',
+  success: '#66bb6a',
+  danger: '#ef5350',
+  dangerBackground: '#3b1f1f',
+  warningBackground: '#3a3320',
+  warningText: '#e0c080',
+  favorite: '#f06292',
+  star: '#FFB400',
+  shadow: '#000',
+  overlay: 'rgba(0, 0, 0, 0.6)',
+};
+
+/**
+ * @function resolveColorScheme
+ * @description Decide o esquema de cores efetivo a partir do modo escolhido e do tema do aparelho.
+ * @param {string} mode - O modo escolhido ('system' | 'light' | 'dark').
+ * @param {string|null} systemScheme - O tema do aparelho (`useColorScheme`), que pode vir `null`.
+ * @returns {'light'|'dark'} O esquema de cores a aplicar.
+ */
+export const resolveColorScheme = (mode, systemScheme) => {
+  if (mode === 'light' || mode === 'dark') {
+    return mode;
+  }
+  return systemScheme === 'dark' ? 'dark' : 'light';
+};
+
+/**
+ * @function createTheme
+ * @description Monta o tema do app para um esquema de cores: a paleta e o tema do React Navigation
+ * (cabeçalhos, barra de abas e fundo das telas) derivado dela.
+ * @param {'light'|'dark'} scheme - O esquema de cores.
+ * @returns {{ isDark: boolean, colors: object, navigationTheme: object }} O tema.
+ */
+export const createTheme = (scheme) => {
+  const isDark = scheme === 'dark';
+  const colors = isDark ? darkColors : lightColors;
+  const baseTheme = isDark ? DarkTheme : DefaultTheme;
+  return {
+    isDark,
+    colors,
+    navigationTheme: {
+      ...baseTheme,
+      colors: {
+        ...baseTheme.colors,
+        primary: colors.primary,
+        background: colors.background,
+        card: colors.surface,
+        text: colors.text,
+        border: colors.border,
+        notification: colors.danger,
+      },
+    },
+  };
+};
@@ -0,0 +1,22 @@
+// src/utils/address.js
+import { t } from '../i18n';
+
+/**
+ * @function formatZipCode
+ * @description Formata um CEP com 8 dígitos no padrão "00000-000".
+ * @param {string} zipCode - O CEP (somente dígitos).
+ * @returns {string} O CEP formatado.
+ */
+export const formatZipCode = (zipCode = '') => zipCode.replace(/^(\d{5})(\d{3})$/, '$1-$2');
+
+/**
+ * @function formatAddressLines
+ * @description Monta as linhas de exibição de um endereço de entrega.
+ * @param {object} address - O endereço ({ zipCode, street, number, complement, district, city, state }).
+ * @returns {string[]} As linhas do endereço (ex: ["Rua A, 10 - Apto 2", "Centro - São Paulo/SP", "CEP 01000-000"]).
+ */
+export const formatAddressLines = (address) => [
+  `${address.street}, ${address.number}${address.complement ? ` - ${address.complement}` : ''}`,
+  `${address.district} - ${address.city}/${address.state}`,
+  t('address.zipCodeLine', { zipCode: formatZipCode(address.zipCode) }),
+];
@@ -0,0 +1,98 @@
+// src/utils/checkoutValidation.js
+import { t } from '../i18n';
+
+/**
+ * @function onlyDigits
+ * @description Remove todos os caracteres que não são dígitos de uma string.
+ * @param {string} value - O texto de entrada.
+ * @returns {string} Apenas os dígitos.
+ */
+export const onlyDigits = (value = '') => value.replace(/\D/g, '');
+
+/**
+ * @function validateAddress
+ * @description Valida os campos do endereço de entrega.
+ * @param {object} address - O endereço ({ zipCode, street, number, complement, district, city, state }).
+ * @returns {object} Um objeto com a mensagem de erro (traduzida) de cada campo inválido (vazio se tudo estiver correto).
+ */
+export const validateAddress = (address) => {
+  const errors = {};
+  if (onlyDigits(address.zipCode).length !== 8) {
+    errors.zipCode = t('validation.zipCode');
+  }
+  if (!address.street?.trim()) {
+    errors.street = t('validation.required');
+  }
+  if (!address.number?.trim()) {
+    errors.number = t('validation.required');
+  }
+  if (!address.district?.trim()) {
+    errors.district = t('validation.required');
+  }
+  if (!address.city?.trim()) {
+    errors.city = t('validation.required');
+  }
+  if (!/^[A-Za-z]{2}$/.test(address.state?.trim() || '')) {
+    errors.state = t('validation.state');
+  }
+  return errors;
+};
+
+/**
+ * @function isValidCardNumber
+ * @description Verifica o número do cartão pelo algoritmo de Luhn (dígito verificador).
+ * @param {string} cardNumber - O número do cartão (pode conter espaços).
+ * @returns {boolean} `true` se o número for válido.
+ */
+export const isValidCardNumber = (cardNumber) => {
+  const digits = onlyDigits(cardNumber);
+  if (digits.length < 13 || digits.length > 19) {
+    return false;
+  }
+  let sum = 0;
+  // Percorre os dígitos da direita para a esquerda, dobrando um sim, outro não
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * @function validateCard
+ * @description Valida os dados do cartão de crédito.
+ * @param {object} card - Os dados do cartão ({ number, holder, expiry, cvv }). A validade usa o formato MM/AA.
+ * @param {Date} [now=new Date()] - Data de referência para verificar se o cartão está vencido.
+ * @returns {object} Um objeto com a mensagem de erro de cada campo inválido (vazio se tudo estiver correto).
+ */
+export const validateCard = (card, now = new Date()) => {
+  const errors = {};
+  if (!isValidCardNumber(card.number)) {
+    errors.number = t('validation.cardNumber');
+  }
+  if (!card.holder?.trim()) {
+    errors.holder = t('validation.required');
+  }
+
+  const match = /^(\d{2})\/(\d{2})$/.exec(card.expiry?.trim() || '');
+  if (!match || Number(match[1]) < 1 || Number(match[1]) > 12) {
+    errors.expiry = t('validation.expiryFormat');
+  } else {
+    // O cartão vale até o último dia do mês de validade
+    const expiresAt = new Date(2000 + Number(match[2]), Number(match[1]), 1);
+    if (expiresAt <= now) {
+      errors.expiry = t('validation.cardExpired');
+    }
+  }
+
+  if (!/^\d{3,4}$/.test(card.cvv || '')) {
+    errors.cvv = t('validation.cvv');
+  }
+  return errors;
+};
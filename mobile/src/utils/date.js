@@ -0,0 +1,21 @@
+// src/utils/date.js
+
+/**
+ * @function formatDateTime
+ * @description Formata data e hora no padrão brasileiro (ex: "19/10/2026 14:30").
+ * @param {Date|string|number} date - A data (objeto Date, texto ISO ou horário em ms).
+ * @returns {string} A data formatada.
+ */
+export const formatDateTime = (date) => {
+  const value = new Date(date);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${pad(value.getDate())}/${pad(value.getMonth() + 1)}/${value.getFullYear()} ${pad(value.getHours())}:${pad(value.getMinutes())}`;
+};
+
+/**
+ * @function formatDate
+ * @description Formata apenas a data no padrão brasileiro (ex: "19/10/2026").
+ * @param {Date|string|number} date - A data (objeto Date, texto ISO ou horário em ms).
+ * @returns {string} A data formatada.
+ */
+export const formatDate = (date) => formatDateTime(date).split(' ')[0];
@@ -0,0 +1,150 @@
+// src/utils/formRules.js
+import { t } from '../i18n';
+import { PASSWORD_MIN_LENGTH } from '../constants/account';
+
+// Regras de validação declarativas usadas pelo hook `useForm`. Cada fábrica devolve uma regra:
+// uma função `(valor, valores) => mensagem | undefined`, que recebe também todos os valores do formulário
+// (para regras entre campos). A mensagem padrão é traduzida na hora da validação, então acompanha a troca
+// de idioma; todas as fábricas aceitam uma mensagem própria no último argumento.
+// Exceto `required`, as regras ignoram campos vazios: combine-as com `required()` quando o campo for obrigatório.
+
+/**
+ * @function isEmpty
+ * @description Indica se um valor conta como "não preenchido" (vazio, só espaços, `null` ou `undefined`).
+ * @param {*} value - O valor do campo.
+ * @returns {boolean} `true` se o campo estiver vazio.
+ */
+const isEmpty = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * @function isValidEmail
+ * @description Verifica se o texto tem o formato de um e-mail (algo@dominio.ext).
+ * @param {string} value - O e-mail digitado.
+ * @returns {boolean} `true` se o formato for válido.
+ */
+export const isValidEmail = (value = '') => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value.trim());
+
+/**
+ * @function required
+ * @description Regra de campo obrigatório.
+ * @param {string} [message] - Mensagem própria (padrão: "Campo Obrigatório").
+ * @returns {Function} A regra.
+ */
+export const required = (message) => (value) =>
+  isEmpty(value) ? message ?? t('validation.required') : undefined;
+
+/**
+ * @function email
+ * @description Regra de formato de e-mail (algo@dominio.ext).
+ * @param {string} [message] - Mensagem própria.
+ * @returns {Function} A regra.
+ */
+export const email = (message) => (value) =>
+  !isEmpty(value) && !isValidEmail(value) ? message ?? t('validation.email') : undefined;
+
+/**
+ * @function minLength
+ * @description Regra de tamanho mínimo do texto.
+ * @param {number} length - A quantidade mínima de caracteres.
+ * @param {string} [message] - Mensagem própria.
+ * @returns {Function} A regra.
+ */
+export const minLength = (length, message) => (value) =>
+  !isEmpty(value) && String(value).length < length ? message ?? t('validation.minLength', { count: length }) : undefined;
+
+/**
+ * @function pattern
+ * @description Regra de formato livre, por expressão regular.
+ * @param {RegExp} regex - A expressão que o valor precisa satisfazer.
+ * @param {string} [message] - Mensagem própria (padrão: "Formato inválido.").
+ * @returns {Function} A regra.
+ */
+export const pattern = (regex, message) => (value) =>
+  !isEmpty(value) && !regex.test(String(value)) ? message ?? t('validation.pattern') : undefined;
+
+/**
+ * @function match
+ * @description Regra entre campos: o valor precisa ser igual ao de outro campo (ex: confirmação de senha).
+ * @param {string} otherField - O nome do outro campo.
+ * @param {string} [message] - Mensagem própria.
+ * @returns {Function} A regra.
+ */
+export const match = (otherField, message) => (value, values) =>
+  !isEmpty(value) && value !== values[otherField] ? message ?? t('validation.match') : undefined;
+
+/**
+ * @function password
+ * @description Regra de nova senha (cadastro e recuperação de senha): tamanho mínimo e pelo menos letras
+ * e números, o que garante, no mínimo, o nível "razoável" do medidor de força.
+ * @param {string} [message] - Mensagem própria (substitui as duas mensagens padrão).
+ * @returns {Function} A regra.
+ */
+export const password = (message) => (value) => {
+  if (isEmpty(value)) {
+    return undefined;
+  }
+  if (value.length < PASSWORD_MIN_LENGTH) {
+    return message ?? t('validation.passwordTooShort', { count: PASSWORD_MIN_LENGTH });
+  }
+  if (!/[A-Za-z]/.test(value) || !/\d/.test(value)) {
+    return message ?? t('validation.passwordWeak');
+  }
+  return undefined;
+};
+
+/**
+ * @function validateField
+ * @description Aplica as regras de um campo, na ordem, e devolve a primeira mensagem de erro.
+ * @param {Function[]} [fieldRules=[]] - As regras do campo.
+ * @param {*} value - O valor do campo.
+ * @param {object} values - Todos os valores do formulário.
+ * @returns {string|undefined} A mensagem de erro, ou `undefined` se o campo for válido.
+ */
+export const validateField = (fieldRules = [], value, values) => {
+  for (const rule of fieldRules) {
+    const message = rule(value, values);
+    if (message) {
+      return message;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * @function validateValues
+ * @description Valida todos os campos de um formulário.
+ * @param {object} values - Os valores do formulário.
+ * @param {object} rules - As regras de cada campo (`{ campo: [regra, ...] }`).
+ * @returns {object} Um objeto com a mensagem de erro de cada campo inválido (vazio se tudo estiver correto).
+ */
+export const validateValues = (values, rules) => {
+  const errors = {};
+  Object.entries(rules).forEach(([field, fieldRules]) => {
+    const message = validateField(fieldRules, values[field], values);
+    if (message) {
+      errors[field] = message;
+    }
+  });
+  return errors;
+};
+
+/**
+ * @function runAsyncRules
+ * @description Função assíncrona que aplica as regras assíncronas de um campo (ex: consulta à API), na ordem,
+ * e devolve a primeira mensagem de erro. Uma regra que falha (ex: sem conexão) rejeita a Promise:
+ * cabe ao `useForm` decidir o que fazer com a falha.
+ * @param {Function[]} fieldRules - As regras assíncronas (`(valor, valores) => Promise<mensagem | undefined>`).
+ * @param {*} value - O valor do campo.
+ * @param {object} values - Todos os valores do formulário.
+ * @returns {Promise<string|undefined>} A primeira mensagem de erro, ou `undefined`.
+ */
+export const runAsyncRules = async (fieldRules, value, values) => {
+  for (const rule of fieldRules) {
+    const message = await rule(value, values);
+    if (message) {
+      return message;
+    }
+  }
+  return undefined;
+};
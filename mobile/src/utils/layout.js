@@ -0,0 +1,28 @@
+// src/utils/layout.js
+import {
+  GRID_MIN_CARD_WIDTH,
+  GRID_MIN_COLUMNS,
+  GRID_MAX_COLUMNS,
+  SPLIT_VIEW_MIN_WIDTH,
+} from '../constants/layout';
+
+/**
+ * @function getGridLayout
+ * @description Calcula a quantidade de colunas e a largura dos cards da grade de produtos para uma largura disponível.
+ * Cada card ocupa a sua fração da largura menos 15px (7.5px de margem de cada lado), como na grade de 2 colunas do Figma.
+ * @param {number} availableWidth - A largura ocupada pela grade (a janela inteira ou o painel da visão dividida).
+ * @returns {{ numColumns: number, cardWidth: number }} As colunas e a largura de cada card.
+ */
+export const getGridLayout = (availableWidth) => {
+  const fittingColumns = Math.floor(availableWidth / GRID_MIN_CARD_WIDTH);
+  const numColumns = Math.min(Math.max(fittingColumns, GRID_MIN_COLUMNS), GRID_MAX_COLUMNS);
+  return { numColumns, cardWidth: (availableWidth / numColumns) - 15 };
+};
+
+/**
+ * @function isSplitViewWidth
+ * @description Indica se uma janela desta largura comporta a visão dividida (grade + detalhes lado a lado).
+ * @param {number} windowWidth - A largura da janela.
+ * @returns {boolean}
+ */
+export const isSplitViewWidth = (windowWidth) => windowWidth >= SPLIT_VIEW_MIN_WIDTH;
@@ -0,0 +1,68 @@
+// src/utils/orderStatus.js
+import { formatDateTime } from './date';
+import { t } from '../i18n';
+
+// Intervalos usados para simular o andamento de um pedido feito no app (em milissegundos)
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * @function getOrderNumber
+ * @description Devolve o número exibido de um pedido.
+ * Pedidos feitos no app usam os últimos dígitos do seu ID local (a DummyJSON devolve sempre o mesmo ID
+ * para carrinhos simulados); pedidos vindos da API usam o ID do carrinho.
+ * @param {object} order - O pedido.
+ * @returns {string} O número do pedido.
+ */
+export const getOrderNumber = (order) => (
+  order.source === 'remote' ? String(order.remoteId) : order.id.replace('local-', '').slice(-8)
+);
+
+/**
+ * @function getOrderTimeline
+ * @description Monta a linha do tempo de status de um pedido.
+ * A DummyJSON não informa datas nem status, então:
+ * - pedidos feitos no app avançam conforme o tempo desde a compra e o prazo da entrega escolhida;
+ * - pedidos vindos da API são considerados entregues, sem datas.
+ * @param {object} order - O pedido.
+ * @param {Date} [now=new Date()] - Data de referência.
+ * @returns {object[]} As etapas `{ key, label, date, done }`, na ordem (rótulos no idioma atual).
+ */
+export const getOrderTimeline = (order, now = new Date()) => {
+  const steps = [
+    { key: 'placed', offset: 0 },
+    { key: 'paid', offset: 10 * MINUTE },
+    { key: 'shipped', offset: DAY },
+    { key: 'delivered', offset: (order.shipping?.maxDays ?? 1) * DAY },
+  ].map((step) => ({ ...step, label: t(`orders.status.${step.key}`) }));
+
+  if (!order.createdAt) {
+    return steps.map(({ key, label }) => ({ key, label, date: null, done: true }));
+  }
+
+  const createdAt = new Date(order.createdAt).getTime();
+  return steps.map(({ key, label, offset }) => {
+    const date = new Date(createdAt + offset);
+    return { key, label, date, done: date.getTime() <= now.getTime() };
+  });
+};
+
+/**
+ * @function getOrderStatusLabel
+ * @description Devolve o rótulo da etapa mais recente já concluída de um pedido (ex: "Em transporte").
+ * @param {object} order - O pedido.
+ * @param {Date} [now=new Date()] - Data de referência.
+ * @returns {string} O rótulo do status atual.
+ */
+export const getOrderStatusLabel = (order, now = new Date()) => {
+  const doneSteps = getOrderTimeline(order, now).filter((step) => step.done);
+  return doneSteps[doneSteps.length - 1].label;
+};
+
+/**
+ * @function formatOrderDate
+ * @description Formata a data de um pedido no padrão brasileiro (ex: "19/10/2026 14:30").
+ * @param {Date|string} date - A data.
+ * @returns {string} A data formatada.
+ */
+export const formatOrderDate = (date) => formatDateTime(date);
@@ -0,0 +1,25 @@
+// src/utils/passwordStrength.js
+import { PASSWORD_MIN_LENGTH, PASSWORD_STRONG_LENGTH, PASSWORD_STRENGTH_LEVELS } from '../constants/account';
+
+/**
+ * @function getPasswordStrength
+ * @description Calcula a força de uma senha. Cada critério atendido vale um ponto: tamanho mínimo,
+ * letras maiúsculas e minúsculas, números, símbolos e tamanho "forte".
+ * @param {string} password - A senha digitada.
+ * @returns {object|null} O nível de `PASSWORD_STRENGTH_LEVELS` com a posição (`index`), ou `null` se a senha estiver vazia.
+ */
+export const getPasswordStrength = (password = '') => {
+  if (!password) {
+    return null;
+  }
+  const score = [
+    password.length >= PASSWORD_MIN_LENGTH,
+    /[a-z]/.test(password) && /[A-Z]/.test(password),
+    /\d/.test(password),
+    /[^A-Za-z0-9]/.test(password),
+    password.length >= PASSWORD_STRONG_LENGTH,
+  ].filter(Boolean).length;
+  // 0–1 ponto: fraca; 2: razoável; 3: boa; 4–5: forte
+  const index = Math.min(Math.max(score - 1, 0), PASSWORD_STRENGTH_LEVELS.length - 1);
+  return { ...PASSWORD_STRENGTH_LEVELS[index], index };
+};
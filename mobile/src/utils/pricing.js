@@ -0,0 +1,85 @@
+// src/utils/pricing.js
+import i18n from '../i18n'; // Idioma atual, que define os separadores e a posição do símbolo da moeda
+import { SOURCE_CURRENCY, DEFAULT_CURRENCY, EXCHANGE_RATES } from '../constants/currencies';
+
+// Moeda de exibição atual (trocada pelo `settingsSlice` antes de a nova escolha chegar à store)
+let displayCurrency = DEFAULT_CURRENCY;
+
+// Formatadores já criados, por idioma e moeda (criar um Intl.NumberFormat é caro)
+const formatters = new Map();
+
+/**
+ * @function getDiscountedPrice
+ * @description Calcula o preço final de um produto aplicando o percentual de desconto informado pela API.
+ * É a mesma regra exibida no ProductCard e na tela de detalhes, e usada nos totais do carrinho.
+ * @param {object} product - O objeto de produto (precisa de `price` e `discountPercentage`).
+ * @returns {number} O preço com desconto, na moeda de origem.
+ */
+export const getDiscountedPrice = (product) => {
+  const originalPrice = product.price;
+  return originalPrice - (originalPrice * (product.discountPercentage || 0) / 100);
+};
+
+/**
+ * @function isSupportedCurrency
+ * @description Indica se existe cotação para a moeda na tabela de câmbio.
+ * @param {string} currency - O código da moeda (ex: 'BRL').
+ * @returns {boolean}
+ */
+export const isSupportedCurrency = (currency) => Object.prototype.hasOwnProperty.call(EXCHANGE_RATES, currency);
+
+/**
+ * @function setDisplayCurrency
+ * @description Troca a moeda em que os preços são exibidos. Moedas sem cotação voltam para a padrão.
+ * @param {string|null} currency - O código da moeda escolhida.
+ */
+export const setDisplayCurrency = (currency) => {
+  displayCurrency = isSupportedCurrency(currency) ? currency : DEFAULT_CURRENCY;
+};
+
+/**
+ * @function getDisplayCurrency
+ * @description Devolve a moeda de exibição atual.
+ * @returns {string} O código da moeda.
+ */
+export const getDisplayCurrency = () => displayCurrency;
+
+/**
+ * @function convertPrice
+ * @description Converte um valor da moeda de origem (USD) para a moeda de exibição.
+ * @param {number} value - O valor na moeda de origem.
+ * @param {string} [currency] - A moeda de destino (padrão: a moeda de exibição atual).
+ * @returns {number} O valor convertido.
+ */
+export const convertPrice = (value, currency = displayCurrency) =>
+  (value / EXCHANGE_RATES[SOURCE_CURRENCY]) * EXCHANGE_RATES[currency];
+
+/**
+ * @function toSourceCurrency
+ * @description Converte de volta para a moeda de origem um valor digitado na moeda de exibição
+ * (ex: a faixa de preço dos filtros, que é comparada com os preços da API).
+ * @param {number} value - O valor na moeda de exibição.
+ * @param {string} [currency] - A moeda do valor (padrão: a moeda de exibição atual).
+ * @returns {number} O valor na moeda de origem.
+ */
+export const toSourceCurrency = (value, currency = displayCurrency) =>
+  (value / EXCHANGE_RATES[currency]) * EXCHANGE_RATES[SOURCE_CURRENCY];
+
+/**
+ * @function formatPrice
+ * @description Converte um valor da moeda de origem e o formata com `Intl` no idioma atual
+ * (ex: "R$ 1.234,56" em português, "R$1,234.56" em inglês).
+ * Nos componentes, prefira o hook `usePricing`, que também redesenha a tela quando a moeda ou o idioma mudam.
+ * @param {number} value - O valor na moeda de origem.
+ * @param {object} [options] - Opções da formatação.
+ * @param {string} [options.currency] - A moeda de exibição (padrão: a escolhida nas Configurações).
+ * @param {string} [options.locale] - O idioma da formatação (padrão: o idioma atual do app).
+ * @returns {string} O preço formatado.
+ */
+export const formatPrice = (value, { currency = displayCurrency, locale = i18n.locale } = {}) => {
+  const key = `${locale}|${currency}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale, { style: 'currency', currency }));
+  }
+  return formatters.get(key).format(convertPrice(value, currency));
+};
@@ -0,0 +1,136 @@
+// src/utils/productFilters.js
+import { getDiscountedPrice } from './pricing';
+import { SORT_OPTIONS, DEFAULT_FILTERS } from '../constants/productFilters';
+
+/**
+ * @function getSortOption
+ * @description Busca a ordenação pelo ID, voltando para "Relevância" se o ID for desconhecido.
+ * @param {string} sortId - O ID da ordenação.
+ * @returns {object} A opção de ordenação.
+ */
+export const getSortOption = (sortId) =>
+  SORT_OPTIONS.find((option) => option.id === sortId) || SORT_OPTIONS[0];
+
+/**
+ * @function getSortValue
+ * @description Extrai de um produto o valor usado por uma ordenação.
+ * @param {object} product - O produto.
+ * @param {string} apiSortBy - O campo da ordenação (ver SORT_OPTIONS).
+ * @returns {number|string} O valor comparado.
+ */
+const getSortValue = (product, apiSortBy) => {
+  switch (apiSortBy) {
+    case 'price':
+      return getDiscountedPrice(product);
+    case 'title':
+      return product.title || '';
+    default:
+      return product[apiSortBy] || 0;
+  }
+};
+
+/**
+ * @function sortProducts
+ * @description Ordena os produtos conforme a ordenação escolhida, sem alterar o array original.
+ * "Relevância" mantém a ordem recebida da API.
+ * @param {object[]} products - Os produtos.
+ * @param {string} sortId - O ID da ordenação.
+ * @returns {object[]} Os produtos ordenados.
+ */
+export const sortProducts = (products, sortId) => {
+  const { apiSortBy, order } = getSortOption(sortId);
+  if (!apiSortBy) {
+    return products;
+  }
+  const direction = order === 'desc' ? -1 : 1;
+  return [...products].sort((a, b) => {
+    const valueA = getSortValue(a, apiSortBy);
+    const valueB = getSortValue(b, apiSortBy);
+    const result = typeof valueA === 'string'
+      ? valueA.localeCompare(valueB, 'pt-BR')
+      : valueA - valueB;
+    return result * direction;
+  });
+};
+
+/**
+ * @function applyProductFilters
+ * @description Aplica os filtros de uma aba (faixa de preço com desconto, avaliação mínima, marcas
+ * e "somente com desconto") e depois a ordenação escolhida.
+ * @param {object[]} products - Os produtos carregados.
+ * @param {object} filters - Os filtros da aba (ver DEFAULT_FILTERS).
+ * @returns {object[]} Os produtos filtrados e ordenados.
+ */
+export const applyProductFilters = (products, filters) => {
+  const { minPrice, maxPrice, minRating, brands, onlyDiscounted, sortId } = filters;
+  const filtered = products.filter((product) => {
+    const price = getDiscountedPrice(product);
+    if (minPrice !== null && price < minPrice) return false;
+    if (maxPrice !== null && price > maxPrice) return false;
+    if (minRating > 0 && (product.rating || 0) < minRating) return false;
+    if (brands.length > 0 && !brands.includes(product.brand)) return false;
+    if (onlyDiscounted && !(product.discountPercentage > 0)) return false;
+    return true;
+  });
+  return sortProducts(filtered, sortId);
+};
+
+/**
+ * @function getAvailableBrands
+ * @description Lista as marcas presentes nos produtos carregados, em ordem alfabética.
+ * Produtos sem marca (comuns em algumas categorias da DummyJSON) são ignorados.
+ * @param {object[]} products - Os produtos carregados.
+ * @returns {string[]} As marcas.
+ */
+export const getAvailableBrands = (products) =>
+  Array.from(new Set(products.map((product) => product.brand).filter(Boolean)))
+    .sort((a, b) => a.localeCompare(b, 'pt-BR'));
+
+/**
+ * @function getActiveFilterChips
+ * @description Monta os chips dos filtros ativos exibidos acima da grade.
+ * Cada chip traz as alterações que o removem (`reset`), a serem mescladas nos filtros da aba.
+ * Os rótulos já vêm traduzidos e com os preços formatados pelas funções recebidas.
+ * @param {object} filters - Os filtros da aba.
+ * @param {function} t - A função de tradução no idioma atual (ver `useTranslation`).
+ * @param {function} formatPrice - A formatação de preços na moeda escolhida (ver `usePricing`).
+ * @returns {{ key: string, label: string, reset: object }[]} Os chips.
+ */
+export const getActiveFilterChips = (filters, t, formatPrice) => {
+  const chips = [];
+  const { minPrice, maxPrice, minRating, brands, onlyDiscounted, sortId } = filters;
+
+  if (minPrice !== null && maxPrice !== null) {
+    chips.push({
+      key: 'price',
+      label: t('filters.chips.priceRange', { min: formatPrice(minPrice), max: formatPrice(maxPrice) }),
+      reset: { minPrice: null, maxPrice: null },
+    });
+  } else if (minPrice !== null) {
+    chips.push({ key: 'price', label: t('filters.chips.priceFrom', { min: formatPrice(minPrice) }), reset: { minPrice: null } });
+  } else if (maxPrice !== null) {
+    chips.push({ key: 'price', label: t('filters.chips.priceUpTo', { max: formatPrice(maxPrice) }), reset: { maxPrice: null } });
+  }
+
+  if (minRating > 0) {
+    chips.push({ key: 'rating', label: t('filters.chips.minRating', { rating: minRating }), reset: { minRating: 0 } });
+  }
+
+  brands.forEach((brand) => {
+    chips.push({
+      key: `brand:${brand}`,
+      label: brand,
+      reset: { brands: brands.filter((item) => item !== brand) },
+    });
+  });
+
+  if (onlyDiscounted) {
+    chips.push({ key: 'discounted', label: t('filters.chips.discounted'), reset: { onlyDiscounted: false } });
+  }
+
+  if (sortId !== DEFAULT_FILTERS.sortId) {
+    chips.push({ key: 'sort', label: t(getSortOption(sortId).labelKey), reset: { sortId: DEFAULT_FILTERS.sortId } });
+  }
+
+  return chips;
+};
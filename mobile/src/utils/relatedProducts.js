@@ -0,0 +1,41 @@
+// src/utils/relatedProducts.js
+import { getDiscountedPrice } from './pricing';
+
+/**
+ * @constant PRICE_BAND
+ * @description Variação máxima de preço (com desconto) para um produto ser considerado da mesma faixa (±40%).
+ */
+const PRICE_BAND = 0.4;
+
+/**
+ * @function getRelatedProducts
+ * @description Escolhe os produtos relacionados ("Você também pode gostar"): os da mesma categoria
+ * e os da mesma marca na mesma faixa de preço, sem o próprio produto. Os mais parecidos vêm primeiro
+ * (mesma categoria e marca, depois mesma faixa de preço, depois o preço mais próximo).
+ * @param {object} product - O produto exibido na tela de detalhes.
+ * @param {object[]} candidates - Os produtos já carregados na store.
+ * @param {number} [limit=10] - Quantidade máxima de produtos retornados.
+ * @returns {object[]} Os produtos relacionados.
+ */
+export const getRelatedProducts = (product, candidates, limit = 10) => {
+  const price = getDiscountedPrice(product);
+  const priceDistance = (candidate) => Math.abs(getDiscountedPrice(candidate) - price) / (price || 1);
+
+  return candidates
+    .filter((candidate) => candidate.id !== product.id && !candidate.unavailable)
+    .map((candidate) => {
+      const sameCategory = candidate.category === product.category;
+      const sameBrand = !!product.brand && candidate.brand === product.brand;
+      const inPriceBand = priceDistance(candidate) <= PRICE_BAND;
+      return {
+        candidate,
+        isRelated: sameCategory || (sameBrand && inPriceBand),
+        score: (sameCategory ? 2 : 0) + (sameBrand ? 2 : 0) + (inPriceBand ? 1 : 0),
+        distance: priceDistance(candidate),
+      };
+    })
+    .filter(({ isRelated }) => isRelated)
+    .sort((a, b) => b.score - a.score || a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+};
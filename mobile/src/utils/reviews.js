@@ -0,0 +1,27 @@
+// src/utils/reviews.js
+
+/**
+ * @function sortReviews
+ * @description Ordena as avaliações de um produto (ver REVIEW_SORT_OPTIONS) sem alterar a lista original.
+ * @param {object[]} reviews - As avaliações (`rating`, `comment`, `date`, `reviewerName`).
+ * @param {string} sortId - O ID da ordenação ('newest' ou 'highest').
+ * @returns {object[]} As avaliações ordenadas.
+ */
+export const sortReviews = (reviews, sortId) => {
+  const byNewest = (a, b) => new Date(b.date) - new Date(a.date);
+  return [...reviews].sort((a, b) =>
+    sortId === 'highest' ? b.rating - a.rating || byNewest(a, b) : byNewest(a, b)
+  );
+};
+
+/**
+ * @function getRatingDistribution
+ * @description Conta as avaliações por número de estrelas, para o histograma do resumo.
+ * @param {object[]} reviews - As avaliações do produto.
+ * @returns {{stars: number, count: number, share: number}[]} De 5 a 1 estrela, com a quantidade e a fração (0 a 1) do total.
+ */
+export const getRatingDistribution = (reviews) =>
+  [5, 4, 3, 2, 1].map((stars) => {
+    const count = reviews.filter((review) => Math.round(review.rating) === stars).length;
+    return { stars, count, share: reviews.length > 0 ? count / reviews.length : 0 };
+  });